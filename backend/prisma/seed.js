@@ -0,0 +1,52 @@
+// Seed the initial admin account so the first user can log in.
+// Usage: ADMIN_EMAIL=... ADMIN_PASSWORD=... npm run db:seed
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { body } = require('express-validator');
+const prisma = require('../src/lib/prisma');
+
+// Normalise the email the way login and user creation do (routes/auth.js,
+// routes/users.js), or the admin could not log in with the address given
+const normalizeAdminEmail = async (email) => {
+  const req = { body: { email: email.trim() } };
+  const result = await body('email').isEmail().normalizeEmail().run(req);
+  if (!result.isEmpty()) {
+    throw new Error('ADMIN_EMAIL must be a valid email');
+  }
+  return req.body.email;
+};
+
+async function main() {
+  const password = process.env.ADMIN_PASSWORD;
+  const name = process.env.ADMIN_NAME || 'Administrator';
+
+  if (!process.env.ADMIN_EMAIL || !password) {
+    throw new Error('ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+  }
+
+  const email = await normalizeAdminEmail(process.env.ADMIN_EMAIL);
+
+  const existingUser = await prisma.user.findUnique({ where: { email } });
+  if (existingUser) {
+    console.log(`ℹ️  User ${email} already exists, skipping`);
+    return;
+  }
+
+  await prisma.user.create({
+    data: {
+      name,
+      email,
+      role: 'ADMIN',
+      passwordHash: await bcrypt.hash(password, 10)
+    }
+  });
+
+  console.log(`✅ Created admin user ${email}`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Seed failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -4,12 +4,44 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 require('dotenv').config();
 
+const { authenticate, authorize } = require('./middleware/auth');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
 const studentRoutes = require('./routes/students');
 const courseRoutes = require('./routes/courses');
 const enrollmentRoutes = require('./routes/enrollments');
 const paymentRoutes = require('./routes/payments');
 const dashboardRoutes = require('./routes/dashboard');
 const uploadRoutes = require('./routes/upload');
+const auditRoutes = require('./routes/audit');
+const invoiceRoutes = require('./routes/invoices');
+const creditNoteRoutes = require('./routes/creditNotes');
+const promoCodeRoutes = require('./routes/promoCodes');
+const reportRoutes = require('./routes/reports');
+const recycleBinRoutes = require('./routes/recycleBin');
+const messageRoutes = require('./routes/messages');
+const reminderRoutes = require('./routes/reminders');
+const leadRoutes = require('./routes/leads');
+const staffRoutes = require('./routes/staff');
+const taskRoutes = require('./routes/tasks');
+const noteRoutes = require('./routes/notes');
+const batchRoutes = require('./routes/batches');
+const sessionRoutes = require('./routes/sessions');
+const instructorRoutes = require('./routes/instructors');
+const holidayRoutes = require('./routes/holidays');
+const calendarRoutes = require('./routes/calendar');
+const certificateRoutes = require('./routes/certificates');
+const verifyRoutes = require('./routes/verify');
+const { schedulePurge } = require('./lib/recycleBin');
+const { ensureDefaultTemplates } = require('./lib/templates');
+const { scheduleOutbox } = require('./lib/outbox');
+const { registerJob, scheduleJobs } = require('./lib/scheduler');
+const { REMINDER_JOB, ensureDefaultRules, sendReminders } = require('./lib/reminders');
+const { START_JOB, startDueEnrollments, migrateEnrollmentStatuses } = require('./lib/enrollmentStatus');
+const { migrateRemarks } = require('./lib/notes');
+const { migrateBatchStrings } = require('./lib/batches');
+const { migrateInstructorStrings } = require('./lib/instructors');
+const prisma = require('./lib/prisma');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -30,12 +62,38 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
-app.use('/api/students', studentRoutes);
-app.use('/api/courses', courseRoutes);
-app.use('/api/enrollments', enrollmentRoutes);
-app.use('/api/payments', paymentRoutes);
-app.use('/api/dashboard', dashboardRoutes);
-app.use('/api/upload', uploadRoutes);
+app.use('/api/auth', authRoutes);
+// Calendar feeds are fetched by calendar apps with a feed token instead of a login
+app.use('/api/calendar', calendarRoutes);
+
+// Public certificate verification (the link printed on certificates)
+app.use('/verify', verifyRoutes);
+
+// Everything below requires a logged-in user; routers apply per-route role checks
+app.use('/api/users', authenticate, authorize('ADMIN'), userRoutes);
+app.use('/api/staff', authenticate, staffRoutes);
+app.use('/api/leads', authenticate, leadRoutes);
+app.use('/api/tasks', authenticate, taskRoutes);
+app.use('/api/notes', authenticate, noteRoutes);
+app.use('/api/students', authenticate, studentRoutes);
+app.use('/api/courses', authenticate, courseRoutes);
+app.use('/api/batches', authenticate, batchRoutes);
+app.use('/api/sessions', authenticate, sessionRoutes);
+app.use('/api/instructors', authenticate, instructorRoutes);
+app.use('/api/holidays', authenticate, holidayRoutes);
+app.use('/api/enrollments', authenticate, enrollmentRoutes);
+app.use('/api/certificates', authenticate, certificateRoutes);
+app.use('/api/payments', authenticate, paymentRoutes);
+app.use('/api/invoices', authenticate, invoiceRoutes);
+app.use('/api/credit-notes', authenticate, creditNoteRoutes);
+app.use('/api/promo-codes', authenticate, promoCodeRoutes);
+app.use('/api/dashboard', authenticate, dashboardRoutes);
+app.use('/api/reports', authenticate, reportRoutes);
+app.use('/api/messages', authenticate, messageRoutes);
+app.use('/api/reminders', authenticate, reminderRoutes);
+app.use('/api/upload', authenticate, uploadRoutes);
+app.use('/api/audit', authenticate, auditRoutes);
+app.use('/api/recycle-bin', authenticate, recycleBinRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -55,5 +113,26 @@ app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+
+  schedulePurge();
+
+  migrateRemarks(prisma)
+    .catch(error => console.error('Error moving student remarks into notes:', error));
+  migrateBatchStrings(prisma)
+    .catch(error => console.error('Error linking enrollments to batches:', error));
+  migrateInstructorStrings(prisma)
+    .catch(error => console.error('Error linking batches to instructors:', error));
+  migrateEnrollmentStatuses(prisma)
+    .catch(error => console.error('Error splitting enrollment statuses:', error));
+
+  ensureDefaultTemplates(prisma)
+    .catch(error => console.error('Error creating default message templates:', error))
+    .finally(() => scheduleOutbox());
+
+  registerJob(REMINDER_JOB, { handler: () => sendReminders() });
+  registerJob(START_JOB, { dailyAt: '00:05', handler: () => startDueEnrollments(prisma) });
+  ensureDefaultRules(prisma)
+    .catch(error => console.error('Error creating default reminder rules:', error))
+    .finally(() => scheduleJobs());
 });
 
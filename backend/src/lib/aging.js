@@ -0,0 +1,129 @@
+// Receivables aging: how long each outstanding balance has been due.
+//
+// An enrollment with a payment plan owes its unpaid installments, each aged
+// from its own due date (payments allocated oldest-first, as everywhere
+// else). Without a plan the whole balance is due from the enrollment start
+// date. Whatever a plan does not cover (e.g. the fee went up after the plan
+// was made) is also aged from the start date.
+
+const { getNetFee } = require('./pricing');
+const { sumNetPayments } = require('./refunds');
+const { allocateInstallments } = require('./paymentPlans');
+const { roundMoney } = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ordered oldest-last; maxDays is inclusive
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days1to30', label: '1-30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+  { key: 'days90plus', label: '90+ days', maxDays: Infinity }
+];
+
+// In UTC, as due dates are stored at UTC midnight
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Whole days past due as of `asOf`; zero or less means not yet overdue
+const daysPastDue = (dueDate, asOf) =>
+  Math.round((startOfDay(asOf) - startOfDay(dueDate)) / DAY_MS);
+
+const bucketFor = (days) => AGING_BUCKETS.find(bucket => days <= bucket.maxDays).key;
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+// Relations agingForEnrollment needs
+const agingInclude = {
+  paymentPlan: {
+    include: {
+      installments: {
+        orderBy: { sequence: 'asc' }
+      }
+    }
+  }
+};
+
+/**
+ * Outstanding balance of one enrollment as the amounts still owed, each with
+ * the date it fell (or falls) due.
+ * Needs pricing relations, live payments and `paymentPlan.installments`.
+ * @returns null when nothing is outstanding
+ */
+const outstandingPortions = (enrollment, asOf = new Date()) => {
+  const netFee = getNetFee(enrollment);
+  const totalPaid = sumNetPayments(enrollment.payments);
+  const outstanding = roundMoney(Math.max(0, netFee - totalPaid));
+
+  if (outstanding <= 0) return null;
+
+  const portions = [];
+  let unallocated = outstanding;
+
+  if (enrollment.paymentPlan) {
+    allocateInstallments(enrollment.paymentPlan.installments, totalPaid, asOf).forEach((installment) => {
+      const amount = roundMoney(Math.min(installment.outstanding, unallocated));
+      if (amount <= 0) return;
+
+      portions.push({ dueDate: installment.dueDate, amount });
+      unallocated = roundMoney(unallocated - amount);
+    });
+  }
+
+  if (unallocated > 0) {
+    portions.push({ dueDate: enrollment.startDate, amount: unallocated });
+  }
+
+  return { netFee, totalPaid, outstanding, portions };
+};
+
+/**
+ * Outstanding balance of one enrollment split into aging buckets.
+ * Needs the same relations as outstandingPortions.
+ * @returns null when nothing is outstanding
+ */
+const agingForEnrollment = (enrollment, asOf = new Date()) => {
+  const balance = outstandingPortions(enrollment, asOf);
+  if (!balance) return null;
+
+  const { netFee, totalPaid, outstanding, portions } = balance;
+  const buckets = emptyBuckets();
+  let daysOverdue = 0;
+
+  portions.forEach(({ dueDate, amount }) => {
+    const days = daysPastDue(dueDate, asOf);
+    buckets[bucketFor(days)] = roundMoney(buckets[bucketFor(days)] + amount);
+    daysOverdue = Math.max(daysOverdue, days);
+  });
+
+  return {
+    netFee,
+    totalPaid,
+    outstanding,
+    daysOverdue,
+    buckets
+  };
+};
+
+// Per-bucket and overall totals of a list of aging rows
+const sumBuckets = (rows) => rows.reduce((totals, row) => {
+  AGING_BUCKETS.forEach(({ key }) => {
+    totals[key] = roundMoney(totals[key] + row.buckets[key]);
+  });
+  totals.total = roundMoney(totals.total + row.outstanding);
+  return totals;
+}, { ...emptyBuckets(), total: 0 });
+
+module.exports = {
+  AGING_BUCKETS,
+  agingInclude,
+  daysPastDue,
+  bucketFor,
+  outstandingPortions,
+  agingForEnrollment,
+  sumBuckets
+};
@@ -0,0 +1,63 @@
+// Spell out a money amount for receipts, e.g.
+// 1250.5 -> "One Thousand Two Hundred Fifty Dollars and Fifty Cents Only"
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+const SCALES = ['', 'Thousand', 'Million', 'Billion'];
+
+// 0-999 -> words
+const hundredsToWords = (number) => {
+  const words = [];
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+
+  if (hundreds) words.push(`${ONES[hundreds]} Hundred`);
+  if (rest >= 20) {
+    words.push(TENS[Math.floor(rest / 10)] + (rest % 10 ? `-${ONES[rest % 10]}` : ''));
+  } else if (rest) {
+    words.push(ONES[rest]);
+  }
+
+  return words.join(' ');
+};
+
+const integerToWords = (number) => {
+  if (number === 0) return 'Zero';
+
+  const groups = [];
+  let remaining = number;
+  let scale = 0;
+
+  while (remaining > 0) {
+    const group = remaining % 1000;
+    if (group) {
+      groups.unshift(`${hundredsToWords(group)}${SCALES[scale] ? ` ${SCALES[scale]}` : ''}`);
+    }
+    remaining = Math.floor(remaining / 1000);
+    scale += 1;
+  }
+
+  return groups.join(' ');
+};
+
+const amountInWords = (value, { unit = 'Dollar', subunit = 'Cent' } = {}) => {
+  const cents = Math.round(Math.abs(Number(value) || 0) * 100);
+  const whole = Math.floor(cents / 100);
+  const fraction = cents % 100;
+
+  const plural = (count, word) => `${word}${count === 1 ? '' : 's'}`;
+  let words = `${integerToWords(whole)} ${plural(whole, unit)}`;
+  if (fraction) {
+    words += ` and ${integerToWords(fraction)} ${plural(fraction, subunit)}`;
+  }
+
+  return `${words} Only`;
+};
+
+module.exports = {
+  amountInWords
+};
@@ -0,0 +1,83 @@
+// Attendance: roll call per class session and attendance rates per
+// enrollment.
+//
+// Rate = (present + late) / (present + late + absent). Excused absences and
+// sessions not marked yet do not count. An enrollment is at risk when its
+// rate is below ATTENDANCE_AT_RISK_PERCENT once at least
+// ATTENDANCE_MIN_SESSIONS sessions count.
+
+const { SEAT_STATUS_FILTER } = require('./batches');
+
+const ATTENDANCE_STATUSES = ['PRESENT', 'ABSENT', 'LATE', 'EXCUSED'];
+
+const DEFAULT_AT_RISK_PERCENT = 75;
+const DEFAULT_MIN_SESSIONS = 3;
+
+const getAtRiskPercent = () => {
+  const percent = parseInt(process.env.ATTENDANCE_AT_RISK_PERCENT, 10);
+  return Number.isNaN(percent) || percent < 0 || percent > 100 ? DEFAULT_AT_RISK_PERCENT : percent;
+};
+
+const getMinSessions = () => {
+  const sessions = parseInt(process.env.ATTENDANCE_MIN_SESSIONS, 10);
+  return Number.isNaN(sessions) || sessions < 1 ? DEFAULT_MIN_SESSIONS : sessions;
+};
+
+/**
+ * Attendance summary from status counts.
+ * @param counts { PRESENT, ABSENT, LATE, EXCUSED } (missing = 0)
+ */
+const summarize = (counts = {}) => {
+  const present = counts.PRESENT || 0;
+  const late = counts.LATE || 0;
+  const absent = counts.ABSENT || 0;
+  const excused = counts.EXCUSED || 0;
+  const counted = present + late + absent;
+  const rate = counted ? Math.round(((present + late) / counted) * 100) : null;
+
+  return {
+    marked: counted + excused,
+    present,
+    late,
+    absent,
+    excused,
+    rate,
+    atRisk: rate !== null && counted >= getMinSessions() && rate < getAtRiskPercent()
+  };
+};
+
+/**
+ * Attendance summaries for enrollments.
+ * @param db Prisma client or transaction client
+ * @returns Map of enrollment id -> summary (enrollments without records included)
+ */
+const summariesByEnrollment = async (db, enrollmentIds) => {
+  const groups = await db.attendance.groupBy({
+    by: ['enrollmentId', 'status'],
+    where: { enrollmentId: { in: enrollmentIds } },
+    _count: { _all: true }
+  });
+
+  const counts = new Map(enrollmentIds.map(id => [id, {}]));
+  groups.forEach((group) => {
+    counts.get(group.enrollmentId)[group.status] = group._count._all;
+  });
+
+  return new Map([...counts].map(([id, statusCounts]) => [id, summarize(statusCounts)]));
+};
+
+// Enrollments expected at a session: its batch's seat holders, or the
+// course's seat holders without a batch when the session has none
+const rosterWhere = (session) => ({
+  courseId: session.courseId,
+  batchId: session.batchId || null,
+  ...SEAT_STATUS_FILTER,
+  student: { deletedAt: null }
+});
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  summarize,
+  summariesByEnrollment,
+  rosterWhere
+};
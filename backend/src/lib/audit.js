@@ -0,0 +1,78 @@
+// Audit trail helpers. Call recordAudit with the transaction client of the
+// mutation it describes so the event commits (or rolls back) with it.
+
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+// Flatten a Prisma record to plain JSON, dropping included relations
+const snapshot = (record) => {
+  if (!record) return null;
+
+  const plain = JSON.parse(JSON.stringify(record));
+  const result = {};
+
+  Object.entries(plain).forEach(([key, value]) => {
+    const isRelation = value !== null && typeof value === 'object' &&
+      (!Array.isArray(value) || value.some(item => item !== null && typeof item === 'object'));
+    if (!isRelation) {
+      result[key] = value;
+    }
+  });
+
+  return result;
+};
+
+// Field-level diff between two snapshots: { field: { from, to } }
+const diff = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Record an audit event.
+ * @param tx Prisma transaction client
+ * @param req Express request (for the acting user); null for system jobs
+ * @param event { entity, entityId, action, before, after, studentId, enrollmentId }
+ */
+const recordAudit = async (tx, req, { entity, entityId, action, before, after, studentId, enrollmentId }) => {
+  const beforeSnapshot = snapshot(before);
+  const afterSnapshot = snapshot(after);
+  const changes = action === 'UPDATE' ? diff(beforeSnapshot, afterSnapshot) : null;
+
+  // Nothing actually changed
+  if (changes && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  return tx.auditEvent.create({
+    data: {
+      actorId: req?.user?.id,
+      actorName: req?.user?.name,
+      entity,
+      entityId,
+      action,
+      before: beforeSnapshot ?? undefined,
+      after: afterSnapshot ?? undefined,
+      changes: changes ?? undefined,
+      studentId: studentId ?? undefined,
+      enrollmentId: enrollmentId ?? undefined
+    }
+  });
+};
+
+module.exports = {
+  recordAudit,
+  snapshot,
+  diff
+};
@@ -0,0 +1,155 @@
+// Batches (cohorts) of a course. An enrollment points at its batch through
+// batchId and keeps the batch code in Enrollment.batch, which is what
+// invoices, receipts, reports and message templates print.
+//
+// A seat is any live (not deleted) enrollment in the batch that is neither
+// withdrawn nor waitlisted. Seats are counted with the batch row locked, so
+// two requests cannot both take the last one.
+
+const NON_SEAT_STATUSES = ['WITHDRAWN', 'WAITLISTED'];
+
+const SEAT_STATUS_FILTER = { deletedAt: null, academicStatus: { notIn: NON_SEAT_STATUSES } };
+
+const holdsSeat = (status) => !NON_SEAT_STATUSES.includes(status);
+
+// Batches new enrollments can join
+const ENROLLABLE_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+// Placeholder the CSV importer used to write when a row had no batch
+const LEGACY_PLACEHOLDER = 'CSV Import';
+
+/**
+ * Find the batch an enrollment should join.
+ * A batchId wins; otherwise a batch code (CSV imports, older clients) is
+ * looked up in the course and created if it does not exist yet.
+ * @param db Prisma client or transaction client
+ * @returns { batch } (batch null when none was asked for) or { error }
+ */
+const resolveBatch = async (db, { courseId, batchId, batchCode }) => {
+  if (batchId) {
+    const batch = await db.batch.findUnique({ where: { id: batchId } });
+    if (!batch) return { error: 'Batch not found' };
+    if (batch.courseId !== courseId) return { error: 'Batch does not belong to this course' };
+    return { batch };
+  }
+
+  const code = batchCode?.trim();
+  if (!code) return { batch: null };
+
+  const batch = await db.batch.upsert({
+    where: { courseId_code: { courseId, code } },
+    create: { courseId, code },
+    update: {}
+  });
+
+  return { batch };
+};
+
+/**
+ * Check a batch can take one more enrollment. Locks the batch row until the
+ * transaction ends; call it right before creating or reactivating the
+ * enrollment, in the same transaction.
+ * @param tx Prisma transaction client
+ * @param excludeEnrollmentId enrollment already holding a seat to ignore
+ * @param capacityOnly skip the batch status check (restoring a deleted enrollment)
+ * @returns an error message, or null when there is room
+ */
+const checkSeat = async (tx, batch, { excludeEnrollmentId, capacityOnly = false } = {}) => {
+  if (!capacityOnly && !ENROLLABLE_STATUSES.includes(batch.status)) {
+    return `Batch ${batch.code} is not open for enrollment`;
+  }
+
+  if (batch.capacity === null) return null;
+
+  await tx.$queryRaw`SELECT id FROM batches WHERE id = ${batch.id} FOR UPDATE`;
+
+  const taken = await tx.enrollment.count({
+    where: {
+      batchId: batch.id,
+      ...SEAT_STATUS_FILTER,
+      ...(excludeEnrollmentId && { id: { not: excludeEnrollmentId } })
+    }
+  });
+
+  if (taken >= batch.capacity) {
+    return `Batch ${batch.code} is full (${taken} of ${batch.capacity} seats taken)`;
+  }
+
+  return null;
+};
+
+// Seats taken per batch id, for lists
+const countSeats = async (db, batchIds) => {
+  const groups = await db.enrollment.groupBy({
+    by: ['batchId'],
+    where: { batchId: { in: batchIds }, ...SEAT_STATUS_FILTER },
+    _count: { _all: true }
+  });
+  return new Map(groups.map(group => [group.batchId, group._count._all]));
+};
+
+const seatSummary = (batch, taken) => ({
+  taken,
+  capacity: batch.capacity,
+  available: batch.capacity === null ? null : Math.max(0, batch.capacity - taken),
+  fillRate: batch.capacity ? Math.round((taken / batch.capacity) * 100) : null
+});
+
+/**
+ * Turn the free-text Enrollment.batch values written before batches existed
+ * into Batch rows, one per course and code, and link the enrollments. The
+ * old CSV placeholder is left alone. Safe to run on every startup.
+ */
+const migrateBatchStrings = async (prisma) => {
+  const enrollments = await prisma.enrollment.findMany({
+    where: {
+      batchId: null,
+      batch: { not: null },
+      NOT: { batch: LEGACY_PLACEHOLDER }
+    },
+    select: { id: true, courseId: true, batch: true, startDate: true }
+  });
+
+  const groups = new Map();
+  enrollments.forEach((enrollment) => {
+    const code = enrollment.batch.trim();
+    if (!code) return;
+    const key = `${enrollment.courseId}|${code}`;
+    if (!groups.has(key)) groups.set(key, { courseId: enrollment.courseId, code, enrollments: [] });
+    groups.get(key).enrollments.push(enrollment);
+  });
+
+  for (const group of groups.values()) {
+    const startDate = new Date(Math.min(...group.enrollments.map(enrollment => enrollment.startDate.getTime())));
+
+    await prisma.$transaction(async (tx) => {
+      const batch = await tx.batch.upsert({
+        where: { courseId_code: { courseId: group.courseId, code: group.code } },
+        create: { courseId: group.courseId, code: group.code, startDate },
+        update: {}
+      });
+
+      await tx.enrollment.updateMany({
+        where: { id: { in: group.enrollments.map(enrollment => enrollment.id) } },
+        data: { batchId: batch.id, batch: batch.code }
+      });
+    });
+  }
+
+  if (groups.size > 0) {
+    console.log(`🗂️  Linked ${enrollments.length} enrollment(s) to ${groups.size} batch(es)`);
+  }
+
+  return groups.size;
+};
+
+module.exports = {
+  SEAT_STATUS_FILTER,
+  ENROLLABLE_STATUSES,
+  holdsSeat,
+  resolveBatch,
+  checkSeat,
+  countSeats,
+  seatSummary,
+  migrateBatchStrings
+};
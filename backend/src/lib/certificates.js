@@ -0,0 +1,188 @@
+// Completion certificates: issued when an enrollment is completed, rendered
+// to PDF from the course's template and filed with the student's documents.
+// Anyone holding the verification code can check a certificate at
+// GET /verify/:code, which shows only what is printed on it.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { nextDocumentNumber } = require('./numbering');
+const { renderTemplate } = require('./templates');
+const { recordAudit } = require('./audit');
+const { PAGE_MARGIN, getBranding, formatDate, createDocument, drawFooter } = require('./pdf');
+
+const CERTIFICATE_PREFIX = 'CERT';
+
+const DEFAULT_CERTIFICATE_TITLE = 'Certificate of Completion';
+
+const DEFAULT_CERTIFICATE_BODY = [
+  'This is to certify that',
+  '',
+  '{{student.name}}',
+  '',
+  'has successfully completed the course',
+  '',
+  '{{course.name}}{{#if enrollment.batch}} ({{enrollment.batch}}){{/if}}',
+  '',
+  'on {{certificate.completedAt}}'
+].join('\n');
+
+// No 0/O or 1/I so codes can be typed from a printout
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+// Same folder and "<Date.now()>-<random>-<name>" naming as uploaded documents
+const docsDir = path.join(__dirname, '../uploads/student-docs');
+
+const generateVerificationCode = () => Array.from(
+  crypto.randomBytes(CODE_LENGTH),
+  byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+).join('');
+
+// Where the printed code can be checked; PUBLIC_URL is this server's address
+const verificationUrl = (code) => {
+  const base = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${base.replace(/\/$/, '')}/verify/${code}`;
+};
+
+const absolutePath = (filePath) => path.join(docsDir, path.basename(filePath));
+
+/**
+ * Issue the certificate of a completed enrollment and add its PDF to the
+ * student's documents. Returns null when the enrollment already has one.
+ * Write the file with saveCertificateFile once the transaction commits.
+ * @param tx Prisma transaction client
+ * @param enrollment enrollment with student and course
+ */
+const issueCertificate = async (tx, req, enrollment, completedAt = new Date()) => {
+  const existing = await tx.certificate.findUnique({ where: { enrollmentId: enrollment.id } });
+  if (existing) return null;
+
+  const serial = await nextDocumentNumber(tx, CERTIFICATE_PREFIX, completedAt);
+  const { student, course } = enrollment;
+
+  const context = {
+    student: { name: student.name },
+    course: { name: course.name, duration: course.duration },
+    enrollment: {
+      batch: enrollment.batch,
+      startDate: formatDate(enrollment.startDate)
+    },
+    certificate: { serial, completedAt: formatDate(completedAt) },
+    business: { name: getBranding().name }
+  };
+
+  const fileName = `${Date.now()}-${Math.round(Math.random() * 1e9)}-Certificate_${serial}.pdf`;
+
+  const certificate = await tx.certificate.create({
+    data: {
+      serial,
+      verificationCode: generateVerificationCode(),
+      studentId: student.id,
+      enrollmentId: enrollment.id,
+      studentName: student.name,
+      courseName: course.name,
+      title: renderTemplate(course.certificateTitle || DEFAULT_CERTIFICATE_TITLE, context),
+      body: renderTemplate(course.certificateBody || DEFAULT_CERTIFICATE_BODY, context),
+      completedAt,
+      filePath: `/uploads/student-docs/${fileName}`
+    }
+  });
+
+  await tx.student.update({
+    where: { id: student.id },
+    data: { documents: { push: certificate.filePath } }
+  });
+
+  await recordAudit(tx, req, {
+    entity: 'CERTIFICATE',
+    entityId: certificate.id,
+    action: 'CREATE',
+    after: certificate,
+    studentId: student.id,
+    enrollmentId: enrollment.id
+  });
+
+  return certificate;
+};
+
+/**
+ * Render a certificate as a landscape PDF document (caller pipes and ends it).
+ */
+const renderCertificatePdf = (certificate) => {
+  const branding = getBranding();
+  const doc = createDocument({ Title: `${certificate.title} ${certificate.serial}` }, { layout: 'landscape' });
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.rect(PAGE_MARGIN / 2, PAGE_MARGIN / 2, doc.page.width - PAGE_MARGIN, doc.page.height - PAGE_MARGIN)
+    .lineWidth(3).strokeColor(branding.color).stroke();
+
+  let top = PAGE_MARGIN + 10;
+  if (branding.logoPath && fs.existsSync(branding.logoPath)) {
+    doc.image(branding.logoPath, doc.page.width / 2 - 60, top, { fit: [120, 50], align: 'center' });
+    top += 60;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(branding.color)
+    .text(branding.name, PAGE_MARGIN, top, { width, align: 'center' });
+  doc.moveDown(1.5);
+
+  doc.font('Helvetica-Bold').fontSize(30).fillColor('#111827')
+    .text(certificate.title, { width, align: 'center' });
+  doc.moveDown(1);
+
+  doc.font('Helvetica').fontSize(14).fillColor('#374151');
+  certificate.body.split('\n').forEach((line) => {
+    const isName = line.trim() === certificate.studentName;
+    doc.font(isName ? 'Helvetica-Bold' : 'Helvetica').fontSize(isName ? 22 : 14)
+      .text(line || ' ', PAGE_MARGIN, doc.y, { width, align: 'center' });
+  });
+
+  const detailsY = doc.page.height - PAGE_MARGIN - 60;
+  doc.font('Helvetica').fontSize(9).fillColor('#6b7280');
+  doc.text(`Certificate No. ${certificate.serial}`, PAGE_MARGIN + 20, detailsY, { width: width / 2 - 20 });
+  doc.text(`Issued ${formatDate(certificate.issuedAt)}`, PAGE_MARGIN + 20, detailsY + 14, { width: width / 2 - 20 });
+  doc.text(`Verification code: ${certificate.verificationCode}`, PAGE_MARGIN + width / 2, detailsY, { width: width / 2 - 20, align: 'right' });
+  doc.text(verificationUrl(certificate.verificationCode), PAGE_MARGIN + width / 2, detailsY + 14, { width: width / 2 - 20, align: 'right' });
+
+  drawFooter(doc, `Check this certificate at ${verificationUrl(certificate.verificationCode)}`);
+
+  return doc;
+};
+
+// Write the certificate's PDF to its place in the student's documents
+const saveCertificateFile = (certificate) => new Promise((resolve, reject) => {
+  if (!fs.existsSync(docsDir)) fs.mkdirSync(docsDir, { recursive: true });
+
+  const stream = fs.createWriteStream(absolutePath(certificate.filePath));
+  stream.on('finish', resolve);
+  stream.on('error', reject);
+
+  const doc = renderCertificatePdf(certificate);
+  doc.pipe(stream);
+  doc.end();
+});
+
+const certificateFileExists = (certificate) => fs.existsSync(absolutePath(certificate.filePath));
+
+// What GET /verify/:code may reveal: the facts printed on the certificate
+const publicCertificate = (certificate) => ({
+  valid: true,
+  serial: certificate.serial,
+  studentName: certificate.studentName,
+  courseName: certificate.courseName,
+  completedAt: certificate.completedAt,
+  issuedAt: certificate.issuedAt,
+  issuer: getBranding().name
+});
+
+module.exports = {
+  DEFAULT_CERTIFICATE_TITLE,
+  DEFAULT_CERTIFICATE_BODY,
+  verificationUrl,
+  issueCertificate,
+  renderCertificatePdf,
+  saveCertificateFile,
+  certificateFileExists,
+  publicCertificate
+};
@@ -0,0 +1,20 @@
+// Minimal CSV writer for report exports (RFC 4180 quoting)
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param columns [{ header, value: row => cell }]
+ * @returns CSV text with a header line
+ */
+const toCsv = (columns, rows) => [
+  columns.map(column => escapeCell(column.header)).join(','),
+  ...rows.map(row => columns.map(column => escapeCell(column.value(row))).join(','))
+].join('\n');
+
+module.exports = {
+  toCsv
+};
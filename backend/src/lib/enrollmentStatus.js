@@ -0,0 +1,233 @@
+// An enrollment carries two independent statuses:
+//
+//   academicStatus  where the student is in the course, moved by staff along
+//                   TRANSITIONS (and from ENROLLED to IN_PROGRESS when the
+//                   course starts); every move is kept in EnrollmentStatusHistory
+//   financialStatus what has been paid against the net fee, kept in step by
+//                   syncFinancialStatus after every pricing or payment change
+//
+// Paying in full never completes an enrollment, and completing one says
+// nothing about its balance.
+
+const { recordAudit } = require('./audit');
+const { pricingInclude, getNetFee } = require('./pricing');
+const { livePaymentsInclude, sumNetPayments } = require('./refunds');
+
+const ACADEMIC_STATUSES = ['WAITLISTED', 'ENROLLED', 'IN_PROGRESS', 'SUSPENDED', 'COMPLETED', 'WITHDRAWN'];
+const FINANCIAL_STATUSES = ['UNPAID', 'PARTIAL', 'PAID', 'REFUNDED', 'WAIVED'];
+
+// Following the course: not waiting for a seat, finished or gone
+const ONGOING_STATUSES = ['ENROLLED', 'IN_PROGRESS', 'SUSPENDED'];
+
+// What a new enrollment can start as
+const INITIAL_STATUSES = ['WAITLISTED', 'ENROLLED', 'IN_PROGRESS'];
+
+// Academic statuses each status can move to. COMPLETED and WITHDRAWN are
+// final: a student coming back is enrolled again.
+const TRANSITIONS = {
+  WAITLISTED: ['ENROLLED', 'IN_PROGRESS', 'WITHDRAWN'],
+  ENROLLED: ['IN_PROGRESS', 'WAITLISTED', 'SUSPENDED', 'WITHDRAWN'],
+  IN_PROGRESS: ['SUSPENDED', 'COMPLETED', 'WITHDRAWN'],
+  SUSPENDED: ['ENROLLED', 'IN_PROGRESS', 'WITHDRAWN'],
+  COMPLETED: [],
+  WITHDRAWN: []
+};
+
+// Suspending, withdrawing and lifting a suspension need a reason on record
+const reasonRequired = (from, to) => ['SUSPENDED', 'WITHDRAWN'].includes(to) || from === 'SUSPENDED';
+
+// The moves open to an enrollment in `status`, for the UI
+const nextStatuses = (status) => TRANSITIONS[status].map(to => ({
+  status: to,
+  reasonRequired: reasonRequired(status, to)
+}));
+
+/**
+ * Check a requested academic status change.
+ * @returns error message, or null when allowed
+ */
+const checkTransition = (from, to, reason) => {
+  if (!TRANSITIONS[from].includes(to)) {
+    return TRANSITIONS[from].length === 0
+      ? `A ${from.toLowerCase()} enrollment cannot change status`
+      : `Cannot change status from ${from} to ${to}`;
+  }
+  if (reasonRequired(from, to) && !reason?.trim()) {
+    return `A reason is required to change status from ${from} to ${to}`;
+  }
+  return null;
+};
+
+/**
+ * Add a row to an enrollment's status history. `from` is null for the
+ * status it was created with.
+ * @param tx Prisma transaction client
+ * @param req Express request (the actor), null for automatic changes
+ */
+const recordStatusChange = (tx, req, enrollmentId, from, to, reason = null) =>
+  tx.enrollmentStatusHistory.create({
+    data: {
+      enrollmentId,
+      fromStatus: from,
+      toStatus: to,
+      reason: reason?.trim() || null,
+      actorId: req?.user?.id,
+      actorName: req?.user?.name
+    }
+  });
+
+const START_JOB = 'enrollment-start';
+
+// ENROLLED until the start date, IN_PROGRESS from then on
+const startingStatus = (startDate, now = new Date()) =>
+  new Date(startDate) <= now ? 'IN_PROGRESS' : 'ENROLLED';
+
+/**
+ * Financial status from an enrollment's net fee and payments.
+ * @param enrollment enrollment with pricingInclude and payments (livePaymentsInclude)
+ */
+const financialStatusOf = (enrollment) => {
+  const netFee = getNetFee(enrollment);
+  const netPaid = sumNetPayments(enrollment.payments);
+  const grossPaid = enrollment.payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
+
+  if (netFee <= 0) return 'WAIVED';
+  if (netPaid >= netFee) return 'PAID';
+  if (netPaid > 0) return 'PARTIAL';
+  if (grossPaid > 0) return 'REFUNDED';
+  return 'UNPAID';
+};
+
+/**
+ * Recompute an enrollment's financial status. Call after any change to its
+ * payments, refunds, credit notes or pricing.
+ * @param tx Prisma transaction client
+ * @param req Express request (for the audit trail), null for system changes
+ * @returns the financial status
+ */
+const syncFinancialStatus = async (tx, req, enrollmentId) => {
+  const enrollment = await tx.enrollment.findUnique({
+    where: { id: enrollmentId },
+    include: {
+      ...pricingInclude,
+      payments: livePaymentsInclude
+    }
+  });
+  if (!enrollment) return null;
+
+  const financialStatus = financialStatusOf(enrollment);
+  if (financialStatus === enrollment.financialStatus) return financialStatus;
+
+  const { course, adjustments, payments, ...before } = enrollment;
+  const updatedEnrollment = await tx.enrollment.update({
+    where: { id: enrollmentId },
+    data: { financialStatus }
+  });
+
+  await recordAudit(tx, req, {
+    entity: 'ENROLLMENT',
+    entityId: enrollmentId,
+    action: 'UPDATE',
+    before,
+    after: updatedEnrollment,
+    studentId: enrollment.studentId,
+    enrollmentId
+  });
+
+  return financialStatus;
+};
+
+/**
+ * Move ENROLLED enrollments whose start date has come to IN_PROGRESS.
+ * Runs daily as the enrollment-start job.
+ * @returns { started } count for the job's lastResult
+ */
+const startDueEnrollments = async (prisma) => {
+  const due = await prisma.enrollment.findMany({
+    where: { academicStatus: 'ENROLLED', startDate: { lte: new Date() }, deletedAt: null }
+  });
+
+  for (const enrollment of due) {
+    await prisma.$transaction(async (tx) => {
+      const updatedEnrollment = await tx.enrollment.update({
+        where: { id: enrollment.id },
+        data: { academicStatus: 'IN_PROGRESS' }
+      });
+
+      await recordAudit(tx, null, {
+        entity: 'ENROLLMENT',
+        entityId: enrollment.id,
+        action: 'UPDATE',
+        before: enrollment,
+        after: updatedEnrollment,
+        studentId: enrollment.studentId,
+        enrollmentId: enrollment.id
+      });
+
+      await recordStatusChange(tx, null, enrollment.id, 'ENROLLED', 'IN_PROGRESS', 'Start date reached');
+    });
+  }
+
+  return { started: due.length };
+};
+
+/**
+ * Split the old single status into academic and financial status, then
+ * clear it. The old COMPLETED was also set by a full payment, so it only
+ * stays COMPLETED with a certificate or a past end date. Safe to run on
+ * every startup.
+ */
+const migrateEnrollmentStatuses = async (prisma) => {
+  const enrollments = await prisma.enrollment.findMany({
+    where: { legacyStatus: { not: null } },
+    include: { certificate: { select: { id: true } } }
+  });
+
+  const now = new Date();
+  const academicStatusFor = (enrollment) => {
+    switch (enrollment.legacyStatus) {
+      case 'COMPLETED':
+        return enrollment.certificate || (enrollment.endDate && enrollment.endDate <= now)
+          ? 'COMPLETED'
+          : startingStatus(enrollment.startDate, now);
+      case 'CANCELLED':
+        return 'WITHDRAWN';
+      case 'SUSPENDED':
+      case 'WAITLISTED':
+        return enrollment.legacyStatus;
+      default:
+        return startingStatus(enrollment.startDate, now);
+    }
+  };
+
+  for (const enrollment of enrollments) {
+    await prisma.$transaction(async (tx) => {
+      await tx.enrollment.update({
+        where: { id: enrollment.id },
+        data: { academicStatus: academicStatusFor(enrollment), legacyStatus: null }
+      });
+      await syncFinancialStatus(tx, null, enrollment.id);
+    });
+  }
+
+  if (enrollments.length > 0) {
+    console.log(`🎓 Split the status of ${enrollments.length} enrollment(s) into academic and financial status`);
+  }
+};
+
+module.exports = {
+  ACADEMIC_STATUSES,
+  FINANCIAL_STATUSES,
+  ONGOING_STATUSES,
+  INITIAL_STATUSES,
+  TRANSITIONS,
+  START_JOB,
+  startingStatus,
+  nextStatuses,
+  checkTransition,
+  recordStatusChange,
+  financialStatusOf,
+  syncFinancialStatus,
+  startDueEnrollments,
+  migrateEnrollmentStatuses
+};
@@ -0,0 +1,69 @@
+// Minimal iCalendar (RFC 5545) writer for the timetable feeds. Times are
+// written in UTC so calendar apps show them in the subscriber's own zone.
+
+const PRODUCT_ID = '-//VA CRM//Timetable//EN';
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20260601T180000Z
+const formatDateTime = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const chunks = [];
+  let rest = Buffer.from(line, 'utf8');
+
+  while (rest.length > 75) {
+    let cut = chunks.length === 0 ? 75 : 74;
+    // Do not split a multi-byte character
+    while ((rest[cut] & 0xc0) === 0x80) cut -= 1;
+    chunks.push(rest.subarray(0, cut).toString('utf8'));
+    rest = rest.subarray(cut);
+  }
+  chunks.push(rest.toString('utf8'));
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Build an iCalendar document.
+ * @param name calendar name shown by calendar apps
+ * @param events [{ uid, start, end, summary, location?, description?, updatedAt? }]
+ */
+const buildCalendar = ({ name, events }) => {
+  const now = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${event.updatedAt ? formatDateTime(event.updatedAt) : now}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildCalendar
+};
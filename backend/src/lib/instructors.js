@@ -0,0 +1,98 @@
+// Instructors. Batches used to carry the instructor as free text
+// (Batch.legacyInstructor, column "instructor"); those names are turned into
+// Instructor rows on startup.
+
+const INSTRUCTOR_RATE_TYPES = ['HOURLY', 'PER_BATCH'];
+
+/**
+ * Check an instructor can be assigned.
+ * @param db Prisma client or transaction client
+ * @returns an error message, or null when the instructor exists (or none was given)
+ */
+const checkInstructor = async (db, instructorId) => {
+  if (!instructorId) return null;
+
+  const instructor = await db.instructor.findUnique({ where: { id: instructorId } });
+  if (!instructor) return 'Instructor not found';
+
+  return null;
+};
+
+/**
+ * Record that an instructor teaches a course (batches assigned to them
+ * imply it). No-op without an instructor.
+ * @param tx Prisma transaction client
+ */
+const linkCourse = async (tx, instructorId, courseId) => {
+  if (!instructorId) return;
+
+  await tx.instructor.update({
+    where: { id: instructorId },
+    data: { courses: { connect: { id: courseId } } }
+  });
+};
+
+/**
+ * Turn free-text batch instructors into Instructor rows (one per name,
+ * ignoring case), assign them to their batches and courses, then clear the
+ * text. Safe to run on every startup.
+ */
+const migrateInstructorStrings = async (prisma) => {
+  const batches = await prisma.batch.findMany({
+    where: { legacyInstructor: { not: null } },
+    select: { id: true, courseId: true, instructorId: true, legacyInstructor: true }
+  });
+
+  const groups = new Map();
+  batches.forEach((batch) => {
+    const name = batch.legacyInstructor.trim();
+    const key = name.toLowerCase();
+    if (!groups.has(key)) groups.set(key, { name, batches: [] });
+    groups.get(key).batches.push(batch);
+  });
+
+  let linked = 0;
+
+  for (const group of groups.values()) {
+    await prisma.$transaction(async (tx) => {
+      const batchIds = group.batches.map(batch => batch.id);
+
+      if (!group.name) {
+        await tx.batch.updateMany({ where: { id: { in: batchIds } }, data: { legacyInstructor: null } });
+        return;
+      }
+
+      const instructor = await tx.instructor.findFirst({
+        where: { name: { equals: group.name, mode: 'insensitive' } }
+      }) || await tx.instructor.create({ data: { name: group.name } });
+
+      // A batch already given an instructor keeps it
+      const unassigned = group.batches.filter(batch => !batch.instructorId);
+
+      await tx.batch.updateMany({
+        where: { id: { in: unassigned.map(batch => batch.id) } },
+        data: { instructorId: instructor.id }
+      });
+      await tx.batch.updateMany({ where: { id: { in: batchIds } }, data: { legacyInstructor: null } });
+
+      for (const courseId of new Set(unassigned.map(batch => batch.courseId))) {
+        await linkCourse(tx, instructor.id, courseId);
+      }
+
+      linked += unassigned.length;
+    });
+  }
+
+  if (linked > 0) {
+    console.log(`🧑‍🏫 Linked ${linked} batch(es) to instructors`);
+  }
+
+  return linked;
+};
+
+module.exports = {
+  INSTRUCTOR_RATE_TYPES,
+  checkInstructor,
+  linkCourse,
+  migrateInstructorStrings
+};
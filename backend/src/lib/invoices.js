@@ -0,0 +1,209 @@
+// Invoice helpers: totals, payment allocation and PDF rendering.
+
+const { recordAudit } = require('./audit');
+const { ADJUSTMENT_LABELS, calculatePricing } = require('./pricing');
+const { getEnrollmentNetPaid } = require('./refunds');
+const {
+  formatMoney,
+  formatDate,
+  getBranding,
+  createDocument,
+  drawHeader,
+  drawAddressBlock,
+  drawTable,
+  drawTotals,
+  drawNotes,
+  drawWatermark,
+  drawFooter
+} = require('./pdf');
+const { roundMoney } = require('./money');
+
+const DEFAULT_DUE_DAYS = 14;
+
+const getDueDays = () => {
+  const days = parseInt(process.env.INVOICE_DUE_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_DUE_DAYS : days;
+};
+
+// Normalise submitted line items and work out their amounts
+const buildLineItems = (items) => items.map((item, index) => {
+  const quantity = parseInt(item.quantity, 10) || 1;
+  const unitPrice = roundMoney(parseFloat(item.unitPrice));
+  return {
+    description: item.description.trim(),
+    quantity,
+    unitPrice,
+    amount: roundMoney(quantity * unitPrice),
+    position: index
+  };
+});
+
+const sumLineItems = (lineItems) =>
+  roundMoney(lineItems.reduce((sum, item) => sum + parseFloat(item.amount), 0));
+
+// The line items an invoice starts with when none are given: the enrollment's
+// base price followed by one negative line per discount/scholarship. Needs
+// `course` and `adjustments` loaded.
+const defaultLineItems = (enrollment) => {
+  const pricing = calculatePricing(enrollment);
+  return [
+    {
+      description: enrollment.batch
+        ? `${enrollment.course.name} (${enrollment.batch})`
+        : enrollment.course.name,
+      quantity: 1,
+      unitPrice: pricing.basePrice
+    },
+    ...pricing.adjustments.map(adjustment => ({
+      description: adjustment.basis === 'PERCENT'
+        ? `${ADJUSTMENT_LABELS[adjustment.type]} (${parseFloat(adjustment.value)}%) — ${adjustment.reason}`
+        : `${ADJUSTMENT_LABELS[adjustment.type]} — ${adjustment.reason}`,
+      quantity: 1,
+      unitPrice: -adjustment.discountAmount
+    }))
+  ];
+};
+
+/**
+ * Spread an enrollment's payments over its issued invoices, oldest first.
+ * VOID and DRAFT invoices get nothing.
+ * @returns Map of invoice id -> amount paid towards it
+ */
+const allocatePayments = (invoices, totalPaid) => {
+  let remaining = roundMoney(totalPaid);
+  const allocation = new Map();
+
+  [...invoices]
+    .filter(invoice => invoice.status === 'ISSUED' || invoice.status === 'PAID')
+    .sort((a, b) => new Date(a.issueDate) - new Date(b.issueDate))
+    .forEach((invoice) => {
+      const paid = Math.min(remaining, parseFloat(invoice.total));
+      allocation.set(invoice.id, roundMoney(paid));
+      remaining = roundMoney(remaining - paid);
+    });
+
+  return allocation;
+};
+
+// Attach amountPaid / balanceDue to each invoice for API responses
+const withBalances = (invoices, totalPaid) => {
+  const allocation = allocatePayments(invoices, totalPaid);
+  return invoices.map((invoice) => {
+    const amountPaid = allocation.get(invoice.id) || 0;
+    const billable = invoice.status === 'ISSUED' || invoice.status === 'PAID';
+    return {
+      ...invoice,
+      amountPaid,
+      balanceDue: billable ? roundMoney(parseFloat(invoice.total) - amountPaid) : 0
+    };
+  });
+};
+
+// Paid towards an enrollment, net of refunds and credit notes
+const getEnrollmentTotalPaid = (tx, enrollmentId) => getEnrollmentNetPaid(tx, enrollmentId);
+
+/**
+ * Flip issued invoices between ISSUED and PAID to match what has actually
+ * been paid on the enrollment. Call after any payment change.
+ * @param tx Prisma transaction client
+ * @param req Express request (for the audit trail)
+ */
+const syncInvoiceStatuses = async (tx, req, enrollmentId) => {
+  const invoices = await tx.invoice.findMany({
+    where: { enrollmentId, status: { in: ['ISSUED', 'PAID'] } }
+  });
+  if (invoices.length === 0) return;
+
+  const totalPaid = await getEnrollmentTotalPaid(tx, enrollmentId);
+  const allocation = allocatePayments(invoices, totalPaid);
+
+  for (const invoice of invoices) {
+    const isPaid = allocation.get(invoice.id) >= parseFloat(invoice.total);
+    const status = isPaid ? 'PAID' : 'ISSUED';
+    if (status === invoice.status) continue;
+
+    const updatedInvoice = await tx.invoice.update({
+      where: { id: invoice.id },
+      data: { status }
+    });
+
+    await recordAudit(tx, req, {
+      entity: 'INVOICE',
+      entityId: invoice.id,
+      action: 'UPDATE',
+      before: invoice,
+      after: updatedInvoice,
+      studentId: invoice.studentId,
+      enrollmentId
+    });
+  }
+};
+
+/**
+ * Render an invoice as a PDF document (caller pipes and ends it).
+ * @param invoice invoice with student, enrollment.course and lineItems, plus amountPaid/balanceDue
+ */
+const renderInvoicePdf = (invoice) => {
+  const { student, enrollment } = invoice;
+  const doc = createDocument({ Title: invoice.number || 'Draft invoice' });
+
+  drawHeader(doc, 'Invoice', [
+    ['Invoice No.', invoice.number || 'DRAFT'],
+    ['Issue Date', formatDate(invoice.issueDate)],
+    ['Due Date', formatDate(invoice.dueDate)]
+  ]);
+
+  drawAddressBlock(doc, 'Bill To', [
+    student.name,
+    student.nricPassportId && `NRIC/Passport: ${student.nricPassportId}`,
+    student.address,
+    student.email,
+    student.phone
+  ]);
+
+  drawTable(doc, [
+    { header: 'Description', width: 265 },
+    { header: 'Qty', width: 50, align: 'right' },
+    { header: 'Unit Price', width: 90, align: 'right' },
+    { header: 'Amount', width: 90, align: 'right' }
+  ], invoice.lineItems.map(item => [
+    item.description,
+    item.quantity,
+    formatMoney(item.unitPrice),
+    formatMoney(item.amount)
+  ]));
+
+  drawTotals(doc, [
+    { label: 'Subtotal', value: formatMoney(invoice.subtotal) },
+    { label: 'Total', value: formatMoney(invoice.total), emphasis: true },
+    { label: 'Amount Paid', value: formatMoney(invoice.amountPaid) },
+    { label: 'Balance Due', value: formatMoney(invoice.balanceDue), emphasis: true }
+  ]);
+
+  drawNotes(doc, 'Course', [
+    enrollment.course.name,
+    enrollment.batch && `Batch: ${enrollment.batch}`,
+    `Start date: ${formatDate(enrollment.startDate)}`
+  ].filter(Boolean).join('\n'));
+  drawNotes(doc, 'Notes', invoice.notes);
+
+  if (invoice.status === 'DRAFT') drawWatermark(doc, 'DRAFT');
+  if (invoice.status === 'VOID') drawWatermark(doc, 'VOID');
+  if (invoice.status === 'PAID') drawWatermark(doc, 'PAID');
+
+  drawFooter(doc, `Thank you for choosing ${getBranding().name}.`);
+
+  return doc;
+};
+
+module.exports = {
+  getDueDays,
+  buildLineItems,
+  sumLineItems,
+  defaultLineItems,
+  allocatePayments,
+  withBalances,
+  getEnrollmentTotalPaid,
+  syncInvoiceStatuses,
+  renderInvoicePdf
+};
@@ -0,0 +1,103 @@
+// Outbound email transports. MAIL_TRANSPORT picks one:
+//   smtp    - any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file    - writes each message as an .eml file to MAIL_FILE_DIR
+//   console - logs a summary (default outside production)
+//
+// A transport is { name, send(message) -> { providerId } } and throws when
+// delivery fails, so the outbox can retry. registerTransport() adds others.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const getSender = () => process.env.MAIL_FROM ||
+  `"${process.env.BUSINESS_NAME || 'VA CRM'}" <${process.env.BUSINESS_EMAIL || 'no-reply@localhost'}>`;
+
+const toMailOptions = (message) => ({
+  from: getSender(),
+  to: message.to,
+  subject: message.subject,
+  text: message.body
+});
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(toMailOptions(message));
+      return { providerId: info.messageId };
+    }
+  };
+};
+
+const createFileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../../mail-outbox');
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const info = await transporter.sendMail(toMailOptions(message));
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.id || 'message'}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { providerId: info.messageId };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`✉️  Email to ${message.to}: ${message.subject}`);
+    return { providerId: `console-${message.id || Date.now()}` };
+  }
+});
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let activeTransport = null;
+
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  activeTransport = null;
+};
+
+// The configured transport, created on first use
+const getTransport = () => {
+  if (!activeTransport) {
+    const fallback = process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+    const name = process.env.MAIL_TRANSPORT || fallback;
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Deliver one message through the configured transport.
+ * @param message { id, to, subject, body }
+ */
+const sendMail = (message) => getTransport().send(message);
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  sendMail
+};
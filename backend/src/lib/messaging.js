@@ -0,0 +1,51 @@
+// SMS and WhatsApp providers. MESSAGING_PROVIDER picks one:
+//   stub - logs each message and reports it delivered (default)
+//
+// A provider is { name, send(message) -> { providerId } } where message is
+// { id, channel: 'SMS' | 'WHATSAPP', to (E.164), body }. It throws when
+// delivery fails, so the outbox can retry. registerProvider() adds real
+// gateways (Twilio, WhatsApp Cloud API, ...) without touching callers.
+
+const createStubProvider = () => ({
+  name: 'stub',
+  send: async (message) => {
+    console.log(`💬 ${message.channel} to ${message.to}: ${message.body.split('\n')[0]}`);
+    return { providerId: `stub-${message.id || Date.now()}` };
+  }
+});
+
+const providerFactories = {
+  stub: createStubProvider
+};
+
+let activeProvider = null;
+
+const registerProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  activeProvider = null;
+};
+
+// The configured provider, created on first use
+const getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.MESSAGING_PROVIDER || 'stub';
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MESSAGING_PROVIDER "${name}"`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
+
+/**
+ * Deliver one SMS or WhatsApp message through the configured provider.
+ * @param message { id, channel, to, body }
+ */
+const sendText = (message) => getProvider().send(message);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  sendText
+};
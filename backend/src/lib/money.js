@@ -0,0 +1,6 @@
+// Money amounts are kept to the cent; round after every sum or split so
+// floating-point remainders never reach a balance or a document.
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+module.exports = { roundMoney };
@@ -0,0 +1,83 @@
+// Student notes. Notes replaced the single Student.remarks string; anything
+// still in remarks (older rows, or a remarks field sent by an old client) is
+// turned into a note so it shows on the timeline.
+
+const { recordAudit } = require('./audit');
+
+const NOTE_TYPES = ['CALL', 'MEETING', 'EMAIL', 'GENERAL'];
+
+const noteInclude = {
+  author: { select: { id: true, name: true } }
+};
+
+/**
+ * Add a note to a student's timeline and audit it.
+ * @param tx Prisma transaction client
+ * @param req Express request; the signed-in user is the author
+ */
+const addNote = async (tx, req, { studentId, type = 'GENERAL', body, isPinned = false }) => {
+  const note = await tx.note.create({
+    data: {
+      studentId,
+      authorId: req?.user?.id || null,
+      type,
+      body: body.trim(),
+      isPinned
+    },
+    include: noteInclude
+  });
+
+  await recordAudit(tx, req, {
+    entity: 'NOTE',
+    entityId: note.id,
+    action: 'CREATE',
+    after: note,
+    studentId
+  });
+
+  return note;
+};
+
+/**
+ * Move legacy Student.remarks into pinned GENERAL notes dated when the
+ * student was created, then clear remarks. Safe to run on every startup.
+ */
+const migrateRemarks = async (prisma) => {
+  const students = await prisma.student.findMany({
+    where: { remarks: { not: null } },
+    select: { id: true, remarks: true, createdAt: true }
+  });
+
+  let migrated = 0;
+
+  for (const student of students) {
+    await prisma.$transaction(async (tx) => {
+      if (student.remarks.trim()) {
+        await tx.note.create({
+          data: {
+            studentId: student.id,
+            type: 'GENERAL',
+            body: student.remarks.trim(),
+            isPinned: true,
+            createdAt: student.createdAt
+          }
+        });
+        migrated += 1;
+      }
+      await tx.student.update({ where: { id: student.id }, data: { remarks: null } });
+    });
+  }
+
+  if (migrated > 0) {
+    console.log(`📝 Moved remarks of ${migrated} student(s) into notes`);
+  }
+
+  return migrated;
+};
+
+module.exports = {
+  NOTE_TYPES,
+  noteInclude,
+  addNote,
+  migrateRemarks
+};
@@ -0,0 +1,168 @@
+// Student notifications: build the template context for an event and queue
+// the message in the outbox. Call these with the transaction client of the
+// change they announce, then kickOutbox() once it has committed.
+
+const { enqueueTemplate } = require('./outbox');
+const { getBranding, formatMoney, formatDate } = require('./pdf');
+const { pricingInclude, getNetFee } = require('./pricing');
+const { livePaymentsInclude, sumNetPayments } = require('./refunds');
+const { withSchedule } = require('./paymentPlans');
+
+const businessContext = () => {
+  const { name, email, phone, address } = getBranding();
+  return { name, email, phone, address };
+};
+
+const studentContext = (student) => ({
+  name: student.name,
+  email: student.email,
+  phone: student.phone
+});
+
+// Enrollment with what the enrollment and balance placeholders need
+const loadEnrollment = (db, enrollmentId) => db.enrollment.findUnique({
+  where: { id: enrollmentId },
+  include: {
+    ...pricingInclude,
+    student: true,
+    payments: livePaymentsInclude,
+    paymentPlan: {
+      include: {
+        installments: { orderBy: { sequence: 'asc' } }
+      }
+    }
+  }
+});
+
+const enrollmentContext = (enrollment) => {
+  const netFee = getNetFee(enrollment);
+  const totalPaid = sumNetPayments(enrollment.payments);
+  const plan = withSchedule(enrollment.paymentPlan, totalPaid);
+
+  return {
+    student: studentContext(enrollment.student),
+    course: { name: enrollment.course.name },
+    enrollment: {
+      batch: enrollment.batch,
+      startDate: formatDate(enrollment.startDate),
+      endDate: enrollment.endDate ? formatDate(enrollment.endDate) : '',
+      netFee: formatMoney(netFee)
+    },
+    balance: {
+      totalPaid: formatMoney(totalPaid),
+      outstanding: formatMoney(Math.max(0, netFee - totalPaid)),
+      nextDueDate: plan?.nextDue ? formatDate(plan.nextDue.dueDate) : '',
+      nextDueAmount: plan?.nextDue ? formatMoney(plan.nextDue.outstanding) : ''
+    },
+    business: businessContext()
+  };
+};
+
+/**
+ * Context for a scheduled payment reminder about one due amount: the
+ * enrollment placeholders plus {{due.date}}, {{due.amount}} and
+ * {{due.daysOverdue}}. `enrollment` needs the relations loadEnrollment loads.
+ * @param due { dueDate, amount, daysFromDue }
+ */
+const paymentReminderContext = (enrollment, due) => ({
+  ...enrollmentContext(enrollment),
+  due: {
+    date: formatDate(due.dueDate),
+    amount: formatMoney(due.amount),
+    daysOverdue: Math.max(0, due.daysFromDue)
+  }
+});
+
+/**
+ * Welcome email for a newly created student.
+ * @param db Prisma client or transaction client
+ */
+const queueWelcome = (db, student) => enqueueTemplate(db, 'WELCOME', {
+  student: studentContext(student),
+  business: businessContext()
+}, {
+  to: student.email,
+  studentId: student.id
+});
+
+const queueEnrollmentConfirmation = async (db, enrollmentId) => {
+  const enrollment = await loadEnrollment(db, enrollmentId);
+  if (!enrollment) return null;
+
+  return enqueueTemplate(db, 'ENROLLMENT_CONFIRMATION', enrollmentContext(enrollment), {
+    to: enrollment.student.email,
+    studentId: enrollment.studentId,
+    enrollmentId
+  });
+};
+
+// Tells a waitlisted student they got a seat
+const queueWaitlistPromotion = async (db, enrollmentId) => {
+  const enrollment = await loadEnrollment(db, enrollmentId);
+  if (!enrollment) return null;
+
+  return enqueueTemplate(db, 'WAITLIST_PROMOTED', enrollmentContext(enrollment), {
+    to: enrollment.student.email,
+    studentId: enrollment.studentId,
+    enrollmentId
+  });
+};
+
+const queuePaymentReceived = async (db, payment) => {
+  const enrollment = await loadEnrollment(db, payment.enrollmentId);
+  if (!enrollment) return null;
+
+  return enqueueTemplate(db, 'PAYMENT_RECEIVED', {
+    ...enrollmentContext(enrollment),
+    payment: {
+      amount: formatMoney(payment.amount),
+      date: formatDate(payment.date),
+      method: payment.method,
+      receiptNumber: payment.receiptNumber
+    }
+  }, {
+    to: enrollment.student.email,
+    studentId: enrollment.studentId,
+    enrollmentId: enrollment.id,
+    paymentId: payment.id
+  });
+};
+
+const queueBalanceReminder = async (db, enrollmentId) => {
+  const enrollment = await loadEnrollment(db, enrollmentId);
+  if (!enrollment) return null;
+
+  return enqueueTemplate(db, 'BALANCE_REMINDER', enrollmentContext(enrollment), {
+    to: enrollment.student.email,
+    studentId: enrollment.studentId,
+    enrollmentId
+  });
+};
+
+/**
+ * Template context for a message to a student, including the course and
+ * balance placeholders when it is about one of their enrollments.
+ * @returns the context, or null when the student or enrollment is not found
+ */
+const loadMessageContext = async (db, studentId, enrollmentId) => {
+  if (enrollmentId) {
+    const enrollment = await loadEnrollment(db, enrollmentId);
+    if (!enrollment || enrollment.deletedAt || enrollment.studentId !== studentId) return null;
+    return enrollmentContext(enrollment);
+  }
+
+  const student = await db.student.findFirst({ where: { id: studentId, deletedAt: null } });
+  if (!student) return null;
+
+  return { student: studentContext(student), business: businessContext() };
+};
+
+module.exports = {
+  loadMessageContext,
+  paymentReminderContext,
+  queueWelcome,
+  queueEnrollmentConfirmation,
+  queueWaitlistPromotion,
+  queuePaymentReceived,
+  queueBalanceReminder
+};
@@ -0,0 +1,30 @@
+// Sequential document numbers (invoices, receipts, ...) of the form
+// PREFIX-YYYY-00042. Counters live in the document_sequences table, one row
+// per prefix and year, so numbering restarts every January.
+
+const PAD_LENGTH = 5;
+
+/**
+ * Take the next number in a series. Must run inside the transaction that
+ * stores the document so a rollback doesn't leave a gap.
+ * @param tx Prisma transaction client
+ * @param prefix series prefix, e.g. 'INV'
+ * @param date document date (decides the year)
+ */
+const nextDocumentNumber = async (tx, prefix, date = new Date()) => {
+  const key = `${prefix}-${date.getFullYear()}`;
+
+  // upsert + increment is a single atomic statement, so concurrent requests
+  // can't be handed the same value
+  const sequence = await tx.documentSequence.upsert({
+    where: { key },
+    create: { key, lastValue: 1 },
+    update: { lastValue: { increment: 1 } }
+  });
+
+  return `${key}-${String(sequence.lastValue).padStart(PAD_LENGTH, '0')}`;
+};
+
+module.exports = {
+  nextDocumentNumber
+};
@@ -0,0 +1,180 @@
+// Outbox: messages are written to outbox_messages first (inside the
+// transaction of whatever triggered them, when there is one) and delivered
+// by a background worker, so a slow or failing mail server never blocks or
+// breaks a request.
+//
+// A failed delivery is retried with exponential backoff (1, 2, 4, 8 ...
+// minutes); after MAX_ATTEMPTS the message is marked FAILED and can be
+// retried by hand.
+//
+// Workers in several backend processes can share the outbox: each message
+// is claimed (PENDING -> SENDING) before it is sent, and only the worker
+// whose claim succeeds sends it. A claim left behind by a crashed worker
+// expires after CLAIM_TIMEOUT_MS and the message is attempted again.
+
+const prisma = require('./prisma');
+const { sendMail } = require('./mailer');
+const { sendText } = require('./messaging');
+const { renderTemplate } = require('./templates');
+
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 60 * 1000;
+const POLL_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 20;
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// How each channel is delivered
+const senders = {
+  EMAIL: sendMail,
+  SMS: sendText,
+  WHATSAPP: sendText
+};
+
+// Delay before the next attempt after `attempts` failures
+const backoffDelay = (attempts) => BASE_BACKOFF_MS * 2 ** (attempts - 1);
+
+/**
+ * Queue a message for delivery.
+ * @param db Prisma client or transaction client
+ * @param message { channel?, templateKey?, to, subject?, body, studentId?, enrollmentId?, paymentId? }
+ */
+const enqueueMessage = (db, message) => db.outboxMessage.create({
+  data: {
+    channel: message.channel || 'EMAIL',
+    templateKey: message.templateKey || null,
+    to: message.to,
+    subject: message.subject || null,
+    body: message.body,
+    studentId: message.studentId || null,
+    enrollmentId: message.enrollmentId || null,
+    paymentId: message.paymentId || null
+  }
+});
+
+/**
+ * Render a stored template and queue the result. Inactive or missing
+ * templates queue nothing.
+ * @param refs { to, channel?, studentId?, enrollmentId?, paymentId? }
+ * @returns the queued message, or null
+ */
+const enqueueTemplate = async (db, templateKey, context, refs) => {
+  const template = await db.messageTemplate.findUnique({ where: { key: templateKey } });
+  if (!template || !template.isActive || !refs.to) return null;
+
+  return enqueueMessage(db, {
+    ...refs,
+    templateKey,
+    subject: template.subject ? renderTemplate(template.subject, context) : null,
+    body: renderTemplate(template.body, context)
+  });
+};
+
+const deliver = async (message) => {
+  const send = senders[message.channel];
+  if (!send) {
+    throw new Error(`No sender for channel ${message.channel}`);
+  }
+  return send(message);
+};
+
+// Take a due message for this worker; false when another worker got it first
+const claimMessage = async (message) => {
+  const { count } = await prisma.outboxMessage.updateMany({
+    where: { id: message.id, status: message.status, nextAttemptAt: message.nextAttemptAt },
+    data: { status: 'SENDING', nextAttemptAt: new Date(Date.now() + CLAIM_TIMEOUT_MS) }
+  });
+  return count === 1;
+};
+
+let processing = false;
+
+/**
+ * Attempt every message that is due. Runs one batch at a time; a call made
+ * while a batch is in progress in this process returns immediately.
+ * @returns { sent, failed } counts for this run
+ */
+const processOutbox = async () => {
+  if (processing) return { sent: 0, failed: 0 };
+  processing = true;
+
+  const result = { sent: 0, failed: 0 };
+  try {
+    const due = await prisma.outboxMessage.findMany({
+      where: { status: { in: ['PENDING', 'SENDING'] }, nextAttemptAt: { lte: new Date() } },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: BATCH_SIZE
+    });
+
+    for (const message of due) {
+      if (!(await claimMessage(message))) continue;
+
+      const attempts = message.attempts + 1;
+      try {
+        const { providerId } = await deliver(message);
+        await prisma.outboxMessage.update({
+          where: { id: message.id },
+          data: { status: 'SENT', attempts, sentAt: new Date(), providerId, lastError: null }
+        });
+        result.sent += 1;
+      } catch (error) {
+        const exhausted = attempts >= MAX_ATTEMPTS;
+        await prisma.outboxMessage.update({
+          where: { id: message.id },
+          data: {
+            attempts,
+            status: exhausted ? 'FAILED' : 'PENDING',
+            nextAttemptAt: new Date(Date.now() + backoffDelay(attempts)),
+            lastError: String(error.message || error).slice(0, 500)
+          }
+        });
+        result.failed += 1;
+      }
+    }
+  } finally {
+    processing = false;
+  }
+
+  return result;
+};
+
+// Deliver soon without making the caller wait
+const kickOutbox = () => {
+  setImmediate(() => {
+    processOutbox().catch(error => console.error('Error processing outbox:', error));
+  });
+};
+
+// Put a FAILED message back in the queue for an immediate attempt
+const retryMessage = (db, id) => db.outboxMessage.update({
+  where: { id },
+  data: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date(), lastError: null }
+});
+
+// Poll the outbox in the background
+const scheduleOutbox = () => {
+  const run = async () => {
+    try {
+      const { sent, failed } = await processOutbox();
+      if (failed > 0) {
+        console.warn(`✉️  Outbox: ${sent} sent, ${failed} failed (will retry)`);
+      }
+    } catch (error) {
+      console.error('Error processing outbox:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, POLL_INTERVAL_MS);
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  senders,
+  backoffDelay,
+  enqueueMessage,
+  enqueueTemplate,
+  processOutbox,
+  kickOutbox,
+  retryMessage,
+  scheduleOutbox
+};
@@ -0,0 +1,136 @@
+// Payment plan helpers: schedule generation and allocating payments to
+// installments (oldest due date first).
+
+const { roundMoney } = require('./money');
+
+// Same day-of-month `months` later, clamped to the end of shorter months.
+// In UTC, as due dates are stored at UTC midnight.
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Split `total` into `count` parts; the last part absorbs rounding
+const splitEvenly = (total, count) => {
+  const base = Math.floor((total * 100) / count) / 100;
+  const parts = Array(count).fill(base);
+  parts[count - 1] = roundMoney(total - base * (count - 1));
+  return parts;
+};
+
+/**
+ * Build installment rows for a plan.
+ * DEPOSIT_MONTHLY: optional deposit due on startDate, the rest split into
+ * installmentCount monthly installments starting a month later.
+ * CUSTOM: the given { dueDate, amount, label } rows, sorted by due date.
+ * @returns { installments, error } — error is a message when the input is invalid
+ */
+const buildSchedule = ({ type, totalAmount, deposit, installmentCount, startDate, installments }) => {
+  const total = roundMoney(totalAmount);
+
+  if (type === 'DEPOSIT_MONTHLY') {
+    const depositAmount = roundMoney(parseFloat(deposit) || 0);
+    if (depositAmount > total) {
+      return { error: 'Deposit cannot exceed the plan total' };
+    }
+
+    const rows = [];
+    const start = new Date(startDate);
+    if (depositAmount > 0) {
+      rows.push({ label: 'Deposit', dueDate: start, amount: depositAmount });
+    }
+
+    const remaining = roundMoney(total - depositAmount);
+    if (remaining > 0) {
+      splitEvenly(remaining, installmentCount).forEach((amount, index) => {
+        rows.push({
+          label: `Installment ${index + 1}`,
+          dueDate: addMonths(start, index + 1),
+          amount
+        });
+      });
+    }
+
+    return { installments: rows.map((row, index) => ({ ...row, sequence: index + 1 })) };
+  }
+
+  const rows = (installments || [])
+    .map(row => ({
+      label: row.label?.trim() || null,
+      dueDate: new Date(row.dueDate),
+      amount: roundMoney(parseFloat(row.amount))
+    }))
+    .sort((a, b) => a.dueDate - b.dueDate);
+
+  const scheduled = roundMoney(rows.reduce((sum, row) => sum + row.amount, 0));
+  if (scheduled !== total) {
+    return { error: `Installments add up to ${scheduled.toFixed(2)} but the plan total is ${total.toFixed(2)}` };
+  }
+
+  return {
+    installments: rows.map((row, index) => ({
+      ...row,
+      label: row.label || `Installment ${index + 1}`,
+      sequence: index + 1
+    }))
+  };
+};
+
+/**
+ * Allocate `totalPaid` over the installments, oldest due date first, and
+ * derive each installment's state: PAID, PARTIAL, OVERDUE or UPCOMING.
+ */
+const allocateInstallments = (installments, totalPaid, now = new Date()) => {
+  let remaining = roundMoney(totalPaid);
+  // Something due today isn't overdue until tomorrow (UTC, like due dates)
+  const startOfToday = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  return [...installments]
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate) || a.sequence - b.sequence)
+    .map((installment) => {
+      const amount = parseFloat(installment.amount);
+      const paidAmount = roundMoney(Math.min(remaining, amount));
+      remaining = roundMoney(remaining - paidAmount);
+
+      let state = 'UPCOMING';
+      if (paidAmount >= amount) state = 'PAID';
+      else if (new Date(installment.dueDate) < startOfToday) state = 'OVERDUE';
+      else if (paidAmount > 0) state = 'PARTIAL';
+
+      return {
+        ...installment,
+        paidAmount,
+        outstanding: roundMoney(amount - paidAmount),
+        state
+      };
+    });
+};
+
+// Plan with allocated installments plus overdue/next-due summary, for API responses
+const withSchedule = (plan, totalPaid) => {
+  if (!plan) return null;
+
+  const installments = allocateInstallments(plan.installments, totalPaid);
+  const overdue = installments.filter(installment => installment.state === 'OVERDUE');
+  const nextDue = installments.find(installment => installment.state !== 'PAID') || null;
+
+  return {
+    ...plan,
+    installments,
+    overdueAmount: roundMoney(overdue.reduce((sum, installment) => sum + installment.outstanding, 0)),
+    overdueCount: overdue.length,
+    nextDue
+  };
+};
+
+module.exports = {
+  addMonths,
+  buildSchedule,
+  allocateInstallments,
+  withSchedule
+};
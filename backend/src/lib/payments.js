@@ -0,0 +1,113 @@
+// Taking payments: the checks every new, edited or restored payment has to
+// pass, and recording one with its receipt number, audit event, invoice and
+// financial status updates and "payment received" message.
+
+const { recordAudit } = require('./audit');
+const { syncInvoiceStatuses } = require('./invoices');
+const { nextReceiptNumber } = require('./receipts');
+const { getNetFee } = require('./pricing');
+const { livePaymentsInclude, sumNetPayments } = require('./refunds');
+const { queuePaymentReceived } = require('./notifications');
+const { syncFinancialStatus } = require('./enrollmentStatus');
+
+// Methods money can be taken (or refunded) by; CREDIT_NOTE payments are
+// only created by applying a credit note
+const PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER', 'CREDIT_CARD', 'DEBIT_CARD', 'ONLINE_PAYMENT', 'CHECK'];
+
+// Roles allowed to record payments
+const PAYMENT_ROLES = ['ADMIN', 'FINANCE'];
+
+// Completed and suspended enrollments can still settle their balance
+const UNPAYABLE_STATUSES = ['WAITLISTED', 'WITHDRAWN'];
+
+/**
+ * Check that `amount` more keeps an enrollment's net paid within its net
+ * fee (after discounts, refunds and credit notes).
+ * @param db Prisma client or transaction client
+ * @param enrollment enrollment with pricingInclude
+ * @param options.excludePaymentId payment being edited, left out of what is already paid
+ * @returns { error, netFee, totalPaid, remaining } when it would overpay, otherwise null
+ */
+const checkOverpayment = async (db, enrollment, amount, { excludePaymentId } = {}) => {
+  const payments = await db.payment.findMany({
+    where: {
+      enrollmentId: enrollment.id,
+      ...livePaymentsInclude.where,
+      ...(excludePaymentId && { id: { not: excludePaymentId } })
+    },
+    include: livePaymentsInclude.include
+  });
+
+  const totalPaid = sumNetPayments(payments);
+  const netFee = getNetFee(enrollment);
+
+  if (totalPaid + parseFloat(amount) > netFee) {
+    return {
+      error: 'Payment amount exceeds the net fee for this enrollment',
+      netFee,
+      totalPaid,
+      remaining: netFee - totalPaid
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Check a new payment of `amount` towards an enrollment.
+ * @param enrollment enrollment with pricingInclude
+ * @returns { error, ... } when it cannot be taken, otherwise null
+ */
+const checkPayment = async (db, enrollment, amount) => {
+  if (UNPAYABLE_STATUSES.includes(enrollment.academicStatus)) {
+    return { error: 'Cannot record payment for a waitlisted or withdrawn enrollment' };
+  }
+  return checkOverpayment(db, enrollment, amount);
+};
+
+/**
+ * Record a payment checked with checkPayment. Call kickOutbox() once the
+ * transaction commits.
+ * @param tx Prisma transaction client
+ * @param data { studentId, enrollmentId, amount, method, date, notes }
+ * @param include relations to return with the payment
+ */
+const createPayment = async (tx, req, { studentId, enrollmentId, amount, method, date, notes }, include) => {
+  const payment = await tx.payment.create({
+    data: {
+      receiptNumber: await nextReceiptNumber(tx),
+      studentId,
+      enrollmentId,
+      amount: parseFloat(amount),
+      method,
+      date: new Date(date),
+      notes: notes?.trim() || undefined
+    },
+    include
+  });
+
+  await recordAudit(tx, req, {
+    entity: 'PAYMENT',
+    entityId: payment.id,
+    action: 'CREATE',
+    after: payment,
+    studentId,
+    enrollmentId
+  });
+
+  await syncInvoiceStatuses(tx, req, enrollmentId);
+  await syncFinancialStatus(tx, req, enrollmentId);
+
+  await queuePaymentReceived(tx, payment);
+
+  return payment;
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_ROLES,
+  UNPAYABLE_STATUSES,
+  checkOverpayment,
+  checkPayment,
+  createPayment
+};
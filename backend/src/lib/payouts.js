@@ -0,0 +1,97 @@
+// Instructor payouts for a period, from the sessions they delivered.
+//
+// A session is delivered once it has ended; it counts towards the period it
+// started in and is paid to whoever taught it (the substitute, else the
+// batch's instructor). Instructors are paid at their current rate:
+// - HOURLY: hours of delivered sessions × rate
+// - PER_BATCH: rate × the share of the batch's sessions they delivered
+//   (sessions without a batch are not paid)
+
+const { timetableInclude, taughtBy, sessionEnd, sessionInstructor } = require('./timetable');
+const { roundMoney } = require('./money');
+
+const hoursOf = (session) => (sessionEnd(session) - new Date(session.startsAt)) / (60 * 60 * 1000);
+
+/**
+ * What each instructor is owed for sessions started in [from, to).
+ * @param db Prisma client or transaction client
+ * @returns rows [{ instructor, sessions, hours, amount, lines: [{ course, batch, sessions, batchSessions, hours, amount }] }]
+ */
+const buildPayouts = async (db, { from, to, instructorId, now = new Date() }) => {
+  const sessions = await db.session.findMany({
+    where: {
+      startsAt: { gte: from, lt: to },
+      course: { deletedAt: null },
+      ...(instructorId && taughtBy(instructorId))
+    },
+    include: timetableInclude,
+    orderBy: { startsAt: 'asc' }
+  });
+
+  const delivered = sessions.filter(session => sessionEnd(session) <= now && sessionInstructor(session));
+
+  const instructorIds = [...new Set(delivered.map(session => sessionInstructor(session).id))];
+  const batchIds = [...new Set(delivered.map(session => session.batchId).filter(Boolean))];
+
+  const [instructors, batchCounts] = await Promise.all([
+    db.instructor.findMany({ where: { id: { in: instructorIds } } }),
+    db.session.groupBy({
+      by: ['batchId'],
+      where: { batchId: { in: batchIds } },
+      _count: { _all: true }
+    })
+  ]);
+
+  const sessionsPerBatch = new Map(batchCounts.map(group => [group.batchId, group._count._all]));
+
+  return instructors
+    .map((instructor) => {
+      const rate = parseFloat(instructor.rate);
+      const lines = new Map();
+
+      delivered
+        .filter(session => sessionInstructor(session).id === instructor.id)
+        .forEach((session) => {
+          const key = session.batchId || `course:${session.courseId}`;
+          if (!lines.has(key)) {
+            lines.set(key, {
+              course: session.course,
+              batch: session.batch ? { id: session.batch.id, code: session.batch.code } : null,
+              sessions: 0,
+              batchSessions: session.batchId ? sessionsPerBatch.get(session.batchId) : null,
+              hours: 0
+            });
+          }
+          const line = lines.get(key);
+          line.sessions += 1;
+          line.hours += hoursOf(session);
+        });
+
+      const pricedLines = [...lines.values()].map((line) => {
+        let amount = 0;
+        if (instructor.rateType === 'HOURLY') amount = line.hours * rate;
+        else if (line.batch) amount = rate * (line.sessions / line.batchSessions);
+
+        return { ...line, hours: roundMoney(line.hours), amount: roundMoney(amount) };
+      });
+
+      return {
+        instructor: {
+          id: instructor.id,
+          name: instructor.name,
+          email: instructor.email,
+          rateType: instructor.rateType,
+          rate
+        },
+        sessions: pricedLines.reduce((sum, line) => sum + line.sessions, 0),
+        hours: roundMoney(pricedLines.reduce((sum, line) => sum + line.hours, 0)),
+        amount: roundMoney(pricedLines.reduce((sum, line) => sum + line.amount, 0)),
+        lines: pricedLines
+      };
+    })
+    .sort((a, b) => a.instructor.name.localeCompare(b.instructor.name));
+};
+
+module.exports = {
+  buildPayouts
+};
@@ -0,0 +1,204 @@
+// Shared building blocks for server-rendered PDFs (invoices, receipts, ...).
+// Business details come from the environment so every document carries the
+// same branding.
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+
+const getBranding = () => ({
+  name: process.env.BUSINESS_NAME || 'VA CRM',
+  address: process.env.BUSINESS_ADDRESS || '',
+  email: process.env.BUSINESS_EMAIL || '',
+  phone: process.env.BUSINESS_PHONE || '',
+  registrationNo: process.env.BUSINESS_REGISTRATION_NO || '',
+  logoPath: process.env.BUSINESS_LOGO_PATH || '',
+  color: process.env.BRAND_COLOR || '#2563eb'
+});
+
+const formatMoney = (value) => {
+  const amount = Number(value) || 0;
+  const formatted = Math.abs(amount).toLocaleString('en-SG', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${amount < 0 ? '-' : ''}$${formatted}`;
+};
+
+const formatDate = (value) => {
+  if (!value) return '—';
+  return new Date(value).toLocaleDateString('en-SG', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+// `options` override the page setup, e.g. { layout: 'landscape' }
+const createDocument = (info = {}, options = {}) => new PDFDocument({
+  size: 'A4',
+  margin: PAGE_MARGIN,
+  ...options,
+  info: { Producer: getBranding().name, ...info }
+});
+
+// Business block on the left, document title and key/value details on the right
+const drawHeader = (doc, title, details = []) => {
+  const branding = getBranding();
+  const top = PAGE_MARGIN;
+  const right = doc.page.width - PAGE_MARGIN;
+  let leftY = top;
+
+  if (branding.logoPath && fs.existsSync(branding.logoPath)) {
+    doc.image(branding.logoPath, PAGE_MARGIN, top, { fit: [120, 50] });
+    leftY += 58;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(branding.color)
+    .text(branding.name, PAGE_MARGIN, leftY, { width: 250 });
+  doc.font('Helvetica').fontSize(9).fillColor('#4b5563');
+  [
+    branding.address,
+    [branding.phone, branding.email].filter(Boolean).join('  ·  '),
+    branding.registrationNo && `Reg. No. ${branding.registrationNo}`
+  ].filter(Boolean).forEach((line) => doc.text(line, { width: 250 }));
+  leftY = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('#111827')
+    .text(title.toUpperCase(), right - 220, top, { width: 220, align: 'right' });
+  doc.moveDown(0.3);
+  details.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(9).fillColor('#6b7280')
+      .text(label, right - 220, y, { width: 100 });
+    doc.font('Helvetica-Bold').fillColor('#111827')
+      .text(value, right - 120, y, { width: 120, align: 'right' });
+  });
+
+  doc.y = Math.max(leftY, doc.y) + 20;
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(right, doc.y).lineWidth(1).strokeColor(branding.color).stroke();
+  doc.y += 20;
+};
+
+// Labelled block of lines, e.g. "Bill To"
+const drawAddressBlock = (doc, label, lines) => {
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#6b7280')
+    .text(label.toUpperCase(), PAGE_MARGIN, doc.y);
+  doc.moveDown(0.2);
+  lines.filter(Boolean).forEach((line, index) => {
+    doc.font(index === 0 ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor('#111827').text(line);
+  });
+  doc.moveDown(1.5);
+};
+
+/**
+ * Simple table with a shaded header row.
+ * @param columns [{ header, width, align }] (widths should add up to the content width)
+ * @param rows arrays of cell strings
+ */
+const drawTable = (doc, columns, rows) => {
+  const branding = getBranding();
+  const x = PAGE_MARGIN;
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const padding = 6;
+
+  const drawRow = (cells, { header = false } = {}) => {
+    const y = doc.y;
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...cells.map((cell, i) =>
+      doc.heightOfString(String(cell), { width: columns[i].width - padding * 2 }))) + padding * 2;
+
+    if (y + height > doc.page.height - PAGE_MARGIN - 40) {
+      doc.addPage();
+      return drawRow(cells, { header });
+    }
+
+    if (header) {
+      doc.rect(x, y, width, height).fill(branding.color);
+    }
+
+    let cellX = x;
+    cells.forEach((cell, i) => {
+      doc.fillColor(header ? '#ffffff' : '#111827')
+        .text(String(cell), cellX + padding, y + padding, {
+          width: columns[i].width - padding * 2,
+          align: columns[i].align || 'left'
+        });
+      cellX += columns[i].width;
+    });
+
+    doc.y = y + height;
+    if (!header) {
+      doc.moveTo(x, doc.y).lineTo(x + width, doc.y).lineWidth(0.5).strokeColor('#e5e7eb').stroke();
+    }
+    return doc.y;
+  };
+
+  drawRow(columns.map(column => column.header), { header: true });
+  rows.forEach(row => drawRow(row));
+  doc.moveDown(1);
+};
+
+// Right-aligned label/value pairs under a table; `emphasis` bolds the row
+const drawTotals = (doc, totals) => {
+  const right = doc.page.width - PAGE_MARGIN;
+  totals.forEach(({ label, value, emphasis }) => {
+    const y = doc.y;
+    doc.font(emphasis ? 'Helvetica-Bold' : 'Helvetica').fontSize(emphasis ? 11 : 10).fillColor('#111827');
+    doc.text(label, right - 260, y, { width: 140, align: 'right' });
+    doc.text(value, right - 110, y, { width: 110, align: 'right' });
+    doc.moveDown(0.4);
+  });
+  doc.moveDown(1);
+};
+
+const drawNotes = (doc, label, text) => {
+  if (!text) return;
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#6b7280')
+    .text(label.toUpperCase(), PAGE_MARGIN, doc.y);
+  doc.moveDown(0.2);
+  doc.font('Helvetica').fontSize(10).fillColor('#374151')
+    .text(text, { width: doc.page.width - PAGE_MARGIN * 2 });
+  doc.moveDown(1);
+};
+
+// Large diagonal stamp across the page, e.g. DRAFT or VOID
+const drawWatermark = (doc, text) => {
+  doc.save();
+  doc.rotate(-35, { origin: [doc.page.width / 2, doc.page.height / 2] });
+  doc.font('Helvetica-Bold').fontSize(110).fillColor('#dc2626').fillOpacity(0.12)
+    .text(text, 0, doc.page.height / 2 - 60, { width: doc.page.width, align: 'center' });
+  doc.restore();
+};
+
+const drawFooter = (doc, text) => {
+  // The footer sits inside the bottom margin; lift the margin so pdfkit
+  // doesn't start a new page for it
+  const { bottom } = doc.page.margins;
+  doc.page.margins.bottom = 0;
+  doc.font('Helvetica').fontSize(8).fillColor('#9ca3af')
+    .text(text, PAGE_MARGIN, doc.page.height - PAGE_MARGIN + 15, {
+      width: doc.page.width - PAGE_MARGIN * 2,
+      align: 'center',
+      lineBreak: false
+    });
+  doc.page.margins.bottom = bottom;
+};
+
+// Stream a finished document to the client as a download
+const sendPdf = (res, doc, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  doc.pipe(res);
+  doc.end();
+};
+
+module.exports = {
+  PAGE_MARGIN,
+  getBranding,
+  formatMoney,
+  formatDate,
+  createDocument,
+  drawHeader,
+  drawAddressBlock,
+  drawTable,
+  drawTotals,
+  drawNotes,
+  drawWatermark,
+  drawFooter,
+  sendPdf
+};
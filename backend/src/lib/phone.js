@@ -0,0 +1,36 @@
+// Phone numbers are stored in E.164 (+6591234567). Numbers typed without a
+// country code are read as PHONE_DEFAULT_COUNTRY (ISO 3166 code, default SG).
+
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+
+const getDefaultCountry = () => (process.env.PHONE_DEFAULT_COUNTRY || 'SG').toUpperCase();
+
+/**
+ * Normalise a phone number to E.164.
+ * @returns the E.164 number, or null when it is not a valid number
+ */
+const toE164 = (raw, country = getDefaultCountry()) => {
+  if (!raw) return null;
+  const parsed = parsePhoneNumberFromString(String(raw), country);
+  return parsed && parsed.isValid() ? parsed.number : null;
+};
+
+const isValidPhone = (raw) => toE164(raw) !== null;
+
+/**
+ * WhatsApp click-to-chat link with an optional prefilled message.
+ * @returns the https://wa.me link, or null when the number is not valid
+ */
+const whatsappLink = (raw, text) => {
+  const number = toE164(raw);
+  if (!number) return null;
+
+  const url = `https://wa.me/${number.slice(1)}`;
+  return text ? `${url}?text=${encodeURIComponent(text)}` : url;
+};
+
+module.exports = {
+  toE164,
+  isValidPhone,
+  whatsappLink
+};
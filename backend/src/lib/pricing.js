@@ -0,0 +1,194 @@
+// Enrollment pricing: the fee a student actually owes.
+//
+//   base price = enrollment.priceOverride ?? course.price
+//   net fee    = base price - adjustments (never below zero)
+//
+// Percentage adjustments are taken off the base price (they don't compound).
+// Every balance/outstanding figure should be computed from netFee, so any
+// query feeding calculatePricing must include `course` and `adjustments`.
+
+const { recordAudit } = require('./audit');
+const { roundMoney } = require('./money');
+
+// Types staff add by hand. PROMO_CODE adjustments only come from redeeming
+// a code (see ./promoCodes.js).
+const ADJUSTMENT_TYPES = ['PERCENTAGE_DISCOUNT', 'FIXED_DISCOUNT', 'SCHOLARSHIP', 'SIBLING_DISCOUNT'];
+const ADJUSTMENT_BASES = ['PERCENT', 'FIXED'];
+
+const ADJUSTMENT_LABELS = {
+  PERCENTAGE_DISCOUNT: 'Discount',
+  FIXED_DISCOUNT: 'Discount',
+  SCHOLARSHIP: 'Scholarship',
+  SIBLING_DISCOUNT: 'Sibling discount',
+  PROMO_CODE: 'Promo code'
+};
+
+const isPromoAdjustment = (adjustment) => adjustment.type === 'PROMO_CODE';
+
+// Relations calculatePricing needs
+const pricingInclude = {
+  course: true,
+  adjustments: {
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+const discountFor = (adjustment, basePrice) => {
+  const value = parseFloat(adjustment.value);
+  return adjustment.basis === 'PERCENT'
+    ? roundMoney((basePrice * value) / 100)
+    : roundMoney(value);
+};
+
+/**
+ * Price breakdown for an enrollment (with course and adjustments loaded).
+ * @returns { listPrice, basePrice, adjustments, totalDiscount, netFee }
+ */
+const calculatePricing = (enrollment) => {
+  const listPrice = parseFloat(enrollment.course.price);
+  const basePrice = enrollment.priceOverride !== null && enrollment.priceOverride !== undefined
+    ? parseFloat(enrollment.priceOverride)
+    : listPrice;
+
+  const adjustments = (enrollment.adjustments || []).map(adjustment => ({
+    ...adjustment,
+    discountAmount: discountFor(adjustment, basePrice)
+  }));
+
+  const totalDiscount = Math.min(
+    basePrice,
+    roundMoney(adjustments.reduce((sum, adjustment) => sum + adjustment.discountAmount, 0))
+  );
+
+  return {
+    listPrice,
+    basePrice,
+    adjustments,
+    totalDiscount,
+    netFee: roundMoney(basePrice - totalDiscount)
+  };
+};
+
+const getNetFee = (enrollment) => calculatePricing(enrollment).netFee;
+
+// What is still owed on a net fee after `totalPaid`. A withdrawn enrollment
+// (including the old end of a transfer) owes nothing more, as in aging,
+// reminders and the dashboard.
+const getOutstanding = (enrollment, netFee, totalPaid) =>
+  enrollment.academicStatus === 'WITHDRAWN' ? 0 : Math.max(0, netFee - totalPaid);
+
+// Validation error message for a submitted adjustment, or null when valid
+const validateAdjustment = (adjustment) => {
+  if (!ADJUSTMENT_TYPES.includes(adjustment.type)) return 'Invalid adjustment type';
+  if (!ADJUSTMENT_BASES.includes(adjustment.basis)) return 'Invalid adjustment basis';
+  if (adjustment.type === 'PERCENTAGE_DISCOUNT' && adjustment.basis !== 'PERCENT') {
+    return 'A percentage discount must use the PERCENT basis';
+  }
+  if (adjustment.type === 'FIXED_DISCOUNT' && adjustment.basis !== 'FIXED') {
+    return 'A fixed discount must use the FIXED basis';
+  }
+
+  const value = parseFloat(adjustment.value);
+  if (Number.isNaN(value) || value <= 0) return 'Adjustment value must be a positive number';
+  if (adjustment.basis === 'PERCENT' && value > 100) return 'Percentage adjustments cannot exceed 100%';
+  if (!adjustment.reason || !String(adjustment.reason).trim()) return 'Every adjustment needs a reason';
+
+  return null;
+};
+
+const sameAdjustment = (existing, submitted) =>
+  existing.type === submitted.type &&
+  existing.basis === submitted.basis &&
+  parseFloat(existing.value) === parseFloat(submitted.value) &&
+  existing.reason === String(submitted.reason).trim();
+
+// Whether a submitted adjustments list differs from what is stored
+const adjustmentsChanged = (existing, submitted) => {
+  if (existing.length !== submitted.length) return true;
+  return submitted.some((item) => {
+    const match = existing.find(adjustment => adjustment.id === item.id);
+    return !match || !sameAdjustment(match, item);
+  });
+};
+
+/**
+ * Replace an enrollment's adjustments with the submitted list. Items with an
+ * id update that adjustment, items without one are added, and stored ones
+ * missing from the list are removed. Whoever makes a change is recorded as
+ * its approver.
+ * @param tx Prisma transaction client
+ * @param req Express request (acting user = approver)
+ */
+const saveAdjustments = async (tx, req, enrollment, existing, submitted) => {
+  const approver = {
+    approvedById: req.user?.id,
+    approvedByName: req.user?.name
+  };
+  const auditContext = { studentId: enrollment.studentId, enrollmentId: enrollment.id };
+
+  for (const adjustment of existing) {
+    if (submitted.some(item => item.id === adjustment.id)) continue;
+
+    await tx.enrollmentAdjustment.delete({ where: { id: adjustment.id } });
+    await recordAudit(tx, req, {
+      entity: 'ADJUSTMENT',
+      entityId: adjustment.id,
+      action: 'DELETE',
+      before: adjustment,
+      ...auditContext
+    });
+  }
+
+  for (const item of submitted) {
+    const data = {
+      type: item.type,
+      basis: item.basis,
+      value: parseFloat(item.value),
+      reason: String(item.reason).trim()
+    };
+    const match = existing.find(adjustment => adjustment.id === item.id);
+
+    if (match) {
+      if (sameAdjustment(match, item)) continue;
+
+      const updatedAdjustment = await tx.enrollmentAdjustment.update({
+        where: { id: match.id },
+        data: { ...data, ...approver }
+      });
+      await recordAudit(tx, req, {
+        entity: 'ADJUSTMENT',
+        entityId: match.id,
+        action: 'UPDATE',
+        before: match,
+        after: updatedAdjustment,
+        ...auditContext
+      });
+    } else {
+      const createdAdjustment = await tx.enrollmentAdjustment.create({
+        data: { ...data, ...approver, enrollmentId: enrollment.id }
+      });
+      await recordAudit(tx, req, {
+        entity: 'ADJUSTMENT',
+        entityId: createdAdjustment.id,
+        action: 'CREATE',
+        after: createdAdjustment,
+        ...auditContext
+      });
+    }
+  }
+};
+
+module.exports = {
+  ADJUSTMENT_TYPES,
+  ADJUSTMENT_BASES,
+  ADJUSTMENT_LABELS,
+  isPromoAdjustment,
+  pricingInclude,
+  discountFor,
+  calculatePricing,
+  getNetFee,
+  getOutstanding,
+  validateAdjustment,
+  adjustmentsChanged,
+  saveAdjustments
+};
@@ -13,6 +13,23 @@ prisma.$on('query', (e) => {
   }
 });
 
+// Audit events are append-only: refuse any attempt to change or remove them
+const rejectAuditMutation = () => {
+  throw new Error('Audit events are immutable');
+};
+
+const client = prisma.$extends({
+  query: {
+    auditEvent: {
+      update: rejectAuditMutation,
+      updateMany: rejectAuditMutation,
+      upsert: rejectAuditMutation,
+      delete: rejectAuditMutation,
+      deleteMany: rejectAuditMutation
+    }
+  }
+});
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
   await prisma.$disconnect();
@@ -24,5 +41,5 @@ process.on('SIGTERM', async () => {
   process.exit(0);
 });
 
-module.exports = prisma;
+module.exports = client;
 
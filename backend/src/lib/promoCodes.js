@@ -0,0 +1,204 @@
+// Promo codes: campaign / referral codes that discount an enrollment.
+//
+// Redeeming a code adds a PROMO_CODE adjustment to the enrollment with the
+// code's basis and value copied across, so later edits to the code never
+// change fees already agreed. The adjustment's promoCodeId is the redemption
+// record that usage limits and the dashboard count.
+
+const { recordAudit } = require('./audit');
+const { isPromoAdjustment, discountFor } = require('./pricing');
+const { roundMoney } = require('./money');
+
+const promoCodeInclude = {
+  courses: {
+    select: {
+      id: true,
+      name: true
+    }
+  }
+};
+
+const normaliseCode = (code) => String(code || '').trim().toUpperCase();
+
+// Redemptions on live enrollments, optionally for a single student
+const countRedemptions = (db, promoCodeId, studentId) => db.enrollmentAdjustment.count({
+  where: {
+    promoCodeId,
+    enrollment: {
+      deletedAt: null,
+      ...(studentId && { studentId })
+    }
+  }
+});
+
+/**
+ * Why a promo code cannot be redeemed for this course/student, or null.
+ * @param db Prisma client or transaction client
+ * @param promo Promo code with `courses` loaded
+ */
+const checkPromoCode = async (db, promo, { courseId, studentId } = {}) => {
+  const now = new Date();
+
+  if (!promo.isActive) return `Promo code ${promo.code} is no longer active`;
+  if (promo.validFrom && promo.validFrom > now) return `Promo code ${promo.code} is not valid yet`;
+  if (promo.validUntil && promo.validUntil < now) return `Promo code ${promo.code} has expired`;
+
+  if (promo.courses.length > 0 && !promo.courses.some(course => course.id === courseId)) {
+    return `Promo code ${promo.code} does not apply to this course`;
+  }
+
+  if (promo.maxRedemptions !== null &&
+      await countRedemptions(db, promo.id) >= promo.maxRedemptions) {
+    return `Promo code ${promo.code} has reached its redemption limit`;
+  }
+
+  if (studentId && promo.maxPerStudent !== null &&
+      await countRedemptions(db, promo.id, studentId) >= promo.maxPerStudent) {
+    return `Promo code ${promo.code} has already been used by this student`;
+  }
+
+  return null;
+};
+
+// A non-stackable code must be the enrollment's only discount
+const checkStacking = (promoCodes, manualAdjustmentCount = 0) => {
+  const discountCount = promoCodes.length + manualAdjustmentCount;
+  const exclusive = promoCodes.find(promo => !promo.stackable);
+
+  if (exclusive && discountCount > 1) {
+    return `Promo code ${exclusive.code} cannot be combined with other discounts`;
+  }
+  return null;
+};
+
+/**
+ * Look up and check the codes submitted for an enrollment.
+ * Codes already redeemed by the enrollment (`existing` PROMO_CODE
+ * adjustments) keep their redemption without being re-checked.
+ * @returns { promoCodes } or { error }
+ */
+const resolvePromoCodes = async (db, codes, {
+  courseId,
+  studentId,
+  existing = [],
+  manualAdjustmentCount = 0
+} = {}) => {
+  const normalised = [...new Set(codes.map(normaliseCode).filter(Boolean))];
+
+  const promoCodes = await db.promoCode.findMany({
+    where: { code: { in: normalised } },
+    include: promoCodeInclude
+  });
+
+  for (const code of normalised) {
+    const promo = promoCodes.find(item => item.code === code);
+    if (!promo) return { error: `Promo code ${code} does not exist` };
+
+    if (existing.some(adjustment => adjustment.promoCodeId === promo.id)) continue;
+
+    const error = await checkPromoCode(db, promo, { courseId, studentId });
+    if (error) return { error };
+  }
+
+  const stackingError = checkStacking(promoCodes, manualAdjustmentCount);
+  if (stackingError) return { error: stackingError };
+
+  return { promoCodes };
+};
+
+/**
+ * Redeem the given codes on an enrollment and drop redemptions of codes no
+ * longer submitted.
+ * @param tx Prisma transaction client
+ * @param existing The enrollment's current PROMO_CODE adjustments
+ * @param promoCodes Result of resolvePromoCodes
+ */
+const savePromoCodes = async (tx, req, enrollment, existing, promoCodes) => {
+  const auditContext = { studentId: enrollment.studentId, enrollmentId: enrollment.id };
+
+  for (const adjustment of existing) {
+    if (promoCodes.some(promo => promo.id === adjustment.promoCodeId)) continue;
+
+    await tx.enrollmentAdjustment.delete({ where: { id: adjustment.id } });
+    await recordAudit(tx, req, {
+      entity: 'ADJUSTMENT',
+      entityId: adjustment.id,
+      action: 'DELETE',
+      before: adjustment,
+      ...auditContext
+    });
+  }
+
+  for (const promo of promoCodes) {
+    if (existing.some(adjustment => adjustment.promoCodeId === promo.id)) continue;
+
+    const createdAdjustment = await tx.enrollmentAdjustment.create({
+      data: {
+        enrollmentId: enrollment.id,
+        type: 'PROMO_CODE',
+        basis: promo.basis,
+        value: promo.value,
+        reason: promo.code,
+        promoCodeId: promo.id
+      }
+    });
+    await recordAudit(tx, req, {
+      entity: 'ADJUSTMENT',
+      entityId: createdAdjustment.id,
+      action: 'CREATE',
+      after: createdAdjustment,
+      ...auditContext
+    });
+  }
+};
+
+// Split an enrollment's adjustments into manual ones and promo redemptions
+const splitAdjustments = (adjustments = []) => ({
+  manual: adjustments.filter(adjustment => !isPromoAdjustment(adjustment)),
+  promo: adjustments.filter(isPromoAdjustment)
+});
+
+/**
+ * Redemptions per code on live enrollments, most redeemed first.
+ * @returns [{ id, code, redemptions, totalDiscount }]
+ */
+const getRedemptionSummary = async (db) => {
+  const adjustments = await db.enrollmentAdjustment.findMany({
+    where: {
+      type: 'PROMO_CODE',
+      promoCodeId: { not: null },
+      enrollment: { deletedAt: null }
+    },
+    include: {
+      promoCode: { select: { id: true, code: true } },
+      enrollment: { include: { course: true } }
+    }
+  });
+
+  const byCode = new Map();
+  for (const adjustment of adjustments) {
+    const { enrollment, promoCode } = adjustment;
+    const basePrice = enrollment.priceOverride !== null
+      ? parseFloat(enrollment.priceOverride)
+      : parseFloat(enrollment.course.price);
+    const entry = byCode.get(promoCode.id) || { ...promoCode, redemptions: 0, totalDiscount: 0 };
+
+    entry.redemptions += 1;
+    entry.totalDiscount = roundMoney(entry.totalDiscount + discountFor(adjustment, basePrice));
+    byCode.set(promoCode.id, entry);
+  }
+
+  return [...byCode.values()].sort((a, b) => b.redemptions - a.redemptions);
+};
+
+module.exports = {
+  promoCodeInclude,
+  normaliseCode,
+  countRedemptions,
+  checkPromoCode,
+  checkStacking,
+  resolvePromoCodes,
+  savePromoCodes,
+  splitAdjustments,
+  getRedemptionSummary
+};
@@ -0,0 +1,109 @@
+// Official payment receipts: numbering and PDF rendering.
+
+const { nextDocumentNumber } = require('./numbering');
+const { sumNetPayments } = require('./refunds');
+const { amountInWords } = require('./amountInWords');
+const {
+  formatMoney,
+  formatDate,
+  getBranding,
+  createDocument,
+  drawHeader,
+  drawAddressBlock,
+  drawTable,
+  drawTotals,
+  drawNotes,
+  drawFooter
+} = require('./pdf');
+
+const RECEIPT_PREFIX = 'RCT';
+
+const METHOD_LABELS = {
+  CASH: 'Cash',
+  BANK_TRANSFER: 'Bank Transfer',
+  CREDIT_CARD: 'Credit Card',
+  DEBIT_CARD: 'Debit Card',
+  ONLINE_PAYMENT: 'Online Payment',
+  CHECK: 'Cheque',
+  CREDIT_NOTE: 'Credit Note'
+};
+
+// Next receipt number; call inside the transaction that creates the payment
+const nextReceiptNumber = (tx) => nextDocumentNumber(tx, RECEIPT_PREFIX);
+
+/**
+ * Enrollment totals up to and including this payment, so a reprinted receipt
+ * leaves out later payments. Amounts are net of refunds and credit notes,
+ * including those made since the payment.
+ * @param payment the payment being receipted
+ * @param payments all live payments of the enrollment (livePaymentsInclude)
+ * @param netFee fee owed for the enrollment, after discounts
+ */
+const balanceAfterPayment = (payment, payments, netFee) => {
+  const ordered = [...payments].sort((a, b) =>
+    new Date(a.date) - new Date(b.date) || new Date(a.createdAt) - new Date(b.createdAt));
+  const index = ordered.findIndex(item => item.id === payment.id);
+  const paidToDate = sumNetPayments(ordered.slice(0, index + 1));
+
+  return {
+    netFee,
+    paidToDate,
+    balanceRemaining: Math.max(0, netFee - paidToDate)
+  };
+};
+
+/**
+ * Render a payment receipt as a PDF document (caller pipes and ends it).
+ * @param payment payment with student and enrollment.course
+ * @param totals result of balanceAfterPayment
+ */
+const renderReceiptPdf = (payment, totals) => {
+  const { student, enrollment } = payment;
+  const doc = createDocument({ Title: payment.receiptNumber });
+
+  drawHeader(doc, 'Receipt', [
+    ['Receipt No.', payment.receiptNumber],
+    ['Payment Date', formatDate(payment.date)],
+    ['Method', METHOD_LABELS[payment.method] || payment.method]
+  ]);
+
+  drawAddressBlock(doc, 'Received From', [
+    student.name,
+    student.nricPassportId && `NRIC/Passport: ${student.nricPassportId}`,
+    student.address,
+    student.email,
+    student.phone
+  ]);
+
+  drawTable(doc, [
+    { header: 'Description', width: 345 },
+    { header: 'Amount', width: 150, align: 'right' }
+  ], [[
+    [
+      `Payment towards ${enrollment.course.name}`,
+      enrollment.batch && `Batch: ${enrollment.batch}`
+    ].filter(Boolean).join('\n'),
+    formatMoney(payment.amount)
+  ]]);
+
+  drawNotes(doc, 'Amount in Words', amountInWords(payment.amount));
+
+  drawTotals(doc, [
+    { label: 'Net Fee', value: formatMoney(totals.netFee) },
+    { label: 'Paid to Date', value: formatMoney(totals.paidToDate) },
+    { label: 'Balance Remaining', value: formatMoney(totals.balanceRemaining), emphasis: true }
+  ]);
+
+  drawNotes(doc, 'Notes', payment.notes);
+
+  drawFooter(doc, `This is a computer-generated receipt issued by ${getBranding().name} and requires no signature.`);
+
+  return doc;
+};
+
+module.exports = {
+  METHOD_LABELS,
+  nextReceiptNumber,
+  balanceAfterPayment,
+  renderReceiptPdf
+};
@@ -0,0 +1,187 @@
+// Recycle Bin: soft-deleted records stay restorable for a retention period,
+// after which purgeExpired() removes them for good.
+
+const prisma = require('./prisma');
+const { recordAudit } = require('./audit');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const getRetentionDays = () => {
+  const days = parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+};
+
+const getPurgeCutoff = (retentionDays = getRetentionDays()) => {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - retentionDays);
+  return cutoff;
+};
+
+// Permanently delete the `model` rows matching `where` (children of a record
+// being purged), each with its own PURGE audit event
+const purgeRows = async (tx, req, model, entity, where) => {
+  const rows = await tx[model].findMany({ where });
+  for (const row of rows) {
+    await tx[model].delete({ where: { id: row.id } });
+    await recordAudit(tx, req, {
+      entity,
+      entityId: row.id,
+      action: 'PURGE',
+      before: row,
+      studentId: row.studentId,
+      enrollmentId: row.enrollmentId
+    });
+  }
+  return rows.length;
+};
+
+/**
+ * Permanently delete records that have been in the Recycle Bin longer than
+ * the retention period. Children go first so nothing is removed by cascade
+ * without its own PURGE audit event; a parent that still has (live or
+ * not-yet-expired) children is kept until they are gone. Numbered invoices
+ * are never purged, so an enrollment that has one stays; draft invoices go
+ * with their enrollment. Attendance marks belong to their class session
+ * (headcounts, payouts), so an enrollment with any stays, and so does a
+ * course with batches or sessions. An issued certificate has to stay
+ * verifiable, so its enrollment (and student) are never purged, nor is
+ * either end of a transfer, which the other end's transfer trail shows.
+ * Payments with refunds or credit notes are kept with them.
+ * @param req Express request when triggered by a user, null for the scheduled job
+ * @returns counts of purged records per entity
+ */
+const purgeExpired = async (req = null) => {
+  const cutoff = getPurgeCutoff();
+  const expired = { deletedAt: { not: null, lte: cutoff } };
+
+  return prisma.$transaction(async (tx) => {
+    // Refunds and credit notes cannot be deleted, so neither can their payments
+    const payments = await tx.payment.findMany({
+      where: {
+        ...expired,
+        refunds: { none: {} },
+        creditNotes: { none: {} },
+        appliedCreditNote: { is: null }
+      }
+    });
+    for (const payment of payments) {
+      await tx.payment.delete({ where: { id: payment.id } });
+      await recordAudit(tx, req, {
+        entity: 'PAYMENT',
+        entityId: payment.id,
+        action: 'PURGE',
+        before: payment,
+        studentId: payment.studentId,
+        enrollmentId: payment.enrollmentId
+      });
+    }
+
+    const enrollments = await tx.enrollment.findMany({
+      where: {
+        ...expired,
+        payments: { none: {} },
+        invoices: { none: { number: { not: null } } },
+        attendance: { none: {} },
+        certificate: { is: null },
+        transferOut: { is: null },
+        transferIn: { is: null }
+      }
+    });
+    const enrollmentIds = enrollments.map(enrollment => enrollment.id);
+    const invoices = await purgeRows(tx, req, 'invoice', 'INVOICE', { enrollmentId: { in: enrollmentIds } });
+    const paymentPlans = await purgeRows(tx, req, 'paymentPlan', 'PAYMENT_PLAN', { enrollmentId: { in: enrollmentIds } });
+    const adjustments = await purgeRows(tx, req, 'enrollmentAdjustment', 'ADJUSTMENT', { enrollmentId: { in: enrollmentIds } });
+    let tasks = await purgeRows(tx, req, 'task', 'TASK', { enrollmentId: { in: enrollmentIds } });
+    for (const enrollment of enrollments) {
+      // Status history has no audit entity of its own; it is kept, one line
+      // per change, in the enrollment's PURGE event
+      const statusHistory = await tx.enrollmentStatusHistory.findMany({
+        where: { enrollmentId: enrollment.id },
+        orderBy: { createdAt: 'asc' }
+      });
+      await tx.enrollmentStatusHistory.deleteMany({ where: { enrollmentId: enrollment.id } });
+      await tx.enrollment.delete({ where: { id: enrollment.id } });
+      await recordAudit(tx, req, {
+        entity: 'ENROLLMENT',
+        entityId: enrollment.id,
+        action: 'PURGE',
+        before: {
+          ...enrollment,
+          statusHistory: statusHistory.map(change =>
+            `${change.createdAt.toISOString()} ${change.fromStatus || 'NEW'} → ${change.toStatus}` +
+            `${change.actorName ? ` by ${change.actorName}` : ''}${change.reason ? `: ${change.reason}` : ''}`)
+        },
+        studentId: enrollment.studentId,
+        enrollmentId: enrollment.id
+      });
+    }
+
+    const students = await tx.student.findMany({
+      where: { ...expired, enrollments: { none: {} }, payments: { none: {} }, invoices: { none: {} } }
+    });
+    const studentIds = students.map(student => student.id);
+    tasks += await purgeRows(tx, req, 'task', 'TASK', { studentId: { in: studentIds } });
+    const notes = await purgeRows(tx, req, 'note', 'NOTE', { studentId: { in: studentIds } });
+    for (const student of students) {
+      await tx.student.delete({ where: { id: student.id } });
+      await recordAudit(tx, req, {
+        entity: 'STUDENT',
+        entityId: student.id,
+        action: 'PURGE',
+        before: student,
+        studentId: student.id
+      });
+    }
+
+    const courses = await tx.course.findMany({
+      where: { ...expired, enrollments: { none: {} }, batches: { none: {} }, sessions: { none: {} } }
+    });
+    for (const course of courses) {
+      await tx.course.delete({ where: { id: course.id } });
+      await recordAudit(tx, req, {
+        entity: 'COURSE',
+        entityId: course.id,
+        action: 'PURGE',
+        before: course
+      });
+    }
+
+    return {
+      students: students.length,
+      courses: courses.length,
+      enrollments: enrollments.length,
+      payments: payments.length,
+      invoices,
+      paymentPlans,
+      adjustments,
+      tasks,
+      notes
+    };
+  }, { timeout: 60000 });
+};
+
+// Run a purge now and then once a day
+const schedulePurge = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpired();
+      const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+      if (total > 0) {
+        console.log(`🗑️  Recycle Bin purge removed ${total} record(s)`, purged);
+      }
+    } catch (error) {
+      console.error('Error purging Recycle Bin:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, PURGE_INTERVAL_MS);
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeCutoff,
+  purgeExpired,
+  schedulePurge
+};
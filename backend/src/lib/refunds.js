@@ -0,0 +1,138 @@
+// Refunds and credit notes reverse part of a payment without touching the
+// payment itself, so what an enrollment has really paid is
+//
+//   net paid = payments - refunds - credit notes taken out of them
+//
+// A credit note applied to another enrollment shows up there as an ordinary
+// payment with method CREDIT_NOTE. Revenue excludes those (the money was
+// already counted when first paid) and nets refunds.
+
+const { nextDocumentNumber } = require('./numbering');
+const { roundMoney } = require('./money');
+
+const REFUND_PREFIX = 'RFD';
+const CREDIT_NOTE_PREFIX = 'CN';
+
+// Include for payment queries whose amounts feed a balance
+const livePaymentsInclude = {
+  where: { deletedAt: null },
+  include: {
+    refunds: true,
+    creditNotes: true
+  }
+};
+
+const sumAmounts = (items = []) => items.reduce((sum, item) => sum + parseFloat(item.amount), 0);
+
+// Refunded or credited so far out of a payment (refunds/creditNotes loaded)
+const reversedAmount = (payment) =>
+  roundMoney(sumAmounts(payment.refunds) + sumAmounts(payment.creditNotes));
+
+// What is left of a payment after its refunds and credit notes
+const netPaymentAmount = (payment) =>
+  roundMoney(parseFloat(payment.amount) - reversedAmount(payment));
+
+const sumNetPayments = (payments) =>
+  roundMoney(payments.reduce((sum, payment) => sum + netPaymentAmount(payment), 0));
+
+const nextRefundNumber = (tx, date) => nextDocumentNumber(tx, REFUND_PREFIX, date);
+const nextCreditNoteNumber = (tx, date) => nextDocumentNumber(tx, CREDIT_NOTE_PREFIX, date);
+
+/**
+ * Net amount paid towards an enrollment, straight from the database.
+ * @param db Prisma client or transaction client
+ */
+const getEnrollmentNetPaid = async (db, enrollmentId) => {
+  const [payments, refunds, creditNotes] = await Promise.all([
+    db.payment.aggregate({
+      _sum: { amount: true },
+      where: { enrollmentId, deletedAt: null }
+    }),
+    db.refund.aggregate({
+      _sum: { amount: true },
+      where: { enrollmentId, payment: { deletedAt: null } }
+    }),
+    db.creditNote.aggregate({
+      _sum: { amount: true },
+      where: { enrollmentId, payment: { deletedAt: null } }
+    })
+  ]);
+
+  return roundMoney(
+    parseFloat(payments._sum.amount || 0) -
+    parseFloat(refunds._sum.amount || 0) -
+    parseFloat(creditNotes._sum.amount || 0)
+  );
+};
+
+/**
+ * Net paid per enrollment for many enrollments at once.
+ * @returns Map of enrollment id -> net paid
+ */
+const getNetPaidByEnrollment = async (db, enrollmentIds) => {
+  const byEnrollment = { enrollmentId: { in: enrollmentIds } };
+  const [payments, refunds, creditNotes] = await Promise.all([
+    db.payment.groupBy({
+      by: ['enrollmentId'],
+      _sum: { amount: true },
+      where: { ...byEnrollment, deletedAt: null }
+    }),
+    db.refund.groupBy({
+      by: ['enrollmentId'],
+      _sum: { amount: true },
+      where: { ...byEnrollment, payment: { deletedAt: null } }
+    }),
+    db.creditNote.groupBy({
+      by: ['enrollmentId'],
+      _sum: { amount: true },
+      where: { ...byEnrollment, payment: { deletedAt: null } }
+    })
+  ]);
+
+  const totals = new Map(enrollmentIds.map(id => [id, 0]));
+  const add = (rows, sign) => rows.forEach((row) => {
+    totals.set(row.enrollmentId, roundMoney(totals.get(row.enrollmentId) + sign * parseFloat(row._sum.amount || 0)));
+  });
+  add(payments, 1);
+  add(refunds, -1);
+  add(creditNotes, -1);
+
+  return totals;
+};
+
+/**
+ * Revenue between two dates (either may be omitted): money received minus
+ * money refunded. Applied credit notes are not new money.
+ * @param db Prisma client or transaction client
+ */
+const getNetRevenue = async (db, { from, to } = {}) => {
+  const date = {};
+  if (from) date.gte = from;
+  if (to) date.lte = to;
+  const dateFilter = Object.keys(date).length ? { date } : {};
+
+  const [payments, refunds] = await Promise.all([
+    db.payment.aggregate({
+      _sum: { amount: true },
+      where: { ...dateFilter, deletedAt: null, method: { not: 'CREDIT_NOTE' } }
+    }),
+    db.refund.aggregate({
+      _sum: { amount: true },
+      where: { ...dateFilter, payment: { deletedAt: null } }
+    })
+  ]);
+
+  return roundMoney(parseFloat(payments._sum.amount || 0) - parseFloat(refunds._sum.amount || 0));
+};
+
+module.exports = {
+  livePaymentsInclude,
+  reversedAmount,
+  netPaymentAmount,
+  sumNetPayments,
+  nextRefundNumber,
+  nextCreditNoteNumber,
+  getEnrollmentNetPaid,
+  getNetPaidByEnrollment,
+  getNetRevenue
+};
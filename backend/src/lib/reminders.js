@@ -0,0 +1,222 @@
+// Scheduled payment reminders.
+//
+// Every outstanding amount (an unpaid installment, or a balance without a
+// plan, due from the enrollment start date - see outstandingPortions) is
+// checked against the active reminder rules once a day. The most escalated
+// rule whose date has arrived fires, once per amount; reminder_deliveries
+// records what was queued so later runs skip it. A rule whose date passed
+// more than CATCH_UP_DAYS ago no longer fires, so switching reminders on
+// does not message every old debtor at once.
+
+const prisma = require('./prisma');
+const { pricingInclude } = require('./pricing');
+const { livePaymentsInclude } = require('./refunds');
+const { agingInclude, outstandingPortions, daysPastDue } = require('./aging');
+const { renderTemplate } = require('./templates');
+const { enqueueMessage, kickOutbox } = require('./outbox');
+const { paymentReminderContext } = require('./notifications');
+const { toE164 } = require('./phone');
+const { roundMoney } = require('./money');
+
+const REMINDER_JOB = 'payment-reminders';
+const CATCH_UP_DAYS = 7;
+
+// Created the first time reminders are set up
+const DEFAULT_RULES = [
+  { name: '3 days before due', offsetDays: -3, channel: 'EMAIL', templateKey: 'BALANCE_REMINDER' },
+  { name: 'On the due date', offsetDays: 0, channel: 'EMAIL', templateKey: 'BALANCE_REMINDER' },
+  { name: '7 days overdue', offsetDays: 7, channel: 'EMAIL', templateKey: 'BALANCE_REMINDER' }
+];
+
+const reminderEnrollmentInclude = {
+  ...pricingInclude,
+  ...agingInclude,
+  student: true,
+  payments: livePaymentsInclude
+};
+
+// Template format a channel sends
+const templateFormatFor = (channel) => (channel === 'EMAIL' ? 'EMAIL' : 'TEXT');
+
+const recipientFor = (channel, student) =>
+  (channel === 'EMAIL' ? student.email : toE164(student.phone));
+
+const deliveryKey = (ruleId, enrollmentId, dueDate) =>
+  `${ruleId}:${enrollmentId}:${new Date(dueDate).getTime()}`;
+
+// Seed the default cadence before the reminder job first runs
+const ensureDefaultRules = async (db) => {
+  const [ruleCount, job] = await Promise.all([
+    db.reminderRule.count(),
+    db.scheduledJob.findUnique({ where: { name: REMINDER_JOB } })
+  ]);
+  if (ruleCount > 0 || job) return;
+
+  await db.reminderRule.createMany({ data: DEFAULT_RULES });
+};
+
+// Amounts owed on the same day are reminded about together
+const groupByDueDate = (portions) => {
+  const byDate = new Map();
+  portions.forEach(({ dueDate, amount }) => {
+    const key = new Date(dueDate).getTime();
+    const existing = byDate.get(key);
+    byDate.set(key, {
+      dueDate,
+      amount: roundMoney((existing?.amount || 0) + amount)
+    });
+  });
+  return [...byDate.values()];
+};
+
+/**
+ * Every reminder due on `asOf`, rendered but not queued.
+ * @returns [{ rule, enrollment, dueDate, amount, daysFromDue, to, subject, body, skipReason }]
+ *   skipReason is set when the reminder cannot be sent (inactive template,
+ *   no email address or phone number)
+ */
+const findDueReminders = async (db, asOf = new Date()) => {
+  const rules = await db.reminderRule.findMany({
+    where: { isActive: true },
+    orderBy: { offsetDays: 'desc' }
+  });
+  if (rules.length === 0) return [];
+
+  const [enrollments, deliveries, templates] = await Promise.all([
+    db.enrollment.findMany({
+      where: {
+        deletedAt: null,
+        academicStatus: { notIn: ['WITHDRAWN', 'WAITLISTED'] },
+        student: { deletedAt: null }
+      },
+      include: reminderEnrollmentInclude
+    }),
+    db.reminderDelivery.findMany({
+      where: { ruleId: { in: rules.map(rule => rule.id) } },
+      select: { ruleId: true, enrollmentId: true, dueDate: true }
+    }),
+    db.messageTemplate.findMany()
+  ]);
+
+  const delivered = new Set(deliveries.map(d => deliveryKey(d.ruleId, d.enrollmentId, d.dueDate)));
+  const templatesByKey = new Map(templates.map(template => [template.key, template]));
+  const reminders = [];
+
+  enrollments.forEach((enrollment) => {
+    const balance = outstandingPortions(enrollment, asOf);
+    if (!balance) return;
+
+    groupByDueDate(balance.portions).forEach(({ dueDate, amount }) => {
+      const daysFromDue = daysPastDue(dueDate, asOf);
+      const rule = rules.find(candidate =>
+        daysFromDue >= candidate.offsetDays && daysFromDue - candidate.offsetDays <= CATCH_UP_DAYS);
+
+      if (!rule || delivered.has(deliveryKey(rule.id, enrollment.id, dueDate))) return;
+
+      const template = templatesByKey.get(rule.templateKey);
+      const to = recipientFor(rule.channel, enrollment.student);
+      const context = paymentReminderContext(enrollment, { dueDate, amount, daysFromDue });
+
+      let skipReason = null;
+      if (!template || !template.isActive) skipReason = 'Template is missing or inactive';
+      else if (!to) skipReason = rule.channel === 'EMAIL' ? 'No email address' : 'No valid phone number';
+
+      reminders.push({
+        rule,
+        enrollment,
+        dueDate,
+        amount,
+        daysFromDue,
+        to,
+        subject: template?.subject ? renderTemplate(template.subject, context) : null,
+        body: template ? renderTemplate(template.body, context) : null,
+        skipReason
+      });
+    });
+  });
+
+  return reminders;
+};
+
+/**
+ * Dry run: what the reminder job would queue on `asOf`, for the API.
+ */
+const previewReminders = async (db, asOf = new Date()) => {
+  const reminders = await findDueReminders(db, asOf);
+
+  return reminders.map(reminder => ({
+    rule: { id: reminder.rule.id, name: reminder.rule.name, offsetDays: reminder.rule.offsetDays },
+    channel: reminder.rule.channel,
+    student: { id: reminder.enrollment.student.id, name: reminder.enrollment.student.name },
+    enrollment: {
+      id: reminder.enrollment.id,
+      course: { id: reminder.enrollment.course.id, name: reminder.enrollment.course.name },
+      batch: reminder.enrollment.batch
+    },
+    dueDate: reminder.dueDate,
+    amount: reminder.amount,
+    daysFromDue: reminder.daysFromDue,
+    to: reminder.to,
+    subject: reminder.subject,
+    body: reminder.body,
+    skipReason: reminder.skipReason
+  }));
+};
+
+/**
+ * Queue every reminder due today. Skipped reminders are not recorded, so
+ * they go out on a later run once the template or contact details are fixed.
+ * @returns { queued, skipped, failed } counts, kept as the job's lastResult
+ */
+const sendReminders = async (asOf = new Date()) => {
+  const reminders = await findDueReminders(prisma, asOf);
+  const result = { queued: 0, skipped: 0, failed: 0 };
+
+  for (const reminder of reminders) {
+    if (reminder.skipReason) {
+      result.skipped += 1;
+      continue;
+    }
+
+    try {
+      await prisma.$transaction(async (tx) => {
+        const message = await enqueueMessage(tx, {
+          channel: reminder.rule.channel,
+          templateKey: reminder.rule.templateKey,
+          to: reminder.to,
+          subject: reminder.subject,
+          body: reminder.body,
+          studentId: reminder.enrollment.studentId,
+          enrollmentId: reminder.enrollment.id
+        });
+
+        await tx.reminderDelivery.create({
+          data: {
+            ruleId: reminder.rule.id,
+            enrollmentId: reminder.enrollment.id,
+            dueDate: reminder.dueDate,
+            amount: reminder.amount,
+            outboxMessageId: message.id
+          }
+        });
+      });
+      result.queued += 1;
+    } catch (error) {
+      console.error('Error queuing payment reminder:', error);
+      result.failed += 1;
+    }
+  }
+
+  if (result.queued > 0) kickOutbox();
+  return result;
+};
+
+module.exports = {
+  REMINDER_JOB,
+  CATCH_UP_DAYS,
+  templateFormatFor,
+  ensureDefaultRules,
+  findDueReminders,
+  previewReminders,
+  sendReminders
+};
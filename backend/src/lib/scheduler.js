@@ -0,0 +1,122 @@
+// Daily background jobs with their state in the scheduled_jobs table.
+//
+// Each registered job has a row holding its time of day (local, HH:MM) and
+// next run. Every minute due rows are claimed with a lock, so two backend
+// processes never run the same job at once, and then run. A run that came
+// due while the server was down happens on the first tick after startup.
+
+const prisma = require('./prisma');
+
+const TICK_INTERVAL_MS = 60 * 1000;
+// A lock older than this belongs to a crashed run and may be taken over
+const LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+const jobs = new Map();
+
+const isValidTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+// First HH:MM (local time) strictly after `from`
+const nextDailyRun = (dailyAt, from = new Date()) => {
+  const [hours, minutes] = dailyAt.split(':').map(Number);
+  const next = new Date(from);
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= from) next.setDate(next.getDate() + 1);
+  return next;
+};
+
+/**
+ * Register a daily job. `handler()` may return a JSON summary of the run,
+ * which is kept as the job's lastResult.
+ * @param options { dailyAt = '09:00', handler }
+ */
+const registerJob = (name, { dailyAt = '09:00', handler }) => {
+  jobs.set(name, { dailyAt, handler });
+};
+
+// The job's row, created on first use
+const getJob = (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job ${name}`);
+  }
+
+  return prisma.scheduledJob.upsert({
+    where: { name },
+    update: {},
+    create: { name, dailyAt: job.dailyAt, nextRunAt: nextDailyRun(job.dailyAt) }
+  });
+};
+
+// Take the job's lock; false when it is not due or a run is in progress
+const claimJob = async (name, force) => {
+  const now = new Date();
+  const { count } = await prisma.scheduledJob.updateMany({
+    where: {
+      name,
+      ...(force ? {} : { isActive: true, nextRunAt: { lte: now } }),
+      OR: [
+        { lockedAt: null },
+        { lockedAt: { lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    data: { lockedAt: now }
+  });
+  return count === 1;
+};
+
+/**
+ * Run a job if it is due, or straight away with `force`.
+ * @returns the updated job row, or null when it did not run
+ */
+const runJob = async (name, { force = false } = {}) => {
+  const { handler } = jobs.get(name) || {};
+  await getJob(name);
+
+  if (!(await claimJob(name, force))) return null;
+
+  const startedAt = new Date();
+  let outcome;
+  try {
+    const result = await handler();
+    outcome = { lastStatus: 'SUCCESS', lastError: null, lastResult: result };
+  } catch (error) {
+    console.error(`Error running job ${name}:`, error);
+    outcome = { lastStatus: 'FAILED', lastError: String(error.message || error).slice(0, 500) };
+  }
+
+  const { dailyAt } = await prisma.scheduledJob.findUnique({ where: { name } });
+  return prisma.scheduledJob.update({
+    where: { name },
+    data: {
+      ...outcome,
+      lastRunAt: startedAt,
+      lockedAt: null,
+      nextRunAt: nextDailyRun(dailyAt, startedAt)
+    }
+  });
+};
+
+// Run every registered job that is due, once a minute
+const scheduleJobs = () => {
+  const tick = async () => {
+    for (const name of jobs.keys()) {
+      try {
+        await runJob(name);
+      } catch (error) {
+        console.error(`Error scheduling job ${name}:`, error);
+      }
+    }
+  };
+
+  tick();
+  return setInterval(tick, TICK_INTERVAL_MS);
+};
+
+module.exports = {
+  isValidTime,
+  nextDailyRun,
+  registerJob,
+  getJob,
+  runJob,
+  scheduleJobs
+};
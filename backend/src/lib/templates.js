@@ -0,0 +1,136 @@
+// Message templates: stored in the message_templates table so staff can edit
+// the wording, with the defaults below created on startup when missing.
+//
+// EMAIL templates have a subject and body; TEXT templates are a single
+// message body for SMS and WhatsApp.
+//
+// Placeholders are Handlebars-style:
+//   {{student.name}}            value at a dotted path ('' when missing)
+//   {{#if payment.notes}}…{{/if}}  section shown only when the value is set
+
+const DEFAULT_TEMPLATES = [
+  {
+    key: 'WELCOME',
+    name: 'Welcome',
+    subject: 'Welcome to {{business.name}}',
+    body: [
+      'Hi {{student.name}},',
+      '',
+      'Welcome to {{business.name}}! Your student profile has been created.',
+      '',
+      'If any of your details are incorrect, just reply to this email.',
+      '',
+      '{{business.name}}',
+      '{{business.email}} · {{business.phone}}'
+    ].join('\n')
+  },
+  {
+    key: 'ENROLLMENT_CONFIRMATION',
+    name: 'Enrollment confirmation',
+    subject: 'You are enrolled in {{course.name}}',
+    body: [
+      'Hi {{student.name}},',
+      '',
+      'This confirms your enrollment in {{course.name}}{{#if enrollment.batch}} ({{enrollment.batch}}){{/if}}, starting {{enrollment.startDate}}.',
+      '',
+      'Course fee: {{enrollment.netFee}}',
+      '',
+      '{{business.name}}'
+    ].join('\n')
+  },
+  {
+    key: 'WAITLIST_PROMOTED',
+    name: 'Waitlist seat offered',
+    subject: 'A seat is yours in {{course.name}}',
+    body: [
+      'Hi {{student.name}},',
+      '',
+      'Good news: a seat opened up in {{course.name}}{{#if enrollment.batch}} ({{enrollment.batch}}){{/if}} and you have been moved off the waitlist.',
+      'You are now enrolled, starting {{enrollment.startDate}}.',
+      '',
+      'Course fee: {{enrollment.netFee}}',
+      '',
+      'If you no longer need the seat, please let us know at {{business.email}} so we can offer it to the next student.',
+      '',
+      '{{business.name}}'
+    ].join('\n')
+  },
+  {
+    key: 'PAYMENT_RECEIVED',
+    name: 'Payment received',
+    subject: 'Payment received — {{payment.receiptNumber}}',
+    body: [
+      'Hi {{student.name}},',
+      '',
+      'We received your payment of {{payment.amount}} on {{payment.date}} for {{course.name}}.',
+      'Receipt number: {{payment.receiptNumber}}',
+      '',
+      'Balance remaining: {{balance.outstanding}}',
+      '',
+      'Thank you,',
+      '{{business.name}}'
+    ].join('\n')
+  },
+  {
+    key: 'BALANCE_REMINDER',
+    name: 'Balance reminder',
+    subject: 'Reminder: {{balance.outstanding}} outstanding for {{course.name}}',
+    body: [
+      'Hi {{student.name}},',
+      '',
+      'This is a friendly reminder that {{balance.outstanding}} is outstanding for {{course.name}}.',
+      '{{#if balance.nextDueDate}}The next installment is due on {{balance.nextDueDate}}.{{/if}}',
+      '',
+      'Please contact us at {{business.email}} if you have already paid or need help.',
+      '',
+      '{{business.name}}'
+    ].join('\n')
+  },
+  {
+    key: 'PAYMENT_REMINDER',
+    name: 'Payment reminder (SMS/WhatsApp)',
+    format: 'TEXT',
+    body: 'Hi {{student.name}}, a reminder from {{business.name}}: {{balance.outstanding}} is outstanding for {{course.name}}.' +
+      '{{#if balance.nextDueDate}} The next installment of {{balance.nextDueAmount}} is due on {{balance.nextDueDate}}.{{/if}}' +
+      ' Reply here if you have any questions.'
+  },
+  {
+    key: 'CLASS_START',
+    name: 'Class start (SMS/WhatsApp)',
+    format: 'TEXT',
+    body: 'Hi {{student.name}}, your {{course.name}} class{{#if enrollment.batch}} ({{enrollment.batch}}){{/if}}' +
+      ' starts on {{enrollment.startDate}}. See you there! - {{business.name}}'
+  }
+];
+
+const TEMPLATE_KEYS = DEFAULT_TEMPLATES.map(template => template.key);
+
+const lookup = (context, path) => path
+  .split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+
+const isSet = (value) => value !== null && value !== undefined && value !== '' && value !== false;
+
+/**
+ * Fill a template string from a context object.
+ */
+const renderTemplate = (text, context) => text
+  .replace(/\{\{#if\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, path, inner) =>
+    (isSet(lookup(context, path)) ? inner : ''))
+  .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = lookup(context, path);
+    return isSet(value) ? String(value) : '';
+  });
+
+// Create any default template that is not in the database yet
+const ensureDefaultTemplates = (db) => db.messageTemplate.createMany({
+  data: DEFAULT_TEMPLATES,
+  skipDuplicates: true
+});
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_KEYS,
+  renderTemplate,
+  ensureDefaultTemplates
+};
@@ -0,0 +1,112 @@
+// A student's activity timeline: notes, enrollments, payments, enrollment
+// status changes and uploaded documents merged newest first. Every source is
+// per-student and small, so the whole timeline is built and then paged.
+
+const path = require('path');
+const { noteInclude } = require('./notes');
+
+const TIMELINE_KINDS = ['NOTE', 'ENROLLMENT', 'PAYMENT', 'STATUS_CHANGE', 'DOCUMENT'];
+
+// Uploads are saved as "<Date.now()>-<random>-<original name>"
+const parseDocument = (documentPath, fallbackDate) => {
+  const fileName = path.basename(documentPath);
+  const match = fileName.match(/^(\d{13})-\d+-(.+)$/);
+  return {
+    path: documentPath,
+    name: match ? match[2] : fileName,
+    date: match ? new Date(parseInt(match[1])) : fallbackDate
+  };
+};
+
+/**
+ * All timeline items for a student, newest first.
+ * @param db Prisma client
+ * @param student the student row (for documents and their fallback date)
+ * @param kinds TIMELINE_KINDS to include
+ * @returns [{ id, kind, date, ... }]
+ */
+const buildTimeline = async (db, student, kinds = TIMELINE_KINDS) => {
+  const wants = (kind) => kinds.includes(kind);
+  const studentId = student.id;
+
+  const [notes, enrollments, payments, statusEvents] = await Promise.all([
+    wants('NOTE')
+      ? db.note.findMany({ where: { studentId }, include: noteInclude })
+      : [],
+    db.enrollment.findMany({
+      where: { studentId },
+      select: { id: true, batch: true, academicStatus: true, financialStatus: true, startDate: true, createdAt: true, deletedAt: true, course: { select: { id: true, name: true } } }
+    }),
+    wants('PAYMENT')
+      ? db.payment.findMany({
+        where: { studentId, deletedAt: null },
+        select: { id: true, receiptNumber: true, amount: true, method: true, date: true, enrollmentId: true }
+      })
+      : [],
+    wants('STATUS_CHANGE')
+      ? db.auditEvent.findMany({
+        where: { studentId, entity: 'ENROLLMENT', action: 'UPDATE' },
+        select: { id: true, entityId: true, actorName: true, changes: true, createdAt: true }
+      })
+      : []
+  ]);
+
+  const coursesByEnrollment = new Map(enrollments.map(enrollment => [enrollment.id, enrollment.course]));
+  const items = [];
+
+  notes.forEach(note => {
+    items.push({ id: `note-${note.id}`, kind: 'NOTE', date: note.createdAt, note });
+  });
+
+  if (wants('ENROLLMENT')) {
+    enrollments
+      .filter(enrollment => !enrollment.deletedAt)
+      .forEach(enrollment => {
+        const { deletedAt, ...rest } = enrollment;
+        items.push({ id: `enrollment-${enrollment.id}`, kind: 'ENROLLMENT', date: enrollment.createdAt, enrollment: rest });
+      });
+  }
+
+  payments.forEach(payment => {
+    items.push({
+      id: `payment-${payment.id}`,
+      kind: 'PAYMENT',
+      date: payment.date,
+      payment: { ...payment, course: coursesByEnrollment.get(payment.enrollmentId) || null }
+    });
+  });
+
+  // Academic status changes; events from before the status split recorded
+  // them as `status`
+  statusEvents
+    .map(event => ({ ...event, change: event.changes?.academicStatus || event.changes?.status }))
+    .filter(event => event.change)
+    .forEach(event => {
+      items.push({
+        id: `status-${event.id}`,
+        kind: 'STATUS_CHANGE',
+        date: event.createdAt,
+        statusChange: {
+          enrollmentId: event.entityId,
+          course: coursesByEnrollment.get(event.entityId) || null,
+          from: event.change.from,
+          to: event.change.to,
+          actorName: event.actorName
+        }
+      });
+    });
+
+  if (wants('DOCUMENT')) {
+    (student.documents || []).forEach((documentPath, index) => {
+      const document = parseDocument(documentPath, student.createdAt);
+      items.push({ id: `document-${index}`, kind: 'DOCUMENT', date: document.date, document });
+    });
+  }
+
+  return items.sort((a, b) => new Date(b.date) - new Date(a.date));
+};
+
+module.exports = {
+  TIMELINE_KINDS,
+  buildTimeline
+};
@@ -0,0 +1,197 @@
+// Timetable: recurring session schedules and double-booking checks.
+//
+// A schedule is a weekly pattern (weekdays plus a start and end time) laid
+// over a date range. Times are wall-clock times in the schedule's time zone,
+// so a 6pm class stays at 6pm across daylight saving changes. Holidays are
+// skipped.
+//
+// Two sessions clash when they overlap in time and share an instructor (the
+// session's substitute, else the batch's) or a room (the session's own, else
+// the batch's venue). Sessions without an end time are taken to last
+// DEFAULT_SESSION_MINUTES.
+
+const DEFAULT_SESSION_MINUTES = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Session relations the timetable needs to work out instructor and room
+const timetableInclude = {
+  course: { select: { id: true, name: true } },
+  instructor: { select: { id: true, name: true } },
+  batch: {
+    select: {
+      id: true,
+      code: true,
+      venue: true,
+      instructor: { select: { id: true, name: true } }
+    }
+  }
+};
+
+// Where clause for sessions an instructor teaches, as substitute or as the
+// batch's instructor
+const taughtBy = (instructorId) => ({
+  OR: [
+    { instructorId },
+    { instructorId: null, batch: { instructorId } }
+  ]
+});
+
+const getDefaultTimeZone = () => process.env.TIME_ZONE || 'UTC';
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Milliseconds the time zone is ahead of UTC at the given instant
+const offsetAt = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(instant).map(part => [part.type, part.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time happens in a time zone.
+ * @param date 'YYYY-MM-DD'
+ * @param time 'HH:MM'
+ */
+const zonedTime = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const local = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Second pass corrects for a daylight saving change between the guess and the answer
+  const guess = local - offsetAt(new Date(local), timeZone);
+  return new Date(local - offsetAt(new Date(guess), timeZone));
+};
+
+// 'YYYY-MM-DD' of a date stored as midnight UTC (batch dates, holidays)
+const toDateKey = (value) => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * Lay a weekly pattern over a date range.
+ * @param weekdays days of the week, 0 = Sunday
+ * @param holidays Map of 'YYYY-MM-DD' -> holiday name
+ * @returns { planned: [{ date, startsAt, endsAt }], skipped: [{ date, reason }] }
+ */
+const planSessions = ({ from, to, weekdays, startTime, endTime, timeZone, holidays = new Map() }) => {
+  const planned = [];
+  const skipped = [];
+
+  for (let day = new Date(`${from}T00:00:00Z`); day <= new Date(`${to}T00:00:00Z`); day = new Date(day.getTime() + DAY_MS)) {
+    if (!weekdays.includes(day.getUTCDay())) continue;
+
+    const date = toDateKey(day);
+    if (holidays.has(date)) {
+      skipped.push({ date, reason: holidays.get(date) });
+      continue;
+    }
+
+    planned.push({
+      date,
+      startsAt: zonedTime(date, startTime, timeZone),
+      endsAt: endTime ? zonedTime(date, endTime, timeZone) : null
+    });
+  }
+
+  return { planned, skipped };
+};
+
+const sessionEnd = (session) => (
+  session.endsAt ? new Date(session.endsAt) : new Date(new Date(session.startsAt).getTime() + DEFAULT_SESSION_MINUTES * 60 * 1000)
+);
+
+const normalize = (value) => value?.trim().toLowerCase() || null;
+
+// Who teaches a session loaded with timetableInclude: { id, name } or null
+const sessionInstructor = (session) => session.instructor || session.batch?.instructor || null;
+
+const sessionRoom = (session) => session.room || session.batch?.venue || null;
+
+/**
+ * Existing sessions that clash with planned ones.
+ * @param db Prisma client or transaction client
+ * @param candidates [{ startsAt, endsAt, instructorId, room }]
+ * @param excludeSessionIds sessions to ignore (the one being edited)
+ * @returns [{ startsAt, endsAt, reasons: ['INSTRUCTOR' | 'ROOM'], session }]
+ */
+const findConflicts = async (db, candidates, { excludeSessionIds = [] } = {}) => {
+  const instructorIds = [...new Set(candidates.map(candidate => candidate.instructorId).filter(Boolean))];
+  const rooms = [...new Set(candidates.map(candidate => candidate.room?.trim()).filter(Boolean))];
+
+  if (candidates.length === 0 || (instructorIds.length === 0 && rooms.length === 0)) return [];
+
+  const earliest = Math.min(...candidates.map(candidate => new Date(candidate.startsAt).getTime()));
+  const latest = Math.max(...candidates.map(candidate => sessionEnd(candidate).getTime()));
+
+  const existing = await db.session.findMany({
+    where: {
+      id: { notIn: excludeSessionIds },
+      course: { deletedAt: null },
+      // Anything starting up to a day before the first candidate may still be running
+      startsAt: { gte: new Date(earliest - DAY_MS), lt: new Date(latest) },
+      OR: [
+        ...instructorIds.flatMap(instructorId => taughtBy(instructorId).OR),
+        ...rooms.map(room => ({ room: { equals: room, mode: 'insensitive' } })),
+        ...rooms.map(room => ({ room: null, batch: { venue: { equals: room, mode: 'insensitive' } } }))
+      ]
+    },
+    include: timetableInclude,
+    orderBy: { startsAt: 'asc' }
+  });
+
+  const conflicts = [];
+  candidates.forEach((candidate) => {
+    const start = new Date(candidate.startsAt);
+    const end = sessionEnd(candidate);
+
+    existing.forEach((session) => {
+      if (!(new Date(session.startsAt) < end && start < sessionEnd(session))) return;
+
+      const reasons = [];
+      if (candidate.instructorId && candidate.instructorId === sessionInstructor(session)?.id) {
+        reasons.push('INSTRUCTOR');
+      }
+      if (candidate.room && normalize(candidate.room) === normalize(sessionRoom(session))) {
+        reasons.push('ROOM');
+      }
+
+      if (reasons.length > 0) {
+        conflicts.push({ startsAt: candidate.startsAt, endsAt: candidate.endsAt, reasons, session });
+      }
+    });
+  });
+
+  return conflicts;
+};
+
+module.exports = {
+  DEFAULT_SESSION_MINUTES,
+  timetableInclude,
+  taughtBy,
+  getDefaultTimeZone,
+  isValidTimeZone,
+  zonedTime,
+  toDateKey,
+  planSessions,
+  sessionEnd,
+  sessionInstructor,
+  sessionRoom,
+  findConflicts
+};
@@ -0,0 +1,186 @@
+// Enrollment transfers: a student moves to another course or batch. The old
+// enrollment is withdrawn and keeps its payments, receipts and invoices;
+// what it had paid is credited to the new enrollment through credit notes
+// (as with a credit note applied by hand), so both ledgers stay intact.
+//
+//   FULL_CREDIT     everything paid is credited
+//   PARTIAL_CREDIT  a chosen amount is credited, the rest is kept
+//   ADMIN_FEE       everything paid less the fee is credited
+//
+// Credit beyond the new enrollment's net fee is left as open credit notes
+// for the student's other enrollments.
+
+const { recordAudit } = require('./audit');
+const { nextReceiptNumber } = require('./receipts');
+const { pricingInclude, getNetFee } = require('./pricing');
+const { livePaymentsInclude, netPaymentAmount, sumNetPayments, nextCreditNoteNumber } = require('./refunds');
+const { roundMoney } = require('./money');
+
+const TRANSFER_POLICIES = ['FULL_CREDIT', 'PARTIAL_CREDIT', 'ADMIN_FEE'];
+
+/**
+ * What a transfer credits out of `paid` under a policy.
+ * @returns { credit, adminFee } or { error }
+ */
+const transferCredit = (policy, paid, { creditAmount, adminFee } = {}) => {
+  switch (policy) {
+    case 'FULL_CREDIT':
+      return { credit: paid, adminFee: null };
+    case 'PARTIAL_CREDIT': {
+      const credit = roundMoney(parseFloat(creditAmount));
+      if (!(credit >= 0) || credit > paid) {
+        return { error: `Credit amount must be between 0 and the $${paid.toFixed(2)} paid` };
+      }
+      return { credit, adminFee: null };
+    }
+    case 'ADMIN_FEE': {
+      const fee = roundMoney(parseFloat(adminFee));
+      if (!(fee >= 0) || fee > paid) {
+        return { error: `Admin fee must be between 0 and the $${paid.toFixed(2)} paid` };
+      }
+      return { credit: roundMoney(paid - fee), adminFee: fee };
+    }
+    default:
+      return { error: 'Invalid transfer policy' };
+  }
+};
+
+// Raise a credit note out of a payment, applied to `to` as a CREDIT_NOTE
+// payment when `apply` is set
+const createTransferCreditNote = async (tx, req, payment, to, amount, reason, apply) => {
+  const now = new Date();
+  let creditNote = await tx.creditNote.create({
+    data: {
+      number: await nextCreditNoteNumber(tx, now),
+      paymentId: payment.id,
+      studentId: payment.studentId,
+      enrollmentId: payment.enrollmentId,
+      amount,
+      date: now,
+      reason
+    }
+  });
+
+  if (apply) {
+    const creditPayment = await tx.payment.create({
+      data: {
+        receiptNumber: await nextReceiptNumber(tx),
+        studentId: to.studentId,
+        enrollmentId: to.id,
+        amount,
+        method: 'CREDIT_NOTE',
+        date: now,
+        notes: `Credit note ${creditNote.number}`
+      }
+    });
+
+    await recordAudit(tx, req, {
+      entity: 'PAYMENT',
+      entityId: creditPayment.id,
+      action: 'CREATE',
+      after: creditPayment,
+      studentId: to.studentId,
+      enrollmentId: to.id
+    });
+
+    creditNote = await tx.creditNote.update({
+      where: { id: creditNote.id },
+      data: { status: 'APPLIED', appliedPaymentId: creditPayment.id, appliedAt: now }
+    });
+  }
+
+  await recordAudit(tx, req, {
+    entity: 'CREDIT_NOTE',
+    entityId: creditNote.id,
+    action: 'CREATE',
+    after: creditNote,
+    studentId: payment.studentId,
+    enrollmentId: payment.enrollmentId
+  });
+};
+
+/**
+ * Credit `amount` of the old enrollment's payments (oldest first) to the new
+ * one, applying credit notes up to its net fee and leaving the rest open.
+ * Sync invoice and financial statuses of both enrollments afterwards.
+ * @param tx Prisma transaction client
+ * @returns { applied } amount applied to the new enrollment
+ */
+const creditTransfer = async (tx, req, fromId, toId, amount, reason) => {
+  const [from, to] = await Promise.all([
+    tx.enrollment.findUnique({
+      where: { id: fromId },
+      include: { payments: { ...livePaymentsInclude, orderBy: { date: 'asc' } } }
+    }),
+    tx.enrollment.findUnique({
+      where: { id: toId },
+      include: { ...pricingInclude, payments: livePaymentsInclude }
+    })
+  ]);
+
+  let remaining = amount;
+  let room = Math.max(0, roundMoney(getNetFee(to) - sumNetPayments(to.payments)));
+  let applied = 0;
+
+  for (const payment of from.payments) {
+    if (remaining <= 0) break;
+    const take = roundMoney(Math.min(netPaymentAmount(payment), remaining));
+    if (take <= 0) continue;
+
+    const toApply = roundMoney(Math.min(take, room));
+    if (toApply > 0) {
+      await createTransferCreditNote(tx, req, payment, to, toApply, reason, true);
+    }
+    if (take > toApply) {
+      await createTransferCreditNote(tx, req, payment, to, roundMoney(take - toApply), reason, false);
+    }
+
+    remaining = roundMoney(remaining - take);
+    room = roundMoney(room - toApply);
+    applied = roundMoney(applied + toApply);
+  }
+
+  return { applied };
+};
+
+const trailEnrollmentSelect = {
+  id: true,
+  batch: true,
+  startDate: true,
+  academicStatus: true,
+  course: { select: { id: true, name: true } }
+};
+
+const trailInclude = {
+  fromEnrollment: { select: trailEnrollmentSelect },
+  toEnrollment: { select: trailEnrollmentSelect }
+};
+
+/**
+ * Every transfer in the chain an enrollment belongs to, oldest first.
+ * @param db Prisma client or transaction client
+ */
+const getTransferTrail = async (db, enrollmentId) => {
+  const trail = [];
+
+  let transfer = await db.enrollmentTransfer.findUnique({ where: { toEnrollmentId: enrollmentId }, include: trailInclude });
+  while (transfer) {
+    trail.unshift(transfer);
+    transfer = await db.enrollmentTransfer.findUnique({ where: { toEnrollmentId: transfer.fromEnrollmentId }, include: trailInclude });
+  }
+
+  transfer = await db.enrollmentTransfer.findUnique({ where: { fromEnrollmentId: enrollmentId }, include: trailInclude });
+  while (transfer) {
+    trail.push(transfer);
+    transfer = await db.enrollmentTransfer.findUnique({ where: { fromEnrollmentId: transfer.toEnrollmentId }, include: trailInclude });
+  }
+
+  return trail;
+};
+
+module.exports = {
+  TRANSFER_POLICIES,
+  transferCredit,
+  creditTransfer,
+  getTransferTrail
+};
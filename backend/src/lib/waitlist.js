@@ -0,0 +1,121 @@
+// Batch waitlists. A WAITLISTED enrollment is queued for a seat in its batch
+// without holding one; waitlistPosition orders the queue (1 = next). When a
+// seat frees up, the first students in line are enrolled (or, once the
+// course has started, moved to IN_PROGRESS) and told by email.
+
+const { recordAudit } = require('./audit');
+const { ENROLLABLE_STATUSES, checkSeat } = require('./batches');
+const { queueWaitlistPromotion } = require('./notifications');
+const { startingStatus, recordStatusChange } = require('./enrollmentStatus');
+
+// Batches with a waitlist: not open yet, or open and possibly full. A
+// completed or cancelled batch will never free a seat.
+const WAITLIST_BATCH_STATUSES = ['PLANNED', ...ENROLLABLE_STATUSES];
+
+const waitlistOrder = [{ waitlistPosition: 'asc' }, { createdAt: 'asc' }];
+
+const waitlistedIn = (batchId) => ({ batchId, academicStatus: 'WAITLISTED', deletedAt: null });
+
+/**
+ * Find the position an enrollment joining a batch's waitlist gets.
+ * Waitlisting is only allowed when the batch cannot take the student now
+ * (full, or not open for enrollment yet), never for a completed or
+ * cancelled batch.
+ * @param tx Prisma transaction client
+ * @returns { position } or { error }
+ */
+const placeOnWaitlist = async (tx, batch, { excludeEnrollmentId } = {}) => {
+  if (!batch) {
+    return { error: 'Only enrollments in a batch can be waitlisted' };
+  }
+
+  const seatError = await checkSeat(tx, batch, { excludeEnrollmentId });
+  if (!seatError) {
+    return { error: `Batch ${batch.code} has free seats; enroll the student directly` };
+  }
+  if (!WAITLIST_BATCH_STATUSES.includes(batch.status)) {
+    return { error: seatError };
+  }
+
+  const last = await tx.enrollment.aggregate({
+    where: waitlistedIn(batch.id),
+    _max: { waitlistPosition: true }
+  });
+
+  return { position: (last._max.waitlistPosition || 0) + 1 };
+};
+
+// Number a batch's waitlist 1..n in its current order
+const renumberWaitlist = async (tx, batchId) => {
+  const waiting = await tx.enrollment.findMany({
+    where: waitlistedIn(batchId),
+    select: { id: true, waitlistPosition: true },
+    orderBy: waitlistOrder
+  });
+
+  for (const [index, enrollment] of waiting.entries()) {
+    if (enrollment.waitlistPosition !== index + 1) {
+      await tx.enrollment.update({
+        where: { id: enrollment.id },
+        data: { waitlistPosition: index + 1 }
+      });
+    }
+  }
+};
+
+/**
+ * Give free seats in a batch to the students at the front of its waitlist,
+ * then close the gaps in the queue. Call it in the transaction that frees a
+ * seat (withdrawal, leaving the batch, more capacity), then kickOutbox()
+ * once it has committed.
+ * @param tx Prisma transaction client
+ * @returns the promoted enrollments
+ */
+const promoteWaitlist = async (tx, req, batchId) => {
+  const promoted = [];
+  const batch = await tx.batch.findUnique({ where: { id: batchId } });
+
+  if (batch) {
+    for (;;) {
+      if (await checkSeat(tx, batch)) break;
+
+      const next = await tx.enrollment.findFirst({
+        where: waitlistedIn(batchId),
+        orderBy: waitlistOrder
+      });
+      if (!next) break;
+
+      const enrollment = await tx.enrollment.update({
+        where: { id: next.id },
+        data: { academicStatus: startingStatus(next.startDate), waitlistPosition: null }
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'ENROLLMENT',
+        entityId: enrollment.id,
+        action: 'UPDATE',
+        before: next,
+        after: enrollment,
+        studentId: enrollment.studentId,
+        enrollmentId: enrollment.id
+      });
+
+      // Automatic, so no actor in the status history (the audit event still
+      // names whoever freed the seat)
+      await recordStatusChange(tx, null, enrollment.id, 'WAITLISTED', enrollment.academicStatus, `Seat freed up in batch ${batch.code}`);
+      await queueWaitlistPromotion(tx, enrollment.id);
+      promoted.push(enrollment);
+    }
+  }
+
+  await renumberWaitlist(tx, batchId);
+
+  return promoted;
+};
+
+module.exports = {
+  waitlistOrder,
+  placeOnWaitlist,
+  renumberWaitlist,
+  promoteWaitlist
+};
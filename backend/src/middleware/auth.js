@@ -0,0 +1,142 @@
+const jwt = require('jsonwebtoken');
+const prisma = require('../lib/prisma');
+
+const ROLES = ['ADMIN', 'FINANCE', 'COUNSELLOR', 'READ_ONLY'];
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+
+const getSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || getSecret();
+
+// Tokens carry the user's tokenVersion so that logout/password changes revoke them
+const signAccessToken = (user) => jwt.sign(
+  { sub: user.id, role: user.role, tv: user.tokenVersion, type: 'access' },
+  getSecret(),
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+const signRefreshToken = (user) => jwt.sign(
+  { sub: user.id, tv: user.tokenVersion, type: 'refresh' },
+  getRefreshSecret(),
+  { expiresIn: REFRESH_TOKEN_EXPIRES_IN }
+);
+
+const verifyRefreshToken = (token) => {
+  const payload = jwt.verify(token, getRefreshSecret());
+  if (payload.type !== 'refresh') {
+    throw new Error('Invalid token type');
+  }
+  return payload;
+};
+
+// Calendar apps cannot log in, so timetable feeds are read with a token
+// naming the feed ('batch:<id>', 'instructor:<id>'). It does not expire but
+// carries its user's feedTokenVersion (not tokenVersion, so subscriptions
+// survive logging out): resetting calendar links, a password change or
+// deactivation revokes it.
+const signFeedToken = (user, feed) => jwt.sign(
+  { sub: user.id, fv: user.feedTokenVersion, feed, type: 'feed' },
+  getSecret()
+);
+
+// Returns the feed the token grants, or null when it is invalid or revoked
+const verifyFeedToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch (error) {
+    return null;
+  }
+
+  // Links issued before feeds named their user carry no `sub`
+  if (payload.type !== 'feed' || !payload.sub) {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: payload.sub } });
+  if (!user || !user.isActive || user.feedTokenVersion !== payload.fv) {
+    return null;
+  }
+
+  return payload.feed;
+};
+
+// Strip secrets before sending a user over the wire
+const toPublicUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt
+});
+
+// Require a valid access token and attach the current user to req.user
+const authenticate = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, getSecret());
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (payload.type !== 'access') {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: payload.sub }
+    });
+
+    if (!user || !user.isActive || user.tokenVersion !== payload.tv) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+};
+
+// Restrict a route to the given roles; must run after authenticate
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+
+  next();
+};
+
+module.exports = {
+  ROLES,
+  authenticate,
+  authorize,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  signFeedToken,
+  verifyFeedToken,
+  toPublicUser
+};
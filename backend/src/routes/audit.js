@@ -0,0 +1,69 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+
+const router = express.Router();
+
+const ENTITIES = ['STUDENT', 'COURSE', 'ENROLLMENT', 'PAYMENT', 'INVOICE', 'PAYMENT_PLAN', 'ADJUSTMENT', 'REFUND', 'CREDIT_NOTE', 'PROMO_CODE', 'MESSAGE_TEMPLATE', 'REMINDER_RULE', 'SCHEDULED_JOB', 'LEAD', 'TASK', 'NOTE', 'BATCH', 'SESSION', 'HOLIDAY', 'INSTRUCTOR', 'CERTIFICATE', 'TRANSFER'];
+const ACTIONS = ['CREATE', 'UPDATE', 'DELETE', 'RESTORE', 'PURGE'];
+
+// Get audit events with filters
+// - entity + entityId: history of a single record
+// - studentId / enrollmentId: everything that happened under a student or enrollment
+router.get('/', async (req, res) => {
+  try {
+    const {
+      entity,
+      entityId,
+      studentId,
+      enrollmentId,
+      actorId,
+      action,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    if (entity && !ENTITIES.includes(entity)) {
+      return res.status(400).json({ error: 'Invalid entity' });
+    }
+
+    if (action && !ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Invalid action' });
+    }
+
+    const where = {};
+
+    if (entity) where.entity = entity;
+    if (entityId) where.entityId = entityId;
+    if (studentId) where.studentId = studentId;
+    if (enrollmentId) where.enrollmentId = enrollmentId;
+    if (actorId) where.actorId = actorId;
+    if (action) where.action = action;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [events, total] = await Promise.all([
+      prisma.auditEvent.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.auditEvent.count({ where })
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit events:', error);
+    res.status(500).json({ error: 'Failed to fetch audit events' });
+  }
+});
+
+module.exports = router;
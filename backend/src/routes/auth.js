@@ -0,0 +1,148 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const {
+  authenticate,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  toPublicUser
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const validateLogin = [
+  body('email').isEmail().normalizeEmail().withMessage('Must be a valid email'),
+  body('password').isString().notEmpty().withMessage('Password is required')
+];
+
+const validatePasswordChange = [
+  body('currentPassword').isString().notEmpty().withMessage('Current password is required'),
+  body('newPassword').isString().isLength({ min: 8 }).withMessage('New password must be at least 8 characters')
+];
+
+const issueTokens = (user) => ({
+  user: toPublicUser(user),
+  accessToken: signAccessToken(user),
+  refreshToken: signRefreshToken(user)
+});
+
+// Log in with email and password
+router.post('/login', validateLogin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, password } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    // Same message for unknown email and wrong password
+    if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: { lastLoginAt: new Date() }
+    });
+
+    res.json(issueTokens(updatedUser));
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: payload.sub }
+    });
+
+    if (!user || !user.isActive || user.tokenVersion !== payload.tv) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json(issueTokens(user));
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Log out by revoking every token issued to the current user
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { tokenVersion: { increment: 1 } }
+    });
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Get the current user
+router.get('/me', authenticate, (req, res) => {
+  res.json(toPublicUser(req.user));
+});
+
+// Change the current user's password
+router.post('/change-password', authenticate, validatePasswordChange, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    if (!(await bcrypt.compare(currentPassword, req.user.passwordHash))) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        passwordHash: await bcrypt.hash(newPassword, 10),
+        tokenVersion: { increment: 1 },
+        feedTokenVersion: { increment: 1 }
+      }
+    });
+
+    res.json(issueTokens(user));
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+module.exports = router;
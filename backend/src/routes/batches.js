@@ -0,0 +1,523 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { pricingInclude, calculatePricing, getOutstanding } = require('../lib/pricing');
+const { livePaymentsInclude, sumNetPayments } = require('../lib/refunds');
+const { SEAT_STATUS_FILTER, ENROLLABLE_STATUSES, holdsSeat, countSeats, seatSummary } = require('../lib/batches');
+const { waitlistOrder, promoteWaitlist } = require('../lib/waitlist');
+const { kickOutbox } = require('../lib/outbox');
+const { getDefaultTimeZone, isValidTimeZone, toDateKey, planSessions, findConflicts } = require('../lib/timetable');
+const { checkInstructor, linkCourse } = require('../lib/instructors');
+const { roundMoney } = require('../lib/money');
+
+const router = express.Router();
+
+const STATUSES = ['PLANNED', 'OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+// Longest date range one schedule request may cover
+const MAX_SCHEDULE_DAYS = 366;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validation middleware
+const validateBatch = [
+  body('courseId').isString().notEmpty().withMessage('Course ID is required'),
+  body('code').trim().isLength({ min: 1, max: 50 }).withMessage('Code must be 1-50 characters'),
+  body('startDate').optional({ values: 'falsy' }).isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('End date must be a valid date'),
+  body('capacity').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+  body('instructorId').optional({ values: 'falsy' }).isString().withMessage('Invalid instructor ID'),
+  body('venue').optional().trim().isLength({ max: 200 }).withMessage('Venue must be less than 200 characters'),
+  body('status').optional().isIn(STATUSES).withMessage('Invalid status')
+];
+
+// Build the create/update data from a validated request body
+const batchData = (payload) => ({
+  courseId: payload.courseId,
+  code: payload.code.trim(),
+  startDate: payload.startDate ? new Date(payload.startDate) : null,
+  endDate: payload.endDate ? new Date(payload.endDate) : null,
+  capacity: payload.capacity ? parseInt(payload.capacity) : null,
+  instructorId: payload.instructorId || null,
+  venue: payload.venue?.trim() || null,
+  status: payload.status || 'OPEN'
+});
+
+const instructorInclude = { select: { id: true, name: true } };
+
+const checkDates = (data) => {
+  if (data.startDate && data.endDate && data.endDate < data.startDate) {
+    return 'End date must be after start date';
+  }
+  return null;
+};
+
+// Net fees and money collected over a batch's seat-holding enrollments
+const feeTotals = (enrollments) => {
+  const totals = enrollments.reduce((sum, enrollment) => {
+    const netFee = calculatePricing(enrollment).netFee;
+    const paid = sumNetPayments(enrollment.payments);
+    return {
+      netFees: sum.netFees + netFee,
+      collected: sum.collected + paid,
+      outstanding: sum.outstanding + Math.max(0, netFee - paid)
+    };
+  }, { netFees: 0, collected: 0, outstanding: 0 });
+
+  return {
+    netFees: roundMoney(totals.netFees),
+    collected: roundMoney(totals.collected),
+    outstanding: roundMoney(totals.outstanding)
+  };
+};
+
+// Get batches with seats taken. `enrollable=true` limits to batches open
+// for enrollment (the enrollment form's batch picker).
+router.get('/', async (req, res) => {
+  try {
+    const { courseId, status, search, enrollable } = req.query;
+
+    const where = { course: { deletedAt: null } };
+
+    if (courseId) where.courseId = courseId;
+    if (status) where.status = status;
+    if (enrollable === 'true') where.status = { in: ENROLLABLE_STATUSES };
+    if (search) where.code = { contains: search, mode: 'insensitive' };
+
+    const batches = await prisma.batch.findMany({
+      where,
+      include: {
+        course: { select: { id: true, name: true } },
+        instructor: instructorInclude,
+        enrollments: {
+          where: SEAT_STATUS_FILTER,
+          include: {
+            ...pricingInclude,
+            payments: livePaymentsInclude
+          }
+        },
+        _count: {
+          select: { enrollments: { where: { academicStatus: 'WAITLISTED', deletedAt: null } } }
+        }
+      },
+      orderBy: [{ startDate: { sort: 'desc', nulls: 'last' } }, { code: 'asc' }]
+    });
+
+    res.json({
+      batches: batches.map(({ enrollments, _count, ...batch }) => ({
+        ...batch,
+        seats: seatSummary(batch, enrollments.length),
+        waitlisted: _count.enrollments,
+        fees: feeTotals(enrollments)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching batches:', error);
+    res.status(500).json({ error: 'Failed to fetch batches' });
+  }
+});
+
+// Get batch by ID with its roster
+router.get('/:id', async (req, res) => {
+  try {
+    const batch = await prisma.batch.findUnique({
+      where: { id: req.params.id },
+      include: {
+        course: { select: { id: true, name: true, price: true } },
+        instructor: instructorInclude,
+        enrollments: {
+          where: { deletedAt: null },
+          include: {
+            student: { select: { id: true, name: true, email: true, phone: true } },
+            ...pricingInclude,
+            payments: livePaymentsInclude
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const { enrollments, ...rest } = batch;
+    const seatHolders = enrollments.filter(enrollment => holdsSeat(enrollment.academicStatus));
+
+    const roster = enrollments.map(({ payments, adjustments, course, ...enrollment }) => {
+      const pricing = calculatePricing({ ...enrollment, course, adjustments });
+      const totalPaid = sumNetPayments(payments);
+      return {
+        ...enrollment,
+        pricing,
+        paymentStatus: {
+          totalPaid,
+          outstanding: roundMoney(getOutstanding(enrollment, pricing.netFee, totalPaid))
+        }
+      };
+    });
+
+    res.json({
+      ...rest,
+      seats: seatSummary(batch, seatHolders.length),
+      fees: feeTotals(seatHolders),
+      roster
+    });
+  } catch (error) {
+    console.error('Error fetching batch:', error);
+    res.status(500).json({ error: 'Failed to fetch batch' });
+  }
+});
+
+// Create new batch
+router.post('/', authorize('ADMIN'), validateBatch, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = batchData(req.body);
+
+    const dataError = checkDates(data) || await checkInstructor(prisma, data.instructorId);
+    if (dataError) {
+      return res.status(400).json({ error: dataError });
+    }
+
+    const course = await prisma.course.findFirst({ where: { id: data.courseId, deletedAt: null } });
+    if (!course) {
+      return res.status(400).json({ error: 'Course not found' });
+    }
+
+    const duplicate = await prisma.batch.findUnique({
+      where: { courseId_code: { courseId: data.courseId, code: data.code } }
+    });
+    if (duplicate) {
+      return res.status(400).json({ error: `${course.name} already has a batch ${data.code}` });
+    }
+
+    const batch = await prisma.$transaction(async (tx) => {
+      const createdBatch = await tx.batch.create({ data });
+
+      await linkCourse(tx, data.instructorId, data.courseId);
+
+      await recordAudit(tx, req, {
+        entity: 'BATCH',
+        entityId: createdBatch.id,
+        action: 'CREATE',
+        after: createdBatch
+      });
+
+      return createdBatch;
+    });
+
+    res.status(201).json(batch);
+  } catch (error) {
+    console.error('Error creating batch:', error);
+    res.status(500).json({ error: 'Failed to create batch' });
+  }
+});
+
+// Update batch. A new code is copied onto its enrollments; the course cannot
+// change once the batch has enrollments. Seats added (or the batch opening)
+// go to its waitlist.
+router.put('/:id', authorize('ADMIN'), validateBatch, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const data = batchData(req.body);
+
+    const dataError = checkDates(data) || await checkInstructor(prisma, data.instructorId);
+    if (dataError) {
+      return res.status(400).json({ error: dataError });
+    }
+
+    const existingBatch = await prisma.batch.findUnique({ where: { id } });
+
+    if (!existingBatch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const [enrollmentCount, seats] = await Promise.all([
+      prisma.enrollment.count({ where: { batchId: id } }),
+      countSeats(prisma, [id])
+    ]);
+    const taken = seats.get(id) || 0;
+
+    if (data.courseId !== existingBatch.courseId && enrollmentCount > 0) {
+      return res.status(400).json({ error: 'Cannot move a batch with enrollments to another course' });
+    }
+
+    if (data.capacity !== null && data.capacity < taken) {
+      return res.status(400).json({ error: `Capacity cannot be below the ${taken} seats already taken` });
+    }
+
+    if (data.code !== existingBatch.code || data.courseId !== existingBatch.courseId) {
+      const duplicate = await prisma.batch.findUnique({
+        where: { courseId_code: { courseId: data.courseId, code: data.code } }
+      });
+      if (duplicate) {
+        return res.status(400).json({ error: `This course already has a batch ${data.code}` });
+      }
+    }
+
+    const batch = await prisma.$transaction(async (tx) => {
+      const updatedBatch = await tx.batch.update({
+        where: { id },
+        data
+      });
+
+      await linkCourse(tx, data.instructorId, data.courseId);
+
+      if (data.code !== existingBatch.code) {
+        await tx.enrollment.updateMany({
+          where: { batchId: id },
+          data: { batch: data.code }
+        });
+      }
+
+      await recordAudit(tx, req, {
+        entity: 'BATCH',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingBatch,
+        after: updatedBatch
+      });
+
+      await promoteWaitlist(tx, req, id);
+
+      return updatedBatch;
+    });
+
+    kickOutbox();
+    res.json(batch);
+  } catch (error) {
+    console.error('Error updating batch:', error);
+    res.status(500).json({ error: 'Failed to update batch' });
+  }
+});
+
+// Reorder a batch's waitlist. enrollmentIds lists every waitlisted
+// enrollment of the batch, first in line first.
+router.put('/:id/waitlist', authorize('ADMIN', 'COUNSELLOR'), [
+  body('enrollmentIds').isArray({ min: 1 }).withMessage('Enrollment IDs are required'),
+  body('enrollmentIds.*').isString().withMessage('Invalid enrollment ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { enrollmentIds } = req.body;
+
+    const waiting = await prisma.enrollment.findMany({
+      where: { batchId: id, academicStatus: 'WAITLISTED', deletedAt: null },
+      orderBy: waitlistOrder
+    });
+
+    const sameSet = waiting.length === enrollmentIds.length &&
+      new Set(enrollmentIds).size === enrollmentIds.length &&
+      waiting.every(enrollment => enrollmentIds.includes(enrollment.id));
+    if (!sameSet) {
+      return res.status(400).json({ error: 'The waitlist has changed. Reload and try again.' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const enrollment of waiting) {
+        const position = enrollmentIds.indexOf(enrollment.id) + 1;
+        if (position === enrollment.waitlistPosition) continue;
+
+        const updatedEnrollment = await tx.enrollment.update({
+          where: { id: enrollment.id },
+          data: { waitlistPosition: position }
+        });
+
+        await recordAudit(tx, req, {
+          entity: 'ENROLLMENT',
+          entityId: enrollment.id,
+          action: 'UPDATE',
+          before: enrollment,
+          after: updatedEnrollment,
+          studentId: enrollment.studentId,
+          enrollmentId: enrollment.id
+        });
+      }
+    });
+
+    res.json({ message: 'Waitlist reordered' });
+  } catch (error) {
+    console.error('Error reordering waitlist:', error);
+    res.status(500).json({ error: 'Failed to reorder waitlist' });
+  }
+});
+
+// Generate the batch's sessions from a weekly pattern. `from`/`to` default
+// to the batch dates; holidays and times the batch already has a session
+// are skipped. With `dryRun` nothing is created and the plan is returned
+// for preview. Clashes with other sessions' instructor or room refuse the
+// schedule (409) unless `ignoreConflicts` is set.
+router.post('/:id/schedule', authorize('ADMIN', 'COUNSELLOR'), [
+  body('weekdays').isArray({ min: 1, max: 7 }).withMessage('Pick at least one day of the week'),
+  body('weekdays.*').isInt({ min: 0, max: 6 }).withMessage('Invalid day of the week'),
+  body('startTime').matches(TIME_PATTERN).withMessage('Start time must be HH:MM'),
+  body('endTime').optional({ values: 'falsy' }).matches(TIME_PATTERN).withMessage('End time must be HH:MM'),
+  body('from').optional({ values: 'falsy' }).isISO8601().withMessage('From must be a valid date'),
+  body('to').optional({ values: 'falsy' }).isISO8601().withMessage('To must be a valid date'),
+  body('timeZone').optional({ values: 'falsy' }).custom(isValidTimeZone).withMessage('Invalid time zone'),
+  body('room').optional({ values: 'null' }).trim().isLength({ max: 200 }).withMessage('Room must be less than 200 characters'),
+  body('topic').optional({ values: 'null' }).trim().isLength({ max: 200 }).withMessage('Topic must be less than 200 characters'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+  body('ignoreConflicts').optional().isBoolean().withMessage('ignoreConflicts must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { startTime, endTime, dryRun, ignoreConflicts } = req.body;
+
+    const batch = await prisma.batch.findUnique({
+      where: { id },
+      include: { course: { select: { deletedAt: true } } }
+    });
+
+    if (!batch || batch.course.deletedAt) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const from = req.body.from ? req.body.from.slice(0, 10) : batch.startDate && toDateKey(batch.startDate);
+    const to = req.body.to ? req.body.to.slice(0, 10) : batch.endDate && toDateKey(batch.endDate);
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Give a date range or set the batch start and end dates first' });
+    }
+    if (to < from) {
+      return res.status(400).json({ error: 'The end of the range must be after its start' });
+    }
+    if ((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) >= MAX_SCHEDULE_DAYS) {
+      return res.status(400).json({ error: `A schedule can cover at most ${MAX_SCHEDULE_DAYS} days` });
+    }
+    if (endTime && endTime <= startTime) {
+      return res.status(400).json({ error: 'End time must be after start time' });
+    }
+
+    const holidays = await prisma.holiday.findMany({
+      where: { date: { gte: new Date(from), lte: new Date(to) } }
+    });
+
+    const plan = planSessions({
+      from,
+      to,
+      weekdays: req.body.weekdays.map(Number),
+      startTime,
+      endTime,
+      timeZone: req.body.timeZone || getDefaultTimeZone(),
+      holidays: new Map(holidays.map(holiday => [toDateKey(holiday.date), holiday.name]))
+    });
+
+    // Running the same schedule twice does not double up
+    const existing = await prisma.session.findMany({
+      where: { batchId: id, startsAt: { in: plan.planned.map(item => item.startsAt) } },
+      select: { startsAt: true }
+    });
+    const taken = new Set(existing.map(session => session.startsAt.getTime()));
+
+    const room = req.body.room?.trim() || null;
+    const topic = req.body.topic?.trim() || null;
+    const planned = plan.planned.filter(item => !taken.has(item.startsAt.getTime()));
+    const skipped = [
+      ...plan.skipped,
+      ...plan.planned
+        .filter(item => taken.has(item.startsAt.getTime()))
+        .map(item => ({ date: item.date, reason: 'Already scheduled' }))
+    ].sort((a, b) => a.date.localeCompare(b.date));
+
+    const conflicts = await findConflicts(prisma, planned.map(item => ({
+      ...item,
+      instructorId: batch.instructorId,
+      room: room || batch.venue
+    })));
+
+    const result = { planned, skipped, conflicts, created: 0 };
+
+    if (dryRun) {
+      return res.json(result);
+    }
+    if (conflicts.length > 0 && !ignoreConflicts) {
+      return res.status(409).json({ error: 'The instructor or room is already booked for some of these sessions', ...result });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const item of planned) {
+        const session = await tx.session.create({
+          data: {
+            courseId: batch.courseId,
+            batchId: id,
+            startsAt: item.startsAt,
+            endsAt: item.endsAt,
+            topic,
+            room
+          }
+        });
+
+        await recordAudit(tx, req, {
+          entity: 'SESSION',
+          entityId: session.id,
+          action: 'CREATE',
+          after: session
+        });
+      }
+    });
+
+    res.status(201).json({ ...result, created: planned.length });
+  } catch (error) {
+    console.error('Error scheduling sessions:', error);
+    res.status(500).json({ error: 'Failed to schedule sessions' });
+  }
+});
+
+// Delete batch; only possible while no live enrollment is in it
+router.delete('/:id', authorize('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const batch = await prisma.batch.findUnique({ where: { id } });
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const enrollmentCount = await prisma.enrollment.count({ where: { batchId: id, deletedAt: null } });
+    if (enrollmentCount > 0) {
+      return res.status(400).json({ error: 'Cannot delete a batch with enrollments. Cancel the batch instead.' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.batch.delete({ where: { id } });
+
+      await recordAudit(tx, req, {
+        entity: 'BATCH',
+        entityId: id,
+        action: 'DELETE',
+        before: batch
+      });
+    });
+
+    res.json({ message: 'Batch deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting batch:', error);
+    res.status(500).json({ error: 'Failed to delete batch' });
+  }
+});
+
+module.exports = router;
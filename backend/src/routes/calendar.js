@@ -0,0 +1,138 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { authenticate, signFeedToken, verifyFeedToken } = require('../middleware/auth');
+const { buildCalendar } = require('../lib/ical');
+const { timetableInclude, taughtBy, sessionEnd, sessionInstructor, sessionRoom } = require('../lib/timetable');
+
+const router = express.Router();
+
+// Feeds carry sessions from this many days back onwards
+const FEED_PAST_DAYS = 90;
+
+const feedEvents = (sessions) => sessions.map(session => ({
+  uid: `${session.id}@va-crm`,
+  start: session.startsAt,
+  end: sessionEnd(session),
+  updatedAt: session.updatedAt,
+  summary: [
+    session.course.name,
+    session.batch && `(${session.batch.code})`,
+    session.topic && `— ${session.topic}`
+  ].filter(Boolean).join(' '),
+  location: sessionRoom(session),
+  description: sessionInstructor(session) && `Instructor: ${sessionInstructor(session).name}`
+}));
+
+const feedSessions = (where) => prisma.session.findMany({
+  where: {
+    ...where,
+    course: { deletedAt: null },
+    startsAt: { gte: new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) }
+  },
+  include: timetableInclude,
+  orderBy: { startsAt: 'asc' }
+});
+
+const sendCalendar = (res, name, sessions) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'inline; filename="timetable.ics"');
+  res.send(buildCalendar({ name, events: feedEvents(sessions) }));
+};
+
+// Subscription path for a batch or instructor feed, token included
+router.get('/feeds', authenticate, async (req, res) => {
+  try {
+    const { batchId, instructorId } = req.query;
+
+    if (batchId) {
+      const batch = await prisma.batch.findUnique({ where: { id: batchId } });
+      if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+      return res.json({
+        path: `/api/calendar/batches/${batch.id}.ics?token=${signFeedToken(req.user, `batch:${batch.id}`)}`
+      });
+    }
+
+    if (instructorId) {
+      const instructor = await prisma.instructor.findUnique({ where: { id: instructorId } });
+      if (!instructor) {
+        return res.status(404).json({ error: 'Instructor not found' });
+      }
+      return res.json({
+        path: `/api/calendar/instructors/${instructor.id}.ics?token=${signFeedToken(req.user, `instructor:${instructor.id}`)}`
+      });
+    }
+
+    res.status(400).json({ error: 'batchId or instructorId is required' });
+  } catch (error) {
+    console.error('Error creating calendar feed link:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed link' });
+  }
+});
+
+// Revoke every calendar link the current user has handed out
+router.post('/feeds/reset', authenticate, async (req, res) => {
+  try {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { feedTokenVersion: { increment: 1 } }
+    });
+
+    res.json({ message: 'Calendar links reset' });
+  } catch (error) {
+    console.error('Error resetting calendar links:', error);
+    res.status(500).json({ error: 'Failed to reset calendar links' });
+  }
+});
+
+// Batch timetable feed (calendar apps; authorised by the feed token)
+router.get('/batches/:id.ics', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (await verifyFeedToken(req.query.token) !== `batch:${id}`) {
+      return res.status(401).json({ error: 'Invalid feed token' });
+    }
+
+    const batch = await prisma.batch.findUnique({
+      where: { id },
+      include: { course: { select: { name: true } } }
+    });
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const sessions = await feedSessions({ batchId: id });
+
+    sendCalendar(res, `${batch.course.name} ${batch.code}`, sessions);
+  } catch (error) {
+    console.error('Error building batch calendar:', error);
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+});
+
+// Instructor timetable feed: their batches' sessions and those they cover
+router.get('/instructors/:id.ics', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (await verifyFeedToken(req.query.token) !== `instructor:${id}`) {
+      return res.status(401).json({ error: 'Invalid feed token' });
+    }
+
+    const instructor = await prisma.instructor.findUnique({ where: { id } });
+    if (!instructor) {
+      return res.status(404).json({ error: 'Instructor not found' });
+    }
+
+    const sessions = await feedSessions(taughtBy(id));
+
+    sendCalendar(res, `${instructor.name} — Timetable`, sessions);
+  } catch (error) {
+    console.error('Error building instructor calendar:', error);
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { sendPdf } = require('../lib/pdf');
+const {
+  verificationUrl,
+  issueCertificate,
+  renderCertificatePdf,
+  saveCertificateFile,
+  certificateFileExists
+} = require('../lib/certificates');
+
+const router = express.Router();
+
+const withVerificationUrl = (certificate) => ({
+  ...certificate,
+  verificationUrl: verificationUrl(certificate.verificationCode)
+});
+
+// Get certificates, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { studentId, enrollmentId } = req.query;
+
+    const where = {};
+    if (studentId) where.studentId = studentId;
+    if (enrollmentId) where.enrollmentId = enrollmentId;
+
+    const certificates = await prisma.certificate.findMany({
+      where,
+      orderBy: { issuedAt: 'desc' }
+    });
+
+    res.json({ certificates: certificates.map(withVerificationUrl) });
+  } catch (error) {
+    console.error('Error fetching certificates:', error);
+    res.status(500).json({ error: 'Failed to fetch certificates' });
+  }
+});
+
+// Issue the certificate of an enrollment completed before certificates
+// existed (new completions get theirs automatically)
+router.post('/', authorize('ADMIN', 'COUNSELLOR'), [
+  body('enrollmentId').isString().withMessage('Enrollment is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id: req.body.enrollmentId, deletedAt: null },
+      include: { student: true, course: true }
+    });
+
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+
+    if (enrollment.academicStatus !== 'COMPLETED') {
+      return res.status(400).json({ error: 'Only completed enrollments get a certificate' });
+    }
+
+    const certificate = await prisma.$transaction(tx => issueCertificate(tx, req, enrollment, enrollment.endDate || new Date()));
+
+    if (!certificate) {
+      return res.status(400).json({ error: 'This enrollment already has a certificate' });
+    }
+
+    await saveCertificateFile(certificate);
+
+    res.status(201).json(withVerificationUrl(certificate));
+  } catch (error) {
+    console.error('Error issuing certificate:', error);
+    res.status(500).json({ error: 'Failed to issue certificate' });
+  }
+});
+
+// Download a certificate; a missing file in the student's documents is
+// written again
+router.get('/:id/certificate.pdf', async (req, res) => {
+  try {
+    const certificate = await prisma.certificate.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    if (!certificateFileExists(certificate)) {
+      await saveCertificateFile(certificate);
+    }
+
+    sendPdf(res, renderCertificatePdf(certificate), `${certificate.serial}.pdf`);
+  } catch (error) {
+    console.error('Error generating certificate PDF:', error);
+    res.status(500).json({ error: 'Failed to generate certificate' });
+  }
+});
+
+module.exports = router;
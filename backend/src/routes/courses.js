@@ -1,6 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { syncFinancialStatus } = require('../lib/enrollmentStatus');
 
 const router = express.Router();
 
@@ -10,7 +13,9 @@ const validateCourse = [
   body('description').optional().trim().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
   body('duration').optional().trim().isLength({ max: 50 }).withMessage('Duration must be less than 50 characters'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('certificateTitle').optional({ values: 'null' }).trim().isLength({ max: 200 }).withMessage('Certificate title must be less than 200 characters'),
+  body('certificateBody').optional({ values: 'null' }).trim().isLength({ max: 2000 }).withMessage('Certificate text must be less than 2000 characters')
 ];
 
 // Get all courses
@@ -18,7 +23,7 @@ router.get('/', async (req, res) => {
   try {
     const { search, active, page = 1, limit = 20 } = req.query;
     
-    const where = {};
+    const where = { deletedAt: null };
     
     if (search) {
       where.OR = [
@@ -38,7 +43,7 @@ router.get('/', async (req, res) => {
         where,
         include: {
           _count: {
-            select: { enrollments: true }
+            select: { enrollments: { where: { deletedAt: null } } }
           }
         },
         orderBy: { createdAt: 'desc' },
@@ -68,13 +73,19 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const course = await prisma.course.findUnique({
-      where: { id },
+    const course = await prisma.course.findFirst({
+      where: { id, deletedAt: null },
       include: {
         enrollments: {
+          where: { deletedAt: null },
           include: {
             student: true
           }
+        },
+        instructors: {
+          where: { isActive: true },
+          select: { id: true, name: true, specialities: true },
+          orderBy: { name: 'asc' }
         }
       }
     });
@@ -91,32 +102,45 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new course
-router.post('/', validateCourse, async (req, res) => {
+router.post('/', authorize('ADMIN'), validateCourse, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
     
-    const { name, description, duration, price, isActive = true } = req.body;
+    const { name, description, duration, price, isActive = true, certificateTitle, certificateBody } = req.body;
     
     // Check if course name already exists
     const existingCourse = await prisma.course.findFirst({
-      where: { name: { equals: name, mode: 'insensitive' } }
+      where: { name: { equals: name, mode: 'insensitive' }, deletedAt: null }
     });
     
     if (existingCourse) {
       return res.status(400).json({ error: 'Course name already exists' });
     }
     
-    const course = await prisma.course.create({
-      data: {
-        name: name.trim(),
-        description: description?.trim(),
-        duration: duration?.trim(),
-        price: parseFloat(price),
-        isActive
-      }
+    const course = await prisma.$transaction(async (tx) => {
+      const createdCourse = await tx.course.create({
+        data: {
+          name: name.trim(),
+          description: description?.trim(),
+          duration: duration?.trim(),
+          price: parseFloat(price),
+          isActive,
+          certificateTitle: certificateTitle || null,
+          certificateBody: certificateBody || null
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'COURSE',
+        entityId: createdCourse.id,
+        action: 'CREATE',
+        after: createdCourse
+      });
+      
+      return createdCourse;
     });
     
     res.status(201).json(course);
@@ -127,7 +151,7 @@ router.post('/', validateCourse, async (req, res) => {
 });
 
 // Update course
-router.put('/:id', validateCourse, async (req, res) => {
+router.put('/:id', authorize('ADMIN'), validateCourse, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -135,12 +159,13 @@ router.put('/:id', validateCourse, async (req, res) => {
     }
     
     const { id } = req.params;
-    const { name, description, duration, price, isActive } = req.body;
+    const { name, description, duration, price, isActive, certificateTitle, certificateBody } = req.body;
     
     // Check if course name already exists for another course
     const existingCourse = await prisma.course.findFirst({
       where: {
         name: { equals: name, mode: 'insensitive' },
+        deletedAt: null,
         NOT: { id }
       }
     });
@@ -149,15 +174,48 @@ router.put('/:id', validateCourse, async (req, res) => {
       return res.status(400).json({ error: 'Course name already exists' });
     }
     
-    const course = await prisma.course.update({
-      where: { id },
-      data: {
-        name: name.trim(),
-        description: description?.trim(),
-        duration: duration?.trim(),
-        price: parseFloat(price),
-        isActive
+    const previousCourse = await prisma.course.findFirst({
+      where: { id, deletedAt: null }
+    });
+    
+    if (!previousCourse) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    
+    const course = await prisma.$transaction(async (tx) => {
+      const updatedCourse = await tx.course.update({
+        where: { id },
+        data: {
+          name: name.trim(),
+          description: description?.trim(),
+          duration: duration?.trim(),
+          price: parseFloat(price),
+          isActive,
+          certificateTitle: certificateTitle === undefined ? undefined : certificateTitle || null,
+          certificateBody: certificateBody === undefined ? undefined : certificateBody || null
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'COURSE',
+        entityId: id,
+        action: 'UPDATE',
+        before: previousCourse,
+        after: updatedCourse
+      });
+      
+      // A new list price changes what enrollments without an override owe
+      if (parseFloat(previousCourse.price) !== parseFloat(updatedCourse.price)) {
+        const enrollments = await tx.enrollment.findMany({
+          where: { courseId: id, priceOverride: null, deletedAt: null },
+          select: { id: true }
+        });
+        for (const enrollment of enrollments) {
+          await syncFinancialStatus(tx, req, enrollment.id);
+        }
       }
+      
+      return updatedCourse;
     });
     
     res.json(course);
@@ -170,14 +228,22 @@ router.put('/:id', validateCourse, async (req, res) => {
   }
 });
 
-// Delete course
-router.delete('/:id', async (req, res) => {
+// Delete course (soft delete)
+router.delete('/:id', authorize('ADMIN'), async (req, res) => {
   try {
     const { id } = req.params;
     
+    const course = await prisma.course.findFirst({
+      where: { id, deletedAt: null }
+    });
+    
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    
     // Check if course has enrollments
     const enrollments = await prisma.enrollment.findMany({
-      where: { courseId: id }
+      where: { courseId: id, deletedAt: null }
     });
     
     if (enrollments.length > 0) {
@@ -187,22 +253,29 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    await prisma.course.delete({
-      where: { id }
+    await prisma.$transaction(async (tx) => {
+      await tx.course.update({
+        where: { id },
+        data: { deletedAt: new Date() }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'COURSE',
+        entityId: id,
+        action: 'DELETE',
+        before: course
+      });
     });
     
-    res.json({ message: 'Course deleted successfully' });
+    res.json({ message: 'Course moved to the Recycle Bin' });
   } catch (error) {
     console.error('Error deleting course:', error);
-    if (error.code === 'P2025') {
-      return res.status(404).json({ error: 'Course not found' });
-    }
     res.status(500).json({ error: 'Failed to delete course' });
   }
 });
 
-// Toggle course active status
-router.patch('/:id/toggle-status', async (req, res) => {
+// Restore a deleted course
+router.post('/:id/restore', authorize('ADMIN'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -214,9 +287,73 @@ router.patch('/:id/toggle-status', async (req, res) => {
       return res.status(404).json({ error: 'Course not found' });
     }
     
-    const updatedCourse = await prisma.course.update({
-      where: { id },
-      data: { isActive: !course.isActive }
+    if (!course.deletedAt) {
+      return res.status(400).json({ error: 'Course is not deleted' });
+    }
+    
+    // A new course may have taken the name in the meantime
+    const existingCourse = await prisma.course.findFirst({
+      where: {
+        name: { equals: course.name, mode: 'insensitive' },
+        deletedAt: null
+      }
+    });
+    
+    if (existingCourse) {
+      return res.status(400).json({ error: 'Another course with this name already exists' });
+    }
+    
+    const restoredCourse = await prisma.$transaction(async (tx) => {
+      const updatedCourse = await tx.course.update({
+        where: { id },
+        data: { deletedAt: null }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'COURSE',
+        entityId: id,
+        action: 'RESTORE',
+        after: updatedCourse
+      });
+      
+      return updatedCourse;
+    });
+    
+    res.json(restoredCourse);
+  } catch (error) {
+    console.error('Error restoring course:', error);
+    res.status(500).json({ error: 'Failed to restore course' });
+  }
+});
+
+// Toggle course active status
+router.patch('/:id/toggle-status', authorize('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const course = await prisma.course.findFirst({
+      where: { id, deletedAt: null }
+    });
+    
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    
+    const updatedCourse = await prisma.$transaction(async (tx) => {
+      const toggledCourse = await tx.course.update({
+        where: { id },
+        data: { isActive: !course.isActive }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'COURSE',
+        entityId: id,
+        action: 'UPDATE',
+        before: course,
+        after: toggledCourse
+      });
+      
+      return toggledCourse;
     });
     
     res.json(updatedCourse);
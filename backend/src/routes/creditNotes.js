@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { syncInvoiceStatuses } = require('../lib/invoices');
+const { nextReceiptNumber } = require('../lib/receipts');
+const { pricingInclude, getNetFee } = require('../lib/pricing');
+const { livePaymentsInclude, sumNetPayments } = require('../lib/refunds');
+const { syncFinancialStatus } = require('../lib/enrollmentStatus');
+
+const router = express.Router();
+
+const creditNoteInclude = {
+  student: {
+    select: {
+      id: true,
+      name: true,
+      email: true
+    }
+  },
+  enrollment: {
+    include: {
+      course: {
+        select: {
+          id: true,
+          name: true
+        }
+      }
+    }
+  },
+  payment: {
+    select: {
+      id: true,
+      receiptNumber: true,
+      amount: true,
+      date: true
+    }
+  },
+  appliedPayment: {
+    include: {
+      enrollment: {
+        include: {
+          course: {
+            select: {
+              id: true,
+              name: true
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Get credit notes with filters
+router.get('/', async (req, res) => {
+  try {
+    const { studentId, status } = req.query;
+
+    const where = { payment: { deletedAt: null } };
+
+    if (studentId) where.studentId = studentId;
+    if (status) where.status = status;
+
+    const creditNotes = await prisma.creditNote.findMany({
+      where,
+      include: creditNoteInclude,
+      orderBy: { date: 'desc' }
+    });
+
+    res.json({ creditNotes });
+  } catch (error) {
+    console.error('Error fetching credit notes:', error);
+    res.status(500).json({ error: 'Failed to fetch credit notes' });
+  }
+});
+
+// Apply an open credit note to another enrollment of the same student
+router.post('/:id/apply', authorize('ADMIN', 'FINANCE'), [
+  body('enrollmentId').isString().notEmpty().withMessage('Enrollment ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { enrollmentId } = req.body;
+
+    const creditNote = await prisma.creditNote.findFirst({
+      where: { id, payment: { deletedAt: null } }
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+
+    if (creditNote.status !== 'OPEN') {
+      return res.status(400).json({ error: 'Credit note has already been applied' });
+    }
+
+    if (creditNote.enrollmentId === enrollmentId) {
+      return res.status(400).json({ error: 'Credit can only be applied to a different enrollment' });
+    }
+
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id: enrollmentId, deletedAt: null },
+      include: {
+        ...pricingInclude,
+        payments: livePaymentsInclude
+      }
+    });
+
+    if (!enrollment) {
+      return res.status(400).json({ error: 'Enrollment not found' });
+    }
+
+    if (enrollment.studentId !== creditNote.studentId) {
+      return res.status(400).json({ error: 'Credit can only be applied to an enrollment of the same student' });
+    }
+
+    const outstanding = getNetFee(enrollment) - sumNetPayments(enrollment.payments);
+    if (parseFloat(creditNote.amount) > outstanding) {
+      return res.status(400).json({
+        error: 'Credit note exceeds the outstanding balance of this enrollment',
+        outstanding: Math.max(0, outstanding)
+      });
+    }
+
+    const appliedCreditNote = await prisma.$transaction(async (tx) => {
+      const payment = await tx.payment.create({
+        data: {
+          receiptNumber: await nextReceiptNumber(tx),
+          studentId: enrollment.studentId,
+          enrollmentId,
+          amount: creditNote.amount,
+          method: 'CREDIT_NOTE',
+          date: new Date(),
+          notes: `Credit note ${creditNote.number}`
+        }
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'PAYMENT',
+        entityId: payment.id,
+        action: 'CREATE',
+        after: payment,
+        studentId: enrollment.studentId,
+        enrollmentId
+      });
+
+      const updatedCreditNote = await tx.creditNote.update({
+        where: { id },
+        data: {
+          status: 'APPLIED',
+          appliedPaymentId: payment.id,
+          appliedAt: new Date()
+        },
+        include: creditNoteInclude
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'CREDIT_NOTE',
+        entityId: id,
+        action: 'UPDATE',
+        before: creditNote,
+        after: updatedCreditNote,
+        studentId: creditNote.studentId,
+        enrollmentId: creditNote.enrollmentId
+      });
+
+      await syncInvoiceStatuses(tx, req, enrollmentId);
+      await syncFinancialStatus(tx, req, enrollmentId);
+
+      return updatedCreditNote;
+    });
+
+    res.json(appliedCreditNote);
+  } catch (error) {
+    console.error('Error applying credit note:', error);
+    res.status(500).json({ error: 'Failed to apply credit note' });
+  }
+});
+
+module.exports = router;
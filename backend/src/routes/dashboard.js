@@ -1,8 +1,25 @@
 const express = require('express');
 const prisma = require('../lib/prisma');
+const { pricingInclude, getNetFee } = require('../lib/pricing');
+const { livePaymentsInclude, sumNetPayments, getNetRevenue } = require('../lib/refunds');
+const { getRedemptionSummary } = require('../lib/promoCodes');
+const { agingInclude, agingForEnrollment } = require('../lib/aging');
+const { roundMoney } = require('../lib/money');
 
 const router = express.Router();
 
+// Enrollments taking a seat and following the course
+const ACTIVE_ENROLLMENTS = { academicStatus: { in: ['ENROLLED', 'IN_PROGRESS'] }, deletedAt: null };
+
+// Enrollments with a balance still to collect, whatever their academic status
+// (a completed student may still owe money); withdrawn and waitlisted
+// students are not chased
+const OWING_ENROLLMENTS = {
+  financialStatus: { in: ['UNPAID', 'PARTIAL'] },
+  academicStatus: { notIn: ['WITHDRAWN', 'WAITLISTED'] },
+  deletedAt: null
+};
+
 // Get dashboard overview
 router.get('/overview', async (req, res) => {
   try {
@@ -10,60 +27,68 @@ router.get('/overview', async (req, res) => {
       totalStudents,
       activeEnrollments,
       completedEnrollments,
+      paidEnrollments,
       totalCourses,
       activeCourses,
       totalPayments,
       totalRevenue,
-      activeEnrollmentsList
+      owingEnrollments
     ] = await Promise.all([
       // Total students
-      prisma.student.count(),
+      prisma.student.count({ where: { deletedAt: null } }),
       
       // Active enrollments
+      prisma.enrollment.count({ where: ACTIVE_ENROLLMENTS }),
+      
+      // Completed enrollments (academically, paid or not)
       prisma.enrollment.count({
-        where: { status: 'ACTIVE' }
+        where: { academicStatus: 'COMPLETED', deletedAt: null }
       }),
       
-      // Completed enrollments
+      // Paid-in-full enrollments
       prisma.enrollment.count({
-        where: { status: 'COMPLETED' }
+        where: { financialStatus: 'PAID', deletedAt: null }
       }),
       
       // Total courses
-      prisma.course.count(),
+      prisma.course.count({ where: { deletedAt: null } }),
       
       // Active courses
       prisma.course.count({
-        where: { isActive: true }
+        where: { isActive: true, deletedAt: null }
       }),
       
       // Total payments
-      prisma.payment.count(),
+      prisma.payment.count({ where: { deletedAt: null } }),
       
-      // Total revenue
-      prisma.payment.aggregate({
-        _sum: { amount: true }
-      }),
+      // Total revenue, net of refunds
+      getNetRevenue(prisma),
       
-      // Active enrollments list for outstanding calculation
+      // Enrollments with a balance, for the outstanding calculation
       prisma.enrollment.findMany({
-        where: { status: 'ACTIVE' },
+        where: OWING_ENROLLMENTS,
         include: {
-          course: true,
-          payments: true
+          ...pricingInclude,
+          ...agingInclude,
+          payments: livePaymentsInclude
         }
       })
     ]);
     
     // Calculate outstanding amount
-    const outstandingAmount = activeEnrollmentsList.reduce((total, enrollment) => {
-      const totalPaid = enrollment.payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
-      const coursePrice = parseFloat(enrollment.course.price);
-      return total + Math.max(0, coursePrice - totalPaid);
+    const outstandingAmount = owingEnrollments.reduce((total, enrollment) => {
+      return total + Math.max(0, getNetFee(enrollment) - sumNetPayments(enrollment.payments));
     }, 0);
     
+    // Part of it already past due (see GET /api/reports/aging)
+    const overdueAmount = roundMoney(owingEnrollments.reduce((total, enrollment) => {
+      const aging = agingForEnrollment(enrollment);
+      return aging ? total + aging.outstanding - aging.buckets.current : total;
+    }, 0));
+    
     // Get recent enrollments
     const recentEnrollments = await prisma.enrollment.findMany({
+      where: { deletedAt: null },
       take: 5,
       orderBy: { createdAt: 'desc' },
       include: {
@@ -84,6 +109,7 @@ router.get('/overview', async (req, res) => {
     
     // Get recent payments
     const recentPayments = await prisma.payment.findMany({
+      where: { deletedAt: null },
       take: 5,
       orderBy: { date: 'desc' },
       include: {
@@ -106,10 +132,10 @@ router.get('/overview', async (req, res) => {
     
     // Get course enrollment counts
     const courseEnrollments = await prisma.course.findMany({
-      where: { isActive: true },
+      where: { isActive: true, deletedAt: null },
       include: {
         _count: {
-          select: { enrollments: true }
+          select: { enrollments: { where: { deletedAt: null } } }
         }
       },
       orderBy: {
@@ -124,45 +150,66 @@ router.get('/overview', async (req, res) => {
     const sixMonthsAgo = new Date();
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
     
-    const monthlyRevenue = await prisma.payment.groupBy({
-      by: ['date'],
-      _sum: { amount: true },
-      where: {
-        date: { gte: sixMonthsAgo }
-      },
-      orderBy: { date: 'asc' }
-    });
+    const [monthlyRevenue, monthlyRefunds] = await Promise.all([
+      prisma.payment.groupBy({
+        by: ['date'],
+        _sum: { amount: true },
+        where: {
+          date: { gte: sixMonthsAgo },
+          deletedAt: null,
+          method: { not: 'CREDIT_NOTE' }
+        },
+        orderBy: { date: 'asc' }
+      }),
+      prisma.refund.groupBy({
+        by: ['date'],
+        _sum: { amount: true },
+        where: {
+          date: { gte: sixMonthsAgo },
+          payment: { deletedAt: null }
+        },
+        orderBy: { date: 'asc' }
+      })
+    ]);
     
-    // Group by month
+    // Group by month, refunds counting against the month they were paid out
     const monthlyRevenueMap = {};
-    monthlyRevenue.forEach(payment => {
-      const month = payment.date.toISOString().slice(0, 7); // YYYY-MM format
+    const addToMonth = (row, sign) => {
+      const month = row.date.toISOString().slice(0, 7); // YYYY-MM format
       if (!monthlyRevenueMap[month]) {
         monthlyRevenueMap[month] = 0;
       }
-      monthlyRevenueMap[month] += parseFloat(payment._sum.amount);
-    });
+      monthlyRevenueMap[month] += sign * parseFloat(row._sum.amount);
+    };
+    monthlyRevenue.forEach(payment => addToMonth(payment, 1));
+    monthlyRefunds.forEach(refund => addToMonth(refund, -1));
     
-    const monthlyRevenueData = Object.entries(monthlyRevenueMap).map(([month, amount]) => ({
+    const monthlyRevenueData = Object.entries(monthlyRevenueMap).sort().map(([month, amount]) => ({
       month,
       amount
     }));
     
+    // Most redeemed promo codes
+    const promoRedemptions = (await getRedemptionSummary(prisma)).slice(0, 5);
+    
     res.json({
       overview: {
         totalStudents,
         activeEnrollments,
         completedEnrollments,
+        paidEnrollments,
         totalCourses,
         activeCourses,
         totalPayments,
-        totalRevenue: totalRevenue._sum.amount || 0,
-        outstandingAmount
+        totalRevenue,
+        outstandingAmount,
+        overdueAmount
       },
       recentEnrollments,
       recentPayments,
       courseEnrollments,
-      monthlyRevenue: monthlyRevenueData
+      monthlyRevenue: monthlyRevenueData,
+      promoRedemptions
     });
   } catch (error) {
     console.error('Error fetching dashboard overview:', error);
@@ -190,24 +237,30 @@ router.get('/enrollments', async (req, res) => {
       totalEnrollments,
       activeEnrollments,
       completedEnrollments,
-      cancelledEnrollments,
-      newEnrollments
+      withdrawnEnrollments,
+      newEnrollments,
+      byFinancialStatus
     ] = await Promise.all([
-      prisma.enrollment.count(),
-      prisma.enrollment.count({ where: { status: 'ACTIVE' } }),
-      prisma.enrollment.count({ where: { status: 'COMPLETED' } }),
-      prisma.enrollment.count({ where: { status: 'CANCELLED' } }),
+      prisma.enrollment.count({ where: { deletedAt: null } }),
+      prisma.enrollment.count({ where: ACTIVE_ENROLLMENTS }),
+      prisma.enrollment.count({ where: { academicStatus: 'COMPLETED', deletedAt: null } }),
+      prisma.enrollment.count({ where: { academicStatus: 'WITHDRAWN', deletedAt: null } }),
       prisma.enrollment.count({
-        where: { createdAt: { gte: startDate } }
+        where: { createdAt: { gte: startDate }, deletedAt: null }
+      }),
+      prisma.enrollment.groupBy({
+        by: ['financialStatus'],
+        _count: { id: true },
+        where: { deletedAt: null }
       })
     ]);
     
     // Get enrollments by course
     const enrollmentsByCourse = await prisma.course.findMany({
-      where: { isActive: true },
+      where: { isActive: true, deletedAt: null },
       include: {
         _count: {
-          select: { enrollments: true }
+          select: { enrollments: { where: { deletedAt: null } } }
         }
       },
       orderBy: {
@@ -217,11 +270,11 @@ router.get('/enrollments', async (req, res) => {
       }
     });
     
-    // Get enrollments by status over time
+    // Get enrollments by academic status over time
     const enrollmentsOverTime = await prisma.enrollment.groupBy({
-      by: ['status', 'createdAt'],
+      by: ['academicStatus', 'createdAt'],
       _count: { id: true },
-      where: { createdAt: { gte: startDate } },
+      where: { createdAt: { gte: startDate }, deletedAt: null },
       orderBy: { createdAt: 'asc' }
     });
     
@@ -230,9 +283,12 @@ router.get('/enrollments', async (req, res) => {
         total: totalEnrollments,
         active: activeEnrollments,
         completed: completedEnrollments,
-        cancelled: cancelledEnrollments,
+        withdrawn: withdrawnEnrollments,
         new: newEnrollments
       },
+      byFinancialStatus: Object.fromEntries(
+        byFinancialStatus.map(group => [group.financialStatus, group._count.id])
+      ),
       byCourse: enrollmentsByCourse,
       overTime: enrollmentsOverTime
     });
@@ -261,61 +317,71 @@ router.get('/payments', async (req, res) => {
     const [
       totalRevenue,
       periodRevenue,
-      activeEnrollmentsForOutstanding,
+      owingEnrollments,
       paymentsByMethod
     ] = await Promise.all([
-      // Total revenue
-      prisma.payment.aggregate({
-        _sum: { amount: true }
-      }),
+      // Total revenue, net of refunds
+      getNetRevenue(prisma),
       
       // Revenue for the period
-      prisma.payment.aggregate({
-        _sum: { amount: true },
-        where: { date: { gte: startDate } }
-      }),
+      getNetRevenue(prisma, { from: startDate }),
       
-      // Active enrollments list for outstanding calculation
+      // Enrollments with a balance, for the outstanding calculation
       prisma.enrollment.findMany({
-        where: { status: 'ACTIVE' },
+        where: OWING_ENROLLMENTS,
         include: {
-          course: true,
-          payments: true
+          ...pricingInclude,
+          payments: livePaymentsInclude
         }
       }),
       
-      // Payments by method
+      // Payments by method (credit note applications are not new money)
       prisma.payment.groupBy({
         by: ['method'],
         _sum: { amount: true },
-        _count: { id: true }
+        _count: { id: true },
+        where: { deletedAt: null, method: { not: 'CREDIT_NOTE' } }
       })
     ]);
     
     // Calculate outstanding amount
-    const outstandingAmount = activeEnrollmentsForOutstanding.reduce((total, enrollment) => {
-      const totalPaid = enrollment.payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
-      const coursePrice = parseFloat(enrollment.course.price);
-      return total + Math.max(0, coursePrice - totalPaid);
+    const outstandingAmount = owingEnrollments.reduce((total, enrollment) => {
+      return total + Math.max(0, getNetFee(enrollment) - sumNetPayments(enrollment.payments));
     }, 0);
     
     // Get daily revenue for the period
-    const dailyRevenue = await prisma.payment.groupBy({
-      by: ['date'],
-      _sum: { amount: true },
-      where: { date: { gte: startDate } },
-      orderBy: { date: 'asc' }
-    });
+    const [dailyRevenue, dailyRefunds] = await Promise.all([
+      prisma.payment.groupBy({
+        by: ['date'],
+        _sum: { amount: true },
+        where: { date: { gte: startDate }, deletedAt: null, method: { not: 'CREDIT_NOTE' } },
+        orderBy: { date: 'asc' }
+      }),
+      prisma.refund.groupBy({
+        by: ['date'],
+        _sum: { amount: true },
+        where: { date: { gte: startDate }, payment: { deletedAt: null } },
+        orderBy: { date: 'asc' }
+      })
+    ]);
+    
+    const dailyRevenueMap = {};
+    const addToDay = (row, sign) => {
+      const date = row.date.toISOString().split('T')[0];
+      dailyRevenueMap[date] = (dailyRevenueMap[date] || 0) + sign * parseFloat(row._sum.amount);
+    };
+    dailyRevenue.forEach(day => addToDay(day, 1));
+    dailyRefunds.forEach(day => addToDay(day, -1));
     
-    const dailyRevenueData = dailyRevenue.map(day => ({
-      date: day.date.toISOString().split('T')[0],
-      amount: parseFloat(day._sum.amount)
+    const dailyRevenueData = Object.entries(dailyRevenueMap).sort().map(([date, amount]) => ({
+      date,
+      amount
     }));
     
     res.json({
       revenue: {
-        total: totalRevenue._sum.amount || 0,
-        period: periodRevenue._sum.amount || 0,
+        total: totalRevenue,
+        period: periodRevenue,
         outstanding: outstandingAmount
       },
       byMethod: paymentsByMethod.map(method => ({
@@ -341,23 +407,24 @@ router.get('/students', async (req, res) => {
       topStudents
     ] = await Promise.all([
       // Total students
-      prisma.student.count(),
+      prisma.student.count({ where: { deletedAt: null } }),
       
       // New students this month
       prisma.student.count({
         where: {
           createdAt: {
             gte: new Date(new Date().getFullYear(), new Date().getMonth(), 1)
-          }
+          },
+          deletedAt: null
         }
       }),
       
       // Students by course
       prisma.course.findMany({
-        where: { isActive: true },
+        where: { isActive: true, deletedAt: null },
         include: {
           _count: {
-            select: { enrollments: true }
+            select: { enrollments: { where: { deletedAt: null } } }
           }
         },
         orderBy: {
@@ -369,9 +436,10 @@ router.get('/students', async (req, res) => {
       
       // Top students by enrollment count
       prisma.student.findMany({
+        where: { deletedAt: null },
         include: {
           _count: {
-            select: { enrollments: true }
+            select: { enrollments: { where: { deletedAt: null } } }
           }
         },
         orderBy: {
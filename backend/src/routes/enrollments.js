@@ -1,6 +1,40 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { withBalances, syncInvoiceStatuses } = require('../lib/invoices');
+const { buildSchedule, withSchedule } = require('../lib/paymentPlans');
+const {
+  ADJUSTMENT_TYPES,
+  ADJUSTMENT_BASES,
+  pricingInclude,
+  calculatePricing,
+  getOutstanding,
+  validateAdjustment,
+  adjustmentsChanged,
+  saveAdjustments
+} = require('../lib/pricing');
+const { resolvePromoCodes, savePromoCodes, splitAdjustments } = require('../lib/promoCodes');
+const { livePaymentsInclude, sumNetPayments } = require('../lib/refunds');
+const { queueEnrollmentConfirmation } = require('../lib/notifications');
+const { kickOutbox } = require('../lib/outbox');
+const { resolveBatch, checkSeat, holdsSeat } = require('../lib/batches');
+const { placeOnWaitlist, renumberWaitlist, promoteWaitlist } = require('../lib/waitlist');
+const { summarize } = require('../lib/attendance');
+const { issueCertificate, saveCertificateFile } = require('../lib/certificates');
+const { TRANSFER_POLICIES, transferCredit, creditTransfer, getTransferTrail } = require('../lib/transfers');
+const {
+  ACADEMIC_STATUSES,
+  ONGOING_STATUSES,
+  INITIAL_STATUSES,
+  TRANSITIONS,
+  startingStatus,
+  nextStatuses,
+  checkTransition,
+  recordStatusChange,
+  syncFinancialStatus
+} = require('../lib/enrollmentStatus');
 
 const router = express.Router();
 
@@ -8,32 +42,122 @@ const router = express.Router();
 const validateEnrollment = [
   body('studentId').isString().notEmpty().withMessage('Student ID is required'),
   body('courseId').isString().notEmpty().withMessage('Course ID is required'),
+  body('batchId').optional({ values: 'falsy' }).isString().withMessage('Invalid batch ID'),
   body('batch').optional().trim().isLength({ max: 50 }).withMessage('Batch must be less than 50 characters'),
   body('startDate').isISO8601().withMessage('Start date must be a valid date'),
   body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
-  body('status').optional().isIn(['ACTIVE', 'COMPLETED', 'CANCELLED', 'SUSPENDED']).withMessage('Invalid status')
+  body('academicStatus').optional().isIn(ACADEMIC_STATUSES).withMessage('Invalid academic status'),
+  body('priceOverride').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Price override must be a positive number'),
+  body('adjustments').optional().isArray().withMessage('Adjustments must be a list'),
+  body('adjustments.*.type').optional().isIn(ADJUSTMENT_TYPES).withMessage('Invalid adjustment type'),
+  body('adjustments.*.basis').optional().isIn(ADJUSTMENT_BASES).withMessage('Invalid adjustment basis'),
+  body('adjustments.*.reason').optional().trim().isLength({ max: 200 }).withMessage('Adjustment reason must be less than 200 characters'),
+  body('promoCodes').optional().isArray().withMessage('Promo codes must be a list'),
+  body('promoCodes.*').isString().withMessage('Promo codes must be text')
 ];
 
+const PRICING_ROLES = ['ADMIN', 'FINANCE'];
+
+// Normalise a submitted priceOverride: undefined = keep, null/'' = clear
+const parsePriceOverride = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  return parseFloat(value);
+};
+
+/**
+ * Check submitted pricing (priceOverride/adjustments) against what is stored.
+ * Any change has to come from admin or finance staff, who are recorded as
+ * the approver. Promo codes are handled separately and need no approval, so
+ * `existing.adjustments` should hold the manual adjustments only.
+ * @returns { status, error } when the request must be refused, otherwise null
+ */
+const checkPricingChange = (req, existing, priceOverride, adjustments) => {
+  if (adjustments !== undefined) {
+    for (const adjustment of adjustments) {
+      const message = validateAdjustment(adjustment);
+      if (message) return { status: 400, error: message };
+    }
+  }
+
+  const currentOverride = existing.priceOverride !== null && existing.priceOverride !== undefined
+    ? parseFloat(existing.priceOverride)
+    : null;
+  const overrideChanged = priceOverride !== undefined && priceOverride !== currentOverride;
+  const listChanged = adjustments !== undefined && adjustmentsChanged(existing.adjustments || [], adjustments);
+
+  if ((overrideChanged || listChanged) && !PRICING_ROLES.includes(req.user.role)) {
+    return { status: 403, error: 'Only admin or finance staff can approve pricing changes' };
+  }
+
+  return null;
+};
+
+// Attach the net fee breakdown and balance to an enrollment
+const withPricing = (enrollment) => {
+  const pricing = calculatePricing(enrollment);
+  const totalPaid = sumNetPayments(enrollment.payments);
+  const outstanding = getOutstanding(enrollment, pricing.netFee, totalPaid);
+  
+  return {
+    ...enrollment,
+    pricing,
+    paymentStatus: {
+      totalPaid,
+      outstanding,
+      isFullyPaid: outstanding <= 0
+    }
+  };
+};
+
+const validatePaymentPlan = [
+  body('type').isIn(['DEPOSIT_MONTHLY', 'CUSTOM']).withMessage('Invalid plan type'),
+  body('deposit').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Deposit must be a positive number'),
+  body('installmentCount')
+    .if(body('type').equals('DEPOSIT_MONTHLY'))
+    .isInt({ min: 1, max: 60 }).withMessage('Number of installments must be between 1 and 60'),
+  body('startDate')
+    .if(body('type').equals('DEPOSIT_MONTHLY'))
+    .isISO8601().withMessage('Start date must be a valid date'),
+  body('installments')
+    .if(body('type').equals('CUSTOM'))
+    .isArray({ min: 1 }).withMessage('At least one installment is required'),
+  body('installments.*.dueDate').isISO8601().withMessage('Installment due date must be a valid date'),
+  body('installments.*.amount').isFloat({ min: 0.01 }).withMessage('Installment amount must be a positive number'),
+  body('installments.*.label').optional().trim().isLength({ max: 50 }).withMessage('Installment label must be less than 50 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters')
+];
+
+const planInclude = {
+  installments: {
+    orderBy: { sequence: 'asc' }
+  }
+};
+
 // Get all enrollments with filters
 router.get('/', async (req, res) => {
   try {
     const { 
       studentId, 
       courseId, 
-      status, 
+      academicStatus, 
+      financialStatus, 
       batch, 
+      batchId,
       startDate, 
       endDate,
       page = 1, 
       limit = 20 
     } = req.query;
     
-    const where = {};
+    const where = { deletedAt: null };
     
     if (studentId) where.studentId = studentId;
     if (courseId) where.courseId = courseId;
-    if (status) where.status = status;
+    if (academicStatus) where.academicStatus = academicStatus;
+    if (financialStatus) where.financialStatus = financialStatus;
     if (batch) where.batch = { contains: batch, mode: 'insensitive' };
+    if (batchId) where.batchId = batchId;
     if (startDate) where.startDate = { gte: new Date(startDate) };
     if (endDate) where.endDate = { lte: new Date(endDate) };
     
@@ -60,8 +184,10 @@ router.get('/', async (req, res) => {
             }
           },
           payments: {
+            ...livePaymentsInclude,
             orderBy: { date: 'desc' }
-          }
+          },
+          adjustments: pricingInclude.adjustments
         },
         orderBy: { createdAt: 'desc' },
         skip,
@@ -70,21 +196,8 @@ router.get('/', async (req, res) => {
       prisma.enrollment.count({ where })
     ]);
     
-    // Calculate payment status for each enrollment
-    const enrollmentsWithPaymentStatus = enrollments.map(enrollment => {
-      const totalPaid = enrollment.payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
-      const coursePrice = parseFloat(enrollment.course.price);
-      const outstanding = Math.max(0, coursePrice - totalPaid);
-      
-      return {
-        ...enrollment,
-        paymentStatus: {
-          totalPaid,
-          outstanding,
-          isFullyPaid: outstanding <= 0
-        }
-      };
-    });
+    // Calculate net fee and payment status for each enrollment
+    const enrollmentsWithPaymentStatus = enrollments.map(withPricing);
     
     res.json({
       enrollments: enrollmentsWithPaymentStatus,
@@ -106,13 +219,30 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const enrollment = await prisma.enrollment.findUnique({
-      where: { id },
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id, deletedAt: null },
       include: {
         student: true,
         course: true,
+        cohort: true,
         payments: {
+          ...livePaymentsInclude,
           orderBy: { date: 'desc' }
+        },
+        invoices: {
+          include: {
+            lineItems: {
+              orderBy: { position: 'asc' }
+            }
+          },
+          orderBy: { createdAt: 'desc' }
+        },
+        paymentPlan: {
+          include: planInclude
+        },
+        adjustments: pricingInclude.adjustments,
+        statusHistory: {
+          orderBy: { createdAt: 'desc' }
         }
       }
     });
@@ -121,18 +251,16 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Enrollment not found' });
     }
     
-    // Calculate payment status
-    const totalPaid = enrollment.payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
-    const coursePrice = parseFloat(enrollment.course.price);
-    const outstanding = Math.max(0, coursePrice - totalPaid);
+    // Calculate net fee and payment status
+    const withStatus = withPricing(enrollment);
+    const { totalPaid } = withStatus.paymentStatus;
     
     const enrollmentWithPaymentStatus = {
-      ...enrollment,
-      paymentStatus: {
-        totalPaid,
-        outstanding,
-        isFullyPaid: outstanding <= 0
-      }
+      ...withStatus,
+      invoices: withBalances(enrollment.invoices, totalPaid),
+      paymentPlan: withSchedule(enrollment.paymentPlan, totalPaid),
+      nextStatuses: nextStatuses(enrollment.academicStatus),
+      transfers: await getTransferTrail(prisma, id)
     };
     
     res.json(enrollmentWithPaymentStatus);
@@ -142,19 +270,53 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get an enrollment's attendance, newest session first, with its rate
+router.get('/:id/attendance', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const enrollment = await prisma.enrollment.findFirst({ where: { id, deletedAt: null } });
+    
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+    
+    const records = await prisma.attendance.findMany({
+      where: { enrollmentId: id },
+      include: {
+        session: { select: { id: true, startsAt: true, endsAt: true, topic: true } }
+      },
+      orderBy: { session: { startsAt: 'desc' } }
+    });
+    
+    const counts = records.reduce((sum, record) => ({ ...sum, [record.status]: (sum[record.status] || 0) + 1 }), {});
+    
+    res.json({ summary: summarize(counts), records });
+  } catch (error) {
+    console.error('Error fetching attendance:', error);
+    res.status(500).json({ error: 'Failed to fetch attendance' });
+  }
+});
+
 // Create new enrollment
-router.post('/', validateEnrollment, async (req, res) => {
+router.post('/', authorize('ADMIN', 'COUNSELLOR'), validateEnrollment, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
     
-    const { studentId, courseId, batch, startDate, endDate, status = 'ACTIVE' } = req.body;
+    const { studentId, courseId, batchId, batch, startDate, endDate, adjustments, promoCodes = [] } = req.body;
+    const academicStatus = req.body.academicStatus || startingStatus(startDate);
+    const priceOverride = parsePriceOverride(req.body.priceOverride);
+    
+    if (!INITIAL_STATUSES.includes(academicStatus)) {
+      return res.status(400).json({ error: `A new enrollment must start as ${INITIAL_STATUSES.join(', ')}` });
+    }
     
     // Check if student exists
-    const student = await prisma.student.findUnique({
-      where: { id: studentId }
+    const student = await prisma.student.findFirst({
+      where: { id: studentId, deletedAt: null }
     });
     
     if (!student) {
@@ -162,8 +324,8 @@ router.post('/', validateEnrollment, async (req, res) => {
     }
     
     // Check if course exists and is active
-    const course = await prisma.course.findUnique({
-      where: { id: courseId }
+    const course = await prisma.course.findFirst({
+      where: { id: courseId, deletedAt: null }
     });
     
     if (!course) {
@@ -174,35 +336,120 @@ router.post('/', validateEnrollment, async (req, res) => {
       return res.status(400).json({ error: 'Course is not active' });
     }
     
-    // Check if student is already enrolled in this course with ACTIVE status
+    // Check if student is already enrolled in (or waiting for) this course
     const existingEnrollment = await prisma.enrollment.findFirst({
       where: {
         studentId,
         courseId,
-        status: 'ACTIVE'
+        academicStatus: { in: [...ONGOING_STATUSES, 'WAITLISTED'] },
+        deletedAt: null
       }
     });
     
     if (existingEnrollment) {
-      return res.status(400).json({ error: 'Student is already enrolled in this course' });
+      return res.status(400).json({
+        error: existingEnrollment.academicStatus === 'WAITLISTED'
+          ? 'Student is already on the waitlist for this course'
+          : 'Student is already enrolled in this course'
+      });
+    }
+    
+    const pricingError = checkPricingChange(req, {}, priceOverride ?? undefined, adjustments);
+    if (pricingError) {
+      return res.status(pricingError.status).json({ error: pricingError.error });
     }
     
-    const enrollment = await prisma.enrollment.create({
-      data: {
+    const promo = await resolvePromoCodes(prisma, promoCodes, {
+      courseId,
+      studentId,
+      manualAdjustmentCount: adjustments?.length || 0
+    });
+    if (promo.error) {
+      return res.status(400).json({ error: promo.error });
+    }
+    
+    const result = await prisma.$transaction(async (tx) => {
+      const { batch: cohort, error: batchError } = await resolveBatch(tx, { courseId, batchId, batchCode: batch });
+      if (batchError) {
+        return { status: 400, error: batchError };
+      }
+      
+      // Capacity is checked with the batch locked until this transaction ends
+      let waitlistPosition = null;
+      if (academicStatus === 'WAITLISTED') {
+        const placed = await placeOnWaitlist(tx, cohort);
+        if (placed.error) {
+          return { status: 400, error: placed.error };
+        }
+        waitlistPosition = placed.position;
+      } else if (cohort && holdsSeat(academicStatus)) {
+        const seatError = await checkSeat(tx, cohort);
+        if (seatError) {
+          return { status: 409, error: seatError };
+        }
+      }
+      
+      const createdEnrollment = await tx.enrollment.create({
+        data: {
+          studentId,
+          courseId,
+          batchId: cohort?.id || null,
+          batch: cohort?.code || null,
+          startDate: new Date(startDate),
+          endDate: endDate ? new Date(endDate) : null,
+          academicStatus,
+          waitlistPosition,
+          priceOverride: priceOverride ?? null
+        },
+        include: {
+          student: true,
+          course: true
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'ENROLLMENT',
+        entityId: createdEnrollment.id,
+        action: 'CREATE',
+        after: createdEnrollment,
         studentId,
-        courseId,
-        batch: batch?.trim(),
-        startDate: new Date(startDate),
-        endDate: endDate ? new Date(endDate) : null,
-        status
-      },
-      include: {
-        student: true,
-        course: true
+        enrollmentId: createdEnrollment.id
+      });
+      
+      await recordStatusChange(tx, req, createdEnrollment.id, null, academicStatus);
+      
+      if (adjustments?.length) {
+        await saveAdjustments(tx, req, createdEnrollment, [], adjustments);
+      }
+      
+      if (promo.promoCodes.length) {
+        await savePromoCodes(tx, req, createdEnrollment, [], promo.promoCodes);
       }
+      
+      await syncFinancialStatus(tx, req, createdEnrollment.id);
+      
+      // A waitlisted student is told once they get a seat
+      if (academicStatus !== 'WAITLISTED') {
+        await queueEnrollmentConfirmation(tx, createdEnrollment.id);
+      }
+      
+      const enrollment = await tx.enrollment.findUnique({
+        where: { id: createdEnrollment.id },
+        include: {
+          student: true,
+          ...pricingInclude
+        }
+      });
+      
+      return { enrollment };
     });
     
-    res.status(201).json(enrollment);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    kickOutbox();
+    res.status(201).json(result.enrollment);
   } catch (error) {
     console.error('Error creating enrollment:', error);
     res.status(500).json({ error: 'Failed to create enrollment' });
@@ -210,7 +457,7 @@ router.post('/', validateEnrollment, async (req, res) => {
 });
 
 // Update enrollment
-router.put('/:id', validateEnrollment, async (req, res) => {
+router.put('/:id', authorize('ADMIN', 'COUNSELLOR', 'FINANCE'), validateEnrollment, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -218,21 +465,65 @@ router.put('/:id', validateEnrollment, async (req, res) => {
     }
     
     const { id } = req.params;
-    const { studentId, courseId, batch, startDate, endDate, status } = req.body;
+    const { studentId, courseId, batchId, batch, startDate, endDate, academicStatus, adjustments, promoCodes } = req.body;
+    const priceOverride = parsePriceOverride(req.body.priceOverride);
     
     // Check if enrollment exists
-    const existingEnrollment = await prisma.enrollment.findUnique({
-      where: { id }
+    const existingEnrollment = await prisma.enrollment.findFirst({
+      where: { id, deletedAt: null },
+      include: {
+        adjustments: {
+          ...pricingInclude.adjustments,
+          include: { promoCode: true }
+        }
+      }
     });
     
     if (!existingEnrollment) {
       return res.status(404).json({ error: 'Enrollment not found' });
     }
     
+    // Status changes go through PATCH /:id/status and its transition rules
+    if (academicStatus && academicStatus !== existingEnrollment.academicStatus) {
+      return res.status(400).json({ error: 'Change the academic status with PATCH /api/enrollments/:id/status' });
+    }
+    
+    const { adjustments: allAdjustments, ...enrollmentBefore } = existingEnrollment;
+    const { manual: existingAdjustments, promo: existingPromoAdjustments } = splitAdjustments(allAdjustments);
+    
+    const pricingError = checkPricingChange(
+      req,
+      { ...existingEnrollment, adjustments: existingAdjustments },
+      priceOverride,
+      adjustments
+    );
+    if (pricingError) {
+      return res.status(pricingError.status).json({ error: pricingError.error });
+    }
+    
+    // Re-check stacking whenever either list changes; codes the enrollment
+    // already redeemed keep their redemption
+    let promo = null;
+    if (promoCodes !== undefined || adjustments !== undefined) {
+      const codes = promoCodes ?? existingPromoAdjustments
+        .filter(adjustment => adjustment.promoCode)
+        .map(adjustment => adjustment.promoCode.code);
+      
+      promo = await resolvePromoCodes(prisma, codes, {
+        courseId: courseId || existingEnrollment.courseId,
+        studentId: studentId || existingEnrollment.studentId,
+        existing: existingPromoAdjustments,
+        manualAdjustmentCount: (adjustments ?? existingAdjustments).length
+      });
+      if (promo.error) {
+        return res.status(400).json({ error: promo.error });
+      }
+    }
+    
     // Check if student exists
     if (studentId) {
-      const student = await prisma.student.findUnique({
-        where: { id: studentId }
+      const student = await prisma.student.findFirst({
+        where: { id: studentId, deletedAt: null }
       });
       
       if (!student) {
@@ -242,8 +533,8 @@ router.put('/:id', validateEnrollment, async (req, res) => {
     
     // Check if course exists and is active
     if (courseId) {
-      const course = await prisma.course.findUnique({
-        where: { id: courseId }
+      const course = await prisma.course.findFirst({
+        where: { id: courseId, deletedAt: null }
       });
       
       if (!course) {
@@ -255,23 +546,107 @@ router.put('/:id', validateEnrollment, async (req, res) => {
       }
     }
     
-    const enrollment = await prisma.enrollment.update({
-      where: { id },
-      data: {
-        studentId: studentId || existingEnrollment.studentId,
-        courseId: courseId || existingEnrollment.courseId,
-        batch: batch?.trim() || existingEnrollment.batch,
-        startDate: startDate ? new Date(startDate) : existingEnrollment.startDate,
-        endDate: endDate ? new Date(endDate) : existingEnrollment.endDate,
-        status: status || existingEnrollment.status
-      },
-      include: {
-        student: true,
-        course: true
+    const nextCourseId = courseId || existingEnrollment.courseId;
+    const status = existingEnrollment.academicStatus;
+    const batchRequested = batchId !== undefined || batch !== undefined;
+    
+    const result = await prisma.$transaction(async (tx) => {
+      // Re-resolve the batch when it is changed, or when the course changes
+      // (the current batch must then belong to the new course)
+      let cohort = existingEnrollment.batchId
+        ? await tx.batch.findUnique({ where: { id: existingEnrollment.batchId } })
+        : null;
+      if (batchRequested || nextCourseId !== existingEnrollment.courseId) {
+        const resolved = await resolveBatch(tx, {
+          courseId: nextCourseId,
+          batchId: batchRequested ? batchId : existingEnrollment.batchId,
+          batchCode: batchRequested ? batch : undefined
+        });
+        if (resolved.error) {
+          return { status: 400, error: resolved.error };
+        }
+        cohort = resolved.batch;
       }
+      
+      // Moving to another batch takes a seat there, or a place in its waitlist
+      const movesBatch = cohort?.id !== existingEnrollment.batchId;
+      if (cohort && movesBatch && holdsSeat(status)) {
+        const seatError = await checkSeat(tx, cohort, { excludeEnrollmentId: id });
+        if (seatError) {
+          return { status: 409, error: seatError };
+        }
+      }
+      
+      // Joining a waitlist goes to the back of the queue
+      let waitlistPosition = existingEnrollment.waitlistPosition;
+      if (status === 'WAITLISTED' && movesBatch) {
+        const placed = await placeOnWaitlist(tx, cohort, { excludeEnrollmentId: id });
+        if (placed.error) {
+          return { status: 400, error: placed.error };
+        }
+        waitlistPosition = placed.position;
+      }
+      
+      const updatedEnrollment = await tx.enrollment.update({
+        where: { id },
+        data: {
+          studentId: studentId || existingEnrollment.studentId,
+          courseId: nextCourseId,
+          batchId: cohort?.id || null,
+          batch: cohort?.code || null,
+          startDate: startDate ? new Date(startDate) : existingEnrollment.startDate,
+          endDate: endDate ? new Date(endDate) : existingEnrollment.endDate,
+          waitlistPosition,
+          priceOverride: priceOverride === undefined ? existingEnrollment.priceOverride : priceOverride
+        },
+        include: {
+          student: true,
+          course: true
+        }
+      });
+      
+      // A seat or waitlist place given up in the old batch goes to the next in line
+      if (existingEnrollment.batchId && movesBatch && status !== 'WITHDRAWN') {
+        await promoteWaitlist(tx, req, existingEnrollment.batchId);
+      }
+      
+      await recordAudit(tx, req, {
+        entity: 'ENROLLMENT',
+        entityId: id,
+        action: 'UPDATE',
+        before: enrollmentBefore,
+        after: updatedEnrollment,
+        studentId: updatedEnrollment.studentId,
+        enrollmentId: id
+      });
+      
+      if (adjustments !== undefined) {
+        await saveAdjustments(tx, req, updatedEnrollment, existingAdjustments, adjustments);
+      }
+      
+      if (promoCodes !== undefined) {
+        await savePromoCodes(tx, req, updatedEnrollment, existingPromoAdjustments, promo.promoCodes);
+      }
+      
+      await syncFinancialStatus(tx, req, id);
+      
+      const enrollment = await tx.enrollment.findUnique({
+        where: { id },
+        include: {
+          student: true,
+          ...pricingInclude
+        }
+      });
+      
+      return { enrollment };
     });
     
-    res.json(enrollment);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    kickOutbox();
+    res.json(result.enrollment);
   } catch (error) {
     console.error('Error updating enrollment:', error);
     if (error.code === 'P2025') {
@@ -281,26 +656,103 @@ router.put('/:id', validateEnrollment, async (req, res) => {
   }
 });
 
-// Update enrollment status
-router.patch('/:id/status', async (req, res) => {
+// Move an enrollment to another academic status along the allowed
+// transitions (the financial status follows payments)
+router.patch('/:id/status', authorize('ADMIN', 'COUNSELLOR'), [
+  body('academicStatus').isIn(ACADEMIC_STATUSES).withMessage('Invalid academic status'),
+  body('reason').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
     const { id } = req.params;
-    const { status } = req.body;
+    const { academicStatus: status, reason } = req.body;
     
-    if (!['ACTIVE', 'COMPLETED', 'CANCELLED', 'SUSPENDED'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    const existingEnrollment = await prisma.enrollment.findFirst({
+      where: { id, deletedAt: null }
+    });
+    
+    if (!existingEnrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
     }
     
-    const enrollment = await prisma.enrollment.update({
-      where: { id },
-      data: { status },
-      include: {
-        student: true,
-        course: true
+    const transitionError = checkTransition(existingEnrollment.academicStatus, status, reason);
+    if (transitionError) {
+      return res.status(400).json({ error: transitionError });
+    }
+    
+    const result = await prisma.$transaction(async (tx) => {
+      const cohort = existingEnrollment.batchId
+        ? await tx.batch.findUnique({ where: { id: existingEnrollment.batchId } })
+        : null;
+      
+      // Leaving the waitlist needs a free seat in the batch
+      if (cohort && holdsSeat(status) && !holdsSeat(existingEnrollment.academicStatus)) {
+        const seatError = await checkSeat(tx, cohort, { excludeEnrollmentId: id });
+        if (seatError) {
+          return { status: 409, error: seatError };
+        }
+      }
+      
+      let waitlistPosition = status === 'WAITLISTED' ? existingEnrollment.waitlistPosition : null;
+      if (status === 'WAITLISTED' && existingEnrollment.academicStatus !== 'WAITLISTED') {
+        const placed = await placeOnWaitlist(tx, cohort, { excludeEnrollmentId: id });
+        if (placed.error) {
+          return { status: 400, error: placed.error };
+        }
+        waitlistPosition = placed.position;
+      }
+      
+      const updatedEnrollment = await tx.enrollment.update({
+        where: { id },
+        data: { academicStatus: status, waitlistPosition },
+        include: {
+          student: true,
+          course: true
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'ENROLLMENT',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingEnrollment,
+        after: updatedEnrollment,
+        studentId: updatedEnrollment.studentId,
+        enrollmentId: id
+      });
+      
+      await recordStatusChange(tx, req, id, existingEnrollment.academicStatus, status, reason);
+      
+      // A freed seat (or waitlist place) goes to the next student in line
+      const leavesQueue = existingEnrollment.academicStatus === 'WAITLISTED' && status !== 'WAITLISTED';
+      const releasesSeat = holdsSeat(existingEnrollment.academicStatus) && !holdsSeat(status);
+      if (cohort && (leavesQueue || releasesSeat)) {
+        await promoteWaitlist(tx, req, cohort.id);
       }
+      
+      // Completing an enrollment issues its certificate
+      const certificate = status === 'COMPLETED' && existingEnrollment.academicStatus !== 'COMPLETED'
+        ? await issueCertificate(tx, req, updatedEnrollment)
+        : null;
+      
+      return { enrollment: updatedEnrollment, certificate };
     });
     
-    res.json(enrollment);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    if (result.certificate) {
+      await saveCertificateFile(result.certificate)
+        .catch(error => console.error('Error saving certificate file:', error));
+    }
+    
+    kickOutbox();
+    res.json(result.enrollment);
   } catch (error) {
     console.error('Error updating enrollment status:', error);
     if (error.code === 'P2025') {
@@ -310,14 +762,233 @@ router.patch('/:id/status', async (req, res) => {
   }
 });
 
-// Delete enrollment
-router.delete('/:id', async (req, res) => {
+const validateTransfer = [
+  body('courseId').isString().notEmpty().withMessage('Course ID is required'),
+  body('batchId').optional({ values: 'falsy' }).isString().withMessage('Invalid batch ID'),
+  body('startDate').isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional({ values: 'falsy' }).isISO8601().withMessage('End date must be a valid date'),
+  body('priceOverride').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Price override must be a positive number'),
+  body('policy').isIn(TRANSFER_POLICIES).withMessage('Invalid transfer policy'),
+  body('creditAmount')
+    .if(body('policy').equals('PARTIAL_CREDIT'))
+    .isFloat({ min: 0 }).withMessage('Credit amount must be a positive number'),
+  body('adminFee')
+    .if(body('policy').equals('ADMIN_FEE'))
+    .isFloat({ min: 0 }).withMessage('Admin fee must be a positive number'),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason is required (up to 500 characters)')
+];
+
+const courseAndBatch = (enrollment) =>
+  enrollment.batch ? `${enrollment.course.name} (${enrollment.batch})` : enrollment.course.name;
+
+// Transfer a student to another course or batch: creates the new enrollment,
+// withdraws this one and credits its payments by the chosen policy
+router.post('/:id/transfer', authorize('ADMIN', 'FINANCE'), validateTransfer, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
     const { id } = req.params;
+    const { courseId, batchId, startDate, endDate, policy, creditAmount, adminFee, reason } = req.body;
+    const priceOverride = parsePriceOverride(req.body.priceOverride);
+    
+    const existingEnrollment = await prisma.enrollment.findFirst({
+      where: { id, deletedAt: null },
+      include: {
+        course: true,
+        payments: livePaymentsInclude
+      }
+    });
+    
+    if (!existingEnrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+    
+    // The old enrollment is withdrawn, so it has to be able to be
+    if (!TRANSITIONS[existingEnrollment.academicStatus].includes('WITHDRAWN')) {
+      return res.status(400).json({
+        error: `A ${existingEnrollment.academicStatus.toLowerCase()} enrollment cannot be transferred`
+      });
+    }
+    
+    const course = await prisma.course.findFirst({
+      where: { id: courseId, deletedAt: null }
+    });
+    
+    if (!course) {
+      return res.status(400).json({ error: 'Course not found' });
+    }
+    
+    if (!course.isActive) {
+      return res.status(400).json({ error: 'Course is not active' });
+    }
+    
+    if (courseId === existingEnrollment.courseId && (batchId || null) === existingEnrollment.batchId) {
+      return res.status(400).json({ error: 'Pick another course or batch to transfer to' });
+    }
+    
+    const duplicate = await prisma.enrollment.findFirst({
+      where: {
+        id: { not: id },
+        studentId: existingEnrollment.studentId,
+        courseId,
+        academicStatus: { in: [...ONGOING_STATUSES, 'WAITLISTED'] },
+        deletedAt: null
+      }
+    });
+    
+    if (duplicate) {
+      return res.status(400).json({ error: 'Student is already enrolled in this course' });
+    }
+    
+    const paid = sumNetPayments(existingEnrollment.payments);
+    const credit = transferCredit(policy, paid, { creditAmount, adminFee });
+    if (credit.error) {
+      return res.status(400).json({ error: credit.error });
+    }
+    
+    const academicStatus = startingStatus(startDate);
+    
+    const result = await prisma.$transaction(async (tx) => {
+      const { batch: cohort, error: batchError } = await resolveBatch(tx, { courseId, batchId });
+      if (batchError) {
+        return { status: 400, error: batchError };
+      }
+      
+      if (cohort) {
+        const seatError = await checkSeat(tx, cohort);
+        if (seatError) {
+          return { status: 409, error: seatError };
+        }
+      }
+      
+      const createdEnrollment = await tx.enrollment.create({
+        data: {
+          studentId: existingEnrollment.studentId,
+          courseId,
+          batchId: cohort?.id || null,
+          batch: cohort?.code || null,
+          startDate: new Date(startDate),
+          endDate: endDate ? new Date(endDate) : null,
+          academicStatus,
+          priceOverride: priceOverride ?? null
+        },
+        include: {
+          course: true
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'ENROLLMENT',
+        entityId: createdEnrollment.id,
+        action: 'CREATE',
+        after: createdEnrollment,
+        studentId: createdEnrollment.studentId,
+        enrollmentId: createdEnrollment.id
+      });
+      
+      await recordStatusChange(tx, req, createdEnrollment.id, null, academicStatus,
+        `Transferred from ${courseAndBatch(existingEnrollment)}`);
+      
+      const withdrawnEnrollment = await tx.enrollment.update({
+        where: { id },
+        data: { academicStatus: 'WITHDRAWN', waitlistPosition: null }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'ENROLLMENT',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingEnrollment,
+        after: withdrawnEnrollment,
+        studentId: withdrawnEnrollment.studentId,
+        enrollmentId: id
+      });
+      
+      await recordStatusChange(tx, req, id, existingEnrollment.academicStatus, 'WITHDRAWN', reason);
+      
+      // The seat (or waitlist place) given up goes to the next in line
+      if (existingEnrollment.batchId) {
+        await promoteWaitlist(tx, req, existingEnrollment.batchId);
+      }
+      
+      const { applied } = credit.credit > 0
+        ? await creditTransfer(tx, req, id, createdEnrollment.id, credit.credit,
+          `Transfer to ${courseAndBatch(createdEnrollment)}`)
+        : { applied: 0 };
+      
+      const transfer = await tx.enrollmentTransfer.create({
+        data: {
+          fromEnrollmentId: id,
+          toEnrollmentId: createdEnrollment.id,
+          policy,
+          paidAmount: paid,
+          creditedAmount: credit.credit,
+          appliedAmount: applied,
+          adminFee: credit.adminFee,
+          reason,
+          actorId: req.user.id,
+          actorName: req.user.name
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'TRANSFER',
+        entityId: transfer.id,
+        action: 'CREATE',
+        after: transfer,
+        studentId: existingEnrollment.studentId,
+        enrollmentId: id
+      });
+      
+      for (const enrollmentId of [id, createdEnrollment.id]) {
+        await syncInvoiceStatuses(tx, req, enrollmentId);
+        await syncFinancialStatus(tx, req, enrollmentId);
+      }
+      
+      await queueEnrollmentConfirmation(tx, createdEnrollment.id);
+      
+      const enrollment = await tx.enrollment.findUnique({
+        where: { id: createdEnrollment.id },
+        include: {
+          student: true,
+          ...pricingInclude
+        }
+      });
+      
+      return { transfer, enrollment };
+    });
+    
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    kickOutbox();
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error transferring enrollment:', error);
+    res.status(500).json({ error: 'Failed to transfer enrollment' });
+  }
+});
+
+// Delete enrollment (soft delete)
+router.delete('/:id', authorize('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id, deletedAt: null }
+    });
+    
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
     
     // Check if enrollment has payments
     const payments = await prisma.payment.findMany({
-      where: { enrollmentId: id }
+      where: { enrollmentId: id, deletedAt: null }
     });
     
     if (payments.length > 0) {
@@ -327,17 +998,276 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    await prisma.enrollment.delete({
-      where: { id }
+    const invoices = await prisma.invoice.findMany({
+      where: { enrollmentId: id, status: { in: ['ISSUED', 'PAID'] } }
     });
     
-    res.json({ message: 'Enrollment deleted successfully' });
+    if (invoices.length > 0) {
+      return res.status(400).json({ 
+        error: 'Cannot delete enrollment with issued invoices. Void them first.',
+        invoicesCount: invoices.length
+      });
+    }
+    
+    await prisma.$transaction(async (tx) => {
+      await tx.enrollment.update({
+        where: { id },
+        data: { deletedAt: new Date() }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'ENROLLMENT',
+        entityId: id,
+        action: 'DELETE',
+        before: enrollment,
+        studentId: enrollment.studentId,
+        enrollmentId: id
+      });
+      
+      if (enrollment.batchId && holdsSeat(enrollment.academicStatus)) {
+        await promoteWaitlist(tx, req, enrollment.batchId);
+      }
+    });
+    
+    kickOutbox();
+    res.json({ message: 'Enrollment moved to the Recycle Bin' });
   } catch (error) {
     console.error('Error deleting enrollment:', error);
-    if (error.code === 'P2025') {
+    res.status(500).json({ error: 'Failed to delete enrollment' });
+  }
+});
+
+// Restore a deleted enrollment
+router.post('/:id/restore', authorize('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const enrollment = await prisma.enrollment.findUnique({
+      where: { id },
+      include: {
+        student: true,
+        course: true
+      }
+    });
+    
+    if (!enrollment) {
       return res.status(404).json({ error: 'Enrollment not found' });
     }
-    res.status(500).json({ error: 'Failed to delete enrollment' });
+    
+    if (!enrollment.deletedAt) {
+      return res.status(400).json({ error: 'Enrollment is not deleted' });
+    }
+    
+    if (enrollment.student.deletedAt) {
+      return res.status(400).json({ error: 'Student is deleted. Restore the student first.' });
+    }
+    
+    if (enrollment.course.deletedAt) {
+      return res.status(400).json({ error: 'Course is deleted. Restore the course first.' });
+    }
+    
+    const result = await prisma.$transaction(async (tx) => {
+      // A restored enrollment takes its seat back, if the batch still has one
+      if (enrollment.batchId && holdsSeat(enrollment.academicStatus)) {
+        const cohort = await tx.batch.findUnique({ where: { id: enrollment.batchId } });
+        const seatError = cohort && await checkSeat(tx, cohort, { capacityOnly: true });
+        if (seatError) return { status: 409, error: seatError };
+      }
+
+      const updatedEnrollment = await tx.enrollment.update({
+        where: { id },
+        data: { deletedAt: null },
+        include: {
+          student: true,
+          course: true
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'ENROLLMENT',
+        entityId: id,
+        action: 'RESTORE',
+        after: updatedEnrollment,
+        studentId: updatedEnrollment.studentId,
+        enrollmentId: id
+      });
+      
+      // Back in the queue at its old place
+      if (enrollment.batchId && enrollment.academicStatus === 'WAITLISTED') {
+        await renumberWaitlist(tx, enrollment.batchId);
+      }
+      
+      return { enrollment: updatedEnrollment };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    res.json(result.enrollment);
+  } catch (error) {
+    console.error('Error restoring enrollment:', error);
+    res.status(500).json({ error: 'Failed to restore enrollment' });
+  }
+});
+
+// Load a live enrollment with what's needed to build or show its plan
+const findEnrollmentForPlan = (id) => prisma.enrollment.findFirst({
+  where: { id, deletedAt: null },
+  include: {
+    ...pricingInclude,
+    payments: livePaymentsInclude,
+    paymentPlan: { include: planInclude }
+  }
+});
+
+// Get the payment plan of an enrollment with paid/overdue state per installment
+router.get('/:id/plan', async (req, res) => {
+  try {
+    const enrollment = await findEnrollmentForPlan(req.params.id);
+    
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+    
+    if (!enrollment.paymentPlan) {
+      return res.status(404).json({ error: 'Enrollment has no payment plan' });
+    }
+    
+    res.json(withSchedule(enrollment.paymentPlan, sumNetPayments(enrollment.payments)));
+  } catch (error) {
+    console.error('Error fetching payment plan:', error);
+    res.status(500).json({ error: 'Failed to fetch payment plan' });
+  }
+});
+
+// Create (POST) or replace (PUT) the payment plan of an enrollment
+const savePaymentPlan = (mode) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const { type, deposit, installmentCount, startDate, installments, notes } = req.body;
+    
+    const enrollment = await findEnrollmentForPlan(id);
+    
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+    
+    if (mode === 'create' && enrollment.paymentPlan) {
+      return res.status(400).json({ error: 'Enrollment already has a payment plan' });
+    }
+    
+    if (mode === 'replace' && !enrollment.paymentPlan) {
+      return res.status(404).json({ error: 'Enrollment has no payment plan' });
+    }
+    
+    // The plan covers the net fee, after discounts and scholarships
+    const totalAmount = calculatePricing(enrollment).netFee;
+    const schedule = buildSchedule({ type, totalAmount, deposit, installmentCount, startDate, installments });
+    
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+    
+    const isDepositMonthly = type === 'DEPOSIT_MONTHLY';
+    const data = {
+      type,
+      totalAmount,
+      deposit: isDepositMonthly ? parseFloat(deposit) || 0 : null,
+      installmentCount: isDepositMonthly ? parseInt(installmentCount) : null,
+      startDate: isDepositMonthly ? new Date(startDate) : null,
+      notes: notes?.trim() || null
+    };
+    
+    const plan = await prisma.$transaction(async (tx) => {
+      const previousPlan = enrollment.paymentPlan;
+      let savedPlan;
+      
+      if (previousPlan) {
+        savedPlan = await tx.paymentPlan.update({
+          where: { id: previousPlan.id },
+          data: {
+            ...data,
+            installments: {
+              deleteMany: {},
+              create: schedule.installments
+            }
+          },
+          include: planInclude
+        });
+      } else {
+        savedPlan = await tx.paymentPlan.create({
+          data: {
+            ...data,
+            enrollmentId: id,
+            installments: {
+              create: schedule.installments
+            }
+          },
+          include: planInclude
+        });
+      }
+      
+      await recordAudit(tx, req, {
+        entity: 'PAYMENT_PLAN',
+        entityId: savedPlan.id,
+        action: previousPlan ? 'UPDATE' : 'CREATE',
+        before: previousPlan,
+        after: savedPlan,
+        studentId: enrollment.studentId,
+        enrollmentId: id
+      });
+      
+      return savedPlan;
+    });
+    
+    res.status(mode === 'create' ? 201 : 200).json(withSchedule(plan, sumNetPayments(enrollment.payments)));
+  } catch (error) {
+    console.error('Error saving payment plan:', error);
+    res.status(500).json({ error: 'Failed to save payment plan' });
+  }
+};
+
+router.post('/:id/plan', authorize('ADMIN', 'FINANCE'), validatePaymentPlan, savePaymentPlan('create'));
+router.put('/:id/plan', authorize('ADMIN', 'FINANCE'), validatePaymentPlan, savePaymentPlan('replace'));
+
+// Remove the payment plan of an enrollment
+router.delete('/:id/plan', authorize('ADMIN', 'FINANCE'), async (req, res) => {
+  try {
+    const enrollment = await findEnrollmentForPlan(req.params.id);
+    
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+    
+    if (!enrollment.paymentPlan) {
+      return res.status(404).json({ error: 'Enrollment has no payment plan' });
+    }
+    
+    await prisma.$transaction(async (tx) => {
+      await tx.paymentPlan.delete({
+        where: { id: enrollment.paymentPlan.id }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'PAYMENT_PLAN',
+        entityId: enrollment.paymentPlan.id,
+        action: 'DELETE',
+        before: enrollment.paymentPlan,
+        studentId: enrollment.studentId,
+        enrollmentId: enrollment.id
+      });
+    });
+    
+    res.json({ message: 'Payment plan removed' });
+  } catch (error) {
+    console.error('Error deleting payment plan:', error);
+    res.status(500).json({ error: 'Failed to delete payment plan' });
   }
 });
 
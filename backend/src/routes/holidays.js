@@ -0,0 +1,151 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+
+const router = express.Router();
+
+// Validation middleware
+const validateHoliday = [
+  body('date').isISO8601().withMessage('Date must be a valid date'),
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters')
+];
+
+// Holidays are stored as midnight UTC of the calendar day
+const holidayData = (payload) => ({
+  date: new Date(`${payload.date.slice(0, 10)}T00:00:00Z`),
+  name: payload.name.trim()
+});
+
+// Get holidays, soonest first
+router.get('/', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const where = {};
+    if (from || to) {
+      where.date = {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lte: new Date(to) })
+      };
+    }
+
+    const holidays = await prisma.holiday.findMany({
+      where,
+      orderBy: { date: 'asc' }
+    });
+
+    res.json({ holidays });
+  } catch (error) {
+    console.error('Error fetching holidays:', error);
+    res.status(500).json({ error: 'Failed to fetch holidays' });
+  }
+});
+
+// Create new holiday
+router.post('/', authorize('ADMIN'), validateHoliday, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = holidayData(req.body);
+
+    const duplicate = await prisma.holiday.findUnique({ where: { date: data.date } });
+    if (duplicate) {
+      return res.status(400).json({ error: `${duplicate.name} is already on this date` });
+    }
+
+    const holiday = await prisma.$transaction(async (tx) => {
+      const createdHoliday = await tx.holiday.create({ data });
+
+      await recordAudit(tx, req, {
+        entity: 'HOLIDAY',
+        entityId: createdHoliday.id,
+        action: 'CREATE',
+        after: createdHoliday
+      });
+
+      return createdHoliday;
+    });
+
+    res.status(201).json(holiday);
+  } catch (error) {
+    console.error('Error creating holiday:', error);
+    res.status(500).json({ error: 'Failed to create holiday' });
+  }
+});
+
+// Update holiday
+router.put('/:id', authorize('ADMIN'), validateHoliday, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const data = holidayData(req.body);
+
+    const existingHoliday = await prisma.holiday.findUnique({ where: { id } });
+    if (!existingHoliday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    const duplicate = await prisma.holiday.findUnique({ where: { date: data.date } });
+    if (duplicate && duplicate.id !== id) {
+      return res.status(400).json({ error: `${duplicate.name} is already on this date` });
+    }
+
+    const holiday = await prisma.$transaction(async (tx) => {
+      const updatedHoliday = await tx.holiday.update({ where: { id }, data });
+
+      await recordAudit(tx, req, {
+        entity: 'HOLIDAY',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingHoliday,
+        after: updatedHoliday
+      });
+
+      return updatedHoliday;
+    });
+
+    res.json(holiday);
+  } catch (error) {
+    console.error('Error updating holiday:', error);
+    res.status(500).json({ error: 'Failed to update holiday' });
+  }
+});
+
+// Delete holiday. Sessions already scheduled around it are left as they are.
+router.delete('/:id', authorize('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const holiday = await prisma.holiday.findUnique({ where: { id } });
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.holiday.delete({ where: { id } });
+
+      await recordAudit(tx, req, {
+        entity: 'HOLIDAY',
+        entityId: id,
+        action: 'DELETE',
+        before: holiday
+      });
+    });
+
+    res.json({ message: 'Holiday deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    res.status(500).json({ error: 'Failed to delete holiday' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,290 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { toE164, isValidPhone } = require('../lib/phone');
+const { SEAT_STATUS_FILTER, seatSummary } = require('../lib/batches');
+const { INSTRUCTOR_RATE_TYPES } = require('../lib/instructors');
+const { timetableInclude, taughtBy } = require('../lib/timetable');
+
+const router = express.Router();
+
+// Batches no longer running; seat holders in the others make up an
+// instructor's headcount
+const FINISHED_BATCH_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+// How many upcoming sessions the detail page lists
+const UPCOMING_SESSIONS = 50;
+
+// Validation middleware
+const validateInstructor = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  body('email').optional({ values: 'falsy' }).isEmail().normalizeEmail().withMessage('Must be a valid email'),
+  body('phone').optional({ values: 'falsy' }).trim().custom(isValidPhone).withMessage('Phone must be a valid phone number').customSanitizer(value => toE164(value)),
+  body('specialities').optional().isArray().withMessage('Specialities must be a list'),
+  body('specialities.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Specialities must be 1-50 characters'),
+  body('rateType').optional().isIn(INSTRUCTOR_RATE_TYPES).withMessage('Invalid rate type'),
+  body('rate').isFloat({ min: 0 }).withMessage('Rate must be a positive number'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('courseIds').optional().isArray().withMessage('Courses must be a list'),
+  body('courseIds.*').isString().withMessage('Invalid course ID')
+];
+
+// Build the create/update data from a validated request body
+const instructorData = (payload) => ({
+  name: payload.name.trim(),
+  email: payload.email || null,
+  phone: payload.phone || null,
+  specialities: [...new Set((payload.specialities || []).map(speciality => speciality.trim()))],
+  rateType: payload.rateType || 'HOURLY',
+  rate: parseFloat(payload.rate),
+  isActive: payload.isActive ?? true
+});
+
+const checkCourses = async (courseIds) => {
+  const count = await prisma.course.count({ where: { id: { in: courseIds }, deletedAt: null } });
+  return count === new Set(courseIds).size ? null : 'Some courses were not found';
+};
+
+// Seat holders across the instructor's current batches
+const headcountOf = (batches) => batches
+  .filter(batch => !FINISHED_BATCH_STATUSES.includes(batch.status))
+  .reduce((sum, batch) => sum + batch._count.enrollments, 0);
+
+// Get instructors with their current batches and headcount
+router.get('/', async (req, res) => {
+  try {
+    const { search, active } = req.query;
+
+    const where = {};
+
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } },
+        { specialities: { has: search } }
+      ];
+    }
+
+    if (active !== undefined) {
+      where.isActive = active === 'true';
+    }
+
+    const instructors = await prisma.instructor.findMany({
+      where,
+      include: {
+        courses: { where: { deletedAt: null }, select: { id: true, name: true } },
+        batches: {
+          where: { status: { notIn: FINISHED_BATCH_STATUSES } },
+          select: {
+            id: true,
+            status: true,
+            _count: { select: { enrollments: { where: SEAT_STATUS_FILTER } } }
+          }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      instructors: instructors.map(({ batches, ...instructor }) => ({
+        ...instructor,
+        currentBatches: batches.length,
+        headcount: headcountOf(batches)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching instructors:', error);
+    res.status(500).json({ error: 'Failed to fetch instructors' });
+  }
+});
+
+// Get instructor with courses, batches (seats) and upcoming sessions
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const instructor = await prisma.instructor.findUnique({
+      where: { id },
+      include: {
+        courses: { where: { deletedAt: null }, select: { id: true, name: true } },
+        batches: {
+          where: { course: { deletedAt: null } },
+          include: {
+            course: { select: { id: true, name: true } },
+            _count: { select: { enrollments: { where: SEAT_STATUS_FILTER } } }
+          },
+          orderBy: [{ startDate: { sort: 'desc', nulls: 'last' } }, { code: 'asc' }]
+        }
+      }
+    });
+
+    if (!instructor) {
+      return res.status(404).json({ error: 'Instructor not found' });
+    }
+
+    const upcomingSessions = await prisma.session.findMany({
+      where: {
+        ...taughtBy(id),
+        course: { deletedAt: null },
+        startsAt: { gte: new Date() }
+      },
+      include: timetableInclude,
+      orderBy: { startsAt: 'asc' },
+      take: UPCOMING_SESSIONS
+    });
+
+    const { batches, ...rest } = instructor;
+
+    res.json({
+      ...rest,
+      headcount: headcountOf(batches),
+      batches: batches.map(({ _count, ...batch }) => ({
+        ...batch,
+        seats: seatSummary(batch, _count.enrollments)
+      })),
+      upcomingSessions
+    });
+  } catch (error) {
+    console.error('Error fetching instructor:', error);
+    res.status(500).json({ error: 'Failed to fetch instructor' });
+  }
+});
+
+// Create new instructor
+router.post('/', authorize('ADMIN'), validateInstructor, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = instructorData(req.body);
+    const courseIds = req.body.courseIds || [];
+
+    const courseError = await checkCourses(courseIds);
+    if (courseError) {
+      return res.status(400).json({ error: courseError });
+    }
+
+    const instructor = await prisma.$transaction(async (tx) => {
+      const createdInstructor = await tx.instructor.create({
+        data: {
+          ...data,
+          courses: { connect: courseIds.map(courseId => ({ id: courseId })) }
+        }
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'INSTRUCTOR',
+        entityId: createdInstructor.id,
+        action: 'CREATE',
+        after: { ...createdInstructor, courseIds }
+      });
+
+      return createdInstructor;
+    });
+
+    res.status(201).json(instructor);
+  } catch (error) {
+    console.error('Error creating instructor:', error);
+    res.status(500).json({ error: 'Failed to create instructor' });
+  }
+});
+
+// Update instructor. courseIds replaces the courses they teach.
+router.put('/:id', authorize('ADMIN'), validateInstructor, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const data = instructorData(req.body);
+    const courseIds = req.body.courseIds || [];
+
+    const existingInstructor = await prisma.instructor.findUnique({
+      where: { id },
+      include: { courses: { select: { id: true } } }
+    });
+
+    if (!existingInstructor) {
+      return res.status(404).json({ error: 'Instructor not found' });
+    }
+
+    const courseError = await checkCourses(courseIds);
+    if (courseError) {
+      return res.status(400).json({ error: courseError });
+    }
+
+    const instructor = await prisma.$transaction(async (tx) => {
+      const updatedInstructor = await tx.instructor.update({
+        where: { id },
+        data: {
+          ...data,
+          courses: { set: courseIds.map(courseId => ({ id: courseId })) }
+        }
+      });
+
+      const { courses: previousCourses, ...instructorBefore } = existingInstructor;
+
+      await recordAudit(tx, req, {
+        entity: 'INSTRUCTOR',
+        entityId: id,
+        action: 'UPDATE',
+        before: { ...instructorBefore, courseIds: previousCourses.map(course => course.id) },
+        after: { ...updatedInstructor, courseIds }
+      });
+
+      return updatedInstructor;
+    });
+
+    res.json(instructor);
+  } catch (error) {
+    console.error('Error updating instructor:', error);
+    res.status(500).json({ error: 'Failed to update instructor' });
+  }
+});
+
+// Delete instructor; only possible while no batch or session is theirs, as
+// those are what payouts are worked out from
+router.delete('/:id', authorize('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const instructor = await prisma.instructor.findUnique({
+      where: { id },
+      include: { _count: { select: { batches: true, sessions: true } } }
+    });
+
+    if (!instructor) {
+      return res.status(404).json({ error: 'Instructor not found' });
+    }
+
+    if (instructor._count.batches > 0 || instructor._count.sessions > 0) {
+      return res.status(400).json({ error: 'Cannot delete an instructor with batches or sessions. Mark them inactive instead.' });
+    }
+
+    const { _count, ...before } = instructor;
+
+    await prisma.$transaction(async (tx) => {
+      await tx.instructor.delete({ where: { id } });
+
+      await recordAudit(tx, req, {
+        entity: 'INSTRUCTOR',
+        entityId: id,
+        action: 'DELETE',
+        before
+      });
+    });
+
+    res.json({ message: 'Instructor deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting instructor:', error);
+    res.status(500).json({ error: 'Failed to delete instructor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,433 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { nextDocumentNumber } = require('../lib/numbering');
+const { sendPdf } = require('../lib/pdf');
+const { pricingInclude } = require('../lib/pricing');
+const { getNetPaidByEnrollment } = require('../lib/refunds');
+const {
+  getDueDays,
+  buildLineItems,
+  sumLineItems,
+  defaultLineItems,
+  withBalances,
+  getEnrollmentTotalPaid,
+  syncInvoiceStatuses,
+  renderInvoicePdf
+} = require('../lib/invoices');
+
+const router = express.Router();
+
+const INVOICE_STATUSES = ['DRAFT', 'ISSUED', 'PAID', 'VOID'];
+
+const invoiceInclude = {
+  student: true,
+  enrollment: {
+    include: {
+      course: true
+    }
+  },
+  lineItems: {
+    orderBy: { position: 'asc' }
+  }
+};
+
+// Validation middleware
+const validateInvoice = [
+  body('dueDate').optional({ values: 'falsy' }).isISO8601().withMessage('Due date must be a valid date'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes must be less than 1000 characters'),
+  body('lineItems').optional().isArray({ min: 1 }).withMessage('At least one line item is required'),
+  body('lineItems.*.description').trim().isLength({ min: 1, max: 200 }).withMessage('Line item description is required'),
+  body('lineItems.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('lineItems.*.unitPrice').isFloat().withMessage('Unit price must be a number (negative for discounts)')
+];
+
+// Load an invoice with its relations and payment balances
+const findInvoice = async (id) => {
+  const invoice = await prisma.invoice.findUnique({
+    where: { id },
+    include: invoiceInclude
+  });
+  if (!invoice) return null;
+
+  const siblings = await prisma.invoice.findMany({
+    where: { enrollmentId: invoice.enrollmentId }
+  });
+  const totalPaid = await getEnrollmentTotalPaid(prisma, invoice.enrollmentId);
+  const balance = withBalances(siblings, totalPaid).find(item => item.id === id);
+
+  return { ...invoice, amountPaid: balance.amountPaid, balanceDue: balance.balanceDue };
+};
+
+// Get invoices with filters
+router.get('/', async (req, res) => {
+  try {
+    const { enrollmentId, studentId, status, page = 1, limit = 20 } = req.query;
+    
+    if (status && !INVOICE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+    
+    const where = {};
+    
+    if (enrollmentId) where.enrollmentId = enrollmentId;
+    if (studentId) where.studentId = studentId;
+    if (status) where.status = status;
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const [invoices, total] = await Promise.all([
+      prisma.invoice.findMany({
+        where,
+        include: {
+          student: {
+            select: {
+              id: true,
+              name: true,
+              email: true
+            }
+          },
+          enrollment: {
+            include: {
+              course: {
+                select: {
+                  id: true,
+                  name: true
+                }
+              }
+            }
+          },
+          lineItems: {
+            orderBy: { position: 'asc' }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.invoice.count({ where })
+    ]);
+    
+    // Balances depend on every invoice of the enrollment, not just this page
+    const enrollmentIds = [...new Set(invoices.map(invoice => invoice.enrollmentId))];
+    const [allInvoices, paidByEnrollment] = await Promise.all([
+      prisma.invoice.findMany({ where: { enrollmentId: { in: enrollmentIds } } }),
+      getNetPaidByEnrollment(prisma, enrollmentIds)
+    ]);
+    
+    const balances = new Map();
+    enrollmentIds.forEach((enrollmentId) => {
+      const totalPaid = paidByEnrollment.get(enrollmentId);
+      withBalances(allInvoices.filter(invoice => invoice.enrollmentId === enrollmentId), totalPaid)
+        .forEach(invoice => balances.set(invoice.id, invoice));
+    });
+    
+    res.json({
+      invoices: invoices.map(invoice => ({
+        ...invoice,
+        amountPaid: balances.get(invoice.id).amountPaid,
+        balanceDue: balances.get(invoice.id).balanceDue
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+// Get single invoice by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.id);
+    
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    
+    res.json(invoice);
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    res.status(500).json({ error: 'Failed to fetch invoice' });
+  }
+});
+
+// Download invoice as PDF
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    const invoice = await findInvoice(req.params.id);
+    
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    
+    const doc = renderInvoicePdf(invoice);
+    sendPdf(res, doc, `${invoice.number || `draft-invoice-${invoice.id.slice(-8)}`}.pdf`);
+  } catch (error) {
+    console.error('Error generating invoice PDF:', error);
+    res.status(500).json({ error: 'Failed to generate invoice PDF' });
+  }
+});
+
+// Create a draft invoice for an enrollment (defaults to the course fee)
+router.post('/', authorize('ADMIN', 'FINANCE'), [
+  body('enrollmentId').isString().notEmpty().withMessage('Enrollment ID is required'),
+  ...validateInvoice
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { enrollmentId, dueDate, notes } = req.body;
+    
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id: enrollmentId, deletedAt: null },
+      include: pricingInclude
+    });
+    
+    if (!enrollment) {
+      return res.status(400).json({ error: 'Enrollment not found' });
+    }
+    
+    const lineItems = buildLineItems(req.body.lineItems || defaultLineItems(enrollment));
+    const subtotal = sumLineItems(lineItems);
+    
+    if (subtotal < 0) {
+      return res.status(400).json({ error: 'Invoice total cannot be negative' });
+    }
+    
+    const invoice = await prisma.$transaction(async (tx) => {
+      const createdInvoice = await tx.invoice.create({
+        data: {
+          studentId: enrollment.studentId,
+          enrollmentId,
+          dueDate: dueDate ? new Date(dueDate) : null,
+          notes: notes?.trim(),
+          subtotal,
+          total: subtotal,
+          lineItems: {
+            create: lineItems
+          }
+        },
+        include: invoiceInclude
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'INVOICE',
+        entityId: createdInvoice.id,
+        action: 'CREATE',
+        after: createdInvoice,
+        studentId: enrollment.studentId,
+        enrollmentId
+      });
+      
+      return createdInvoice;
+    });
+    
+    res.status(201).json(invoice);
+  } catch (error) {
+    console.error('Error creating invoice:', error);
+    res.status(500).json({ error: 'Failed to create invoice' });
+  }
+});
+
+// Update a draft invoice
+router.put('/:id', authorize('ADMIN', 'FINANCE'), validateInvoice, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const { dueDate, notes } = req.body;
+    
+    const existingInvoice = await prisma.invoice.findUnique({
+      where: { id }
+    });
+    
+    if (!existingInvoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    
+    if (existingInvoice.status !== 'DRAFT') {
+      return res.status(400).json({ error: 'Only draft invoices can be edited' });
+    }
+    
+    const data = {
+      dueDate: dueDate ? new Date(dueDate) : null,
+      notes: notes?.trim()
+    };
+    
+    if (req.body.lineItems) {
+      const lineItems = buildLineItems(req.body.lineItems);
+      data.subtotal = sumLineItems(lineItems);
+      data.total = data.subtotal;
+      
+      if (data.subtotal < 0) {
+        return res.status(400).json({ error: 'Invoice total cannot be negative' });
+      }
+      data.lineItems = {
+        deleteMany: {},
+        create: lineItems
+      };
+    }
+    
+    const invoice = await prisma.$transaction(async (tx) => {
+      const updatedInvoice = await tx.invoice.update({
+        where: { id },
+        data,
+        include: invoiceInclude
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'INVOICE',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingInvoice,
+        after: updatedInvoice,
+        studentId: updatedInvoice.studentId,
+        enrollmentId: updatedInvoice.enrollmentId
+      });
+      
+      return updatedInvoice;
+    });
+    
+    res.json(invoice);
+  } catch (error) {
+    console.error('Error updating invoice:', error);
+    res.status(500).json({ error: 'Failed to update invoice' });
+  }
+});
+
+// Issue a draft invoice: assigns the next number and the issue/due dates
+router.post('/:id/issue', authorize('ADMIN', 'FINANCE'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existingInvoice = await prisma.invoice.findUnique({
+      where: { id }
+    });
+    
+    if (!existingInvoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    
+    if (existingInvoice.status !== 'DRAFT') {
+      return res.status(400).json({ error: 'Only draft invoices can be issued' });
+    }
+    
+    const issueDate = new Date();
+    const dueDate = existingInvoice.dueDate || new Date(issueDate.getTime() + getDueDays() * 24 * 60 * 60 * 1000);
+    
+    const issued = await prisma.$transaction(async (tx) => {
+      // Claim the draft first so two concurrent requests never both take a
+      // number (which would leave a gap in the sequence)
+      const claimed = await tx.invoice.updateMany({
+        where: { id, status: 'DRAFT' },
+        data: { status: 'ISSUED', issueDate, dueDate }
+      });
+      if (claimed.count !== 1) return false;
+      
+      const issuedInvoice = await tx.invoice.update({
+        where: { id },
+        data: { number: await nextDocumentNumber(tx, 'INV', issueDate) }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'INVOICE',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingInvoice,
+        after: issuedInvoice,
+        studentId: issuedInvoice.studentId,
+        enrollmentId: issuedInvoice.enrollmentId
+      });
+      
+      // Existing payments may already cover it
+      await syncInvoiceStatuses(tx, req, issuedInvoice.enrollmentId);
+      
+      return true;
+    });
+    
+    if (!issued) {
+      return res.status(400).json({ error: 'Only draft invoices can be issued' });
+    }
+    
+    res.json(await findInvoice(id));
+  } catch (error) {
+    console.error('Error issuing invoice:', error);
+    res.status(500).json({ error: 'Failed to issue invoice' });
+  }
+});
+
+// Void a draft or issued invoice
+router.post('/:id/void', authorize('ADMIN', 'FINANCE'), [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { id } = req.params;
+    const { reason } = req.body;
+    
+    const existingInvoice = await prisma.invoice.findUnique({
+      where: { id }
+    });
+    
+    if (!existingInvoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    
+    if (existingInvoice.status === 'VOID') {
+      return res.status(400).json({ error: 'Invoice is already void' });
+    }
+    
+    if (existingInvoice.status === 'PAID') {
+      return res.status(400).json({ error: 'Paid invoices cannot be voided' });
+    }
+    
+    await prisma.$transaction(async (tx) => {
+      const voidedInvoice = await tx.invoice.update({
+        where: { id },
+        data: {
+          status: 'VOID',
+          voidReason: reason?.trim() || null,
+          voidedAt: new Date()
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'INVOICE',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingInvoice,
+        after: voidedInvoice,
+        studentId: voidedInvoice.studentId,
+        enrollmentId: voidedInvoice.enrollmentId
+      });
+      
+      // Payments allocated to this invoice now count towards later ones
+      await syncInvoiceStatuses(tx, req, voidedInvoice.enrollmentId);
+    });
+    
+    res.json(await findInvoice(id));
+  } catch (error) {
+    console.error('Error voiding invoice:', error);
+    res.status(500).json({ error: 'Failed to void invoice' });
+  }
+});
+
+module.exports = router;
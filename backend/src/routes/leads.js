@@ -0,0 +1,322 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { toE164, isValidPhone } = require('../lib/phone');
+
+const router = express.Router();
+
+const STAGES = ['NEW', 'CONTACTED', 'TRIAL', 'NEGOTIATING', 'WON', 'LOST'];
+const SOURCES = ['WALK_IN', 'REFERRAL', 'WEBSITE', 'SOCIAL_MEDIA', 'ADVERTISEMENT', 'EVENT', 'OTHER'];
+
+const leadInclude = {
+  course: { select: { id: true, name: true } },
+  owner: { select: { id: true, name: true } },
+  student: { select: { id: true, name: true } }
+};
+
+// Validation middleware
+const validateLead = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  body('email').optional({ values: 'falsy' }).isEmail().normalizeEmail().withMessage('Must be a valid email'),
+  body('phone').optional({ values: 'falsy' }).trim().custom(isValidPhone).withMessage('Phone must be a valid phone number').customSanitizer(value => toE164(value)),
+  body('email').custom((email, { req }) => Boolean(email || req.body.phone)).withMessage('Give an email address or a phone number'),
+  body('source').optional().isIn(SOURCES).withMessage('Invalid source'),
+  body('courseId').optional({ values: 'falsy' }).isString().withMessage('Invalid course ID'),
+  body('stage').optional().isIn(STAGES.filter(stage => stage !== 'WON')).withMessage('Invalid stage'),
+  body('ownerId').optional({ values: 'falsy' }).isString().withMessage('Invalid owner ID'),
+  body('nextFollowUpAt').optional({ values: 'falsy' }).isISO8601().withMessage('Follow-up date must be a valid date'),
+  body('notes').optional().trim().isLength({ max: 2000 }).withMessage('Notes must be less than 2000 characters')
+];
+
+// Build the create/update data from a validated request body
+const leadData = (payload) => ({
+  name: payload.name.trim(),
+  email: payload.email || null,
+  phone: payload.phone || null,
+  source: payload.source || 'OTHER',
+  courseId: payload.courseId || null,
+  ownerId: payload.ownerId || null,
+  nextFollowUpAt: payload.nextFollowUpAt ? new Date(payload.nextFollowUpAt) : null,
+  notes: payload.notes?.trim() || null
+});
+
+// The course and owner a lead points at must exist
+const checkReferences = async (data) => {
+  if (data.courseId) {
+    const course = await prisma.course.findFirst({ where: { id: data.courseId, deletedAt: null } });
+    if (!course) return 'Course not found';
+  }
+  if (data.ownerId) {
+    const owner = await prisma.user.findFirst({ where: { id: data.ownerId, isActive: true } });
+    if (!owner) return 'Owner not found';
+  }
+  return null;
+};
+
+// Get leads with optional filters (the board loads every matching lead)
+router.get('/', async (req, res) => {
+  try {
+    const { search, stage, source, courseId, ownerId, mine } = req.query;
+
+    const where = {};
+
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } },
+        { phone: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+    if (stage) where.stage = stage;
+    if (source) where.source = source;
+    if (courseId) where.courseId = courseId;
+    if (ownerId) where.ownerId = ownerId;
+    if (mine === 'true') where.ownerId = req.user.id;
+
+    const leads = await prisma.lead.findMany({
+      where,
+      include: leadInclude,
+      orderBy: [{ nextFollowUpAt: { sort: 'asc', nulls: 'last' } }, { createdAt: 'desc' }],
+      take: 500
+    });
+
+    res.json({ leads });
+  } catch (error) {
+    console.error('Error fetching leads:', error);
+    res.status(500).json({ error: 'Failed to fetch leads' });
+  }
+});
+
+// Get lead by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const lead = await prisma.lead.findUnique({
+      where: { id: req.params.id },
+      include: leadInclude
+    });
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    res.json(lead);
+  } catch (error) {
+    console.error('Error fetching lead:', error);
+    res.status(500).json({ error: 'Failed to fetch lead' });
+  }
+});
+
+// The students/full-create payload a lead converts into; the client fills
+// in what the lead does not have (NRIC/passport, ...) and posts it with leadId
+router.get('/:id/conversion', authorize('ADMIN', 'COUNSELLOR'), async (req, res) => {
+  try {
+    const lead = await prisma.lead.findUnique({
+      where: { id: req.params.id },
+      include: { course: true }
+    });
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    if (lead.studentId) {
+      return res.status(400).json({ error: 'Lead has already been converted' });
+    }
+
+    res.json({
+      leadId: lead.id,
+      student: {
+        name: lead.name,
+        email: lead.email || '',
+        phone: lead.phone || '',
+        remarks: lead.notes || ''
+      },
+      enrollment: lead.course && !lead.course.deletedAt && lead.course.isActive
+        ? { courseId: lead.course.id }
+        : null
+    });
+  } catch (error) {
+    console.error('Error preparing lead conversion:', error);
+    res.status(500).json({ error: 'Failed to prepare lead conversion' });
+  }
+});
+
+// Create new lead
+router.post('/', authorize('ADMIN', 'COUNSELLOR'), validateLead, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = {
+      ...leadData(req.body),
+      stage: req.body.stage || 'NEW',
+      ownerId: req.body.ownerId || req.user.id
+    };
+
+    const referenceError = await checkReferences(data);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const lead = await prisma.$transaction(async (tx) => {
+      const createdLead = await tx.lead.create({
+        data,
+        include: leadInclude
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'LEAD',
+        entityId: createdLead.id,
+        action: 'CREATE',
+        after: createdLead
+      });
+
+      return createdLead;
+    });
+
+    res.status(201).json(lead);
+  } catch (error) {
+    console.error('Error creating lead:', error);
+    res.status(500).json({ error: 'Failed to create lead' });
+  }
+});
+
+// Update lead details
+router.put('/:id', authorize('ADMIN', 'COUNSELLOR'), validateLead, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const data = leadData(req.body);
+
+    const existingLead = await prisma.lead.findUnique({ where: { id } });
+
+    if (!existingLead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const referenceError = await checkReferences(data);
+    if (referenceError) {
+      return res.status(400).json({ error: referenceError });
+    }
+
+    const lead = await prisma.$transaction(async (tx) => {
+      const updatedLead = await tx.lead.update({
+        where: { id },
+        data,
+        include: leadInclude
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'LEAD',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingLead,
+        after: updatedLead,
+        studentId: updatedLead.studentId
+      });
+
+      return updatedLead;
+    });
+
+    res.json(lead);
+  } catch (error) {
+    console.error('Error updating lead:', error);
+    res.status(500).json({ error: 'Failed to update lead' });
+  }
+});
+
+// Move a lead to another pipeline stage. WON is reached by converting the
+// lead to a student, and a converted lead stays WON.
+router.patch('/:id/stage', authorize('ADMIN', 'COUNSELLOR'), [
+  body('stage').isIn(STAGES.filter(stage => stage !== 'WON')).withMessage('Convert the lead to a student to mark it won'),
+  body('lostReason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { stage, lostReason } = req.body;
+
+    const existingLead = await prisma.lead.findUnique({ where: { id } });
+
+    if (!existingLead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    if (existingLead.studentId) {
+      return res.status(400).json({ error: 'A converted lead cannot change stage' });
+    }
+
+    const lead = await prisma.$transaction(async (tx) => {
+      const updatedLead = await tx.lead.update({
+        where: { id },
+        data: {
+          stage,
+          lostReason: stage === 'LOST' ? (lostReason || null) : null
+        },
+        include: leadInclude
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'LEAD',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingLead,
+        after: updatedLead
+      });
+
+      return updatedLead;
+    });
+
+    res.json(lead);
+  } catch (error) {
+    console.error('Error changing lead stage:', error);
+    res.status(500).json({ error: 'Failed to change lead stage' });
+  }
+});
+
+// Delete lead
+router.delete('/:id', authorize('ADMIN', 'COUNSELLOR'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const lead = await prisma.lead.findUnique({ where: { id } });
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    if (lead.studentId) {
+      return res.status(400).json({ error: 'Cannot delete a lead that has been converted to a student' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.lead.delete({ where: { id } });
+
+      await recordAudit(tx, req, {
+        entity: 'LEAD',
+        entityId: id,
+        action: 'DELETE',
+        before: lead
+      });
+    });
+
+    res.json({ message: 'Lead deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting lead:', error);
+    res.status(500).json({ error: 'Failed to delete lead' });
+  }
+});
+
+module.exports = router;
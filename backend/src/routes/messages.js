@@ -0,0 +1,334 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { TEMPLATE_KEYS, renderTemplate } = require('../lib/templates');
+const { enqueueMessage, kickOutbox, retryMessage } = require('../lib/outbox');
+const { loadMessageContext, queueBalanceReminder } = require('../lib/notifications');
+const { toE164, whatsappLink } = require('../lib/phone');
+
+const router = express.Router();
+
+// Validation middleware
+const validateTemplate = [
+  body('subject').optional({ values: 'falsy' }).trim().isLength({ max: 200 }).withMessage('Subject must be at most 200 characters'),
+  body('body').trim().isLength({ min: 1, max: 10000 }).withMessage('Body must be 1-10000 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const validateTextMessage = [
+  body('studentId').isString().notEmpty().withMessage('Student ID is required'),
+  body('enrollmentId').optional({ values: 'falsy' }).isString().withMessage('Enrollment ID must be a string'),
+  body('templateKey').optional({ values: 'falsy' }).isIn(TEMPLATE_KEYS).withMessage('Unknown message template'),
+  body('body').trim().isLength({ min: 1, max: 1600 }).withMessage('Message must be 1-1600 characters')
+];
+
+// The student a text message is for, with their phone number in E.164
+const findRecipient = async (studentId, enrollmentId) => {
+  const student = await prisma.student.findFirst({ where: { id: studentId, deletedAt: null } });
+  if (!student) return { status: 404, error: 'Student not found' };
+
+  if (enrollmentId) {
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id: enrollmentId, studentId, deletedAt: null }
+    });
+    if (!enrollment) return { status: 404, error: 'Enrollment not found' };
+  }
+
+  const to = toE164(student.phone);
+  if (!to) return { status: 400, error: `${student.name}'s phone number is not a valid number` };
+
+  return { student, to };
+};
+
+// Get the message log with filters
+router.get('/', async (req, res) => {
+  try {
+    const { studentId, enrollmentId, status, channel, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+
+    if (studentId) where.studentId = studentId;
+    if (enrollmentId) where.enrollmentId = enrollmentId;
+    if (status) where.status = status;
+    if (channel) where.channel = channel;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [messages, total] = await Promise.all([
+      prisma.outboxMessage.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.outboxMessage.count({ where })
+    ]);
+
+    // Outbox rows keep plain ids so they outlive the records they mention
+    const studentIds = [...new Set(messages.map(message => message.studentId).filter(Boolean))];
+    const students = await prisma.student.findMany({
+      where: { id: { in: studentIds } },
+      select: { id: true, name: true }
+    });
+    const studentsById = new Map(students.map(student => [student.id, student]));
+
+    res.json({
+      messages: messages.map(message => ({
+        ...message,
+        student: studentsById.get(message.studentId) || null
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// Get all message templates
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await prisma.messageTemplate.findMany({
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ templates });
+  } catch (error) {
+    console.error('Error fetching message templates:', error);
+    res.status(500).json({ error: 'Failed to fetch message templates' });
+  }
+});
+
+// Update a message template's wording
+router.put('/templates/:key', authorize('ADMIN'), validateTemplate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { key } = req.params;
+    const { subject, body: templateBody, isActive } = req.body;
+
+    if (!TEMPLATE_KEYS.includes(key)) {
+      return res.status(404).json({ error: 'Message template not found' });
+    }
+
+    const existingTemplate = await prisma.messageTemplate.findUnique({ where: { key } });
+
+    if (!existingTemplate) {
+      return res.status(404).json({ error: 'Message template not found' });
+    }
+
+    if (existingTemplate.format === 'EMAIL' && !subject) {
+      return res.status(400).json({ error: 'Email templates need a subject' });
+    }
+
+    const template = await prisma.$transaction(async (tx) => {
+      const updatedTemplate = await tx.messageTemplate.update({
+        where: { key },
+        data: {
+          subject: existingTemplate.format === 'EMAIL' ? subject : null,
+          body: templateBody,
+          isActive: isActive ?? existingTemplate.isActive
+        }
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'MESSAGE_TEMPLATE',
+        entityId: updatedTemplate.id,
+        action: 'UPDATE',
+        before: existingTemplate,
+        after: updatedTemplate
+      });
+
+      return updatedTemplate;
+    });
+
+    res.json(template);
+  } catch (error) {
+    console.error('Error updating message template:', error);
+    res.status(500).json({ error: 'Failed to update message template' });
+  }
+});
+
+// Fill a template for a student (and optionally one of their enrollments)
+// so staff can review and edit it before sending
+router.post('/preview', authorize('ADMIN', 'FINANCE', 'COUNSELLOR'), [
+  body('studentId').isString().notEmpty().withMessage('Student ID is required'),
+  body('enrollmentId').optional({ values: 'falsy' }).isString().withMessage('Enrollment ID must be a string'),
+  body('templateKey').isIn(TEMPLATE_KEYS).withMessage('Unknown message template')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { studentId, enrollmentId, templateKey } = req.body;
+
+    const [template, context] = await Promise.all([
+      prisma.messageTemplate.findUnique({ where: { key: templateKey } }),
+      loadMessageContext(prisma, studentId, enrollmentId || null)
+    ]);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Message template not found' });
+    }
+
+    if (!context) {
+      return res.status(404).json({ error: 'Student or enrollment not found' });
+    }
+
+    res.json({
+      templateKey,
+      subject: template.subject ? renderTemplate(template.subject, context) : null,
+      body: renderTemplate(template.body, context)
+    });
+  } catch (error) {
+    console.error('Error previewing message:', error);
+    res.status(500).json({ error: 'Failed to preview message' });
+  }
+});
+
+// Send an SMS or WhatsApp message to a student through the messaging provider
+router.post('/send', authorize('ADMIN', 'FINANCE', 'COUNSELLOR'), [
+  ...validateTextMessage,
+  body('channel').isIn(['SMS', 'WHATSAPP']).withMessage('Channel must be SMS or WHATSAPP')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { studentId, enrollmentId, templateKey, channel, body: messageBody } = req.body;
+
+    const recipient = await findRecipient(studentId, enrollmentId);
+    if (recipient.error) {
+      return res.status(recipient.status).json({ error: recipient.error });
+    }
+
+    const message = await enqueueMessage(prisma, {
+      channel,
+      templateKey,
+      to: recipient.to,
+      body: messageBody,
+      studentId,
+      enrollmentId
+    });
+
+    kickOutbox();
+    res.status(201).json(message);
+  } catch (error) {
+    console.error('Error sending message:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// WhatsApp click-to-chat link with the message prefilled. Staff send it from
+// their own WhatsApp, so it is logged as sent when the link is generated.
+router.post('/whatsapp-link', authorize('ADMIN', 'FINANCE', 'COUNSELLOR'), validateTextMessage, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { studentId, enrollmentId, templateKey, body: messageBody } = req.body;
+
+    const recipient = await findRecipient(studentId, enrollmentId);
+    if (recipient.error) {
+      return res.status(recipient.status).json({ error: recipient.error });
+    }
+
+    const message = await prisma.outboxMessage.create({
+      data: {
+        channel: 'WHATSAPP',
+        templateKey: templateKey || null,
+        to: recipient.to,
+        body: messageBody,
+        status: 'SENT',
+        sentAt: new Date(),
+        providerId: 'click-to-chat',
+        studentId,
+        enrollmentId: enrollmentId || null
+      }
+    });
+
+    res.status(201).json({ url: whatsappLink(recipient.to, messageBody), message });
+  } catch (error) {
+    console.error('Error creating WhatsApp link:', error);
+    res.status(500).json({ error: 'Failed to create WhatsApp link' });
+  }
+});
+
+// Send a balance reminder for an enrollment now
+router.post('/balance-reminders', authorize('ADMIN', 'FINANCE', 'COUNSELLOR'), [
+  body('enrollmentId').isString().notEmpty().withMessage('Enrollment ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id: req.body.enrollmentId, deletedAt: null }
+    });
+
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found' });
+    }
+
+    const message = await queueBalanceReminder(prisma, enrollment.id);
+
+    if (!message) {
+      return res.status(400).json({ error: 'The balance reminder template is disabled' });
+    }
+
+    kickOutbox();
+    res.status(201).json(message);
+  } catch (error) {
+    console.error('Error sending balance reminder:', error);
+    res.status(500).json({ error: 'Failed to send balance reminder' });
+  }
+});
+
+// Queue a failed message for another attempt
+router.post('/:id/retry', authorize('ADMIN', 'FINANCE'), async (req, res) => {
+  try {
+    const message = await prisma.outboxMessage.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    if (message.status === 'SENT') {
+      return res.status(400).json({ error: 'Message has already been sent' });
+    }
+
+    if (message.status === 'SENDING') {
+      return res.status(400).json({ error: 'Message is being sent' });
+    }
+
+    const queuedMessage = await retryMessage(prisma, message.id);
+    kickOutbox();
+
+    res.json(queuedMessage);
+  } catch (error) {
+    console.error('Error retrying message:', error);
+    res.status(500).json({ error: 'Failed to retry message' });
+  }
+});
+
+module.exports = router;
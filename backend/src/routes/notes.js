@@ -0,0 +1,204 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { NOTE_TYPES, noteInclude, addNote } = require('../lib/notes');
+
+const router = express.Router();
+
+// Validation middleware
+const validateNote = [
+  body('type').optional().isIn(NOTE_TYPES).withMessage('Invalid note type'),
+  body('body').trim().isLength({ min: 1, max: 5000 }).withMessage('Note must be 1-5000 characters'),
+  body('isPinned').optional().isBoolean().withMessage('isPinned must be a boolean')
+];
+
+// Only the author of a note or an admin may change it
+const canChange = (req, note) => req.user.role === 'ADMIN' || note.authorId === req.user.id;
+
+// Get a student's notes, pinned first
+router.get('/', async (req, res) => {
+  try {
+    const { studentId } = req.query;
+
+    if (!studentId) {
+      return res.status(400).json({ error: 'Student ID is required' });
+    }
+
+    const notes = await prisma.note.findMany({
+      where: { studentId },
+      include: noteInclude,
+      orderBy: [{ isPinned: 'desc' }, { createdAt: 'desc' }]
+    });
+
+    res.json({ notes });
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    res.status(500).json({ error: 'Failed to fetch notes' });
+  }
+});
+
+// Add a note to a student
+router.post('/', authorize('ADMIN', 'FINANCE', 'COUNSELLOR'), [
+  body('studentId').isString().notEmpty().withMessage('Student ID is required'),
+  ...validateNote
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { studentId, type, body: text, isPinned } = req.body;
+
+    const student = await prisma.student.findFirst({ where: { id: studentId, deletedAt: null } });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const note = await prisma.$transaction(tx => addNote(tx, req, {
+      studentId,
+      type,
+      body: text,
+      isPinned: Boolean(isPinned)
+    }));
+
+    res.status(201).json(note);
+  } catch (error) {
+    console.error('Error creating note:', error);
+    res.status(500).json({ error: 'Failed to create note' });
+  }
+});
+
+// Update a note's text, type or pin
+router.put('/:id', authorize('ADMIN', 'FINANCE', 'COUNSELLOR'), validateNote, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { type, body: text, isPinned } = req.body;
+
+    const existingNote = await prisma.note.findUnique({ where: { id } });
+
+    if (!existingNote) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    if (!canChange(req, existingNote)) {
+      return res.status(403).json({ error: 'Only the author or an admin can edit this note' });
+    }
+
+    const note = await prisma.$transaction(async (tx) => {
+      const updatedNote = await tx.note.update({
+        where: { id },
+        data: {
+          type: type || existingNote.type,
+          body: text,
+          isPinned: isPinned === undefined ? existingNote.isPinned : Boolean(isPinned)
+        },
+        include: noteInclude
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'NOTE',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingNote,
+        after: updatedNote,
+        studentId: updatedNote.studentId
+      });
+
+      return updatedNote;
+    });
+
+    res.json(note);
+  } catch (error) {
+    console.error('Error updating note:', error);
+    res.status(500).json({ error: 'Failed to update note' });
+  }
+});
+
+// Pin or unpin a note; anyone who can write notes may pin
+router.patch('/:id/pin', authorize('ADMIN', 'FINANCE', 'COUNSELLOR'), [
+  body('isPinned').isBoolean().withMessage('isPinned must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const existingNote = await prisma.note.findUnique({ where: { id } });
+
+    if (!existingNote) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const note = await prisma.$transaction(async (tx) => {
+      const updatedNote = await tx.note.update({
+        where: { id },
+        data: { isPinned: Boolean(req.body.isPinned) },
+        include: noteInclude
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'NOTE',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingNote,
+        after: updatedNote,
+        studentId: updatedNote.studentId
+      });
+
+      return updatedNote;
+    });
+
+    res.json(note);
+  } catch (error) {
+    console.error('Error pinning note:', error);
+    res.status(500).json({ error: 'Failed to pin note' });
+  }
+});
+
+// Delete a note
+router.delete('/:id', authorize('ADMIN', 'FINANCE', 'COUNSELLOR'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const note = await prisma.note.findUnique({ where: { id } });
+
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    if (!canChange(req, note)) {
+      return res.status(403).json({ error: 'Only the author or an admin can delete this note' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.note.delete({ where: { id } });
+
+      await recordAudit(tx, req, {
+        entity: 'NOTE',
+        entityId: id,
+        action: 'DELETE',
+        before: note,
+        studentId: note.studentId
+      });
+    });
+
+    res.json({ message: 'Note deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    res.status(500).json({ error: 'Failed to delete note' });
+  }
+});
+
+module.exports = router;
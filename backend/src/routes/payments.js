@@ -1,6 +1,23 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { syncInvoiceStatuses } = require('../lib/invoices');
+const { nextReceiptNumber, balanceAfterPayment, renderReceiptPdf } = require('../lib/receipts');
+const { sendPdf } = require('../lib/pdf');
+const { pricingInclude, calculatePricing, getNetFee, getOutstanding } = require('../lib/pricing');
+const {
+  livePaymentsInclude,
+  reversedAmount,
+  netPaymentAmount,
+  sumNetPayments,
+  nextRefundNumber,
+  nextCreditNoteNumber
+} = require('../lib/refunds');
+const { kickOutbox } = require('../lib/outbox');
+const { syncFinancialStatus } = require('../lib/enrollmentStatus');
+const { PAYMENT_METHODS, PAYMENT_ROLES, checkOverpayment, checkPayment, createPayment } = require('../lib/payments');
 
 const router = express.Router();
 
@@ -9,11 +26,34 @@ const validatePayment = [
   body('studentId').isString().notEmpty().withMessage('Student ID is required'),
   body('enrollmentId').isString().notEmpty().withMessage('Enrollment ID is required'),
   body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
-  body('method').isIn(['CASH', 'BANK_TRANSFER', 'CREDIT_CARD', 'DEBIT_CARD', 'ONLINE_PAYMENT', 'CHECK']).withMessage('Invalid payment method'),
+  body('method').isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
   body('date').isISO8601().withMessage('Date must be a valid date'),
   body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters')
 ];
 
+const validateReversal = [
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+  body('date').isISO8601().withMessage('Date must be a valid date'),
+  body('reason').trim().notEmpty().withMessage('Reason is required')
+    .isLength({ max: 500 }).withMessage('Reason must be less than 500 characters')
+];
+
+const validateRefund = [
+  ...validateReversal,
+  body('method').isIn(PAYMENT_METHODS).withMessage('Invalid refund method')
+];
+
+// Refunds, credit notes and the credit note a payment was made from
+const reversalsInclude = {
+  refunds: {
+    orderBy: { date: 'asc' }
+  },
+  creditNotes: {
+    orderBy: { date: 'asc' }
+  },
+  appliedCreditNote: true
+};
+
 // Get all payments with filters
 router.get('/', async (req, res) => {
   try {
@@ -27,7 +67,7 @@ router.get('/', async (req, res) => {
       limit = 20 
     } = req.query;
     
-    const where = {};
+    const where = { deletedAt: null };
     
     if (studentId) where.studentId = studentId;
     if (enrollmentId) where.enrollmentId = enrollmentId;
@@ -58,7 +98,8 @@ router.get('/', async (req, res) => {
                 }
               }
             }
-          }
+          },
+          ...reversalsInclude
         },
         orderBy: { date: 'desc' },
         skip,
@@ -68,7 +109,10 @@ router.get('/', async (req, res) => {
     ]);
     
     res.json({
-      payments,
+      payments: payments.map(payment => ({
+        ...payment,
+        netAmount: netPaymentAmount(payment)
+      })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -87,15 +131,16 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const payment = await prisma.payment.findUnique({
-      where: { id },
+    const payment = await prisma.payment.findFirst({
+      where: { id, deletedAt: null },
       include: {
         student: true,
         enrollment: {
           include: {
             course: true
           }
-        }
+        },
+        ...reversalsInclude
       }
     });
     
@@ -103,15 +148,74 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Payment not found' });
     }
     
-    res.json(payment);
+    res.json({ ...payment, netAmount: netPaymentAmount(payment) });
   } catch (error) {
     console.error('Error fetching payment:', error);
     res.status(500).json({ error: 'Failed to fetch payment' });
   }
 });
 
+// Download the official receipt for a payment
+router.get('/:id/receipt.pdf', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    let payment = await prisma.payment.findFirst({
+      where: { id, deletedAt: null },
+      include: {
+        student: true,
+        enrollment: {
+          include: {
+            ...pricingInclude,
+            payments: livePaymentsInclude
+          }
+        }
+      }
+    });
+    
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    
+    // Payments recorded before receipts existed get their number on first download
+    if (!payment.receiptNumber) {
+      const receiptNumber = await prisma.$transaction(async (tx) => {
+        const numberedPayment = await tx.payment.update({
+          where: { id },
+          data: { receiptNumber: await nextReceiptNumber(tx) }
+        });
+        
+        await recordAudit(tx, req, {
+          entity: 'PAYMENT',
+          entityId: id,
+          action: 'UPDATE',
+          before: payment,
+          after: numberedPayment,
+          studentId: payment.studentId,
+          enrollmentId: payment.enrollmentId
+        });
+        
+        return numberedPayment.receiptNumber;
+      });
+      payment = { ...payment, receiptNumber };
+    }
+    
+    const totals = balanceAfterPayment(
+      payment,
+      payment.enrollment.payments,
+      getNetFee(payment.enrollment)
+    );
+    
+    const doc = renderReceiptPdf(payment, totals);
+    sendPdf(res, doc, `${payment.receiptNumber}.pdf`);
+  } catch (error) {
+    console.error('Error generating receipt:', error);
+    res.status(500).json({ error: 'Failed to generate receipt' });
+  }
+});
+
 // Create new payment
-router.post('/', validatePayment, async (req, res) => {
+router.post('/', authorize(...PAYMENT_ROLES), validatePayment, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -121,8 +225,8 @@ router.post('/', validatePayment, async (req, res) => {
     const { studentId, enrollmentId, amount, method, date, notes } = req.body;
     
     // Check if student exists
-    const student = await prisma.student.findUnique({
-      where: { id: studentId }
+    const student = await prisma.student.findFirst({
+      where: { id: studentId, deletedAt: null }
     });
     
     if (!student) {
@@ -130,11 +234,9 @@ router.post('/', validatePayment, async (req, res) => {
     }
     
     // Check if enrollment exists
-    const enrollment = await prisma.enrollment.findUnique({
-      where: { id: enrollmentId },
-      include: {
-        course: true
-      }
+    const enrollment = await prisma.enrollment.findFirst({
+      where: { id: enrollmentId, deletedAt: null },
+      include: pricingInclude
     });
     
     if (!enrollment) {
@@ -146,57 +248,29 @@ router.post('/', validatePayment, async (req, res) => {
       return res.status(400).json({ error: 'Enrollment does not belong to the specified student' });
     }
     
-    // Check if enrollment is active
-    if (enrollment.status !== 'ACTIVE') {
-      return res.status(400).json({ error: 'Cannot record payment for inactive enrollment' });
-    }
-    
-    // Calculate total paid so far
-    const existingPayments = await prisma.payment.findMany({
-      where: { enrollmentId }
-    });
-    
-    const totalPaid = existingPayments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
-    const coursePrice = parseFloat(enrollment.course.price);
-    const newTotalPaid = totalPaid + parseFloat(amount);
-    
-    // Check if payment exceeds course price
-    if (newTotalPaid > coursePrice) {
-      return res.status(400).json({ 
-        error: 'Payment amount exceeds course price',
-        coursePrice,
-        totalPaid,
-        remaining: coursePrice - totalPaid
-      });
+    // Waitlisted or withdrawn, or more than the net fee (after discounts)
+    const paymentError = await checkPayment(prisma, enrollment, amount);
+    if (paymentError) {
+      return res.status(400).json(paymentError);
     }
     
-    const payment = await prisma.payment.create({
-      data: {
-        studentId,
-        enrollmentId,
-        amount: parseFloat(amount),
-        method,
-        date: new Date(date),
-        notes: notes?.trim()
-      },
-      include: {
-        student: true,
-        enrollment: {
-          include: {
-            course: true
-          }
+    const payment = await prisma.$transaction(tx => createPayment(tx, req, {
+      studentId,
+      enrollmentId,
+      amount,
+      method,
+      date,
+      notes
+    }, {
+      student: true,
+      enrollment: {
+        include: {
+          course: true
         }
       }
-    });
-    
-    // Update enrollment status if fully paid
-    if (newTotalPaid >= coursePrice) {
-      await prisma.enrollment.update({
-        where: { id: enrollmentId },
-        data: { status: 'COMPLETED' }
-      });
-    }
+    }));
     
+    kickOutbox();
     res.status(201).json(payment);
   } catch (error) {
     console.error('Error creating payment:', error);
@@ -205,7 +279,7 @@ router.post('/', validatePayment, async (req, res) => {
 });
 
 // Update payment
-router.put('/:id', validatePayment, async (req, res) => {
+router.put('/:id', authorize(...PAYMENT_ROLES), validatePayment, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -216,18 +290,35 @@ router.put('/:id', validatePayment, async (req, res) => {
     const { studentId, enrollmentId, amount, method, date, notes } = req.body;
     
     // Check if payment exists
-    const existingPayment = await prisma.payment.findUnique({
-      where: { id }
+    const existingPayment = await prisma.payment.findFirst({
+      where: { id, deletedAt: null },
+      include: reversalsInclude
     });
     
     if (!existingPayment) {
       return res.status(404).json({ error: 'Payment not found' });
     }
     
+    if (existingPayment.appliedCreditNote) {
+      return res.status(400).json({ error: 'Payments made from a credit note cannot be edited' });
+    }
+    
+    // Refunds and credit notes are tied to this payment's amount and enrollment
+    const reversed = reversedAmount(existingPayment);
+    if (reversed > 0) {
+      if (parseFloat(amount) < reversed) {
+        return res.status(400).json({ error: `Amount cannot be less than the $${reversed.toFixed(2)} already refunded or credited` });
+      }
+      if (enrollmentId && enrollmentId !== existingPayment.enrollmentId) {
+        return res.status(400).json({ error: 'Cannot move a payment with refunds or credit notes to another enrollment' });
+      }
+    }
+    const { refunds, creditNotes, appliedCreditNote, ...paymentBefore } = existingPayment;
+    
     // Check if student exists
     if (studentId) {
-      const student = await prisma.student.findUnique({
-        where: { id: studentId }
+      const student = await prisma.student.findFirst({
+        where: { id: studentId, deletedAt: null }
       });
       
       if (!student) {
@@ -237,11 +328,9 @@ router.put('/:id', validatePayment, async (req, res) => {
     
     // Check if enrollment exists
     if (enrollmentId) {
-      const enrollment = await prisma.enrollment.findUnique({
-        where: { id: enrollmentId },
-        include: {
-          course: true
-        }
+      const enrollment = await prisma.enrollment.findFirst({
+        where: { id: enrollmentId, deletedAt: null },
+        include: pricingInclude
       });
       
       if (!enrollment) {
@@ -252,26 +341,53 @@ router.put('/:id', validatePayment, async (req, res) => {
       if (enrollment.studentId !== (studentId || existingPayment.studentId)) {
         return res.status(400).json({ error: 'Enrollment does not belong to the specified student' });
       }
+      
+      // What is left of the edited payment must fit within the net fee too
+      const overpayment = await checkOverpayment(prisma, enrollment, parseFloat(amount) - reversed, { excludePaymentId: id });
+      if (overpayment) {
+        return res.status(400).json(overpayment);
+      }
     }
     
-    const payment = await prisma.payment.update({
-      where: { id },
-      data: {
-        studentId: studentId || existingPayment.studentId,
-        enrollmentId: enrollmentId || existingPayment.enrollmentId,
-        amount: parseFloat(amount),
-        method,
-        date: new Date(date),
-        notes: notes?.trim()
-      },
-      include: {
-        student: true,
-        enrollment: {
-          include: {
-            course: true
+    const payment = await prisma.$transaction(async (tx) => {
+      const updatedPayment = await tx.payment.update({
+        where: { id },
+        data: {
+          studentId: studentId || existingPayment.studentId,
+          enrollmentId: enrollmentId || existingPayment.enrollmentId,
+          amount: parseFloat(amount),
+          method,
+          date: new Date(date),
+          notes: notes?.trim()
+        },
+        include: {
+          student: true,
+          enrollment: {
+            include: {
+              course: true
+            }
           }
         }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'PAYMENT',
+        entityId: id,
+        action: 'UPDATE',
+        before: paymentBefore,
+        after: updatedPayment,
+        studentId: updatedPayment.studentId,
+        enrollmentId: updatedPayment.enrollmentId
+      });
+      
+      await syncInvoiceStatuses(tx, req, updatedPayment.enrollmentId);
+      await syncFinancialStatus(tx, req, updatedPayment.enrollmentId);
+      if (existingPayment.enrollmentId !== updatedPayment.enrollmentId) {
+        await syncInvoiceStatuses(tx, req, existingPayment.enrollmentId);
+        await syncFinancialStatus(tx, req, existingPayment.enrollmentId);
       }
+      
+      return updatedPayment;
     });
     
     res.json(payment);
@@ -284,22 +400,246 @@ router.put('/:id', validatePayment, async (req, res) => {
   }
 });
 
-// Delete payment
-router.delete('/:id', async (req, res) => {
+// Delete payment (soft delete)
+router.delete('/:id', authorize('FINANCE'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    await prisma.payment.delete({
-      where: { id }
+    const payment = await prisma.payment.findFirst({
+      where: { id, deletedAt: null },
+      include: reversalsInclude
     });
     
-    res.json({ message: 'Payment deleted successfully' });
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    
+    if (payment.refunds.length > 0 || payment.creditNotes.length > 0) {
+      return res.status(400).json({ error: 'Cannot delete a payment with refunds or credit notes' });
+    }
+    
+    if (payment.appliedCreditNote) {
+      return res.status(400).json({ error: 'Payments made from a credit note cannot be deleted' });
+    }
+    const { refunds, creditNotes, appliedCreditNote, ...paymentBefore } = payment;
+    
+    await prisma.$transaction(async (tx) => {
+      await tx.payment.update({
+        where: { id },
+        data: { deletedAt: new Date() }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'PAYMENT',
+        entityId: id,
+        action: 'DELETE',
+        before: paymentBefore,
+        studentId: payment.studentId,
+        enrollmentId: payment.enrollmentId
+      });
+      
+      await syncInvoiceStatuses(tx, req, payment.enrollmentId);
+      await syncFinancialStatus(tx, req, payment.enrollmentId);
+    });
+    
+    res.json({ message: 'Payment moved to the Recycle Bin' });
   } catch (error) {
     console.error('Error deleting payment:', error);
-    if (error.code === 'P2025') {
+    res.status(500).json({ error: 'Failed to delete payment' });
+  }
+});
+
+// Load a live payment with its refunds and credit notes, checking that
+// `amount` can still be taken out of it. Returns { payment } or { status, error }.
+const findReversiblePayment = async (id, amount) => {
+  const payment = await prisma.payment.findFirst({
+    where: { id, deletedAt: null },
+    include: reversalsInclude
+  });
+  
+  if (!payment) {
+    return { status: 404, error: 'Payment not found' };
+  }
+  
+  const available = netPaymentAmount(payment);
+  if (parseFloat(amount) > available) {
+    return {
+      status: 400,
+      error: `Amount exceeds the $${available.toFixed(2)} left on this payment after earlier refunds and credit notes`
+    };
+  }
+  
+  return { payment };
+};
+
+// Refund part or all of a payment
+router.post('/:id/refunds', authorize('ADMIN', 'FINANCE'), validateRefund, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { amount, method, date, reason } = req.body;
+    const { payment, status, error } = await findReversiblePayment(req.params.id, amount);
+    
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const refund = await prisma.$transaction(async (tx) => {
+      const refundDate = new Date(date);
+      const createdRefund = await tx.refund.create({
+        data: {
+          refundNumber: await nextRefundNumber(tx, refundDate),
+          paymentId: payment.id,
+          studentId: payment.studentId,
+          enrollmentId: payment.enrollmentId,
+          amount: parseFloat(amount),
+          method,
+          date: refundDate,
+          reason: reason.trim()
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'REFUND',
+        entityId: createdRefund.id,
+        action: 'CREATE',
+        after: createdRefund,
+        studentId: payment.studentId,
+        enrollmentId: payment.enrollmentId
+      });
+      
+      await syncInvoiceStatuses(tx, req, payment.enrollmentId);
+      await syncFinancialStatus(tx, req, payment.enrollmentId);
+      
+      return createdRefund;
+    });
+    
+    res.status(201).json(refund);
+  } catch (error) {
+    console.error('Error creating refund:', error);
+    res.status(500).json({ error: 'Failed to create refund' });
+  }
+});
+
+// Keep part or all of a payment as credit for another enrollment
+router.post('/:id/credit-notes', authorize('ADMIN', 'FINANCE'), validateReversal, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { amount, date, reason } = req.body;
+    const { payment, status, error } = await findReversiblePayment(req.params.id, amount);
+    
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const creditNote = await prisma.$transaction(async (tx) => {
+      const creditDate = new Date(date);
+      const createdCreditNote = await tx.creditNote.create({
+        data: {
+          number: await nextCreditNoteNumber(tx, creditDate),
+          paymentId: payment.id,
+          studentId: payment.studentId,
+          enrollmentId: payment.enrollmentId,
+          amount: parseFloat(amount),
+          date: creditDate,
+          reason: reason.trim()
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'CREDIT_NOTE',
+        entityId: createdCreditNote.id,
+        action: 'CREATE',
+        after: createdCreditNote,
+        studentId: payment.studentId,
+        enrollmentId: payment.enrollmentId
+      });
+      
+      await syncInvoiceStatuses(tx, req, payment.enrollmentId);
+      await syncFinancialStatus(tx, req, payment.enrollmentId);
+      
+      return createdCreditNote;
+    });
+    
+    res.status(201).json(creditNote);
+  } catch (error) {
+    console.error('Error creating credit note:', error);
+    res.status(500).json({ error: 'Failed to create credit note' });
+  }
+});
+
+// Restore a deleted payment
+router.post('/:id/restore', authorize('FINANCE'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const payment = await prisma.payment.findUnique({
+      where: { id },
+      include: {
+        enrollment: {
+          include: pricingInclude
+        }
+      }
+    });
+    
+    if (!payment) {
       return res.status(404).json({ error: 'Payment not found' });
     }
-    res.status(500).json({ error: 'Failed to delete payment' });
+    
+    if (!payment.deletedAt) {
+      return res.status(400).json({ error: 'Payment is not deleted' });
+    }
+    
+    if (payment.enrollment.deletedAt) {
+      return res.status(400).json({ error: 'Enrollment is deleted. Restore the enrollment first.' });
+    }
+    
+    // Discounts, refunds or other payments since the delete may leave no room for it
+    const overpayment = await checkOverpayment(prisma, payment.enrollment, payment.amount);
+    if (overpayment) {
+      return res.status(400).json(overpayment);
+    }
+    
+    const restoredPayment = await prisma.$transaction(async (tx) => {
+      const updatedPayment = await tx.payment.update({
+        where: { id },
+        data: { deletedAt: null },
+        include: {
+          student: true,
+          enrollment: {
+            include: {
+              course: true
+            }
+          }
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'PAYMENT',
+        entityId: id,
+        action: 'RESTORE',
+        after: updatedPayment,
+        studentId: updatedPayment.studentId,
+        enrollmentId: updatedPayment.enrollmentId
+      });
+      
+      await syncInvoiceStatuses(tx, req, updatedPayment.enrollmentId);
+      await syncFinancialStatus(tx, req, updatedPayment.enrollmentId);
+      
+      return updatedPayment;
+    });
+    
+    res.json(restoredPayment);
+  } catch (error) {
+    console.error('Error restoring payment:', error);
+    res.status(500).json({ error: 'Failed to restore payment' });
   }
 });
 
@@ -310,26 +650,35 @@ router.get('/student/:studentId/summary', async (req, res) => {
     
     // Get all enrollments for the student
     const enrollments = await prisma.enrollment.findMany({
-      where: { studentId },
+      where: { studentId, deletedAt: null },
       include: {
-        course: true,
-        payments: true
+        ...pricingInclude,
+        payments: livePaymentsInclude
       }
     });
     
     const summary = enrollments.map(enrollment => {
-      const totalPaid = enrollment.payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
-      const coursePrice = parseFloat(enrollment.course.price);
-      const outstanding = Math.max(0, coursePrice - totalPaid);
+      const totalPaid = sumNetPayments(enrollment.payments);
+      const totalRefunded = enrollment.payments.reduce((sum, payment) =>
+        sum + payment.refunds.reduce((total, refund) => total + parseFloat(refund.amount), 0), 0);
+      const totalCredited = enrollment.payments.reduce((sum, payment) =>
+        sum + payment.creditNotes.reduce((total, creditNote) => total + parseFloat(creditNote.amount), 0), 0);
+      const { listPrice, totalDiscount, netFee } = calculatePricing(enrollment);
+      const outstanding = getOutstanding(enrollment, netFee, totalPaid);
       
       return {
         enrollmentId: enrollment.id,
         courseName: enrollment.course.name,
-        coursePrice,
+        coursePrice: listPrice,
+        totalDiscount,
+        netFee,
         totalPaid,
+        totalRefunded,
+        totalCredited,
         outstanding,
         isFullyPaid: outstanding <= 0,
-        status: enrollment.status,
+        academicStatus: enrollment.academicStatus,
+        financialStatus: enrollment.financialStatus,
         startDate: enrollment.startDate,
         endDate: enrollment.endDate
       };
@@ -337,13 +686,22 @@ router.get('/student/:studentId/summary', async (req, res) => {
     
     const totalOutstanding = summary.reduce((sum, item) => sum + item.outstanding, 0);
     const totalPaid = summary.reduce((sum, item) => sum + item.totalPaid, 0);
+    const totalRefunded = summary.reduce((sum, item) => sum + item.totalRefunded, 0);
+    
+    // Credit not yet applied to any enrollment
+    const openCredit = await prisma.creditNote.aggregate({
+      _sum: { amount: true },
+      where: { studentId, status: 'OPEN', payment: { deletedAt: null } }
+    });
     
     res.json({
       studentId,
       summary,
       totals: {
         outstanding: totalOutstanding,
-        paid: totalPaid
+        paid: totalPaid,
+        refunded: totalRefunded,
+        openCredit: parseFloat(openCredit._sum.amount || 0)
       }
     });
   } catch (error) {
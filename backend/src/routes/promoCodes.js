@@ -0,0 +1,329 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const {
+  promoCodeInclude,
+  normaliseCode,
+  resolvePromoCodes,
+  getRedemptionSummary
+} = require('../lib/promoCodes');
+
+const router = express.Router();
+
+// Validation middleware
+const validatePromoCode = [
+  body('code').trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Code must be 3-30 letters, digits, dashes or underscores'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be less than 200 characters'),
+  body('basis').isIn(['PERCENT', 'FIXED']).withMessage('Invalid basis'),
+  body('value').isFloat({ gt: 0 }).withMessage('Value must be a positive number'),
+  body('value')
+    .if(body('basis').equals('PERCENT'))
+    .isFloat({ max: 100 }).withMessage('Percentage codes cannot exceed 100%'),
+  body('validFrom').optional({ values: 'falsy' }).isISO8601().withMessage('Valid from must be a valid date'),
+  body('validUntil').optional({ values: 'falsy' }).isISO8601().withMessage('Valid until must be a valid date'),
+  body('maxRedemptions').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Redemption limit must be at least 1'),
+  body('maxPerStudent').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Per-student limit must be at least 1'),
+  body('stackable').optional().isBoolean().withMessage('stackable must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('courseIds').optional().isArray().withMessage('Courses must be a list'),
+  body('courseIds.*').isString().withMessage('Invalid course ID')
+];
+
+// Build the create/update data from a validated request body
+const promoCodeData = (payload) => ({
+  code: normaliseCode(payload.code),
+  description: payload.description?.trim() || null,
+  basis: payload.basis,
+  value: parseFloat(payload.value),
+  validFrom: payload.validFrom ? new Date(payload.validFrom) : null,
+  validUntil: payload.validUntil ? new Date(payload.validUntil) : null,
+  maxRedemptions: payload.maxRedemptions ? parseInt(payload.maxRedemptions) : null,
+  maxPerStudent: payload.maxPerStudent ? parseInt(payload.maxPerStudent) : null,
+  stackable: payload.stackable ?? false,
+  isActive: payload.isActive ?? true
+});
+
+const checkValidityWindow = (data) => {
+  if (data.validFrom && data.validUntil && data.validUntil < data.validFrom) {
+    return 'Valid until must be after valid from';
+  }
+  return null;
+};
+
+// Get all promo codes with their redemption counts
+router.get('/', async (req, res) => {
+  try {
+    const { search, active } = req.query;
+
+    const where = {};
+
+    if (search) {
+      where.OR = [
+        { code: { contains: search, mode: 'insensitive' } },
+        { description: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    if (active !== undefined) {
+      where.isActive = active === 'true';
+    }
+
+    const [promoCodes, summary] = await Promise.all([
+      prisma.promoCode.findMany({
+        where,
+        include: promoCodeInclude,
+        orderBy: { createdAt: 'desc' }
+      }),
+      getRedemptionSummary(prisma)
+    ]);
+
+    const usage = new Map(summary.map(entry => [entry.id, entry]));
+
+    res.json({
+      promoCodes: promoCodes.map(promo => ({
+        ...promo,
+        redemptions: usage.get(promo.id)?.redemptions || 0,
+        totalDiscount: usage.get(promo.id)?.totalDiscount || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching promo codes:', error);
+    res.status(500).json({ error: 'Failed to fetch promo codes' });
+  }
+});
+
+// Check a code before it is applied to an enrollment.
+// appliedCodes are the codes already on the form, so stacking is checked
+// against them; enrollmentId lets an edit keep codes it already redeemed.
+router.post('/validate', [
+  body('code').trim().notEmpty().withMessage('Promo code is required'),
+  body('courseId').isString().notEmpty().withMessage('Course ID is required'),
+  body('studentId').optional({ values: 'falsy' }).isString(),
+  body('enrollmentId').optional({ values: 'falsy' }).isString(),
+  body('appliedCodes').optional().isArray().withMessage('Applied codes must be a list'),
+  body('manualAdjustmentCount').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, courseId, studentId, enrollmentId, appliedCodes = [], manualAdjustmentCount = 0 } = req.body;
+    const normalised = normaliseCode(code);
+
+    if (appliedCodes.map(normaliseCode).includes(normalised)) {
+      return res.status(400).json({ error: `Promo code ${normalised} is already applied` });
+    }
+
+    const existing = enrollmentId
+      ? await prisma.enrollmentAdjustment.findMany({
+        where: { enrollmentId, type: 'PROMO_CODE' }
+      })
+      : [];
+
+    const result = await resolvePromoCodes(prisma, [...appliedCodes, normalised], {
+      courseId,
+      studentId,
+      existing,
+      manualAdjustmentCount: parseInt(manualAdjustmentCount)
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const promo = result.promoCodes.find(item => item.code === normalised);
+
+    res.json({
+      valid: true,
+      promoCode: {
+        id: promo.id,
+        code: promo.code,
+        description: promo.description,
+        basis: promo.basis,
+        value: promo.value,
+        stackable: promo.stackable
+      }
+    });
+  } catch (error) {
+    console.error('Error validating promo code:', error);
+    res.status(500).json({ error: 'Failed to validate promo code' });
+  }
+});
+
+// Get single promo code by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const promoCode = await prisma.promoCode.findUnique({
+      where: { id: req.params.id },
+      include: promoCodeInclude
+    });
+
+    if (!promoCode) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    res.json(promoCode);
+  } catch (error) {
+    console.error('Error fetching promo code:', error);
+    res.status(500).json({ error: 'Failed to fetch promo code' });
+  }
+});
+
+// Create new promo code
+router.post('/', authorize('ADMIN', 'FINANCE'), validatePromoCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = promoCodeData(req.body);
+    const windowError = checkValidityWindow(data);
+    if (windowError) {
+      return res.status(400).json({ error: windowError });
+    }
+
+    const courseIds = req.body.courseIds || [];
+
+    const promoCode = await prisma.$transaction(async (tx) => {
+      const createdPromoCode = await tx.promoCode.create({
+        data: {
+          ...data,
+          courses: { connect: courseIds.map(id => ({ id })) }
+        },
+        include: promoCodeInclude
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'PROMO_CODE',
+        entityId: createdPromoCode.id,
+        action: 'CREATE',
+        after: { ...createdPromoCode, courseIds }
+      });
+
+      return createdPromoCode;
+    });
+
+    res.status(201).json(promoCode);
+  } catch (error) {
+    console.error('Error creating promo code:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Promo code already exists' });
+    }
+    if (error.code === 'P2025') {
+      return res.status(400).json({ error: 'Course not found' });
+    }
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+// Update promo code. Enrollments that already redeemed it keep the
+// discount they were given.
+router.put('/:id', authorize('ADMIN', 'FINANCE'), validatePromoCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const existingPromoCode = await prisma.promoCode.findUnique({
+      where: { id },
+      include: promoCodeInclude
+    });
+
+    if (!existingPromoCode) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    const data = promoCodeData(req.body);
+    const windowError = checkValidityWindow(data);
+    if (windowError) {
+      return res.status(400).json({ error: windowError });
+    }
+
+    const courseIds = req.body.courseIds || [];
+
+    const promoCode = await prisma.$transaction(async (tx) => {
+      const updatedPromoCode = await tx.promoCode.update({
+        where: { id },
+        data: {
+          ...data,
+          courses: { set: courseIds.map(courseId => ({ id: courseId })) }
+        },
+        include: promoCodeInclude
+      });
+
+      const { courses: previousCourses, ...promoCodeBefore } = existingPromoCode;
+      await recordAudit(tx, req, {
+        entity: 'PROMO_CODE',
+        entityId: id,
+        action: 'UPDATE',
+        before: { ...promoCodeBefore, courseIds: previousCourses.map(course => course.id) },
+        after: { ...updatedPromoCode, courseIds }
+      });
+
+      return updatedPromoCode;
+    });
+
+    res.json(promoCode);
+  } catch (error) {
+    console.error('Error updating promo code:', error);
+    if (error.code === 'P2002') {
+      return res.status(400).json({ error: 'Promo code already exists' });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+    res.status(500).json({ error: 'Failed to update promo code' });
+  }
+});
+
+// Delete promo code (only if never redeemed)
+router.delete('/:id', authorize('ADMIN', 'FINANCE'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promoCode = await prisma.promoCode.findUnique({
+      where: { id },
+      include: {
+        _count: { select: { redemptions: true } }
+      }
+    });
+
+    if (!promoCode) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+
+    if (promoCode._count.redemptions > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete a promo code that has been redeemed. Deactivate it instead.',
+        redemptionsCount: promoCode._count.redemptions
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.promoCode.delete({ where: { id } });
+
+      const { _count, ...promoCodeBefore } = promoCode;
+      await recordAudit(tx, req, {
+        entity: 'PROMO_CODE',
+        entityId: id,
+        action: 'DELETE',
+        before: promoCodeBefore
+      });
+    });
+
+    res.json({ message: 'Promo code deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting promo code:', error);
+    res.status(500).json({ error: 'Failed to delete promo code' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { getRetentionDays, purgeExpired } = require('../lib/recycleBin');
+
+const router = express.Router();
+
+// When a record deleted at `deletedAt` will be purged
+const withPurgeDate = (retentionDays) => (record) => {
+  const purgeAt = new Date(record.deletedAt);
+  purgeAt.setDate(purgeAt.getDate() + retentionDays);
+  return { ...record, purgeAt };
+};
+
+// Get everything currently in the Recycle Bin
+router.get('/', authorize('ADMIN', 'FINANCE'), async (req, res) => {
+  try {
+    const retentionDays = getRetentionDays();
+    const deleted = { deletedAt: { not: null } };
+    
+    const [students, courses, enrollments, payments] = await Promise.all([
+      prisma.student.findMany({
+        where: deleted,
+        orderBy: { deletedAt: 'desc' }
+      }),
+      prisma.course.findMany({
+        where: deleted,
+        orderBy: { deletedAt: 'desc' }
+      }),
+      prisma.enrollment.findMany({
+        where: deleted,
+        include: {
+          student: {
+            select: {
+              id: true,
+              name: true,
+              deletedAt: true
+            }
+          },
+          course: {
+            select: {
+              id: true,
+              name: true,
+              deletedAt: true
+            }
+          }
+        },
+        orderBy: { deletedAt: 'desc' }
+      }),
+      prisma.payment.findMany({
+        where: deleted,
+        include: {
+          student: {
+            select: {
+              id: true,
+              name: true
+            }
+          },
+          enrollment: {
+            select: {
+              id: true,
+              deletedAt: true,
+              course: {
+                select: {
+                  name: true
+                }
+              }
+            }
+          }
+        },
+        orderBy: { deletedAt: 'desc' }
+      })
+    ]);
+    
+    const addPurgeDate = withPurgeDate(retentionDays);
+    
+    res.json({
+      retentionDays,
+      students: students.map(addPurgeDate),
+      courses: courses.map(addPurgeDate),
+      enrollments: enrollments.map(addPurgeDate),
+      payments: payments.map(addPurgeDate)
+    });
+  } catch (error) {
+    console.error('Error fetching recycle bin:', error);
+    res.status(500).json({ error: 'Failed to fetch recycle bin' });
+  }
+});
+
+// Purge records past the retention period now instead of waiting for the daily job
+router.post('/purge', authorize('ADMIN'), async (req, res) => {
+  try {
+    const purged = await purgeExpired(req);
+    
+    res.json({
+      message: 'Expired records purged',
+      purged
+    });
+  } catch (error) {
+    console.error('Error purging recycle bin:', error);
+    res.status(500).json({ error: 'Failed to purge recycle bin' });
+  }
+});
+
+module.exports = router;
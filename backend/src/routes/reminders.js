@@ -0,0 +1,256 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { REMINDER_JOB, templateFormatFor, previewReminders } = require('../lib/reminders');
+const { isValidTime, nextDailyRun, getJob, runJob } = require('../lib/scheduler');
+
+const router = express.Router();
+
+// Validation middleware
+const validateRule = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('offsetDays').isInt({ min: -60, max: 365 }).withMessage('Days must be between -60 and 365'),
+  body('channel').isIn(['EMAIL', 'SMS', 'WHATSAPP']).withMessage('Invalid channel'),
+  body('templateKey').isString().notEmpty().withMessage('Template is required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+// Build the create/update data from a validated request body
+const ruleData = (payload) => ({
+  name: payload.name.trim(),
+  offsetDays: parseInt(payload.offsetDays),
+  channel: payload.channel,
+  templateKey: payload.templateKey,
+  isActive: payload.isActive ?? true
+});
+
+// The rule's template must exist and suit its channel
+const checkTemplate = async (data) => {
+  const template = await prisma.messageTemplate.findUnique({ where: { key: data.templateKey } });
+  if (!template) {
+    return 'Message template not found';
+  }
+  if (template.format !== templateFormatFor(data.channel)) {
+    return data.channel === 'EMAIL'
+      ? 'Email reminders need an email template'
+      : 'SMS and WhatsApp reminders need a text template';
+  }
+  return null;
+};
+
+// Get all reminder rules, earliest first
+router.get('/rules', authorize('ADMIN', 'FINANCE'), async (req, res) => {
+  try {
+    const rules = await prisma.reminderRule.findMany({
+      orderBy: [{ offsetDays: 'asc' }, { name: 'asc' }],
+      include: {
+        _count: { select: { deliveries: true } }
+      }
+    });
+
+    res.json({
+      rules: rules.map(({ _count, ...rule }) => ({ ...rule, deliveries: _count.deliveries }))
+    });
+  } catch (error) {
+    console.error('Error fetching reminder rules:', error);
+    res.status(500).json({ error: 'Failed to fetch reminder rules' });
+  }
+});
+
+// Create reminder rule
+router.post('/rules', authorize('ADMIN', 'FINANCE'), validateRule, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = ruleData(req.body);
+
+    const templateError = await checkTemplate(data);
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+
+    const rule = await prisma.$transaction(async (tx) => {
+      const createdRule = await tx.reminderRule.create({ data });
+
+      await recordAudit(tx, req, {
+        entity: 'REMINDER_RULE',
+        entityId: createdRule.id,
+        action: 'CREATE',
+        after: createdRule
+      });
+
+      return createdRule;
+    });
+
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating reminder rule:', error);
+    res.status(500).json({ error: 'Failed to create reminder rule' });
+  }
+});
+
+// Update reminder rule
+router.put('/rules/:id', authorize('ADMIN', 'FINANCE'), validateRule, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const data = ruleData(req.body);
+
+    const existingRule = await prisma.reminderRule.findUnique({ where: { id } });
+
+    if (!existingRule) {
+      return res.status(404).json({ error: 'Reminder rule not found' });
+    }
+
+    const templateError = await checkTemplate(data);
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
+    }
+
+    const rule = await prisma.$transaction(async (tx) => {
+      const updatedRule = await tx.reminderRule.update({
+        where: { id },
+        data
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'REMINDER_RULE',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingRule,
+        after: updatedRule
+      });
+
+      return updatedRule;
+    });
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error updating reminder rule:', error);
+    res.status(500).json({ error: 'Failed to update reminder rule' });
+  }
+});
+
+// Delete reminder rule (its delivery records go with it)
+router.delete('/rules/:id', authorize('ADMIN', 'FINANCE'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await prisma.reminderRule.findUnique({ where: { id } });
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Reminder rule not found' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.reminderRule.delete({ where: { id } });
+
+      await recordAudit(tx, req, {
+        entity: 'REMINDER_RULE',
+        entityId: id,
+        action: 'DELETE',
+        before: rule
+      });
+    });
+
+    res.json({ message: 'Reminder rule deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting reminder rule:', error);
+    res.status(500).json({ error: 'Failed to delete reminder rule' });
+  }
+});
+
+// Dry run: the reminders the job would queue on `asOf` (default today)
+router.get('/preview', authorize('ADMIN', 'FINANCE'), [
+  query('asOf').optional().isISO8601().withMessage('As-of must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    const reminders = await previewReminders(prisma, asOf);
+
+    res.json({ asOf, reminders });
+  } catch (error) {
+    console.error('Error previewing reminders:', error);
+    res.status(500).json({ error: 'Failed to preview reminders' });
+  }
+});
+
+// Get the reminder job's schedule and last run
+router.get('/schedule', authorize('ADMIN', 'FINANCE'), async (req, res) => {
+  try {
+    res.json(await getJob(REMINDER_JOB));
+  } catch (error) {
+    console.error('Error fetching reminder schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch reminder schedule' });
+  }
+});
+
+// Change when the reminder job runs, or pause it
+router.put('/schedule', authorize('ADMIN', 'FINANCE'), [
+  body('dailyAt').custom(isValidTime).withMessage('Time must be HH:MM (24-hour)'),
+  body('isActive').isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { dailyAt, isActive } = req.body;
+    const existingJob = await getJob(REMINDER_JOB);
+
+    const job = await prisma.$transaction(async (tx) => {
+      const updatedJob = await tx.scheduledJob.update({
+        where: { name: REMINDER_JOB },
+        data: { dailyAt, isActive, nextRunAt: nextDailyRun(dailyAt) }
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'SCHEDULED_JOB',
+        entityId: updatedJob.id,
+        action: 'UPDATE',
+        before: existingJob,
+        after: updatedJob
+      });
+
+      return updatedJob;
+    });
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error updating reminder schedule:', error);
+    res.status(500).json({ error: 'Failed to update reminder schedule' });
+  }
+});
+
+// Run the reminder job now instead of waiting for its time
+router.post('/run', authorize('ADMIN'), async (req, res) => {
+  try {
+    const job = await runJob(REMINDER_JOB, { force: true });
+
+    if (!job) {
+      return res.status(409).json({ error: 'Reminders are already being sent' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error running reminders:', error);
+    res.status(500).json({ error: 'Failed to run reminders' });
+  }
+});
+
+module.exports = router;
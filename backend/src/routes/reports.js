@@ -0,0 +1,299 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { pricingInclude } = require('../lib/pricing');
+const { livePaymentsInclude } = require('../lib/refunds');
+const { AGING_BUCKETS, agingInclude, agingForEnrollment, sumBuckets } = require('../lib/aging');
+const { toCsv } = require('../lib/csv');
+const { SEAT_STATUS_FILTER } = require('../lib/batches');
+const { summariesByEnrollment } = require('../lib/attendance');
+const { buildPayouts } = require('../lib/payouts');
+const { roundMoney } = require('../lib/money');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation error for the aging report query, or null
+const checkAgingQuery = ({ bucket, asOf }) => {
+  if (bucket && !AGING_BUCKETS.some(item => item.key === bucket)) return 'Invalid aging bucket';
+  if (asOf && Number.isNaN(new Date(asOf).getTime())) return 'As-of date must be a valid date';
+  return null;
+};
+
+/**
+ * Outstanding enrollments as aging rows, filtered by the report query
+ * (courseId, batch, bucket, asOf).
+ */
+const buildAgingRows = async (query) => {
+  const { courseId, batch, bucket } = query;
+  const asOf = query.asOf ? new Date(query.asOf) : new Date();
+
+  const where = {
+    deletedAt: null,
+    academicStatus: { notIn: ['WITHDRAWN', 'WAITLISTED'] },
+    student: { deletedAt: null }
+  };
+
+  if (courseId) where.courseId = courseId;
+  if (batch) where.batch = batch;
+
+  const enrollments = await prisma.enrollment.findMany({
+    where,
+    include: {
+      ...pricingInclude,
+      ...agingInclude,
+      payments: livePaymentsInclude,
+      student: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          phone: true
+        }
+      }
+    },
+    orderBy: { startDate: 'asc' }
+  });
+
+  const rows = enrollments
+    .map((enrollment) => {
+      const aging = agingForEnrollment(enrollment, asOf);
+      if (!aging) return null;
+
+      return {
+        enrollmentId: enrollment.id,
+        academicStatus: enrollment.academicStatus,
+        financialStatus: enrollment.financialStatus,
+        startDate: enrollment.startDate,
+        student: enrollment.student,
+        course: {
+          id: enrollment.course.id,
+          name: enrollment.course.name
+        },
+        batch: enrollment.batch,
+        hasPaymentPlan: !!enrollment.paymentPlan,
+        ...aging
+      };
+    })
+    .filter(row => row && (!bucket || row.buckets[bucket] > 0))
+    .sort((a, b) => b.daysOverdue - a.daysOverdue || b.outstanding - a.outstanding);
+
+  return { asOf, rows };
+};
+
+// Receivables aging: outstanding balances bucketed by days past due,
+// with totals per course and batch and the enrollments behind them
+router.get('/aging', async (req, res) => {
+  try {
+    const queryError = checkAgingQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+
+    const { asOf, rows } = await buildAgingRows(req.query);
+
+    const groups = new Map();
+    rows.forEach((row) => {
+      const key = `${row.course.id}|${row.batch || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, { course: row.course, batch: row.batch, rows: [] });
+      }
+      groups.get(key).rows.push(row);
+    });
+
+    const byCourse = [...groups.values()]
+      .map(group => ({
+        course: group.course,
+        batch: group.batch,
+        enrollments: group.rows.length,
+        ...sumBuckets(group.rows)
+      }))
+      .sort((a, b) => a.course.name.localeCompare(b.course.name) || (a.batch || '').localeCompare(b.batch || ''));
+
+    res.json({
+      asOf,
+      buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+      totals: sumBuckets(rows),
+      byCourse,
+      rows
+    });
+  } catch (error) {
+    console.error('Error building aging report:', error);
+    res.status(500).json({ error: 'Failed to build aging report' });
+  }
+});
+
+// Same rows as /aging, as a CSV download
+router.get('/aging.csv', async (req, res) => {
+  try {
+    const queryError = checkAgingQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+
+    const { asOf, rows } = await buildAgingRows(req.query);
+
+    const csv = toCsv([
+      { header: 'Student', value: row => row.student.name },
+      { header: 'Email', value: row => row.student.email },
+      { header: 'Phone', value: row => row.student.phone },
+      { header: 'Course', value: row => row.course.name },
+      { header: 'Batch', value: row => row.batch },
+      { header: 'Start Date', value: row => row.startDate },
+      { header: 'Net Fee', value: row => row.netFee.toFixed(2) },
+      { header: 'Paid', value: row => row.totalPaid.toFixed(2) },
+      { header: 'Outstanding', value: row => row.outstanding.toFixed(2) },
+      ...AGING_BUCKETS.map(({ key, label }) => ({ header: label, value: row => row.buckets[key].toFixed(2) })),
+      { header: 'Days Overdue', value: row => Math.max(0, row.daysOverdue) }
+    ], rows);
+
+    const filename = `receivables-aging-${asOf.toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting aging report:', error);
+    res.status(500).json({ error: 'Failed to export aging report' });
+  }
+});
+
+// Attendance rate per enrollment (seat holders only), lowest first.
+// atRisk=true keeps only enrollments flagged for low attendance.
+router.get('/attendance', async (req, res) => {
+  try {
+    const { courseId, batchId, studentId, atRisk } = req.query;
+
+    const where = {
+      ...SEAT_STATUS_FILTER,
+      student: { deletedAt: null },
+      course: { deletedAt: null }
+    };
+
+    if (courseId) where.courseId = courseId;
+    if (batchId) where.batchId = batchId;
+    if (studentId) where.studentId = studentId;
+
+    const enrollments = await prisma.enrollment.findMany({
+      where,
+      include: {
+        student: { select: { id: true, name: true, email: true, phone: true } },
+        course: { select: { id: true, name: true } }
+      }
+    });
+
+    const summaries = await summariesByEnrollment(prisma, enrollments.map(enrollment => enrollment.id));
+
+    let rows = enrollments.map(enrollment => ({
+      enrollmentId: enrollment.id,
+      academicStatus: enrollment.academicStatus,
+      student: enrollment.student,
+      course: enrollment.course,
+      batchId: enrollment.batchId,
+      batch: enrollment.batch,
+      ...summaries.get(enrollment.id)
+    }));
+
+    if (atRisk === 'true') rows = rows.filter(row => row.atRisk);
+
+    // Lowest rate first; enrollments with nothing marked yet last
+    rows.sort((a, b) => (a.rate ?? Infinity) - (b.rate ?? Infinity) || a.student.name.localeCompare(b.student.name));
+
+    const rated = rows.filter(row => row.rate !== null);
+
+    res.json({
+      totals: {
+        enrollments: rows.length,
+        atRisk: rows.filter(row => row.atRisk).length,
+        averageRate: rated.length
+          ? Math.round(rated.reduce((sum, row) => sum + row.rate, 0) / rated.length)
+          : null
+      },
+      rows
+    });
+  } catch (error) {
+    console.error('Error building attendance report:', error);
+    res.status(500).json({ error: 'Failed to build attendance report' });
+  }
+});
+
+const PAYOUT_ROLES = ['ADMIN', 'FINANCE'];
+
+/**
+ * Payout period from the report query: `from` and `to` are dates, both
+ * included; the current month when left out.
+ * @returns { from, to (exclusive), label } or { error }
+ */
+const payoutPeriod = ({ from, to }) => {
+  const now = new Date();
+  const start = from ? new Date(`${from.slice(0, 10)}T00:00:00Z`) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const last = to ? new Date(`${to.slice(0, 10)}T00:00:00Z`) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0));
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(last.getTime())) return { error: 'From and to must be valid dates' };
+  if (last < start) return { error: 'To must be on or after from' };
+
+  return {
+    from: start,
+    to: new Date(last.getTime() + 24 * 60 * 60 * 1000),
+    label: `${start.toISOString().slice(0, 10)}_${last.toISOString().slice(0, 10)}`
+  };
+};
+
+// What each instructor is owed for the period's delivered sessions
+router.get('/payouts', authorize(...PAYOUT_ROLES), async (req, res) => {
+  try {
+    const period = payoutPeriod(req.query);
+    if (period.error) {
+      return res.status(400).json({ error: period.error });
+    }
+
+    const rows = await buildPayouts(prisma, { ...period, instructorId: req.query.instructorId });
+
+    res.json({
+      from: period.from,
+      to: new Date(period.to.getTime() - 1),
+      totals: {
+        sessions: rows.reduce((sum, row) => sum + row.sessions, 0),
+        hours: Math.round(rows.reduce((sum, row) => sum + row.hours, 0) * 100) / 100,
+        amount: roundMoney(rows.reduce((sum, row) => sum + row.amount, 0))
+      },
+      rows
+    });
+  } catch (error) {
+    console.error('Error building payout report:', error);
+    res.status(500).json({ error: 'Failed to build payout report' });
+  }
+});
+
+// Payout lines (one per instructor and batch) as a CSV for payroll
+router.get('/payouts.csv', authorize(...PAYOUT_ROLES), async (req, res) => {
+  try {
+    const period = payoutPeriod(req.query);
+    if (period.error) {
+      return res.status(400).json({ error: period.error });
+    }
+
+    const rows = await buildPayouts(prisma, { ...period, instructorId: req.query.instructorId });
+    const lines = rows.flatMap(row => row.lines.map(line => ({ ...line, instructor: row.instructor })));
+
+    const csv = toCsv([
+      { header: 'Instructor', value: line => line.instructor.name },
+      { header: 'Email', value: line => line.instructor.email },
+      { header: 'Rate Type', value: line => line.instructor.rateType },
+      { header: 'Rate', value: line => line.instructor.rate.toFixed(2) },
+      { header: 'Course', value: line => line.course.name },
+      { header: 'Batch', value: line => line.batch?.code },
+      { header: 'Sessions', value: line => line.sessions },
+      { header: 'Batch Sessions', value: line => line.batchSessions },
+      { header: 'Hours', value: line => line.hours.toFixed(2) },
+      { header: 'Amount', value: line => line.amount.toFixed(2) }
+    ], lines);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="instructor-payouts-${period.label}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting payout report:', error);
+    res.status(500).json({ error: 'Failed to export payout report' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,402 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { ATTENDANCE_STATUSES, summariesByEnrollment, rosterWhere } = require('../lib/attendance');
+const { timetableInclude, taughtBy, findConflicts } = require('../lib/timetable');
+const { checkInstructor } = require('../lib/instructors');
+
+const router = express.Router();
+
+// Validation middleware
+const validateSession = [
+  body('courseId').isString().notEmpty().withMessage('Course ID is required'),
+  body('batchId').optional({ values: 'falsy' }).isString().withMessage('Invalid batch ID'),
+  body('instructorId').optional({ values: 'falsy' }).isString().withMessage('Invalid instructor ID'),
+  body('startsAt').isISO8601().withMessage('Start time must be a valid date'),
+  body('endsAt').optional({ values: 'falsy' }).isISO8601().withMessage('End time must be a valid date'),
+  body('topic').optional().trim().isLength({ max: 200 }).withMessage('Topic must be less than 200 characters'),
+  body('room').optional({ values: 'null' }).trim().isLength({ max: 200 }).withMessage('Room must be less than 200 characters'),
+  body('ignoreConflicts').optional().isBoolean().withMessage('ignoreConflicts must be true or false')
+];
+
+/**
+ * Check the course, batch and substitute instructor of a session.
+ * @returns { batch } (null without one) or { error }
+ */
+const checkSessionData = async (data) => {
+  if (data.endsAt && data.endsAt < data.startsAt) {
+    return { error: 'End time must be after start time' };
+  }
+
+  const instructorError = await checkInstructor(prisma, data.instructorId);
+  if (instructorError) return { error: instructorError };
+
+  const course = await prisma.course.findFirst({ where: { id: data.courseId, deletedAt: null } });
+  if (!course) return { error: 'Course not found' };
+
+  if (!data.batchId) return { batch: null };
+
+  const batch = await prisma.batch.findUnique({ where: { id: data.batchId } });
+  if (!batch || batch.courseId !== data.courseId) return { error: 'Batch does not belong to this course' };
+
+  return { batch };
+};
+
+// Sessions sharing the instructor or room at the same time
+const sessionConflicts = (data, batch, excludeSessionIds) => findConflicts(prisma, [{
+  startsAt: data.startsAt,
+  endsAt: data.endsAt,
+  instructorId: data.instructorId || batch?.instructorId,
+  room: data.room || batch?.venue
+}], { excludeSessionIds });
+
+const sessionData = (payload) => ({
+  courseId: payload.courseId,
+  batchId: payload.batchId || null,
+  instructorId: payload.instructorId || null,
+  startsAt: new Date(payload.startsAt),
+  endsAt: payload.endsAt ? new Date(payload.endsAt) : null,
+  topic: payload.topic?.trim() || null,
+  room: payload.room?.trim() || null
+});
+
+// Get sessions with how many students were marked; newest first, or
+// oldest first with `order=asc` (the calendar)
+router.get('/', async (req, res) => {
+  try {
+    const { courseId, batchId, instructorId, room, from, to, order, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = { course: { deletedAt: null }, AND: [] };
+
+    if (courseId) where.courseId = courseId;
+    if (batchId) where.batchId = batchId;
+    if (instructorId) where.AND.push(taughtBy(instructorId));
+    if (room) {
+      where.AND.push({
+        OR: [
+          { room: { equals: room, mode: 'insensitive' } },
+          { room: null, batch: { venue: { equals: room, mode: 'insensitive' } } }
+        ]
+      });
+    }
+    if (from || to) {
+      where.startsAt = {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lte: new Date(to) })
+      };
+    }
+
+    const [sessions, total] = await Promise.all([
+      prisma.session.findMany({
+        where,
+        include: {
+          ...timetableInclude,
+          attendance: { select: { status: true } }
+        },
+        orderBy: { startsAt: order === 'asc' ? 'asc' : 'desc' },
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.session.count({ where })
+    ]);
+
+    res.json({
+      sessions: sessions.map(({ attendance, ...session }) => ({
+        ...session,
+        marked: attendance.length,
+        present: attendance.filter(record => ['PRESENT', 'LATE'].includes(record.status)).length
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Get session with its roll call: everyone expected, plus anyone marked
+// who has since left the roster
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await prisma.session.findUnique({
+      where: { id: req.params.id },
+      include: {
+        ...timetableInclude,
+        attendance: {
+          include: { markedBy: { select: { id: true, name: true } } }
+        }
+      }
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const markedIds = session.attendance.map(record => record.enrollmentId);
+    const enrollments = await prisma.enrollment.findMany({
+      where: {
+        OR: [
+          rosterWhere(session),
+          { id: { in: markedIds } }
+        ]
+      },
+      include: {
+        student: { select: { id: true, name: true, email: true, phone: true } }
+      },
+      orderBy: { student: { name: 'asc' } }
+    });
+
+    const summaries = await summariesByEnrollment(prisma, enrollments.map(enrollment => enrollment.id));
+    const { attendance, ...rest } = session;
+
+    res.json({
+      ...rest,
+      roster: enrollments.map(enrollment => ({
+        enrollmentId: enrollment.id,
+        academicStatus: enrollment.academicStatus,
+        student: enrollment.student,
+        attendance: attendance.find(record => record.enrollmentId === enrollment.id) || null,
+        summary: summaries.get(enrollment.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching session:', error);
+    res.status(500).json({ error: 'Failed to fetch session' });
+  }
+});
+
+// Create new session
+router.post('/', authorize('ADMIN', 'COUNSELLOR'), validateSession, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = sessionData(req.body);
+
+    const { batch, error: dataError } = await checkSessionData(data);
+    if (dataError) {
+      return res.status(400).json({ error: dataError });
+    }
+
+    if (!req.body.ignoreConflicts) {
+      const conflicts = await sessionConflicts(data, batch, []);
+      if (conflicts.length > 0) {
+        return res.status(409).json({ error: 'The instructor or room is already booked at this time', conflicts });
+      }
+    }
+
+    const session = await prisma.$transaction(async (tx) => {
+      const createdSession = await tx.session.create({
+        data,
+        include: timetableInclude
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'SESSION',
+        entityId: createdSession.id,
+        action: 'CREATE',
+        after: createdSession
+      });
+
+      return createdSession;
+    });
+
+    res.status(201).json(session);
+  } catch (error) {
+    console.error('Error creating session:', error);
+    res.status(500).json({ error: 'Failed to create session' });
+  }
+});
+
+// Update session
+router.put('/:id', authorize('ADMIN', 'COUNSELLOR'), validateSession, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const data = sessionData(req.body);
+
+    const existingSession = await prisma.session.findUnique({
+      where: { id },
+      include: { _count: { select: { attendance: true } } }
+    });
+
+    if (!existingSession) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const movesRoster = data.courseId !== existingSession.courseId || data.batchId !== existingSession.batchId;
+    if (movesRoster && existingSession._count.attendance > 0) {
+      return res.status(400).json({ error: 'Cannot move a session that already has attendance to another course or batch' });
+    }
+
+    const { batch, error: dataError } = await checkSessionData(data);
+    if (dataError) {
+      return res.status(400).json({ error: dataError });
+    }
+
+    if (!req.body.ignoreConflicts) {
+      const conflicts = await sessionConflicts(data, batch, [id]);
+      if (conflicts.length > 0) {
+        return res.status(409).json({ error: 'The instructor or room is already booked at this time', conflicts });
+      }
+    }
+
+    const session = await prisma.$transaction(async (tx) => {
+      const updatedSession = await tx.session.update({
+        where: { id },
+        data,
+        include: timetableInclude
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'SESSION',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingSession,
+        after: updatedSession
+      });
+
+      return updatedSession;
+    });
+
+    res.json(session);
+  } catch (error) {
+    console.error('Error updating session:', error);
+    res.status(500).json({ error: 'Failed to update session' });
+  }
+});
+
+// Save roll call. Records not listed are left as they are; a null status
+// clears a mark.
+router.put('/:id/attendance', authorize('ADMIN', 'COUNSELLOR'), [
+  body('records').isArray({ min: 1 }).withMessage('Attendance records are required'),
+  body('records.*.enrollmentId').isString().notEmpty().withMessage('Enrollment ID is required'),
+  body('records.*.status').optional({ values: 'null' }).isIn(ATTENDANCE_STATUSES).withMessage('Invalid attendance status'),
+  body('records.*.note').optional({ values: 'null' }).trim().isLength({ max: 200 }).withMessage('Note must be less than 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { records } = req.body;
+
+    const session = await prisma.session.findUnique({
+      where: { id },
+      include: { attendance: true }
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Anyone on the roster, or already marked at this session, can be marked
+    const enrollmentIds = records.map(record => record.enrollmentId);
+    const enrollments = await prisma.enrollment.findMany({
+      where: {
+        id: { in: enrollmentIds },
+        OR: [
+          rosterWhere(session),
+          { id: { in: session.attendance.map(record => record.enrollmentId) } }
+        ]
+      },
+      include: { student: { select: { name: true } } }
+    });
+
+    if (enrollments.length !== new Set(enrollmentIds).size) {
+      return res.status(400).json({ error: 'Some students are not on this session\'s roster' });
+    }
+
+    const nameOf = new Map(enrollments.map(enrollment => [enrollment.id, enrollment.student.name]));
+    const before = {};
+    const after = {};
+
+    await prisma.$transaction(async (tx) => {
+      for (const record of records) {
+        const existing = session.attendance.find(item => item.enrollmentId === record.enrollmentId);
+        const where = { sessionId_enrollmentId: { sessionId: id, enrollmentId: record.enrollmentId } };
+        const status = record.status || null;
+        const note = status ? record.note?.trim() || null : null;
+
+        const unchanged = status === (existing?.status || null) && note === (existing?.note || null);
+        if (unchanged) continue;
+
+        if (status) {
+          await tx.attendance.upsert({
+            where,
+            create: { sessionId: id, enrollmentId: record.enrollmentId, status, note, markedById: req.user.id },
+            update: { status, note, markedById: req.user.id }
+          });
+        } else {
+          await tx.attendance.delete({ where });
+        }
+
+        const name = nameOf.get(record.enrollmentId);
+        before[name] = existing?.status || null;
+        after[name] = status;
+      }
+
+      if (Object.keys(after).length > 0) {
+        await recordAudit(tx, req, {
+          entity: 'SESSION',
+          entityId: id,
+          action: 'UPDATE',
+          before,
+          after
+        });
+      }
+    });
+
+    res.json({ message: 'Attendance saved', changed: Object.keys(after).length });
+  } catch (error) {
+    console.error('Error saving attendance:', error);
+    res.status(500).json({ error: 'Failed to save attendance' });
+  }
+});
+
+// Delete session and its attendance
+router.delete('/:id', authorize('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await prisma.session.findUnique({ where: { id } });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.session.delete({ where: { id } });
+
+      await recordAudit(tx, req, {
+        entity: 'SESSION',
+        entityId: id,
+        action: 'DELETE',
+        before: session
+      });
+    });
+
+    res.json({ message: 'Session deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    res.status(500).json({ error: 'Failed to delete session' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+
+const router = express.Router();
+
+// Active staff for owner/assignee pickers; unlike /api/users this is open to
+// every signed-in user and returns names and roles only
+router.get('/', async (req, res) => {
+  try {
+    const staff = await prisma.user.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, role: true },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({ staff });
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    res.status(500).json({ error: 'Failed to fetch staff' });
+  }
+});
+
+module.exports = router;
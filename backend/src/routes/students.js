@@ -1,7 +1,20 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
-const { Prisma } = require('../generated/prisma-client');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { pricingInclude, calculatePricing, getOutstanding } = require('../lib/pricing');
+const { livePaymentsInclude, sumNetPayments } = require('../lib/refunds');
+const { resolvePromoCodes, savePromoCodes } = require('../lib/promoCodes');
+const { queueWelcome, queueEnrollmentConfirmation } = require('../lib/notifications');
+const { kickOutbox } = require('../lib/outbox');
+const { toE164, isValidPhone } = require('../lib/phone');
+const { addNote } = require('../lib/notes');
+const { TIMELINE_KINDS, buildTimeline } = require('../lib/timeline');
+const { resolveBatch, checkSeat, holdsSeat } = require('../lib/batches');
+const { placeOnWaitlist } = require('../lib/waitlist');
+const { INITIAL_STATUSES, startingStatus, recordStatusChange, syncFinancialStatus } = require('../lib/enrollmentStatus');
+const { PAYMENT_METHODS, PAYMENT_ROLES, checkPayment, createPayment } = require('../lib/payments');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -12,7 +25,7 @@ const router = express.Router();
 const validateStudent = [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Must be a valid email'),
-  body('phone').trim().isLength({ min: 10, max: 15 }).withMessage('Phone must be 10-15 characters'),
+  body('phone').trim().custom(isValidPhone).withMessage('Phone must be a valid phone number').customSanitizer(value => toE164(value)),
   body('nricPassportId').optional().trim().isLength({ min: 3 }).withMessage('NRIC/Passport required')
 ];
 
@@ -30,13 +43,32 @@ const storage = multer.diskStorage({
 });
 const uploadDocs = multer({ storage });
 
+// Attach the net fee breakdown and balance to each of a student's enrollments
+const withEnrollmentPricing = (student) => ({
+  ...student,
+  enrollments: student.enrollments.map((enrollment) => {
+    const pricing = calculatePricing(enrollment);
+    const totalPaid = sumNetPayments(enrollment.payments);
+    const outstanding = getOutstanding(enrollment, pricing.netFee, totalPaid);
+    return {
+      ...enrollment,
+      pricing,
+      paymentStatus: {
+        totalPaid,
+        outstanding,
+        isFullyPaid: outstanding <= 0
+      }
+    };
+  })
+});
+
 // Get all students with optional filters
 router.get('/', async (req, res) => {
   try {
-    const { search, course, status, page = 1, limit = 20 } = req.query;
+    const { search, course, academicStatus, page = 1, limit = 20 } = req.query;
     
-    const where = {};
-    const enrollmentWhere = {};
+    const where = { deletedAt: null };
+    const enrollmentWhere = { deletedAt: null };
     
     if (search) {
       where.OR = [
@@ -51,10 +83,10 @@ router.get('/', async (req, res) => {
         name: { contains: course, mode: 'insensitive' }
       };
     }
-    if (status) {
-      enrollmentWhere.status = status;
+    if (academicStatus) {
+      enrollmentWhere.academicStatus = academicStatus;
     }
-    if (Object.keys(enrollmentWhere).length > 0) {
+    if (course || academicStatus) {
       where.enrollments = { some: enrollmentWhere };
     }
     
@@ -65,12 +97,13 @@ router.get('/', async (req, res) => {
         where,
         include: {
           enrollments: {
+            where: { deletedAt: null },
             include: {
-              course: true,
-              payments: true
+              ...pricingInclude,
+              payments: livePaymentsInclude
             }
           },
-          payments: true
+          payments: { where: { deletedAt: null } }
         },
         orderBy: { createdAt: 'desc' },
         skip,
@@ -80,7 +113,7 @@ router.get('/', async (req, res) => {
     ]);
     
     res.json({
-      students,
+      students: students.map(withEnrollmentPricing),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -99,14 +132,32 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const student = await prisma.student.findUnique({
-      where: { id },
+    const student = await prisma.student.findFirst({
+      where: { id, deletedAt: null },
       include: {
         enrollments: {
+          where: { deletedAt: null },
           include: {
-            course: true,
-            payments: true
+            ...pricingInclude,
+            payments: livePaymentsInclude
           }
+        },
+        payments: {
+          where: { deletedAt: null },
+          include: {
+            enrollment: {
+              include: {
+                course: {
+                  select: {
+                    name: true
+                  }
+                }
+              }
+            },
+            refunds: true,
+            creditNotes: true
+          },
+          orderBy: { date: 'desc' }
         }
       }
     });
@@ -115,15 +166,50 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Student not found' });
     }
     
-    res.json(student);
+    res.json(withEnrollmentPricing(student));
   } catch (error) {
     console.error('Error fetching student:', error);
     res.status(500).json({ error: 'Failed to fetch student' });
   }
 });
 
+// Get a student's activity timeline, newest first. Pinned notes are also
+// returned separately so they can stay on top whatever page is shown.
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { kinds, page = 1, limit = 20 } = req.query;
+
+    const student = await prisma.student.findFirst({ where: { id, deletedAt: null } });
+
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const wanted = kinds ? kinds.split(',').filter(kind => TIMELINE_KINDS.includes(kind)) : TIMELINE_KINDS;
+    const items = await buildTimeline(prisma, student, wanted);
+    const pinned = items.filter(item => item.kind === 'NOTE' && item.note.isPinned);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    res.json({
+      items: items.slice(skip, skip + parseInt(limit)),
+      pinned,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: items.length,
+        pages: Math.ceil(items.length / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching student timeline:', error);
+    res.status(500).json({ error: 'Failed to fetch student timeline' });
+  }
+});
+
 // Create new student
-router.post('/', validateStudent, async (req, res) => {
+router.post('/', authorize('ADMIN', 'COUNSELLOR'), validateStudent, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -137,20 +223,40 @@ router.post('/', validateStudent, async (req, res) => {
       where: { email }
     });
     
+    if (existingStudent?.deletedAt) {
+      return res.status(400).json({ error: 'Email belongs to a deleted student. Restore it from the Recycle Bin instead.' });
+    }
+    
     if (existingStudent) {
       return res.status(400).json({ error: 'Email already registered' });
     }
     
-    const student = await prisma.student.create({
-      data: { 
-        name, 
-        email, 
-        phone,
-        nricPassportId: nricPassportId || undefined,
-        address: address || undefined,
-        remarks: remarks || undefined,
-        documents: Array.isArray(documents) ? documents : []
+    const student = await prisma.$transaction(async (tx) => {
+      const createdStudent = await tx.student.create({
+        data: { 
+          name, 
+          email, 
+          phone,
+          nricPassportId: nricPassportId || undefined,
+          address: address || undefined,
+          documents: Array.isArray(documents) ? documents : []
+        }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'STUDENT',
+        entityId: createdStudent.id,
+        action: 'CREATE',
+        after: createdStudent,
+        studentId: createdStudent.id
+      });
+      
+      // Remarks given on creation become the student's first note
+      if (remarks?.trim()) {
+        await addNote(tx, req, { studentId: createdStudent.id, body: remarks });
       }
+      
+      return createdStudent;
     });
     
     res.status(201).json(student);
@@ -161,7 +267,7 @@ router.post('/', validateStudent, async (req, res) => {
 });
 
 // Update student
-router.put('/:id', validateStudent, async (req, res) => {
+router.put('/:id', authorize('ADMIN', 'COUNSELLOR'), validateStudent, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -169,7 +275,7 @@ router.put('/:id', validateStudent, async (req, res) => {
     }
     
     const { id } = req.params;
-    const { name, email, phone, nricPassportId, address, remarks, documents } = req.body;
+    const { name, email, phone, nricPassportId, address, documents } = req.body;
     
     // Check if email already exists for another student
     const existingStudent = await prisma.student.findFirst({
@@ -183,9 +289,30 @@ router.put('/:id', validateStudent, async (req, res) => {
       return res.status(400).json({ error: 'Email already registered to another student' });
     }
     
-    const student = await prisma.student.update({
-      where: { id },
-      data: { name, email, phone, nricPassportId, address, remarks, documents }
+    const previousStudent = await prisma.student.findFirst({
+      where: { id, deletedAt: null }
+    });
+    
+    if (!previousStudent) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    
+    const student = await prisma.$transaction(async (tx) => {
+      const updatedStudent = await tx.student.update({
+        where: { id },
+        data: { name, email, phone, nricPassportId, address, documents }
+      });
+      
+      await recordAudit(tx, req, {
+        entity: 'STUDENT',
+        entityId: id,
+        action: 'UPDATE',
+        before: previousStudent,
+        after: updatedStudent,
+        studentId: id
+      });
+      
+      return updatedStudent;
     });
     
     res.json(student);
@@ -198,27 +325,167 @@ router.put('/:id', validateStudent, async (req, res) => {
   }
 });
 
-// Delete student
-router.delete('/:id', async (req, res) => {
+// Delete student (soft delete; enrollments and payments go with it)
+router.delete('/:id', authorize('ADMIN'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    await prisma.student.delete({
-      where: { id }
+    // Same rule as deleting a single payment (routes/payments.js)
+    const reversedPayments = await prisma.payment.count({
+      where: {
+        studentId: id,
+        deletedAt: null,
+        OR: [
+          { refunds: { some: {} } },
+          { creditNotes: { some: {} } },
+          { appliedCreditNote: { isNot: null } }
+        ]
+      }
     });
     
-    res.json({ message: 'Student deleted successfully' });
+    if (reversedPayments > 0) {
+      return res.status(400).json({ error: 'Cannot delete a student with payments that have refunds or credit notes' });
+    }
+    
+    const deletedStudent = await prisma.$transaction(async (tx) => {
+      const student = await tx.student.findFirst({
+        where: { id, deletedAt: null },
+        include: {
+          enrollments: { where: { deletedAt: null } },
+          payments: { where: { deletedAt: null } }
+        }
+      });
+      
+      if (!student) return null;
+      
+      // Everything shares one deletedAt so a restore brings back exactly these rows
+      const deletedAt = new Date();
+      
+      for (const payment of student.payments) {
+        await tx.payment.update({ where: { id: payment.id }, data: { deletedAt } });
+        await recordAudit(tx, req, {
+          entity: 'PAYMENT',
+          entityId: payment.id,
+          action: 'DELETE',
+          before: payment,
+          studentId: id,
+          enrollmentId: payment.enrollmentId
+        });
+      }
+      
+      for (const enrollment of student.enrollments) {
+        await tx.enrollment.update({ where: { id: enrollment.id }, data: { deletedAt } });
+        await recordAudit(tx, req, {
+          entity: 'ENROLLMENT',
+          entityId: enrollment.id,
+          action: 'DELETE',
+          before: enrollment,
+          studentId: id,
+          enrollmentId: enrollment.id
+        });
+      }
+      
+      await tx.student.update({ where: { id }, data: { deletedAt } });
+      await recordAudit(tx, req, {
+        entity: 'STUDENT',
+        entityId: id,
+        action: 'DELETE',
+        before: student,
+        studentId: id
+      });
+      
+      return student;
+    });
+    
+    if (!deletedStudent) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    
+    res.json({ message: 'Student moved to the Recycle Bin' });
   } catch (error) {
     console.error('Error deleting student:', error);
-    if (error.code === 'P2025') {
+    res.status(500).json({ error: 'Failed to delete student' });
+  }
+});
+
+// Restore a deleted student together with the records deleted alongside it
+router.post('/:id/restore', authorize('ADMIN'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const student = await prisma.student.findUnique({
+      where: { id }
+    });
+    
+    if (!student) {
       return res.status(404).json({ error: 'Student not found' });
     }
-    res.status(500).json({ error: 'Failed to delete student' });
+    
+    if (!student.deletedAt) {
+      return res.status(400).json({ error: 'Student is not deleted' });
+    }
+    
+    const restoredStudent = await prisma.$transaction(async (tx) => {
+      const cascadeWhere = { studentId: id, deletedAt: student.deletedAt };
+      const [enrollments, payments] = await Promise.all([
+        tx.enrollment.findMany({ where: cascadeWhere }),
+        tx.payment.findMany({ where: cascadeWhere })
+      ]);
+      
+      const updatedStudent = await tx.student.update({
+        where: { id },
+        data: { deletedAt: null }
+      });
+      await recordAudit(tx, req, {
+        entity: 'STUDENT',
+        entityId: id,
+        action: 'RESTORE',
+        after: updatedStudent,
+        studentId: id
+      });
+      
+      for (const enrollment of enrollments) {
+        const updatedEnrollment = await tx.enrollment.update({
+          where: { id: enrollment.id },
+          data: { deletedAt: null }
+        });
+        await recordAudit(tx, req, {
+          entity: 'ENROLLMENT',
+          entityId: enrollment.id,
+          action: 'RESTORE',
+          after: updatedEnrollment,
+          studentId: id,
+          enrollmentId: enrollment.id
+        });
+      }
+      
+      for (const payment of payments) {
+        const updatedPayment = await tx.payment.update({
+          where: { id: payment.id },
+          data: { deletedAt: null }
+        });
+        await recordAudit(tx, req, {
+          entity: 'PAYMENT',
+          entityId: payment.id,
+          action: 'RESTORE',
+          after: updatedPayment,
+          studentId: id,
+          enrollmentId: payment.enrollmentId
+        });
+      }
+      
+      return updatedStudent;
+    });
+    
+    res.json(restoredStudent);
+  } catch (error) {
+    console.error('Error restoring student:', error);
+    res.status(500).json({ error: 'Failed to restore student' });
   }
 });
 
 // Bulk import students from CSV data
-router.post('/bulk-import', async (req, res) => {
+router.post('/bulk-import', authorize('ADMIN', 'COUNSELLOR'), async (req, res) => {
   try {
     const { students } = req.body;
     
@@ -243,6 +510,16 @@ router.post('/bulk-import', async (req, res) => {
           continue;
         }
         
+        const phone = toE164(studentData.phone);
+        if (!phone) {
+          errors.push({
+            row: i + 1,
+            error: 'Invalid phone number',
+            data: studentData
+          });
+          continue;
+        }
+        
         // Check if email already exists
         const existingStudent = await prisma.student.findUnique({
           where: { email: studentData.email }
@@ -258,12 +535,24 @@ router.post('/bulk-import', async (req, res) => {
         }
         
         // Create student
-        const student = await prisma.student.create({
-          data: {
-            name: studentData.name.trim(),
-            email: studentData.email.trim().toLowerCase(),
-            phone: studentData.phone.trim()
-          }
+        const student = await prisma.$transaction(async (tx) => {
+          const createdStudent = await tx.student.create({
+            data: {
+              name: studentData.name.trim(),
+              email: studentData.email.trim().toLowerCase(),
+              phone
+            }
+          });
+          
+          await recordAudit(tx, req, {
+            entity: 'STUDENT',
+            entityId: createdStudent.id,
+            action: 'CREATE',
+            after: createdStudent,
+            studentId: createdStudent.id
+          });
+          
+          return createdStudent;
         });
         
         results.push(student);
@@ -293,17 +582,34 @@ module.exports = router;
 
 // Composite full-create endpoint: student (+optional enrollment, payment) with docs upload
 // Form-Data keys:
-//  - data: JSON string { student:{...}, enrollment?:{...}, payment?:{...} }
+//  - data: JSON string { student:{...}, enrollment?:{..., promoCodes?:[]}, payment?:{...}, leadId? }
+//    leadId converts that lead: it is marked WON and linked to the new student
 //  - docs: files[]
-router.post('/full-create', uploadDocs.array('docs', 10), async (req, res) => {
+router.post('/full-create', authorize('ADMIN', 'COUNSELLOR'), uploadDocs.array('docs', 10), async (req, res) => {
   try {
     const parsed = JSON.parse(req.body.data || '{}');
-    const { student: studentPayload, enrollment, payment } = parsed;
+    const { student: studentPayload, enrollment, payment, leadId } = parsed;
 
     if (!studentPayload?.name || !studentPayload?.email || !studentPayload?.phone || !studentPayload?.nricPassportId) {
       return res.status(400).json({ error: 'Missing required student fields' });
     }
 
+    const phone = toE164(studentPayload.phone);
+    if (!phone) {
+      return res.status(400).json({ error: 'Phone must be a valid phone number' });
+    }
+
+    // Same rules as POST /api/payments
+    const takesPayment = payment?.amount && payment?.method && payment?.date;
+    if (takesPayment) {
+      if (!PAYMENT_ROLES.includes(req.user.role)) {
+        return res.status(403).json({ error: 'You do not have permission to record payments' });
+      }
+      if (!PAYMENT_METHODS.includes(payment.method)) {
+        return res.status(400).json({ error: 'Invalid payment method' });
+      }
+    }
+
     // collect uploaded file paths
     const docPaths = (req.files || []).map(f => `/uploads/student-docs/${f.filename}`);
 
@@ -316,47 +622,146 @@ router.post('/full-create', uploadDocs.array('docs', 10), async (req, res) => {
         data: {
           name: studentPayload.name,
           email: studentPayload.email,
-          phone: studentPayload.phone,
+          phone,
           nricPassportId: studentPayload.nricPassportId,
           address: studentPayload.address || undefined,
-          remarks: studentPayload.remarks || undefined,
           documents: [...(studentPayload.documents || []), ...docPaths]
         }
       });
 
+      await recordAudit(tx, req, {
+        entity: 'STUDENT',
+        entityId: createdStudent.id,
+        action: 'CREATE',
+        after: createdStudent,
+        studentId: createdStudent.id
+      });
+
+      await queueWelcome(tx, createdStudent);
+
+      if (studentPayload.remarks?.trim()) {
+        await addNote(tx, req, { studentId: createdStudent.id, body: studentPayload.remarks });
+      }
+
+      if (leadId) {
+        const lead = await tx.lead.findUnique({ where: { id: leadId } });
+        if (!lead) throw new Error('Lead not found');
+        if (lead.studentId) throw new Error('Lead has already been converted');
+
+        const convertedLead = await tx.lead.update({
+          where: { id: leadId },
+          data: { stage: 'WON', lostReason: null, studentId: createdStudent.id, convertedAt: new Date() }
+        });
+
+        await recordAudit(tx, req, {
+          entity: 'LEAD',
+          entityId: leadId,
+          action: 'UPDATE',
+          before: lead,
+          after: convertedLead,
+          studentId: createdStudent.id
+        });
+      }
+
       let createdEnrollment = null;
       let createdPayment = null;
 
       if (enrollment?.courseId) {
+        const { batch: cohort, error: batchError } = await resolveBatch(tx, {
+          courseId: enrollment.courseId,
+          batchId: enrollment.batchId,
+          batchCode: enrollment.batch
+        });
+        if (batchError) throw new Error(batchError);
+
+        const startDate = enrollment.startDate ? new Date(enrollment.startDate) : new Date();
+        const enrollmentStatus = enrollment.academicStatus || startingStatus(startDate);
+        if (!INITIAL_STATUSES.includes(enrollmentStatus)) {
+          throw new Error(`A new enrollment must start as ${INITIAL_STATUSES.join(', ')}`);
+        }
+        let waitlistPosition = null;
+        if (enrollmentStatus === 'WAITLISTED') {
+          const placed = await placeOnWaitlist(tx, cohort);
+          if (placed.error) throw new Error(placed.error);
+          waitlistPosition = placed.position;
+        } else if (cohort && holdsSeat(enrollmentStatus)) {
+          const seatError = await checkSeat(tx, cohort);
+          if (seatError) throw new Error(seatError);
+        }
+
         createdEnrollment = await tx.enrollment.create({
           data: {
             studentId: createdStudent.id,
             courseId: enrollment.courseId,
-            batch: enrollment.batch || undefined,
-            startDate: enrollment.startDate ? new Date(enrollment.startDate) : new Date(),
+            batchId: cohort?.id || null,
+            batch: cohort?.code || null,
+            startDate,
             endDate: enrollment.endDate ? new Date(enrollment.endDate) : null,
-            status: enrollment.status || 'ACTIVE'
+            academicStatus: enrollmentStatus,
+            waitlistPosition
           }
         });
+
+        await recordAudit(tx, req, {
+          entity: 'ENROLLMENT',
+          entityId: createdEnrollment.id,
+          action: 'CREATE',
+          after: createdEnrollment,
+          studentId: createdStudent.id,
+          enrollmentId: createdEnrollment.id
+        });
+
+        await recordStatusChange(tx, req, createdEnrollment.id, null, enrollmentStatus);
+
+        if (enrollment.promoCodes?.length) {
+          const promo = await resolvePromoCodes(tx, enrollment.promoCodes, {
+            courseId: enrollment.courseId,
+            studentId: createdStudent.id
+          });
+          if (promo.error) throw new Error(promo.error);
+
+          await savePromoCodes(tx, req, createdEnrollment, [], promo.promoCodes);
+        }
+
+        // Reflects promo codes
+        await syncFinancialStatus(tx, req, createdEnrollment.id);
+
+        if (enrollmentStatus !== 'WAITLISTED') {
+          await queueEnrollmentConfirmation(tx, createdEnrollment.id);
+        }
       }
 
-      if (payment?.amount && payment?.method && payment?.date) {
-        const enrollmentId = payment.applyTo === 'enrollment' ? createdEnrollment?.id : (payment.enrollmentId || null);
-        createdPayment = await tx.payment.create({
-          data: {
-            studentId: createdStudent.id,
-            enrollmentId: enrollmentId || (createdEnrollment ? createdEnrollment.id : payment.enrollmentId),
-            amount: new Prisma.Decimal(payment.amount),
-            method: payment.method,
-            date: new Date(payment.date),
-            notes: payment.notes || undefined
-          }
+      if (takesPayment) {
+        if (!(parseFloat(payment.amount) > 0)) {
+          throw new Error('Invalid payment amount. Please enter a valid number.');
+        }
+
+        const enrollmentId = (payment.applyTo === 'enrollment' && createdEnrollment?.id) ||
+          payment.enrollmentId || createdEnrollment?.id;
+        const paidEnrollment = enrollmentId && await tx.enrollment.findFirst({
+          where: { id: enrollmentId, studentId: createdStudent.id, deletedAt: null },
+          include: pricingInclude
+        });
+        if (!paidEnrollment) throw new Error('Payment must be for an enrollment of this student');
+
+        // Same checks as POST /api/payments, against the net fee after promo codes
+        const paymentError = await checkPayment(tx, paidEnrollment, payment.amount);
+        if (paymentError) throw new Error(paymentError.error);
+
+        createdPayment = await createPayment(tx, req, {
+          studentId: createdStudent.id,
+          enrollmentId,
+          amount: payment.amount,
+          method: payment.method,
+          date: payment.date,
+          notes: payment.notes
         });
       }
 
       return { createdStudent, createdEnrollment, createdPayment };
     });
 
+    kickOutbox();
     res.status(201).json(result);
   } catch (error) {
     console.error('full-create error:', error);
@@ -0,0 +1,323 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+
+const router = express.Router();
+
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+const STATUSES = ['OPEN', 'DONE', 'CANCELLED'];
+
+const taskInclude = {
+  assignee: { select: { id: true, name: true } },
+  createdBy: { select: { id: true, name: true } },
+  student: { select: { id: true, name: true } },
+  enrollment: { select: { id: true, course: { select: { id: true, name: true } } } },
+  lead: { select: { id: true, name: true } }
+};
+
+// Validation middleware
+const validateTask = [
+  body('title').trim().isLength({ min: 2, max: 200 }).withMessage('Title must be 2-200 characters'),
+  body('description').optional().trim().isLength({ max: 2000 }).withMessage('Description must be less than 2000 characters'),
+  body('dueAt').optional({ values: 'falsy' }).isISO8601().withMessage('Due date must be a valid date'),
+  body('priority').optional().isIn(PRIORITIES).withMessage('Invalid priority'),
+  body('assigneeId').optional({ values: 'falsy' }).isString().withMessage('Invalid assignee ID'),
+  body('studentId').optional({ values: 'falsy' }).isString().withMessage('Invalid student ID'),
+  body('enrollmentId').optional({ values: 'falsy' }).isString().withMessage('Invalid enrollment ID'),
+  body('leadId').optional({ values: 'falsy' }).isString().withMessage('Invalid lead ID')
+];
+
+// Midnight today and tomorrow, server time, for the today/overdue filters
+const dayBounds = () => {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+// Check the assignee and linked records exist and fill in the student of a
+// linked enrollment. Returns { data } or { error }.
+const resolveTaskData = async (payload, defaultAssigneeId) => {
+  const data = {
+    title: payload.title.trim(),
+    description: payload.description?.trim() || null,
+    dueAt: payload.dueAt ? new Date(payload.dueAt) : null,
+    priority: payload.priority || 'MEDIUM',
+    assigneeId: payload.assigneeId || defaultAssigneeId,
+    studentId: payload.studentId || null,
+    enrollmentId: payload.enrollmentId || null,
+    leadId: payload.leadId || null
+  };
+
+  const assignee = await prisma.user.findFirst({ where: { id: data.assigneeId, isActive: true } });
+  if (!assignee) return { error: 'Assignee not found' };
+
+  if (data.enrollmentId) {
+    const enrollment = await prisma.enrollment.findFirst({ where: { id: data.enrollmentId, deletedAt: null } });
+    if (!enrollment) return { error: 'Enrollment not found' };
+    if (data.studentId && data.studentId !== enrollment.studentId) {
+      return { error: 'Enrollment does not belong to this student' };
+    }
+    data.studentId = enrollment.studentId;
+  }
+
+  if (data.studentId) {
+    const student = await prisma.student.findFirst({ where: { id: data.studentId, deletedAt: null } });
+    if (!student) return { error: 'Student not found' };
+  }
+
+  if (data.leadId) {
+    const lead = await prisma.lead.findUnique({ where: { id: data.leadId } });
+    if (!lead) return { error: 'Lead not found' };
+  }
+
+  return { data };
+};
+
+// Get tasks with filters. `mine=true` limits to the caller's tasks;
+// `due=overdue|today` limits to open tasks due before or on today.
+router.get('/', async (req, res) => {
+  try {
+    const { mine, assigneeId, status, priority, due, studentId, enrollmentId, leadId, page = 1, limit = 20 } = req.query;
+
+    const where = {};
+
+    if (assigneeId) where.assigneeId = assigneeId;
+    if (mine === 'true') where.assigneeId = req.user.id;
+    if (status) where.status = status;
+    if (priority) where.priority = priority;
+    if (studentId) where.studentId = studentId;
+    if (enrollmentId) where.enrollmentId = enrollmentId;
+    if (leadId) where.leadId = leadId;
+
+    const { start, end } = dayBounds();
+    if (due === 'overdue') {
+      where.status = 'OPEN';
+      where.dueAt = { lt: start };
+    } else if (due === 'today') {
+      where.status = 'OPEN';
+      where.dueAt = { gte: start, lt: end };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [tasks, total] = await Promise.all([
+      prisma.task.findMany({
+        where,
+        include: taskInclude,
+        orderBy: [
+          { status: 'asc' },
+          { dueAt: { sort: 'asc', nulls: 'last' } },
+          { priority: 'desc' },
+          { createdAt: 'desc' }
+        ],
+        skip,
+        take: parseInt(limit)
+      }),
+      prisma.task.count({ where })
+    ]);
+
+    res.json({
+      tasks,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+// Counts of the caller's open, overdue and due-today tasks
+router.get('/summary', async (req, res) => {
+  try {
+    const { start, end } = dayBounds();
+    const mine = { assigneeId: req.user.id, status: 'OPEN' };
+
+    const [open, overdue, today] = await Promise.all([
+      prisma.task.count({ where: mine }),
+      prisma.task.count({ where: { ...mine, dueAt: { lt: start } } }),
+      prisma.task.count({ where: { ...mine, dueAt: { gte: start, lt: end } } })
+    ]);
+
+    res.json({ open, overdue, today });
+  } catch (error) {
+    console.error('Error fetching task summary:', error);
+    res.status(500).json({ error: 'Failed to fetch task summary' });
+  }
+});
+
+// Create new task; it is assigned to the creator unless assigneeId is given
+router.post('/', authorize('ADMIN', 'FINANCE', 'COUNSELLOR'), validateTask, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { data, error } = await resolveTaskData(req.body, req.user.id);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const task = await prisma.$transaction(async (tx) => {
+      const createdTask = await tx.task.create({
+        data: { ...data, createdById: req.user.id },
+        include: taskInclude
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'TASK',
+        entityId: createdTask.id,
+        action: 'CREATE',
+        after: createdTask,
+        studentId: createdTask.studentId,
+        enrollmentId: createdTask.enrollmentId
+      });
+
+      return createdTask;
+    });
+
+    res.status(201).json(task);
+  } catch (error) {
+    console.error('Error creating task:', error);
+    res.status(500).json({ error: 'Failed to create task' });
+  }
+});
+
+// Update task details
+router.put('/:id', authorize('ADMIN', 'FINANCE', 'COUNSELLOR'), validateTask, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const existingTask = await prisma.task.findUnique({ where: { id } });
+
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { data, error } = await resolveTaskData(req.body, existingTask.assigneeId);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const task = await prisma.$transaction(async (tx) => {
+      const updatedTask = await tx.task.update({
+        where: { id },
+        data,
+        include: taskInclude
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'TASK',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingTask,
+        after: updatedTask,
+        studentId: updatedTask.studentId,
+        enrollmentId: updatedTask.enrollmentId
+      });
+
+      return updatedTask;
+    });
+
+    res.json(task);
+  } catch (error) {
+    console.error('Error updating task:', error);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+});
+
+// Complete, cancel or reopen a task
+router.patch('/:id/status', authorize('ADMIN', 'FINANCE', 'COUNSELLOR'), [
+  body('status').isIn(STATUSES).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const existingTask = await prisma.task.findUnique({ where: { id } });
+
+    if (!existingTask) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = await prisma.$transaction(async (tx) => {
+      const updatedTask = await tx.task.update({
+        where: { id },
+        data: {
+          status,
+          completedAt: status === 'DONE' ? (existingTask.completedAt || new Date()) : null
+        },
+        include: taskInclude
+      });
+
+      await recordAudit(tx, req, {
+        entity: 'TASK',
+        entityId: id,
+        action: 'UPDATE',
+        before: existingTask,
+        after: updatedTask,
+        studentId: updatedTask.studentId,
+        enrollmentId: updatedTask.enrollmentId
+      });
+
+      return updatedTask;
+    });
+
+    res.json(task);
+  } catch (error) {
+    console.error('Error changing task status:', error);
+    res.status(500).json({ error: 'Failed to change task status' });
+  }
+});
+
+// Delete task
+router.delete('/:id', authorize('ADMIN', 'FINANCE', 'COUNSELLOR'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const task = await prisma.task.findUnique({ where: { id } });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.task.delete({ where: { id } });
+
+      await recordAudit(tx, req, {
+        entity: 'TASK',
+        entityId: id,
+        action: 'DELETE',
+        before: task,
+        studentId: task.studentId,
+        enrollmentId: task.enrollmentId
+      });
+    });
+
+    res.json({ message: 'Task deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting task:', error);
+    res.status(500).json({ error: 'Failed to delete task' });
+  }
+});
+
+module.exports = router;
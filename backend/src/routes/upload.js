@@ -5,6 +5,10 @@ const fs = require('fs');
 const path = require('path');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
+const { authorize } = require('../middleware/auth');
+const { recordAudit } = require('../lib/audit');
+const { resolveBatch, checkSeat } = require('../lib/batches');
+const { startingStatus, recordStatusChange, syncFinancialStatus } = require('../lib/enrollmentStatus');
 
 const router = express.Router();
 
@@ -107,7 +111,7 @@ const parseCSV = (filePath) => {
 };
 
 // Upload CSV file for preview
-router.post('/csv-preview', upload.single('file'), async (req, res) => {
+router.post('/csv-preview', authorize('ADMIN', 'COUNSELLOR'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -141,7 +145,7 @@ router.post('/csv-preview', upload.single('file'), async (req, res) => {
 });
 
 // Import students from CSV data
-router.post('/import-students', [
+router.post('/import-students', authorize('ADMIN', 'COUNSELLOR'), [
   body('students').isArray().withMessage('Students data must be an array'),
   body('students.*.name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
   body('students.*.email').isEmail().normalizeEmail().withMessage('Must be a valid email'),
@@ -182,12 +186,24 @@ router.post('/import-students', [
         }
         
         // Create student
-        const student = await prisma.student.create({
-          data: {
-            name: studentData.name.trim(),
-            email: studentData.email.trim().toLowerCase(),
-            phone: studentData.phone.trim()
-          }
+        const student = await prisma.$transaction(async (tx) => {
+          const createdStudent = await tx.student.create({
+            data: {
+              name: studentData.name.trim(),
+              email: studentData.email.trim().toLowerCase(),
+              phone: studentData.phone.trim()
+            }
+          });
+          
+          await recordAudit(tx, req, {
+            entity: 'STUDENT',
+            entityId: createdStudent.id,
+            action: 'CREATE',
+            after: createdStudent,
+            studentId: createdStudent.id
+          });
+          
+          return createdStudent;
         });
         
         importedStudents.push(student);
@@ -195,34 +211,71 @@ router.post('/import-students', [
         // Create enrollment if requested and course data is provided
         if (createEnrollments && studentData.course) {
           try {
-            // Find or create course
-            let course = await prisma.course.findFirst({
-              where: { 
-                name: { equals: studentData.course, mode: 'insensitive' },
-                isActive: true
+            const enrollment = await prisma.$transaction(async (tx) => {
+              // Find or create course
+              let course = await tx.course.findFirst({
+                where: { 
+                  name: { equals: studentData.course, mode: 'insensitive' },
+                  isActive: true,
+                  deletedAt: null
+                }
+              });
+              
+              if (!course) {
+                course = await tx.course.create({
+                  data: {
+                    name: studentData.course.trim(),
+                    description: `Auto-created from CSV import`,
+                    price: 0, // Default price, can be updated later
+                    isActive: true
+                  }
+                });
+                
+                await recordAudit(tx, req, {
+                  entity: 'COURSE',
+                  entityId: course.id,
+                  action: 'CREATE',
+                  after: course
+                });
               }
-            });
-            
-            if (!course) {
-              course = await prisma.course.create({
+              
+              const { batch: cohort, error: batchError } = await resolveBatch(tx, {
+                courseId: course.id,
+                batchCode: studentData.batch
+              });
+              if (batchError) throw new Error(batchError);
+              
+              if (cohort) {
+                const seatError = await checkSeat(tx, cohort);
+                if (seatError) throw new Error(seatError);
+              }
+              
+              // Create enrollment
+              const startDate = studentData.startDate ? new Date(studentData.startDate) : new Date();
+              const createdEnrollment = await tx.enrollment.create({
                 data: {
-                  name: studentData.course.trim(),
-                  description: `Auto-created from CSV import`,
-                  price: 0, // Default price, can be updated later
-                  isActive: true
+                  studentId: student.id,
+                  courseId: course.id,
+                  batchId: cohort?.id || null,
+                  batch: cohort?.code || null,
+                  startDate,
+                  academicStatus: startingStatus(startDate)
                 }
               });
-            }
-            
-            // Create enrollment
-            const enrollment = await prisma.enrollment.create({
-              data: {
+              
+              await recordAudit(tx, req, {
+                entity: 'ENROLLMENT',
+                entityId: createdEnrollment.id,
+                action: 'CREATE',
+                after: createdEnrollment,
                 studentId: student.id,
-                courseId: course.id,
-                batch: studentData.batch?.trim() || 'CSV Import',
-                startDate: studentData.startDate ? new Date(studentData.startDate) : new Date(),
-                status: 'ACTIVE'
-              }
+                enrollmentId: createdEnrollment.id
+              });
+              
+              await recordStatusChange(tx, req, createdEnrollment.id, null, createdEnrollment.academicStatus);
+              await syncFinancialStatus(tx, req, createdEnrollment.id);
+              
+              return createdEnrollment;
             });
             
             createdEnrollments.push(enrollment);
@@ -0,0 +1,161 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { ROLES, toPublicUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation middleware
+const validateUser = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('Must be a valid email'),
+  body('role').isIn(ROLES).withMessage('Invalid role'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const validateNewPassword = [
+  body('password').isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+];
+
+// Get all users
+router.get('/', async (req, res) => {
+  try {
+    const users = await prisma.user.findMany({
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ users: users.map(toPublicUser) });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Create new user
+router.post('/', [...validateUser, ...validateNewPassword], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, email, role, password, isActive = true } = req.body;
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (existingUser) {
+      return res.status(400).json({ error: 'Email already registered' });
+    }
+
+    const user = await prisma.user.create({
+      data: {
+        name: name.trim(),
+        email,
+        role,
+        isActive,
+        passwordHash: await bcrypt.hash(password, 10)
+      }
+    });
+
+    res.status(201).json(toPublicUser(user));
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Update user details, role or active flag
+router.put('/:id', validateUser, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { name, email, role, isActive } = req.body;
+
+    if (id === req.user.id && (role !== 'ADMIN' || isActive === false)) {
+      return res.status(400).json({ error: 'You cannot remove your own admin access' });
+    }
+
+    const currentUser = await prisma.user.findUnique({ where: { id } });
+
+    if (!currentUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const existingUser = await prisma.user.findFirst({
+      where: {
+        email,
+        NOT: { id }
+      }
+    });
+
+    if (existingUser) {
+      return res.status(400).json({ error: 'Email already registered to another user' });
+    }
+
+    const deactivated = isActive === false && currentUser.isActive;
+    const accessChanged = role !== currentUser.role ||
+      email !== currentUser.email ||
+      (isActive !== undefined && isActive !== currentUser.isActive);
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: {
+        name: name.trim(),
+        email,
+        role,
+        isActive,
+        // Role or access changes take effect immediately; a rename does not
+        // log the user out
+        ...(accessChanged && { tokenVersion: { increment: 1 } }),
+        // Calendar links stay revoked if the user is reactivated
+        ...(deactivated && { feedTokenVersion: { increment: 1 } })
+      }
+    });
+
+    res.json(toPublicUser(user));
+  } catch (error) {
+    console.error('Error updating user:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Reset a user's password
+router.post('/:id/reset-password', validateNewPassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    await prisma.user.update({
+      where: { id },
+      data: {
+        passwordHash: await bcrypt.hash(req.body.password, 10),
+        tokenVersion: { increment: 1 },
+        feedTokenVersion: { increment: 1 }
+      }
+    });
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+module.exports = router;
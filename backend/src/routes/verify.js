@@ -0,0 +1,71 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { publicCertificate } = require('../lib/certificates');
+const { formatDate } = require('../lib/pdf');
+
+const router = express.Router();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Plain page for people who open the printed link in a browser
+const verificationPage = (result) => {
+  const rows = result.valid
+    ? [
+      ['Certificate No.', result.serial],
+      ['Awarded to', result.studentName],
+      ['Course', result.courseName],
+      ['Completed', formatDate(result.completedAt)],
+      ['Issued by', result.issuer]
+    ].map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Certificate verification</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 32rem; margin: 4rem auto; padding: 0 1rem; color: #111827; }
+h1 { font-size: 1.25rem; }
+.valid { color: #15803d; }
+.invalid { color: #b91c1c; }
+th { text-align: left; color: #6b7280; font-weight: normal; padding: 0.25rem 1rem 0.25rem 0; }
+</style>
+</head>
+<body>
+<h1 class="${result.valid ? 'valid' : 'invalid'}">${result.valid ? 'This certificate is genuine' : 'No certificate matches this code'}</h1>
+${rows ? `<table>${rows}</table>` : ''}
+</body>
+</html>`;
+};
+
+// Public: confirm a certificate from its verification code. Returns JSON, or
+// a page when opened in a browser.
+router.get('/:code', async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+
+    const certificate = await prisma.certificate.findUnique({
+      where: { verificationCode: code }
+    });
+
+    const result = certificate
+      ? publicCertificate(certificate)
+      : { valid: false, error: 'Certificate not found' };
+
+    res.status(certificate ? 200 : 404).format({
+      'application/json': () => res.json(result),
+      'text/html': () => res.send(verificationPage(result))
+    });
+  } catch (error) {
+    console.error('Error verifying certificate:', error);
+    res.status(500).json({ error: 'Failed to verify certificate' });
+  }
+});
+
+module.exports = router;
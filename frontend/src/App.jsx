@@ -1,5 +1,7 @@
 import { Routes, Route } from 'react-router-dom'
 import Layout from './components/Layout'
+import ProtectedRoute from './components/ProtectedRoute'
+import Login from './pages/Login'
 import Dashboard from './pages/Dashboard'
 import Students from './pages/Students'
 import Courses from './pages/Courses'
@@ -8,19 +10,50 @@ import Payments from './pages/Payments'
 import StudentDetail from './pages/StudentDetail'
 import CourseDetail from './pages/CourseDetail'
 import EnrollmentDetail from './pages/EnrollmentDetail'
+import Users from './pages/Users'
+import RecycleBin from './pages/RecycleBin'
+import PromoCodes from './pages/PromoCodes'
+import Receivables from './pages/Receivables'
+import Messages from './pages/Messages'
+import ReminderSettings from './pages/ReminderSettings'
+import Leads from './pages/Leads'
+import Batches from './pages/Batches'
+import BatchDetail from './pages/BatchDetail'
+import Attendance from './pages/Attendance'
+import RollCall from './pages/RollCall'
+import Calendar from './pages/Calendar'
+import Instructors from './pages/Instructors'
+import InstructorDetail from './pages/InstructorDetail'
+import Payouts from './pages/Payouts'
 
 function App() {
   return (
     <Routes>
-      <Route path="/" element={<Layout />}>
+      <Route path="/login" element={<Login />} />
+      <Route path="/" element={<ProtectedRoute><Layout /></ProtectedRoute>}>
         <Route index element={<Dashboard />} />
+        <Route path="leads" element={<Leads />} />
         <Route path="students" element={<Students />} />
         <Route path="students/:id" element={<StudentDetail />} />
         <Route path="courses" element={<Courses />} />
         <Route path="courses/:id" element={<CourseDetail />} />
+        <Route path="batches" element={<Batches />} />
+        <Route path="batches/:id" element={<BatchDetail />} />
+        <Route path="instructors" element={<Instructors />} />
+        <Route path="instructors/:id" element={<InstructorDetail />} />
         <Route path="enrollments" element={<Enrollments />} />
         <Route path="enrollments/:id" element={<EnrollmentDetail />} />
+        <Route path="attendance" element={<Attendance />} />
+        <Route path="sessions/:id" element={<RollCall />} />
+        <Route path="calendar" element={<Calendar />} />
         <Route path="payments" element={<Payments />} />
+        <Route path="receivables" element={<Receivables />} />
+        <Route path="payouts" element={<ProtectedRoute roles={['ADMIN', 'FINANCE']}><Payouts /></ProtectedRoute>} />
+        <Route path="messages" element={<Messages />} />
+        <Route path="promo-codes" element={<ProtectedRoute roles={['ADMIN', 'FINANCE']}><PromoCodes /></ProtectedRoute>} />
+        <Route path="reminders" element={<ProtectedRoute roles={['ADMIN', 'FINANCE']}><ReminderSettings /></ProtectedRoute>} />
+        <Route path="recycle-bin" element={<ProtectedRoute roles={['ADMIN', 'FINANCE']}><RecycleBin /></ProtectedRoute>} />
+        <Route path="users" element={<ProtectedRoute roles={['ADMIN']}><Users /></ProtectedRoute>} />
       </Route>
     </Routes>
   )
@@ -0,0 +1,97 @@
+import { useEffect, useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+// Apply an open credit note to another enrollment of the same student
+function ApplyCreditNoteForm({ creditNote, onSubmitSuccess, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const [loadingEnrollments, setLoadingEnrollments] = useState(false)
+  const [enrollments, setEnrollments] = useState([])
+
+  const { register, handleSubmit, formState: { errors } } = useForm()
+  const amount = parseFloat(creditNote.amount)
+
+  useEffect(() => {
+    fetchEnrollments()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [creditNote])
+
+  const fetchEnrollments = async () => {
+    try {
+      setLoadingEnrollments(true)
+      const res = await axios.get(`/api/enrollments?studentId=${creditNote.studentId}&limit=100`)
+      setEnrollments((res.data.enrollments || []).filter(enrollment => enrollment.id !== creditNote.enrollmentId))
+    } catch (error) {
+      console.error('Error fetching enrollments:', error)
+      toast.error('Failed to load enrollments')
+      setEnrollments([])
+    } finally {
+      setLoadingEnrollments(false)
+    }
+  }
+
+  const onSubmit = async (data) => {
+    setLoading(true)
+    try {
+      await axios.post(`/api/credit-notes/${creditNote.id}/apply`, { enrollmentId: data.enrollmentId })
+      toast.success('Credit note applied')
+      onSubmitSuccess?.()
+    } catch (error) {
+      const msg = error.response?.data?.error || 'Failed to apply credit note'
+      toast.error(msg)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Apply Credit Note {creditNote.number}</h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            ${amount.toFixed(2)} will be recorded as a payment on the selected enrollment.
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Enrollment *</label>
+            <select
+              className={`input mt-1 ${errors.enrollmentId ? 'input-error' : ''}`}
+              {...register('enrollmentId', { required: true })}
+              disabled={loadingEnrollments}
+            >
+              <option value="">{loadingEnrollments ? 'Loading enrollments...' : 'Select enrollment'}</option>
+              {enrollments.map(enrollment => (
+                <option
+                  key={enrollment.id}
+                  value={enrollment.id}
+                  disabled={enrollment.paymentStatus.outstanding < amount}
+                >
+                  {enrollment.course.name} — {enrollment.batch || 'No batch'} (${enrollment.paymentStatus.outstanding.toFixed(2)} outstanding)
+                </option>
+              ))}
+            </select>
+            {!loadingEnrollments && enrollments.length === 0 && (
+              <p className="mt-1 text-xs text-gray-500">The student has no other enrollments</p>
+            )}
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" className="btn btn-outline" onClick={onCancel} disabled={loading}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>{loading ? 'Applying...' : 'Apply Credit'}</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default ApplyCreditNoteForm
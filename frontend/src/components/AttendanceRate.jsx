@@ -0,0 +1,31 @@
+export const attendanceStatusConfig = {
+  PRESENT: { label: 'Present', short: 'P', badge: 'badge-success', button: 'bg-success-600 text-white border-success-600' },
+  LATE: { label: 'Late', short: 'L', badge: 'badge-warning', button: 'bg-warning-500 text-white border-warning-500' },
+  ABSENT: { label: 'Absent', short: 'A', badge: 'badge-danger', button: 'bg-danger-600 text-white border-danger-600' },
+  EXCUSED: { label: 'Excused', short: 'E', badge: 'badge-neutral', button: 'bg-gray-500 text-white border-gray-500' }
+}
+
+// Attendance rate of an enrollment with its at-risk flag. `summary` is the
+// API's attendance summary ({ rate, present, late, absent, excused, atRisk }).
+function AttendanceRate({ summary, showCounts = false }) {
+  if (!summary || summary.rate === null) {
+    return <span className="text-sm text-gray-500">No attendance yet</span>
+  }
+
+  return (
+    <span className="inline-flex items-center space-x-2">
+      <span className={`text-sm font-medium ${summary.atRisk ? 'text-danger-600' : 'text-gray-900'}`}>
+        {summary.rate}%
+      </span>
+      {showCounts && (
+        <span className="text-xs text-gray-500">
+          {summary.present + summary.late}/{summary.present + summary.late + summary.absent}
+          {summary.excused > 0 && ` · ${summary.excused} excused`}
+        </span>
+      )}
+      {summary.atRisk && <span className="badge badge-danger">At risk</span>}
+    </span>
+  )
+}
+
+export default AttendanceRate
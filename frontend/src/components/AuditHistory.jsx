@@ -0,0 +1,138 @@
+import { useState, useEffect } from 'react'
+import { History } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+const actionConfig = {
+  CREATE: { class: 'badge-success', text: 'Created' },
+  UPDATE: { class: 'badge-warning', text: 'Updated' },
+  DELETE: { class: 'badge-danger', text: 'Deleted' },
+  RESTORE: { class: 'badge-info', text: 'Restored' },
+  PURGE: { class: 'badge-danger', text: 'Purged' }
+}
+
+const entityLabels = {
+  STUDENT: 'Student',
+  COURSE: 'Course',
+  ENROLLMENT: 'Enrollment',
+  PAYMENT: 'Payment',
+  INVOICE: 'Invoice',
+  PAYMENT_PLAN: 'Payment plan',
+  ADJUSTMENT: 'Adjustment',
+  REFUND: 'Refund',
+  CREDIT_NOTE: 'Credit note',
+  PROMO_CODE: 'Promo code',
+  MESSAGE_TEMPLATE: 'Message template',
+  REMINDER_RULE: 'Reminder rule',
+  SCHEDULED_JOB: 'Scheduled job',
+  LEAD: 'Lead',
+  TASK: 'Task',
+  NOTE: 'Note',
+  BATCH: 'Batch',
+  SESSION: 'Class session',
+  HOLIDAY: 'Holiday',
+  INSTRUCTOR: 'Instructor',
+  CERTIFICATE: 'Certificate',
+  TRANSFER: 'Transfer'
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—'
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleDateString()
+  }
+  return String(value)
+}
+
+const formatField = (field) => field.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase())
+
+// Audit trail for a record; `params` are passed straight to GET /api/audit
+// e.g. { studentId }, { enrollmentId } or { entity: 'COURSE', entityId }
+function AuditHistory({ params }) {
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const query = new URLSearchParams(params).toString()
+
+  useEffect(() => {
+    fetchEvents()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [query])
+
+  const fetchEvents = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get(`/api/audit?${query}`)
+      setEvents(response.data.events)
+    } catch (error) {
+      console.error('Error fetching history:', error)
+      toast.error('Failed to load history')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="animate-pulse space-y-3">
+        {[...Array(3)].map((_, i) => (
+          <div key={i} className="h-16 bg-gray-200 rounded"></div>
+        ))}
+      </div>
+    )
+  }
+
+  if (events.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <History className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+        <p className="text-gray-500">No history recorded yet</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      {events.map((event) => {
+        const config = actionConfig[event.action] || actionConfig.UPDATE
+        const changes = event.changes ? Object.entries(event.changes) : []
+
+        return (
+          <div key={event.id} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex items-start justify-between">
+              <div className="flex items-center space-x-2">
+                <span className={`badge ${config.class}`}>{config.text}</span>
+                <span className="text-sm font-medium text-gray-900">
+                  {entityLabels[event.entity] || event.entity}
+                </span>
+                <span className="text-xs text-gray-500">#{event.entityId.slice(-8)}</span>
+              </div>
+              <div className="text-right">
+                <div className="text-sm text-gray-900">{event.actorName || 'System'}</div>
+                <div className="text-xs text-gray-500">
+                  {new Date(event.createdAt).toLocaleString()}
+                </div>
+              </div>
+            </div>
+
+            {changes.length > 0 && (
+              <div className="mt-3 border-t border-gray-100 pt-3 space-y-1">
+                {changes.map(([field, { from, to }]) => (
+                  <div key={field} className="text-sm text-gray-600">
+                    <span className="font-medium">{formatField(field)}:</span>{' '}
+                    <span className="line-through text-gray-400">{formatValue(from)}</span>
+                    {' → '}
+                    <span className="text-gray-900">{formatValue(to)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default AuditHistory
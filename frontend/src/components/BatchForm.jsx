@@ -0,0 +1,191 @@
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+import axios from 'axios'
+
+export const batchStatusConfig = {
+  PLANNED: { label: 'Planned', badge: 'badge-neutral' },
+  OPEN: { label: 'Open', badge: 'badge-success' },
+  IN_PROGRESS: { label: 'In Progress', badge: 'badge-info' },
+  COMPLETED: { label: 'Completed', badge: 'badge-neutral' },
+  CANCELLED: { label: 'Cancelled', badge: 'badge-danger' }
+}
+
+export const formatBatchDates = (batch) => {
+  if (!batch.startDate && !batch.endDate) return 'Not scheduled'
+  const from = batch.startDate ? new Date(batch.startDate).toLocaleDateString() : '…'
+  const until = batch.endDate ? new Date(batch.endDate).toLocaleDateString() : '…'
+  return `${from} – ${until}`
+}
+
+export function SeatBar({ seats }) {
+  if (seats.capacity === null) {
+    return <span className="text-sm text-gray-900">{seats.taken} enrolled</span>
+  }
+  const color = seats.fillRate >= 100 ? 'bg-danger-500' : seats.fillRate >= 80 ? 'bg-warning-500' : 'bg-success-500'
+  return (
+    <div className="w-32">
+      <div className="text-sm text-gray-900">{seats.taken} / {seats.capacity}</div>
+      <div className="mt-1 h-2 rounded-full bg-gray-200">
+        <div className={`h-2 rounded-full ${color}`} style={{ width: `${Math.min(100, seats.fillRate)}%` }}></div>
+      </div>
+    </div>
+  )
+}
+
+function BatchForm({ batch, defaultCourseId, onSubmit, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const [courses, setCourses] = useState([])
+  const [instructors, setInstructors] = useState([])
+  const {
+    register,
+    handleSubmit,
+    setValue,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      courseId: batch?.courseId || defaultCourseId || '',
+      code: batch?.code || '',
+      startDate: batch?.startDate?.slice(0, 10) || '',
+      endDate: batch?.endDate?.slice(0, 10) || '',
+      capacity: batch?.capacity ?? '',
+      instructorId: batch?.instructorId || '',
+      venue: batch?.venue || '',
+      status: batch?.status || 'OPEN'
+    }
+  })
+
+  useEffect(() => {
+    axios.get('/api/courses?limit=200')
+      .then(res => {
+        setCourses(res.data.courses || [])
+        // Re-apply the course now that its option exists
+        setValue('courseId', batch?.courseId || defaultCourseId || '')
+      })
+      .catch(() => setCourses([]))
+    axios.get('/api/instructors')
+      .then(res => {
+        // Inactive instructors stay selectable on batches already theirs
+        setInstructors((res.data.instructors || []).filter(instructor => instructor.isActive || instructor.id === batch?.instructorId))
+        setValue('instructorId', batch?.instructorId || '')
+      })
+      .catch(() => setInstructors([]))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+
+  const handleFormSubmit = async (data) => {
+    setLoading(true)
+    try {
+      await onSubmit({
+        ...data,
+        capacity: data.capacity === '' ? null : parseInt(data.capacity)
+      })
+    } catch (error) {
+      // Error handling is done in parent component
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content max-w-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            {batch ? 'Edit Batch' : 'Add Batch'}
+          </h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(handleFormSubmit)} className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Course *</label>
+              <select
+                className={`input mt-1 ${errors.courseId ? 'input-error' : ''}`}
+                {...register('courseId', { required: 'Course is required' })}
+              >
+                <option value="">Select a course</option>
+                {courses.map(course => (
+                  <option key={course.id} value={course.id}>{course.name}</option>
+                ))}
+              </select>
+              {errors.courseId && (
+                <p className="mt-1 text-sm text-danger-600">{errors.courseId.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Code *</label>
+              <input
+                className={`input mt-1 ${errors.code ? 'input-error' : ''}`}
+                placeholder="e.g. JAN-2027"
+                {...register('code', {
+                  required: 'Code is required',
+                  maxLength: { value: 50, message: 'Code must be less than 50 characters' }
+                })}
+              />
+              {errors.code && (
+                <p className="mt-1 text-sm text-danger-600">{errors.code.message}</p>
+              )}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Start Date</label>
+              <input type="date" className="input mt-1" {...register('startDate')} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">End Date</label>
+              <input type="date" className="input mt-1" {...register('endDate')} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Capacity</label>
+              <input type="number" min="1" className="input mt-1" placeholder="Unlimited" {...register('capacity')} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Status</label>
+              <select className="input mt-1" {...register('status')}>
+                {Object.entries(batchStatusConfig).map(([value, config]) => (
+                  <option key={value} value={value}>{config.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Instructor</label>
+              <select className="input mt-1" {...register('instructorId')}>
+                <option value="">Not assigned</option>
+                {instructors.map(instructor => (
+                  <option key={instructor.id} value={instructor.id}>{instructor.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Venue</label>
+              <input className="input mt-1" placeholder="Room, campus or online" {...register('venue')} />
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onCancel} className="btn btn-outline" disabled={loading}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : (batch ? 'Update Batch' : 'Add Batch')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default BatchForm
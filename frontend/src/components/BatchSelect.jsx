@@ -0,0 +1,62 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+
+const seatText = (batch) =>
+  batch.seats.capacity === null
+    ? `${batch.seats.taken} enrolled`
+    : `${batch.seats.taken}/${batch.seats.capacity} seats`
+
+// Batch picker for a course, bound to a react-hook-form field holding the
+// batch id. Full batches and batches closed to enrollment are disabled,
+// except `currentBatchId` (the batch an edited enrollment is already in);
+// with `waitlist`, full batches can be picked to join their waitlist.
+// `onSelect` gets the chosen batch, e.g. to copy its start date.
+function BatchSelect({ courseId, register, setValue, name = 'batchId', currentBatchId, waitlist = false, onSelect }) {
+  const [batches, setBatches] = useState([])
+
+  useEffect(() => {
+    if (!courseId) {
+      setBatches([])
+      return
+    }
+    axios.get(`/api/batches?courseId=${courseId}`)
+      .then(r => {
+        const courseBatches = r.data.batches || []
+        setBatches(courseBatches)
+        // Re-apply the selection now that its option exists
+        setValue(name, courseBatches.some(batch => batch.id === currentBatchId) ? currentBatchId : '')
+      })
+      .catch(() => setBatches([]))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [courseId])
+
+  const field = register(name)
+  const selectable = (batch) =>
+    batch.id === currentBatchId ||
+    (['OPEN', 'IN_PROGRESS'].includes(batch.status) && (waitlist || batch.seats.available !== 0))
+
+  return (
+    <select
+      className="input mt-1"
+      {...field}
+      onChange={(e) => {
+        field.onChange(e)
+        const batch = batches.find(b => b.id === e.target.value)
+        if (batch && onSelect) onSelect(batch)
+      }}
+      disabled={!courseId}
+    >
+      <option value="">{courseId ? 'No batch' : 'Select a course first'}</option>
+      {batches.map(batch => (
+        <option key={batch.id} value={batch.id} disabled={!selectable(batch)}>
+          {batch.code}
+          {batch.startDate && ` — starts ${new Date(batch.startDate).toLocaleDateString()}`}
+          {` (${seatText(batch)}`}
+          {batch.seats.available === 0 ? `, full${batch.waitlisted ? `, ${batch.waitlisted} waiting` : ''})` : ')'}
+        </option>
+      ))}
+    </select>
+  )
+}
+
+export default BatchSelect
@@ -0,0 +1,106 @@
+import { useState } from 'react'
+import { Rss, Copy, RotateCcw, X } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import ConfirmDialog from './ConfirmDialog'
+
+// "Subscribe" button for a timetable feed; `params` picks the feed
+// ({ batchId } or { instructorId })
+function CalendarFeedButton({ params, label = 'Subscribe', className = 'btn btn-outline' }) {
+  const [url, setUrl] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [confirmingReset, setConfirmingReset] = useState(false)
+
+  const openFeed = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get(`/api/calendar/feeds?${new URLSearchParams(params)}`)
+      setUrl(`${window.location.origin}${response.data.path}`)
+    } catch (error) {
+      console.error('Error fetching calendar feed:', error)
+      toast.error(error.response?.data?.error || 'Failed to create calendar link')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Revokes every link this user has created, then shows a fresh one
+  const resetLinks = async () => {
+    setConfirmingReset(false)
+    try {
+      setLoading(true)
+      await axios.post('/api/calendar/feeds/reset')
+      toast.success('Calendar links reset')
+    } catch (error) {
+      console.error('Error resetting calendar links:', error)
+      toast.error(error.response?.data?.error || 'Failed to reset calendar links')
+      setLoading(false)
+      return
+    }
+    await openFeed()
+  }
+
+  const copyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(url)
+      toast.success('Link copied')
+    } catch (error) {
+      toast.error('Copy the link by hand')
+    }
+  }
+
+  return (
+    <>
+      <button type="button" className={className} onClick={openFeed} disabled={loading}>
+        <Rss className="h-4 w-4 mr-2" />
+        {label}
+      </button>
+
+      {url && (
+        <div className="modal-overlay" onClick={() => setUrl(null)}>
+          <div className="modal-content max-w-lg" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">Subscribe in your calendar</h2>
+              <button onClick={() => setUrl(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+            <div className="p-6 space-y-4">
+              <p className="text-sm text-gray-600">
+                Add this link as a calendar subscription (Google Calendar: Other calendars → From URL;
+                Outlook: Add calendar → Subscribe from web). Anyone with the link can see these sessions.
+              </p>
+              <div className="flex space-x-2">
+                <input className="input" value={url} readOnly onFocus={(e) => e.target.select()} />
+                <button type="button" className="btn btn-outline" onClick={copyUrl} title="Copy link">
+                  <Copy className="h-4 w-4" />
+                </button>
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button type="button" className="btn btn-outline" onClick={() => setConfirmingReset(true)} disabled={loading}>
+                  <RotateCcw className="h-4 w-4 mr-2" />
+                  Reset Links
+                </button>
+                <a href={url.replace(/^https?:/, 'webcal:')} className="btn btn-primary">
+                  Open in Calendar App
+                </a>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {confirmingReset && (
+        <ConfirmDialog
+          title="Reset Calendar Links"
+          message="Every calendar subscribed through a link you created stops updating. You will get a new link for this timetable."
+          confirmText="Reset"
+          onConfirm={resetLinks}
+          onCancel={() => setConfirmingReset(false)}
+        />
+      )}
+    </>
+  )
+}
+
+export default CalendarFeedButton
@@ -19,6 +19,8 @@ function CourseForm({ course, onSubmit, onCancel }) {
       setValue('duration', course.duration || '')
       setValue('price', course.price)
       setValue('isActive', course.isActive)
+      setValue('certificateTitle', course.certificateTitle || '')
+      setValue('certificateBody', course.certificateBody || '')
     }
   }, [course, setValue])
 
@@ -147,6 +149,51 @@ function CourseForm({ course, onSubmit, onCancel }) {
                 Active courses can be selected for new enrollments
               </p>
             </div>
+
+            <div className="pt-4 border-t border-gray-200">
+              <h3 className="text-sm font-medium text-gray-900">Completion Certificate</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                Issued when an enrollment is completed. Leave empty for the standard wording. Placeholders:
+                {' '}<code>{'{{student.name}}'}</code>, <code>{'{{course.name}}'}</code>, <code>{'{{course.duration}}'}</code>,
+                {' '}<code>{'{{enrollment.batch}}'}</code>, <code>{'{{certificate.completedAt}}'}</code>, <code>{'{{business.name}}'}</code>
+              </p>
+              <div className="mt-3 space-y-3">
+                <div>
+                  <label htmlFor="certificateTitle" className="block text-sm font-medium text-gray-700">
+                    Title
+                  </label>
+                  <input
+                    type="text"
+                    id="certificateTitle"
+                    {...register('certificateTitle', {
+                      maxLength: { value: 200, message: 'Title must be less than 200 characters' }
+                    })}
+                    className={`input mt-1 ${errors.certificateTitle ? 'input-error' : ''}`}
+                    placeholder="Certificate of Completion"
+                  />
+                  {errors.certificateTitle && (
+                    <p className="mt-1 text-sm text-danger-600">{errors.certificateTitle.message}</p>
+                  )}
+                </div>
+                <div>
+                  <label htmlFor="certificateBody" className="block text-sm font-medium text-gray-700">
+                    Text
+                  </label>
+                  <textarea
+                    id="certificateBody"
+                    rows={5}
+                    {...register('certificateBody', {
+                      maxLength: { value: 2000, message: 'Text must be less than 2000 characters' }
+                    })}
+                    className={`input mt-1 font-mono text-sm ${errors.certificateBody ? 'input-error' : ''}`}
+                    placeholder={'This is to certify that\n\n{{student.name}}\n\nhas successfully completed the course\n\n{{course.name}}'}
+                  />
+                  {errors.certificateBody && (
+                    <p className="mt-1 text-sm text-danger-600">{errors.certificateBody.message}</p>
+                  )}
+                </div>
+              </div>
+            </div>
           </div>
 
           <div className="mt-6 flex justify-end space-x-3">
@@ -0,0 +1,71 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import AttendanceRate, { attendanceStatusConfig } from './AttendanceRate'
+import { formatSessionTime } from './SessionForm'
+
+// Attendance card for EnrollmentDetail: rate plus one row per marked session
+function EnrollmentAttendance({ enrollmentId }) {
+  const [attendance, setAttendance] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchAttendance()
+  }, [enrollmentId])
+
+  const fetchAttendance = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get(`/api/enrollments/${enrollmentId}/attendance`)
+      setAttendance(response.data)
+    } catch (error) {
+      console.error('Error fetching attendance:', error)
+      toast.error('Failed to load attendance')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Attendance</h3>
+        {attendance && <AttendanceRate summary={attendance.summary} showCounts />}
+      </div>
+      <div className="card-body">
+        {loading ? (
+          <div className="animate-pulse space-y-3">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="h-10 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        ) : !attendance || attendance.records.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">No attendance marked yet</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {attendance.records.map(record => (
+              <div key={record.id} className="py-3 flex items-center justify-between">
+                <div>
+                  <Link
+                    to={`/sessions/${record.session.id}`}
+                    className="text-sm font-medium text-gray-900 hover:text-primary-600"
+                  >
+                    {formatSessionTime(record.session)}
+                  </Link>
+                  {record.session.topic && <p className="text-sm text-gray-500">{record.session.topic}</p>}
+                  {record.note && <p className="text-sm text-gray-500 italic">{record.note}</p>}
+                </div>
+                <span className={`badge ${attendanceStatusConfig[record.status].badge}`}>
+                  {attendanceStatusConfig[record.status].label}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default EnrollmentAttendance
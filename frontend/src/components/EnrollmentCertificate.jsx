@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react'
+import { Award, Download, ExternalLink } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { downloadFile } from '../lib/download'
+import { useAuth } from '../context/AuthContext'
+
+// Certificate card for a completed enrollment: download, verification link,
+// or issuing one for enrollments completed before certificates existed
+function EnrollmentCertificate({ enrollmentId }) {
+  const { hasRole } = useAuth()
+  const [certificate, setCertificate] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [issuing, setIssuing] = useState(false)
+
+  useEffect(() => {
+    fetchCertificate()
+  }, [enrollmentId])
+
+  const fetchCertificate = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get(`/api/certificates?enrollmentId=${enrollmentId}`)
+      setCertificate(response.data.certificates[0] || null)
+    } catch (error) {
+      console.error('Error fetching certificate:', error)
+      toast.error('Failed to load certificate')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleIssue = async () => {
+    try {
+      setIssuing(true)
+      const response = await axios.post('/api/certificates', { enrollmentId })
+      setCertificate(response.data)
+      toast.success('Certificate issued')
+    } catch (error) {
+      console.error('Error issuing certificate:', error)
+      toast.error(error.response?.data?.error || 'Failed to issue certificate')
+    } finally {
+      setIssuing(false)
+    }
+  }
+
+  const handleDownload = async () => {
+    try {
+      await downloadFile(`/api/certificates/${certificate.id}/certificate.pdf`, `${certificate.serial}.pdf`)
+    } catch (error) {
+      console.error('Error downloading certificate:', error)
+      toast.error('Failed to download certificate')
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">Certificate</h3>
+      </div>
+      <div className="card-body">
+        {loading ? (
+          <div className="animate-pulse h-16 bg-gray-200 rounded"></div>
+        ) : !certificate ? (
+          <div className="text-center">
+            <Award className="mx-auto h-10 w-10 text-gray-400 mb-3" />
+            <p className="text-sm text-gray-500">No certificate issued yet</p>
+            {hasRole('ADMIN', 'COUNSELLOR') && (
+              <button className="btn btn-primary btn-sm mt-4" onClick={handleIssue} disabled={issuing}>
+                {issuing ? 'Issuing...' : 'Issue Certificate'}
+              </button>
+            )}
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <div className="flex items-center space-x-3">
+              <Award className="h-5 w-5 text-success-600" />
+              <div>
+                <p className="text-sm font-medium text-gray-900">{certificate.serial}</p>
+                <p className="text-sm text-gray-600">
+                  Issued {new Date(certificate.issuedAt).toLocaleDateString()}
+                </p>
+              </div>
+            </div>
+            <div>
+              <p className="text-sm font-medium text-gray-900">Verification Code</p>
+              <p className="text-sm font-mono text-gray-600">{certificate.verificationCode}</p>
+            </div>
+            <div className="flex flex-col space-y-2 pt-2">
+              <button className="btn btn-outline btn-sm w-full" onClick={handleDownload}>
+                <Download className="h-4 w-4 mr-2" />
+                Download PDF
+              </button>
+              <a
+                href={certificate.verificationUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="btn btn-outline btn-sm w-full"
+              >
+                <ExternalLink className="h-4 w-4 mr-2" />
+                Verification Page
+              </a>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default EnrollmentCertificate
@@ -1,30 +1,83 @@
 import { useEffect, useState } from 'react'
-import { useForm } from 'react-hook-form'
-import { X } from 'lucide-react'
+import { useForm, useFieldArray } from 'react-hook-form'
+import { X, Plus, Trash2, Tag } from 'lucide-react'
 import axios from 'axios'
 import toast from 'react-hot-toast'
+import { useAuth } from '../context/AuthContext'
+import { adjustmentTypes, manualAdjustmentTypes, calculatePricing, discountFor } from '../lib/pricing'
+import BatchSelect from './BatchSelect'
+
+// Where the student is in the course
+export const academicStatusConfig = {
+  WAITLISTED: { label: 'Waitlisted', badge: 'badge-neutral' },
+  ENROLLED: { label: 'Enrolled', badge: 'badge-success' },
+  IN_PROGRESS: { label: 'In Progress', badge: 'badge-info' },
+  SUSPENDED: { label: 'Suspended', badge: 'badge-warning' },
+  COMPLETED: { label: 'Completed', badge: 'badge-info' },
+  WITHDRAWN: { label: 'Withdrawn', badge: 'badge-danger' }
+}
+
+// Following the course: not waiting for a seat, finished or gone
+export const ONGOING_STATUSES = ['ENROLLED', 'IN_PROGRESS', 'SUSPENDED']
+
+// What a new enrollment can start as (the server enforces the moves after that)
+const initialStatuses = ['WAITLISTED', 'ENROLLED', 'IN_PROGRESS']
+
+// What has been paid against the net fee (kept in step by the server)
+export const financialStatusConfig = {
+  UNPAID: { label: 'Unpaid', badge: 'badge-danger' },
+  PARTIAL: { label: 'Partially Paid', badge: 'badge-warning' },
+  PAID: { label: 'Paid', badge: 'badge-success' },
+  REFUNDED: { label: 'Refunded', badge: 'badge-neutral' },
+  WAIVED: { label: 'Waived', badge: 'badge-neutral' }
+}
+
+// Adjustments with a fixed basis (e.g. percentage discount) ignore the basis picker
+const effectiveBasis = (adjustment) => adjustmentTypes[adjustment.type]?.basis || adjustment.basis
 
 function EnrollmentForm({ enrollment, defaultStudentId, defaultCourseId, onSubmitSuccess, onCancel }) {
   const [loading, setLoading] = useState(false)
   const [loadingOptions, setLoadingOptions] = useState(false)
   const [students, setStudents] = useState([])
   const [courses, setCourses] = useState([])
+  const [promoCodes, setPromoCodes] = useState(
+    (enrollment?.adjustments || [])
+      .filter(adjustment => adjustment.type === 'PROMO_CODE')
+      .map(adjustment => ({ code: adjustment.reason, basis: adjustment.basis, value: adjustment.value }))
+  )
+  const [promoInput, setPromoInput] = useState('')
+  const [checkingPromo, setCheckingPromo] = useState(false)
 
-  const { register, handleSubmit, formState: { errors }, setValue } = useForm()
+  const { hasRole } = useAuth()
+  const canEditPricing = hasRole('ADMIN', 'FINANCE')
+
+  const { register, control, handleSubmit, watch, formState: { errors }, setValue } = useForm({
+    defaultValues: {
+      priceOverride: enrollment?.priceOverride != null ? parseFloat(enrollment.priceOverride) : '',
+      adjustments: (enrollment?.adjustments || []).filter(adjustment => adjustment.type !== 'PROMO_CODE').map(adjustment => ({
+        id: adjustment.id,
+        type: adjustment.type,
+        basis: adjustment.basis,
+        value: parseFloat(adjustment.value),
+        reason: adjustment.reason,
+        approvedByName: adjustment.approvedByName
+      }))
+    }
+  })
+  const { fields, append, remove } = useFieldArray({ control, name: 'adjustments' })
 
   useEffect(() => {
     fetchOptions()
     if (enrollment) {
       setValue('studentId', enrollment.studentId)
       setValue('courseId', enrollment.courseId)
-      setValue('batch', enrollment.batch || '')
+      setValue('batchId', enrollment.batchId || '')
       setValue('startDate', enrollment.startDate?.slice(0, 10))
       setValue('endDate', enrollment.endDate ? enrollment.endDate.slice(0, 10) : '')
-      setValue('status', enrollment.status)
     } else {
       if (defaultStudentId) setValue('studentId', defaultStudentId)
       if (defaultCourseId) setValue('courseId', defaultCourseId)
-      setValue('status', 'ACTIVE')
+      setValue('academicStatus', '')
       setValue('startDate', new Date().toISOString().slice(0, 10))
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -49,16 +102,64 @@ function EnrollmentForm({ enrollment, defaultStudentId, defaultCourseId, onSubmi
     }
   }
 
+  const courseId = watch('courseId')
+  const priceOverride = watch('priceOverride')
+  const adjustments = watch('adjustments')
+  const selectedCourse = courses.find(c => c.id === courseId) ||
+    (enrollment?.course?.id === courseId ? enrollment.course : null)
+  const listPrice = selectedCourse ? parseFloat(selectedCourse.price) : 0
+  const pricedAdjustments = adjustments.map(adjustment => ({ ...adjustment, basis: effectiveBasis(adjustment) }))
+  const pricing = calculatePricing(listPrice, priceOverride, [...pricedAdjustments, ...promoCodes])
+
+  const applyPromoCode = async () => {
+    if (!promoInput.trim()) return
+    if (!courseId) {
+      toast.error('Select a course first')
+      return
+    }
+    setCheckingPromo(true)
+    try {
+      const res = await axios.post('/api/promo-codes/validate', {
+        code: promoInput,
+        courseId,
+        studentId: watch('studentId') || undefined,
+        enrollmentId: enrollment?.id,
+        appliedCodes: promoCodes.map(promo => promo.code),
+        manualAdjustmentCount: adjustments.length
+      })
+      setPromoCodes(current => [...current, res.data.promoCode])
+      setPromoInput('')
+      toast.success(`Promo code ${res.data.promoCode.code} applied`)
+    } catch (error) {
+      const msg = error.response?.data?.error || 'Failed to check promo code'
+      toast.error(msg)
+    } finally {
+      setCheckingPromo(false)
+    }
+  }
+
   const onSubmit = async (data) => {
     setLoading(true)
     try {
       const payload = {
         studentId: data.studentId,
         courseId: data.courseId,
-        batch: data.batch || undefined,
+        batchId: data.batchId || '',
         startDate: data.startDate,
         endDate: data.endDate || undefined,
-        status: data.status,
+        // Status changes after creation go through PATCH /:id/status
+        academicStatus: enrollment ? undefined : data.academicStatus || undefined,
+        promoCodes: promoCodes.map(promo => promo.code)
+      }
+      if (canEditPricing) {
+        payload.priceOverride = data.priceOverride === '' ? null : parseFloat(data.priceOverride)
+        payload.adjustments = data.adjustments.map(adjustment => ({
+          id: adjustment.id,
+          type: adjustment.type,
+          basis: effectiveBasis(adjustment),
+          value: parseFloat(adjustment.value),
+          reason: adjustment.reason
+        }))
       }
       if (enrollment) {
         await axios.put(`/api/enrollments/${enrollment.id}`, payload)
@@ -78,7 +179,7 @@ function EnrollmentForm({ enrollment, defaultStudentId, defaultCourseId, onSubmi
 
   return (
     <div className="modal-overlay" onClick={onCancel}>
-      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+      <div className="modal-content max-w-2xl" onClick={(e) => e.stopPropagation()}>
         <div className="flex items-center justify-between p-6 border-b border-gray-200">
           <h2 className="text-lg font-medium text-gray-900">{enrollment ? 'Edit Enrollment' : 'New Enrollment'}</h2>
           <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
@@ -119,16 +220,39 @@ function EnrollmentForm({ enrollment, defaultStudentId, defaultCourseId, onSubmi
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
               <label className="block text-sm font-medium text-gray-700">Batch</label>
-              <input className="input mt-1" placeholder="Batch name" {...register('batch')} />
+              <BatchSelect
+                courseId={courseId}
+                register={register}
+                setValue={setValue}
+                currentBatchId={enrollment?.batchId}
+                waitlist
+                onSelect={(batch) => {
+                  if (batch.startDate) setValue('startDate', batch.startDate.slice(0, 10))
+                  // A new enrollment in a full batch joins its waitlist
+                  if (!enrollment) setValue('academicStatus', batch.seats.available === 0 ? 'WAITLISTED' : '')
+                }}
+              />
             </div>
             <div>
-              <label className="block text-sm font-medium text-gray-700">Status *</label>
-              <select className="input mt-1" {...register('status', { required: true })}>
-                <option value="ACTIVE">ACTIVE</option>
-                <option value="COMPLETED">COMPLETED</option>
-                <option value="CANCELLED">CANCELLED</option>
-                <option value="SUSPENDED">SUSPENDED</option>
-              </select>
+              <label className="block text-sm font-medium text-gray-700">Academic Status</label>
+              {enrollment ? (
+                <>
+                  <div className="input mt-1 bg-gray-50">{academicStatusConfig[enrollment.academicStatus]?.label}</div>
+                  <p className="mt-1 text-sm text-gray-500">Change the status from the enrollment's page</p>
+                </>
+              ) : (
+                <>
+                  <select className="input mt-1" {...register('academicStatus')}>
+                    <option value="">Enrolled / In Progress (from start date)</option>
+                    {initialStatuses.map(value => (
+                      <option key={value} value={value}>{academicStatusConfig[value].label}</option>
+                    ))}
+                  </select>
+                  {watch('academicStatus') === 'WAITLISTED' && (
+                    <p className="mt-1 text-sm text-gray-500">Queued for a seat in the batch; enrolled automatically when one frees up</p>
+                  )}
+                </>
+              )}
             </div>
           </div>
 
@@ -143,6 +267,160 @@ function EnrollmentForm({ enrollment, defaultStudentId, defaultCourseId, onSubmi
             </div>
           </div>
 
+          {/* Pricing */}
+          <div className="border-t border-gray-200 pt-4">
+            <h3 className="text-sm font-medium text-gray-900 mb-3">Pricing</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">List Price</label>
+                <div className="input mt-1 bg-gray-50">
+                  {selectedCourse ? `$${listPrice.toFixed(2)}` : '—'}
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Negotiated Price</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  className="input mt-1"
+                  placeholder="Use list price"
+                  disabled={!canEditPricing}
+                  {...register('priceOverride', { min: 0 })}
+                />
+              </div>
+            </div>
+
+            <label className="block text-sm font-medium text-gray-700 mt-4 mb-2">Discounts &amp; Scholarships</label>
+            {fields.length === 0 && (
+              <p className="text-sm text-gray-500">No adjustments</p>
+            )}
+            <div className="space-y-2">
+              {fields.map((field, index) => {
+                const adjustment = pricedAdjustments[index] || field
+                return (
+                  <div key={field.id}>
+                    <div className="grid grid-cols-12 gap-2 items-start">
+                      <select
+                        className="input col-span-4"
+                        disabled={!canEditPricing}
+                        {...register(`adjustments.${index}.type`, { required: true })}
+                      >
+                        {Object.entries(manualAdjustmentTypes).map(([type, config]) => (
+                          <option key={type} value={type}>{config.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        className="input col-span-2"
+                        disabled={!canEditPricing || !!adjustmentTypes[adjustments[index]?.type]?.basis}
+                        {...register(`adjustments.${index}.basis`)}
+                      >
+                        <option value="PERCENT">%</option>
+                        <option value="FIXED">$</option>
+                      </select>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0.01"
+                        className={`input col-span-2 ${errors.adjustments?.[index]?.value ? 'input-error' : ''}`}
+                        placeholder="Value"
+                        disabled={!canEditPricing}
+                        {...register(`adjustments.${index}.value`, { required: true, min: 0.01 })}
+                      />
+                      <input
+                        className={`input col-span-3 ${errors.adjustments?.[index]?.reason ? 'input-error' : ''}`}
+                        placeholder="Reason"
+                        disabled={!canEditPricing}
+                        {...register(`adjustments.${index}.reason`, { required: true })}
+                      />
+                      {canEditPricing && (
+                        <button
+                          type="button"
+                          onClick={() => remove(index)}
+                          className="col-span-1 mt-2 text-gray-400 hover:text-danger-600"
+                          title="Remove adjustment"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      )}
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">
+                      −${discountFor(adjustment, pricing.basePrice).toFixed(2)}
+                      {field.approvedByName && ` · approved by ${field.approvedByName}`}
+                    </p>
+                  </div>
+                )
+              })}
+            </div>
+            {canEditPricing ? (
+              <button
+                type="button"
+                className="btn btn-outline btn-sm mt-3"
+                onClick={() => append({ type: 'PERCENTAGE_DISCOUNT', basis: 'PERCENT', value: '', reason: '' })}
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                Add Adjustment
+              </button>
+            ) : (
+              <p className="mt-2 text-xs text-gray-500">Pricing changes need admin or finance approval</p>
+            )}
+
+            <label className="block text-sm font-medium text-gray-700 mt-4 mb-2">Promo Codes</label>
+            {promoCodes.length > 0 && (
+              <div className="space-y-1 mb-2">
+                {promoCodes.map(promo => (
+                  <div key={promo.code} className="flex items-center justify-between text-sm">
+                    <span className="flex items-center text-gray-700">
+                      <Tag className="h-4 w-4 mr-2 text-gray-400" />
+                      <span className="badge badge-info mr-2">{promo.code}</span>
+                      {promo.basis === 'PERCENT' && `${parseFloat(promo.value)}% · `}
+                      −${discountFor(promo, pricing.basePrice).toFixed(2)}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => setPromoCodes(current => current.filter(item => item.code !== promo.code))}
+                      className="text-gray-400 hover:text-danger-600"
+                      title="Remove promo code"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex space-x-2">
+              <input
+                className="input"
+                placeholder="Enter promo code"
+                value={promoInput}
+                onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault()
+                    applyPromoCode()
+                  }
+                }}
+              />
+              <button
+                type="button"
+                className="btn btn-outline"
+                onClick={applyPromoCode}
+                disabled={checkingPromo || !promoInput.trim()}
+              >
+                {checkingPromo ? 'Checking...' : 'Apply'}
+              </button>
+            </div>
+
+            <div className="mt-4 flex items-center justify-between rounded-lg bg-gray-50 p-3">
+              <div className="text-sm text-gray-600">
+                {pricing.totalDiscount > 0 && `$${pricing.basePrice.toFixed(2)} − $${pricing.totalDiscount.toFixed(2)} discount`}
+              </div>
+              <div className="text-sm font-medium text-gray-900">
+                Net Payable: ${pricing.netFee.toFixed(2)}
+              </div>
+            </div>
+          </div>
+
           <div className="flex justify-end space-x-3 pt-2">
             <button type="button" className="btn btn-outline" onClick={onCancel} disabled={loading}>Cancel</button>
             <button type="submit" className="btn btn-primary" disabled={loading}>{loading ? 'Saving...' : (enrollment ? 'Update' : 'Create Enrollment')}</button>
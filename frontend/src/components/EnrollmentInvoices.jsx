@@ -0,0 +1,160 @@
+import { useState } from 'react'
+import { FileText, Plus, Download, Send, Ban, Edit } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { useAuth } from '../context/AuthContext'
+import { downloadFile } from '../lib/download'
+import InvoiceForm from './InvoiceForm'
+
+export const invoiceStatusConfig = {
+  DRAFT: { class: 'badge-neutral', text: 'Draft' },
+  ISSUED: { class: 'badge-warning', text: 'Issued' },
+  PAID: { class: 'badge-success', text: 'Paid' },
+  VOID: { class: 'badge-danger', text: 'Void' }
+}
+
+// Invoices card for EnrollmentDetail; `onChange` reloads the enrollment
+function EnrollmentInvoices({ enrollment, onChange }) {
+  const { hasRole } = useAuth()
+  const [showForm, setShowForm] = useState(false)
+  const [editingInvoice, setEditingInvoice] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+
+  const canManage = hasRole('ADMIN', 'FINANCE')
+  const invoices = enrollment.invoices || []
+
+  const runAction = async (invoice, action, successMessage, payload) => {
+    try {
+      setBusyId(invoice.id)
+      await axios.post(`/api/invoices/${invoice.id}/${action}`, payload)
+      toast.success(successMessage)
+      onChange()
+    } catch (error) {
+      console.error(`Error running invoice ${action}:`, error)
+      toast.error(error.response?.data?.error || 'Failed to update invoice')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleVoid = (invoice) => {
+    const reason = window.prompt(`Void ${invoice.number || 'this draft invoice'}? Optionally give a reason:`)
+    if (reason === null) return
+    runAction(invoice, 'void', 'Invoice voided', { reason })
+  }
+
+  const handleDownload = async (invoice) => {
+    try {
+      setBusyId(invoice.id)
+      await downloadFile(`/api/invoices/${invoice.id}/pdf`, `${invoice.number || 'draft-invoice'}.pdf`)
+    } catch (error) {
+      console.error('Error downloading invoice:', error)
+      toast.error('Failed to download invoice')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const closeForm = () => {
+    setShowForm(false)
+    setEditingInvoice(null)
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Invoices</h3>
+        {canManage && (
+          <button className="btn btn-primary btn-sm" onClick={() => setShowForm(true)}>
+            <Plus className="h-4 w-4 mr-1" />
+            New Invoice
+          </button>
+        )}
+      </div>
+      <div className="card-body">
+        {invoices.length === 0 ? (
+          <div className="text-center py-8">
+            <FileText className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+            <p className="text-gray-500">No invoices yet</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {invoices.map((invoice) => {
+              const config = invoiceStatusConfig[invoice.status]
+              const busy = busyId === invoice.id
+              return (
+                <div key={invoice.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <div className="flex items-center space-x-2">
+                        <span className="text-sm font-medium text-gray-900">
+                          {invoice.number || 'Draft'}
+                        </span>
+                        <span className={`badge ${config.class}`}>{config.text}</span>
+                      </div>
+                      <div className="text-sm text-gray-500 mt-1">
+                        {invoice.issueDate
+                          ? `Issued ${new Date(invoice.issueDate).toLocaleDateString()}`
+                          : `Created ${new Date(invoice.createdAt).toLocaleDateString()}`}
+                        {invoice.dueDate && ` · Due ${new Date(invoice.dueDate).toLocaleDateString()}`}
+                      </div>
+                      {invoice.status === 'VOID' && invoice.voidReason && (
+                        <div className="text-sm text-danger-600 mt-1">Voided: {invoice.voidReason}</div>
+                      )}
+                    </div>
+                    <div className="text-right">
+                      <div className="text-sm font-medium text-gray-900">
+                        ${parseFloat(invoice.total).toFixed(2)}
+                      </div>
+                      {(invoice.status === 'ISSUED' || invoice.status === 'PAID') && (
+                        <div className="text-sm text-gray-500">
+                          ${invoice.balanceDue.toFixed(2)} due
+                        </div>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="mt-3 border-t border-gray-100 pt-3 flex flex-wrap gap-2">
+                    <button className="btn btn-outline btn-sm" onClick={() => handleDownload(invoice)} disabled={busy}>
+                      <Download className="h-4 w-4 mr-1" />
+                      PDF
+                    </button>
+                    {canManage && invoice.status === 'DRAFT' && (
+                      <>
+                        <button className="btn btn-outline btn-sm" onClick={() => { setEditingInvoice(invoice); setShowForm(true) }} disabled={busy}>
+                          <Edit className="h-4 w-4 mr-1" />
+                          Edit
+                        </button>
+                        <button className="btn btn-primary btn-sm" onClick={() => runAction(invoice, 'issue', 'Invoice issued')} disabled={busy}>
+                          <Send className="h-4 w-4 mr-1" />
+                          Issue
+                        </button>
+                      </>
+                    )}
+                    {canManage && (invoice.status === 'DRAFT' || invoice.status === 'ISSUED') && (
+                      <button className="btn btn-outline btn-sm text-danger-600" onClick={() => handleVoid(invoice)} disabled={busy}>
+                        <Ban className="h-4 w-4 mr-1" />
+                        Void
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+
+      {showForm && (
+        <InvoiceForm
+          invoice={editingInvoice}
+          enrollment={enrollment}
+          onSubmitSuccess={() => { closeForm(); onChange() }}
+          onCancel={closeForm}
+        />
+      )}
+    </div>
+  )
+}
+
+export default EnrollmentInvoices
@@ -0,0 +1,89 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { academicStatusConfig } from './EnrollmentForm'
+
+// Move an enrollment to one of its allowed next academic statuses
+function EnrollmentStatusForm({ enrollment, transition, onSubmitSuccess, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const from = academicStatusConfig[enrollment.academicStatus]?.label
+  const to = academicStatusConfig[transition.status]?.label
+
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: { reason: '' }
+  })
+
+  const onSubmit = async (data) => {
+    setLoading(true)
+    try {
+      await axios.patch(`/api/enrollments/${enrollment.id}/status`, {
+        academicStatus: transition.status,
+        reason: data.reason || null
+      })
+      toast.success(`Enrollment marked ${to.toLowerCase()}`)
+      onSubmitSuccess?.()
+    } catch (error) {
+      const msg = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to update status'
+      toast.error(msg)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Change Status</h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            {enrollment.student.name} · {enrollment.course.name}: {from} → {to}
+          </p>
+          {transition.status === 'WITHDRAWN' && (
+            <p className="text-sm text-warning-600">
+              Withdrawing is final and frees the student's seat. Coming back means a new enrollment.
+            </p>
+          )}
+          {transition.status === 'COMPLETED' && (
+            <p className="text-sm text-gray-600">A completion certificate is issued and filed with the student's documents.</p>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              Reason {transition.reasonRequired && '*'}
+            </label>
+            <textarea
+              className={`input mt-1 ${errors.reason ? 'input-error' : ''}`}
+              rows={3}
+              maxLength={500}
+              {...register('reason', {
+                validate: value => !transition.reasonRequired || value.trim() !== ''
+              })}
+            />
+            {errors.reason && <p className="mt-1 text-sm text-danger-600">A reason is required for this change</p>}
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" className="btn btn-outline" onClick={onCancel} disabled={loading}>Cancel</button>
+            <button
+              type="submit"
+              className={`btn ${transition.status === 'WITHDRAWN' ? 'btn-danger' : 'btn-primary'}`}
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : `Mark ${to}`}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default EnrollmentStatusForm
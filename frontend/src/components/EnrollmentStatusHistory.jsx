@@ -0,0 +1,83 @@
+import { useState } from 'react'
+import { ArrowRight } from 'lucide-react'
+import { useAuth } from '../context/AuthContext'
+import { academicStatusConfig } from './EnrollmentForm'
+import EnrollmentStatusForm from './EnrollmentStatusForm'
+
+const statusLabel = (status) => academicStatusConfig[status]?.label || status
+
+// Academic status card: the moves open to this enrollment and every change so far
+function EnrollmentStatusHistory({ enrollment, onChange }) {
+  const { hasRole } = useAuth()
+  const [transition, setTransition] = useState(null)
+  const canChange = hasRole('ADMIN', 'COUNSELLOR')
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">Status</h3>
+      </div>
+      <div className="card-body space-y-6">
+        {canChange && (
+          enrollment.nextStatuses.length > 0 ? (
+            <div className="flex flex-wrap gap-2">
+              {enrollment.nextStatuses.map(next => (
+                <button
+                  key={next.status}
+                  className={`btn btn-sm ${next.status === 'WITHDRAWN' ? 'btn-danger' : 'btn-outline'}`}
+                  onClick={() => setTransition(next)}
+                >
+                  Mark {statusLabel(next.status)}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">
+              {statusLabel(enrollment.academicStatus)} is final; the status can no longer change.
+            </p>
+          )
+        )}
+
+        {enrollment.statusHistory.length === 0 ? (
+          <p className="text-sm text-gray-500">No status changes recorded</p>
+        ) : (
+          <ul className="space-y-4">
+            {enrollment.statusHistory.map(change => (
+              <li key={change.id} className="text-sm">
+                <div className="flex items-center space-x-2 font-medium text-gray-900">
+                  {change.fromStatus ? (
+                    <>
+                      <span>{statusLabel(change.fromStatus)}</span>
+                      <ArrowRight className="h-4 w-4 text-gray-400" />
+                      <span>{statusLabel(change.toStatus)}</span>
+                    </>
+                  ) : (
+                    <span>Created as {statusLabel(change.toStatus)}</span>
+                  )}
+                </div>
+                {change.reason && <p className="text-gray-600">{change.reason}</p>}
+                <p className="text-xs text-gray-500">
+                  {change.actorName || 'System'} · {new Date(change.createdAt).toLocaleString()}
+                </p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {transition && (
+        <EnrollmentStatusForm
+          enrollment={enrollment}
+          transition={transition}
+          onSubmitSuccess={() => {
+            setTransition(null)
+            onChange?.()
+          }}
+          onCancel={() => setTransition(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default EnrollmentStatusHistory
@@ -0,0 +1,199 @@
+import { useEffect, useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import BatchSelect from './BatchSelect'
+
+export const transferPolicies = {
+  FULL_CREDIT: { label: 'Full credit', description: 'Everything paid is credited to the new enrollment' },
+  PARTIAL_CREDIT: { label: 'Partial credit', description: 'A chosen amount is credited, the rest is kept' },
+  ADMIN_FEE: { label: 'Admin fee', description: 'Everything paid less an admin fee is credited' }
+}
+
+// Move a student to another course or batch. The server creates the new
+// enrollment, withdraws this one and credits its payments by the policy.
+function EnrollmentTransferForm({ enrollment, onSubmitSuccess, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const [courses, setCourses] = useState([])
+  const paid = enrollment.paymentStatus.totalPaid
+
+  const { register, handleSubmit, watch, setValue, formState: { errors } } = useForm({
+    defaultValues: {
+      courseId: enrollment.courseId,
+      batchId: '',
+      startDate: new Date().toISOString().slice(0, 10),
+      priceOverride: '',
+      policy: 'FULL_CREDIT',
+      creditAmount: paid,
+      adminFee: 0,
+      reason: ''
+    }
+  })
+
+  useEffect(() => {
+    axios.get('/api/courses?limit=100&active=true')
+      .then(r => setCourses(r.data.courses || []))
+      .catch(() => toast.error('Failed to load courses'))
+  }, [])
+
+  const courseId = watch('courseId')
+  const policy = watch('policy')
+
+  // Same split as lib/transfers.js on the server
+  const credit = {
+    FULL_CREDIT: paid,
+    PARTIAL_CREDIT: parseFloat(watch('creditAmount')) || 0,
+    ADMIN_FEE: paid - (parseFloat(watch('adminFee')) || 0)
+  }[policy]
+  const kept = paid - credit
+
+  const onSubmit = async (data) => {
+    setLoading(true)
+    try {
+      const payload = {
+        courseId: data.courseId,
+        batchId: data.batchId || '',
+        startDate: data.startDate,
+        priceOverride: data.priceOverride === '' ? undefined : parseFloat(data.priceOverride),
+        policy: data.policy,
+        reason: data.reason
+      }
+      if (data.policy === 'PARTIAL_CREDIT') payload.creditAmount = parseFloat(data.creditAmount)
+      if (data.policy === 'ADMIN_FEE') payload.adminFee = parseFloat(data.adminFee)
+
+      const response = await axios.post(`/api/enrollments/${enrollment.id}/transfer`, payload)
+      toast.success('Enrollment transferred')
+      onSubmitSuccess?.(response.data.enrollment)
+    } catch (error) {
+      const msg = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to transfer enrollment'
+      toast.error(msg)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Transfer Enrollment</h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            {enrollment.student.name} · {enrollment.course.name}{enrollment.batch && ` (${enrollment.batch})`} is withdrawn
+            and a new enrollment is created.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Course *</label>
+              <select className={`input mt-1 ${errors.courseId ? 'input-error' : ''}`} {...register('courseId', { required: true })}>
+                {courses.map(course => (
+                  <option key={course.id} value={course.id}>{course.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Batch</label>
+              <BatchSelect
+                courseId={courseId}
+                register={register}
+                setValue={setValue}
+                onSelect={(batch) => {
+                  if (batch.startDate) setValue('startDate', batch.startDate.slice(0, 10))
+                }}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Start Date *</label>
+              <input type="date" className={`input mt-1 ${errors.startDate ? 'input-error' : ''}`} {...register('startDate', { required: true })} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Negotiated Price</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                className="input mt-1"
+                placeholder="Use list price"
+                {...register('priceOverride', { min: 0 })}
+              />
+            </div>
+          </div>
+
+          <div className="border-t border-gray-200 pt-4">
+            <h3 className="text-sm font-medium text-gray-900 mb-3">Payments (${paid.toFixed(2)} paid)</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Policy *</label>
+                <select className="input mt-1" {...register('policy')}>
+                  {Object.entries(transferPolicies).map(([value, config]) => (
+                    <option key={value} value={value}>{config.label}</option>
+                  ))}
+                </select>
+              </div>
+              {policy === 'PARTIAL_CREDIT' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Credit Amount *</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    max={paid}
+                    className={`input mt-1 ${errors.creditAmount ? 'input-error' : ''}`}
+                    {...register('creditAmount', { required: true, min: 0, max: paid })}
+                  />
+                </div>
+              )}
+              {policy === 'ADMIN_FEE' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Admin Fee *</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    max={paid}
+                    className={`input mt-1 ${errors.adminFee ? 'input-error' : ''}`}
+                    {...register('adminFee', { required: true, min: 0, max: paid })}
+                  />
+                </div>
+              )}
+            </div>
+            <p className="mt-2 text-sm text-gray-500">{transferPolicies[policy].description}</p>
+            <p className="mt-1 text-sm text-gray-900">
+              ${Math.max(0, credit).toFixed(2)} credited · ${Math.max(0, kept).toFixed(2)} kept on this enrollment
+            </p>
+            <p className="mt-1 text-xs text-gray-500">Credit beyond the new enrollment's fee stays as an open credit note</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Reason *</label>
+            <textarea
+              className={`input mt-1 ${errors.reason ? 'input-error' : ''}`}
+              rows={3}
+              maxLength={500}
+              {...register('reason', { required: true, validate: value => value.trim() !== '' })}
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" className="btn btn-outline" onClick={onCancel} disabled={loading}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Transferring...' : 'Transfer'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default EnrollmentTransferForm
@@ -0,0 +1,54 @@
+import { Link } from 'react-router-dom'
+import { ArrowDown } from 'lucide-react'
+import { transferPolicies } from './EnrollmentTransferForm'
+
+const money = (value) => `$${parseFloat(value).toFixed(2)}`
+
+// One end of a transfer; the enrollment being viewed is not a link
+function TrailEnrollment({ enrollment, currentId }) {
+  const label = enrollment.batch ? `${enrollment.course.name} (${enrollment.batch})` : enrollment.course.name
+  return enrollment.id === currentId
+    ? <p className="text-sm font-medium text-gray-900">{label} <span className="text-gray-500 font-normal">(this enrollment)</span></p>
+    : <Link to={`/enrollments/${enrollment.id}`} className="text-sm font-medium text-primary-600 hover:text-primary-700">{label}</Link>
+}
+
+// Every transfer in the chain this enrollment belongs to, oldest first
+function EnrollmentTransfers({ enrollment }) {
+  const { transfers } = enrollment
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">Transfers</h3>
+      </div>
+      <div className="card-body">
+        <TrailEnrollment enrollment={transfers[0].fromEnrollment} currentId={enrollment.id} />
+        {transfers.map(transfer => {
+          const kept = parseFloat(transfer.paidAmount) - parseFloat(transfer.creditedAmount)
+          const open = parseFloat(transfer.creditedAmount) - parseFloat(transfer.appliedAmount)
+          return (
+            <div key={transfer.id}>
+              <div className="flex space-x-3 py-3 pl-1">
+                <ArrowDown className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                <div className="text-sm space-y-1">
+                  <p className="text-gray-900">
+                    {transferPolicies[transfer.policy]?.label || transfer.policy}: {money(transfer.creditedAmount)} of {money(transfer.paidAmount)} credited
+                    {kept > 0 && `, ${money(kept)} kept${transfer.adminFee ? ' as admin fee' : ''}`}
+                  </p>
+                  {open > 0 && <p className="text-gray-600">{money(open)} left as an open credit note</p>}
+                  <p className="text-gray-600">{transfer.reason}</p>
+                  <p className="text-xs text-gray-500">
+                    {transfer.actorName || 'System'} · {new Date(transfer.createdAt).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+              <TrailEnrollment enrollment={transfer.toEnrollment} currentId={enrollment.id} />
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default EnrollmentTransfers
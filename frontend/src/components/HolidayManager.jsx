@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { X, Trash2 } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+// Holidays modal (admin): the timetable scheduler skips these days.
+// `onChange` runs after a holiday is added or removed.
+function HolidayManager({ onChange, onClose }) {
+  const [holidays, setHolidays] = useState([])
+  const [loading, setLoading] = useState(true)
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting }
+  } = useForm({ defaultValues: { date: '', name: '' } })
+
+  useEffect(() => {
+    fetchHolidays()
+  }, [])
+
+  const fetchHolidays = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get(`/api/holidays?from=${new Date().getFullYear()}-01-01`)
+      setHolidays(response.data.holidays)
+    } catch (error) {
+      console.error('Error fetching holidays:', error)
+      toast.error('Failed to load holidays')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleAdd = async (data) => {
+    try {
+      await axios.post('/api/holidays', data)
+      toast.success('Holiday added')
+      reset()
+      fetchHolidays()
+      onChange()
+    } catch (error) {
+      console.error('Error adding holiday:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to add holiday')
+    }
+  }
+
+  const handleDelete = async (holiday) => {
+    try {
+      await axios.delete(`/api/holidays/${holiday.id}`)
+      toast.success('Holiday removed')
+      fetchHolidays()
+      onChange()
+    } catch (error) {
+      console.error('Error deleting holiday:', error)
+      toast.error(error.response?.data?.error || 'Failed to remove holiday')
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content max-w-lg" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Holidays</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <form onSubmit={handleSubmit(handleAdd)} className="flex items-start space-x-2">
+            <input
+              type="date"
+              className={`input ${errors.date ? 'input-error' : ''}`}
+              {...register('date', { required: true })}
+            />
+            <input
+              className={`input ${errors.name ? 'input-error' : ''}`}
+              placeholder="e.g. National Day"
+              {...register('name', { required: true })}
+            />
+            <button type="submit" className="btn btn-primary" disabled={isSubmitting}>
+              Add
+            </button>
+          </form>
+
+          {loading ? (
+            <div className="animate-pulse space-y-3">
+              {[...Array(3)].map((_, i) => (
+                <div key={i} className="h-8 bg-gray-200 rounded"></div>
+              ))}
+            </div>
+          ) : holidays.length === 0 ? (
+            <p className="text-center text-sm text-gray-500">No holidays this year</p>
+          ) : (
+            <div className="divide-y divide-gray-200 max-h-80 overflow-y-auto">
+              {holidays.map(holiday => (
+                <div key={holiday.id} className="py-2 flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{holiday.name}</p>
+                    <p className="text-sm text-gray-500">
+                      {new Date(`${holiday.date.slice(0, 10)}T00:00:00`).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleDelete(holiday)}
+                    className="text-danger-600 hover:text-danger-900"
+                    title="Remove holiday"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default HolidayManager
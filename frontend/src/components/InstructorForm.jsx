@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+import axios from 'axios'
+
+export const rateTypeConfig = {
+  HOURLY: { label: 'Hourly', suffix: '/ hour' },
+  PER_BATCH: { label: 'Per batch', suffix: '/ batch' }
+}
+
+export const formatRate = (instructor) => (
+  `$${parseFloat(instructor.rate).toFixed(2)} ${rateTypeConfig[instructor.rateType].suffix}`
+)
+
+function InstructorForm({ instructor, onSubmit, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const [courses, setCourses] = useState([])
+  const {
+    register,
+    handleSubmit,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      name: instructor?.name || '',
+      email: instructor?.email || '',
+      phone: instructor?.phone || '',
+      specialities: (instructor?.specialities || []).join(', '),
+      rateType: instructor?.rateType || 'HOURLY',
+      rate: instructor ? parseFloat(instructor.rate) : '',
+      isActive: instructor?.isActive ?? true,
+      courseIds: (instructor?.courses || []).map(course => course.id)
+    }
+  })
+
+  useEffect(() => {
+    axios.get('/api/courses?limit=200')
+      .then(res => setCourses(res.data.courses || []))
+      .catch(() => setCourses([]))
+  }, [])
+
+  const handleFormSubmit = async (data) => {
+    setLoading(true)
+    try {
+      await onSubmit({
+        ...data,
+        specialities: data.specialities.split(',').map(speciality => speciality.trim()).filter(Boolean),
+        rate: parseFloat(data.rate),
+        courseIds: [].concat(data.courseIds || []).filter(Boolean)
+      })
+    } catch (error) {
+      // Error handling is done in parent component
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content max-w-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            {instructor ? 'Edit Instructor' : 'Add Instructor'}
+          </h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(handleFormSubmit)} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Name *</label>
+            <input
+              className={`input mt-1 ${errors.name ? 'input-error' : ''}`}
+              {...register('name', {
+                required: 'Name is required',
+                minLength: { value: 2, message: 'Name must be at least 2 characters' }
+              })}
+            />
+            {errors.name && (
+              <p className="mt-1 text-sm text-danger-600">{errors.name.message}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Email</label>
+              <input type="email" className="input mt-1" {...register('email')} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Phone</label>
+              <input className="input mt-1" {...register('phone')} />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Specialities</label>
+            <input className="input mt-1" placeholder="e.g. Python, Data Analysis" {...register('specialities')} />
+            <p className="mt-1 text-sm text-gray-500">Separate with commas</p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Rate Type</label>
+              <select className="input mt-1" {...register('rateType')}>
+                {Object.entries(rateTypeConfig).map(([value, config]) => (
+                  <option key={value} value={value}>{config.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Rate *</label>
+              <div className="relative mt-1">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <span className="text-gray-500 sm:text-sm">$</span>
+                </div>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  className={`input pl-7 ${errors.rate ? 'input-error' : ''}`}
+                  {...register('rate', {
+                    required: 'Rate is required',
+                    min: { value: 0, message: 'Rate must be a positive number' }
+                  })}
+                />
+              </div>
+              {errors.rate && (
+                <p className="mt-1 text-sm text-danger-600">{errors.rate.message}</p>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Courses</label>
+            <div className="mt-1 max-h-40 overflow-y-auto rounded-lg border border-gray-200 p-3 space-y-1">
+              {courses.map(course => (
+                <label key={course.id} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    value={course.id}
+                    className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    {...register('courseIds')}
+                  />
+                  {course.name}
+                </label>
+              ))}
+            </div>
+            <p className="mt-1 text-sm text-gray-500">Assigning a batch adds its course automatically</p>
+          </div>
+
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              {...register('isActive')}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+            <span className="ml-2 text-sm text-gray-700">Active (can be assigned to batches and sessions)</span>
+          </label>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onCancel} className="btn btn-outline" disabled={loading}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : (instructor ? 'Update Instructor' : 'Add Instructor')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default InstructorForm
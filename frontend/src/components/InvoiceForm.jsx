@@ -0,0 +1,160 @@
+import { useState } from 'react'
+import { useForm, useFieldArray } from 'react-hook-form'
+import { X, Plus, Trash2 } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { adjustmentTypes } from '../lib/pricing'
+
+// Create or edit a draft invoice for an enrollment
+function InvoiceForm({ invoice, enrollment, onSubmitSuccess, onCancel }) {
+  const [loading, setLoading] = useState(false)
+
+  const defaultLineItems = invoice
+    ? invoice.lineItems.map(item => ({
+        description: item.description,
+        quantity: item.quantity,
+        unitPrice: parseFloat(item.unitPrice)
+      }))
+    : [
+        {
+          description: enrollment.batch ? `${enrollment.course.name} (${enrollment.batch})` : enrollment.course.name,
+          quantity: 1,
+          unitPrice: enrollment.pricing.basePrice
+        },
+        ...enrollment.pricing.adjustments.map(adjustment => ({
+          description: adjustment.basis === 'PERCENT'
+            ? `${adjustmentTypes[adjustment.type].label} (${parseFloat(adjustment.value)}%) — ${adjustment.reason}`
+            : `${adjustmentTypes[adjustment.type].label} — ${adjustment.reason}`,
+          quantity: 1,
+          unitPrice: -adjustment.discountAmount
+        }))
+      ]
+
+  const { register, control, handleSubmit, watch, formState: { errors } } = useForm({
+    defaultValues: {
+      dueDate: invoice?.dueDate ? invoice.dueDate.slice(0, 10) : '',
+      notes: invoice?.notes || '',
+      lineItems: defaultLineItems
+    }
+  })
+  const { fields, append, remove } = useFieldArray({ control, name: 'lineItems' })
+
+  const lineItems = watch('lineItems')
+  const total = lineItems.reduce((sum, item) =>
+    sum + (parseInt(item.quantity) || 0) * (parseFloat(item.unitPrice) || 0), 0)
+
+  const onSubmit = async (data) => {
+    setLoading(true)
+    try {
+      const payload = {
+        dueDate: data.dueDate || undefined,
+        notes: data.notes || undefined,
+        lineItems: data.lineItems.map(item => ({
+          description: item.description,
+          quantity: parseInt(item.quantity),
+          unitPrice: parseFloat(item.unitPrice)
+        }))
+      }
+      if (invoice) {
+        await axios.put(`/api/invoices/${invoice.id}`, payload)
+        toast.success('Invoice updated')
+      } else {
+        await axios.post('/api/invoices', { ...payload, enrollmentId: enrollment.id })
+        toast.success('Draft invoice created')
+      }
+      onSubmitSuccess?.()
+    } catch (error) {
+      const msg = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save invoice'
+      toast.error(msg)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content max-w-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            {invoice ? 'Edit Draft Invoice' : 'New Invoice'}
+          </h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Line Items *</label>
+            <div className="space-y-2">
+              {fields.map((field, index) => (
+                <div key={field.id} className="grid grid-cols-12 gap-2 items-start">
+                  <input
+                    className={`input col-span-6 ${errors.lineItems?.[index]?.description ? 'input-error' : ''}`}
+                    placeholder="Description"
+                    {...register(`lineItems.${index}.description`, { required: true })}
+                  />
+                  <input
+                    type="number"
+                    min="1"
+                    className="input col-span-2"
+                    placeholder="Qty"
+                    {...register(`lineItems.${index}.quantity`, { required: true, min: 1 })}
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    className={`input col-span-3 ${errors.lineItems?.[index]?.unitPrice ? 'input-error' : ''}`}
+                    placeholder="Unit price"
+                    title="Use a negative price for discounts"
+                    {...register(`lineItems.${index}.unitPrice`, { required: true })}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => remove(index)}
+                    disabled={fields.length === 1}
+                    className="col-span-1 mt-2 text-gray-400 hover:text-danger-600 disabled:opacity-30"
+                    title="Remove line"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="flex items-center justify-between mt-3">
+              <button
+                type="button"
+                className="btn btn-outline btn-sm"
+                onClick={() => append({ description: '', quantity: 1, unitPrice: 0 })}
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                Add Line
+              </button>
+              <div className="text-sm font-medium text-gray-900">Total: ${total.toFixed(2)}</div>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Due Date</label>
+            <input type="date" className="input mt-1" {...register('dueDate')} />
+            <p className="mt-1 text-xs text-gray-500">Leave empty to use the default payment terms when the invoice is issued</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Notes</label>
+            <textarea className="input mt-1" rows={3} placeholder="Printed on the invoice" {...register('notes')} />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" className="btn btn-outline" onClick={onCancel} disabled={loading}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : invoice ? 'Save Draft' : 'Create Draft'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default InvoiceForm
@@ -8,20 +8,80 @@ import {
   BookOpen, 
   GraduationCap, 
   CreditCard,
-  BarChart3
+  BarChart3,
+  ShieldCheck,
+  Trash2,
+  Tag,
+  Hourglass,
+  MessageSquare,
+  BellRing,
+  UserPlus,
+  Layers,
+  ClipboardCheck,
+  CalendarDays,
+  Presentation,
+  Wallet,
+  LogOut
 } from 'lucide-react'
+import { useAuth } from '../context/AuthContext'
 
 const navigation = [
   { name: 'Dashboard', href: '/', icon: Home },
+  { name: 'Leads', href: '/leads', icon: UserPlus },
   { name: 'Students', href: '/students', icon: Users },
   { name: 'Courses', href: '/courses', icon: BookOpen },
+  { name: 'Batches', href: '/batches', icon: Layers },
+  { name: 'Instructors', href: '/instructors', icon: Presentation },
   { name: 'Enrollments', href: '/enrollments', icon: GraduationCap },
+  { name: 'Attendance', href: '/attendance', icon: ClipboardCheck },
+  { name: 'Calendar', href: '/calendar', icon: CalendarDays },
   { name: 'Payments', href: '/payments', icon: CreditCard },
+  { name: 'Receivables', href: '/receivables', icon: Hourglass },
+  { name: 'Payouts', href: '/payouts', icon: Wallet, roles: ['ADMIN', 'FINANCE'] },
+  { name: 'Messages', href: '/messages', icon: MessageSquare },
+  { name: 'Promo Codes', href: '/promo-codes', icon: Tag, roles: ['ADMIN', 'FINANCE'] },
+  { name: 'Reminders', href: '/reminders', icon: BellRing, roles: ['ADMIN', 'FINANCE'] },
+  { name: 'Recycle Bin', href: '/recycle-bin', icon: Trash2, roles: ['ADMIN', 'FINANCE'] },
+  { name: 'Users', href: '/users', icon: ShieldCheck, roles: ['ADMIN'] },
 ]
 
+const roleLabels = {
+  ADMIN: 'Admin',
+  FINANCE: 'Finance',
+  COUNSELLOR: 'Counsellor',
+  READ_ONLY: 'Read-only'
+}
+
+function UserMenu() {
+  const { user, logout } = useAuth()
+
+  if (!user) return null
+
+  return (
+    <div className="border-t border-gray-200 p-4">
+      <div className="flex items-center justify-between">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900 truncate">{user.name}</p>
+          <p className="text-xs text-gray-500">{roleLabels[user.role] || user.role}</p>
+        </div>
+        <button
+          onClick={logout}
+          className="text-gray-400 hover:text-gray-600"
+          title="Log out"
+        >
+          <LogOut className="h-5 w-5" />
+        </button>
+      </div>
+    </div>
+  )
+}
+
 function Layout() {
   const [sidebarOpen, setSidebarOpen] = useState(false)
   const location = useLocation()
+  const { hasRole } = useAuth()
+
+  const visibleNavigation = navigation.filter(item => !item.roles || hasRole(...item.roles))
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -40,7 +100,7 @@ function Layout() {
               </button>
             </div>
             <nav className="flex-1 space-y-1 px-2 py-4">
-              {navigation.map((item) => {
+              {visibleNavigation.map((item) => {
                 const isActive = location.pathname === item.href
                 return (
                   <Link
@@ -63,6 +123,7 @@ function Layout() {
                 )
               })}
             </nav>
+            <UserMenu />
           </div>
         </div>
       </div>
@@ -74,7 +135,7 @@ function Layout() {
             <h1 className="text-xl font-bold text-gray-900">VA CRM</h1>
           </div>
           <nav className="flex-1 space-y-1 px-2 py-4">
-            {navigation.map((item) => {
+            {visibleNavigation.map((item) => {
               const isActive = location.pathname === item.href
               return (
                 <Link
@@ -96,6 +157,7 @@ function Layout() {
               )
             })}
           </nav>
+          <UserMenu />
         </div>
       </div>
 
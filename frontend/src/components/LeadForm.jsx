@@ -0,0 +1,171 @@
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+import axios from 'axios'
+
+export const leadSourceLabels = {
+  WALK_IN: 'Walk-in',
+  REFERRAL: 'Referral',
+  WEBSITE: 'Website',
+  SOCIAL_MEDIA: 'Social media',
+  ADVERTISEMENT: 'Advertisement',
+  EVENT: 'Event',
+  OTHER: 'Other'
+}
+
+function LeadForm({ lead, onSubmit, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const [courses, setCourses] = useState([])
+  const [staff, setStaff] = useState([])
+  const {
+    register,
+    handleSubmit,
+    setValue,
+    getValues,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      name: lead?.name || '',
+      email: lead?.email || '',
+      phone: lead?.phone || '',
+      source: lead?.source || 'OTHER',
+      courseId: lead?.courseId || '',
+      ownerId: lead?.ownerId || '',
+      nextFollowUpAt: lead?.nextFollowUpAt ? lead.nextFollowUpAt.slice(0, 10) : '',
+      notes: lead?.notes || ''
+    }
+  })
+
+  useEffect(() => {
+    axios.get('/api/courses?active=true&limit=200')
+      .then(r => {
+        setCourses(r.data.courses || [])
+        setValue('courseId', lead?.courseId || '')
+      })
+      .catch(() => {})
+    axios.get('/api/staff')
+      .then(r => {
+        setStaff(r.data.staff || [])
+        setValue('ownerId', lead?.ownerId || '')
+      })
+      .catch(() => {})
+  }, [])
+
+  const handleFormSubmit = async (data) => {
+    setLoading(true)
+    try {
+      await onSubmit(data)
+    } catch (error) {
+      // Error handling is done in parent component
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content max-w-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            {lead ? 'Edit Lead' : 'Add Lead'}
+          </h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(handleFormSubmit)} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Name *</label>
+            <input
+              className={`input mt-1 ${errors.name ? 'input-error' : ''}`}
+              {...register('name', {
+                required: 'Name is required',
+                minLength: { value: 2, message: 'Name must be at least 2 characters' }
+              })}
+            />
+            {errors.name && (
+              <p className="mt-1 text-sm text-danger-600">{errors.name.message}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Email</label>
+              <input
+                type="email"
+                className={`input mt-1 ${errors.email ? 'input-error' : ''}`}
+                {...register('email', {
+                  validate: value => Boolean(value || getValues('phone')) || 'Give an email address or a phone number'
+                })}
+              />
+              {errors.email && (
+                <p className="mt-1 text-sm text-danger-600">{errors.email.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Phone</label>
+              <input
+                className="input mt-1"
+                placeholder="+65 9123 4567"
+                {...register('phone')}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Source</label>
+              <select className="input mt-1" {...register('source')}>
+                {Object.entries(leadSourceLabels).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Interested in</label>
+              <select className="input mt-1" {...register('courseId')}>
+                <option value="">No course yet</option>
+                {courses.map(course => (
+                  <option key={course.id} value={course.id}>{course.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Owner</label>
+              <select className="input mt-1" {...register('ownerId')}>
+                <option value="">{lead ? 'Unassigned' : 'Me'}</option>
+                {staff.map(user => (
+                  <option key={user.id} value={user.id}>{user.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Next follow-up</label>
+              <input type="date" className="input mt-1" {...register('nextFollowUpAt')} />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Notes</label>
+            <textarea className="input mt-1" rows={3} {...register('notes')} />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onCancel} className="btn btn-outline" disabled={loading}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : (lead ? 'Update Lead' : 'Add Lead')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default LeadForm
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { ONGOING_STATUSES } from './EnrollmentForm'
+
+const channelOptions = {
+  WHATSAPP_LINK: { text: 'Open in WhatsApp', submit: 'Open WhatsApp' },
+  WHATSAPP: { text: 'Send WhatsApp message', submit: 'Send WhatsApp' },
+  SMS: { text: 'Send SMS', submit: 'Send SMS' }
+}
+
+// SMS / WhatsApp message to a student, prefilled from a text template.
+// `student.enrollments` (with course) populate the "about" list.
+function MessageStudentForm({ student, onSubmitSuccess, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const [templates, setTemplates] = useState([])
+  const enrollments = student.enrollments || []
+
+  const { register, handleSubmit, watch, setValue, formState: { errors } } = useForm({
+    defaultValues: {
+      channel: 'WHATSAPP_LINK',
+      templateKey: '',
+      enrollmentId: enrollments.find(e => ONGOING_STATUSES.includes(e.academicStatus))?.id || enrollments[0]?.id || '',
+      body: ''
+    }
+  })
+
+  const channel = watch('channel')
+  const templateKey = watch('templateKey')
+  const enrollmentId = watch('enrollmentId')
+
+  useEffect(() => {
+    fetchTemplates()
+  }, [])
+
+  useEffect(() => {
+    if (templateKey) fillFromTemplate()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [templateKey, enrollmentId])
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await axios.get('/api/messages/templates')
+      setTemplates(response.data.templates.filter(t => t.format === 'TEXT' && t.isActive))
+    } catch (error) {
+      console.error('Error fetching message templates:', error)
+    }
+  }
+
+  const fillFromTemplate = async () => {
+    try {
+      const response = await axios.post('/api/messages/preview', {
+        studentId: student.id,
+        enrollmentId: enrollmentId || undefined,
+        templateKey
+      })
+      setValue('body', response.data.body, { shouldValidate: true })
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load template')
+    }
+  }
+
+  const onSubmit = async (data) => {
+    // Open the window before the request so it is not treated as a popup
+    const chatWindow = data.channel === 'WHATSAPP_LINK' ? window.open('', '_blank') : null
+
+    setLoading(true)
+    try {
+      const payload = {
+        studentId: student.id,
+        enrollmentId: data.enrollmentId || undefined,
+        templateKey: data.templateKey || undefined,
+        body: data.body
+      }
+      if (data.channel === 'WHATSAPP_LINK') {
+        const response = await axios.post('/api/messages/whatsapp-link', payload)
+        if (chatWindow) {
+          chatWindow.location.href = response.data.url
+        } else {
+          window.open(response.data.url, '_blank', 'noopener')
+        }
+      } else {
+        await axios.post('/api/messages/send', { ...payload, channel: data.channel })
+        toast.success('Message queued')
+      }
+      onSubmitSuccess?.()
+    } catch (error) {
+      chatWindow?.close()
+      const msg = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to send message'
+      toast.error(msg)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Message {student.name}</h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">To {student.phone}</p>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Send as *</label>
+            <select className="input mt-1" {...register('channel')}>
+              {Object.entries(channelOptions).map(([value, option]) => (
+                <option key={value} value={value}>{option.text}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Template</label>
+              <select className="input mt-1" {...register('templateKey')}>
+                <option value="">Custom message</option>
+                {templates.map(template => (
+                  <option key={template.key} value={template.key}>{template.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">About</label>
+              <select className="input mt-1" {...register('enrollmentId')}>
+                <option value="">No enrollment</option>
+                {enrollments.map(enrollment => (
+                  <option key={enrollment.id} value={enrollment.id}>
+                    {enrollment.course.name}{enrollment.batch ? ` (${enrollment.batch})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Message *</label>
+            <textarea
+              className={`input mt-1 ${errors.body ? 'input-error' : ''}`}
+              rows={5}
+              {...register('body', { required: true, maxLength: 1600, validate: value => value.trim() !== '' })}
+            />
+            {errors.body?.type === 'maxLength' && (
+              <p className="mt-1 text-sm text-danger-600">Message must be at most 1600 characters</p>
+            )}
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" className="btn btn-outline" onClick={onCancel} disabled={loading}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Sending...' : channelOptions[channel].submit}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default MessageStudentForm
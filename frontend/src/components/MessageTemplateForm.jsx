@@ -0,0 +1,109 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+
+const placeholders = [
+  '{{student.name}}',
+  '{{course.name}}',
+  '{{enrollment.batch}}',
+  '{{enrollment.startDate}}',
+  '{{balance.outstanding}}',
+  '{{balance.nextDueDate}}',
+  '{{balance.nextDueAmount}}',
+  '{{due.date}}',
+  '{{due.amount}}',
+  '{{due.daysOverdue}}',
+  '{{business.name}}'
+]
+
+function MessageTemplateForm({ template, onSubmit, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const isEmail = template.format === 'EMAIL'
+  const {
+    register,
+    handleSubmit,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      subject: template.subject || '',
+      body: template.body,
+      isActive: template.isActive
+    }
+  })
+
+  const handleFormSubmit = async (data) => {
+    setLoading(true)
+    try {
+      await onSubmit(data)
+    } catch (error) {
+      // Error handling is done in parent component
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content max-w-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Edit Template: {template.name}</h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(handleFormSubmit)} className="p-6 space-y-4">
+          {isEmail && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Subject *</label>
+              <input
+                className={`input mt-1 ${errors.subject ? 'input-error' : ''}`}
+                {...register('subject', { required: 'Subject is required' })}
+              />
+              {errors.subject && (
+                <p className="mt-1 text-sm text-danger-600">{errors.subject.message}</p>
+              )}
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">
+              {isEmail ? 'Body *' : 'Message *'}
+            </label>
+            <textarea
+              className={`input mt-1 font-mono text-sm ${errors.body ? 'input-error' : ''}`}
+              rows={isEmail ? 10 : 5}
+              {...register('body', { required: 'Body is required' })}
+            />
+            {errors.body && (
+              <p className="mt-1 text-sm text-danger-600">{errors.body.message}</p>
+            )}
+            <p className="mt-1 text-xs text-gray-500">
+              Placeholders: {placeholders.join(' ')}. Wrap optional text in {'{{#if balance.nextDueDate}}…{{/if}}'}.
+            </p>
+          </div>
+
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              {...register('isActive')}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+            <span className="ml-2 text-sm text-gray-700">Active (inactive templates are never sent)</span>
+          </label>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onCancel} className="btn btn-outline" disabled={loading}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : 'Save Template'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default MessageTemplateForm
@@ -0,0 +1,189 @@
+import { useState } from 'react'
+import { useForm, useFieldArray } from 'react-hook-form'
+import { X, Plus, Trash2 } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+// Set up or replace the payment plan of an enrollment. The plan always covers
+// the net fee (after discounts); the server builds the schedule.
+function PaymentPlanForm({ plan, enrollment, onSubmitSuccess, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const totalAmount = enrollment.pricing.netFee
+
+  const { register, control, handleSubmit, watch, formState: { errors } } = useForm({
+    defaultValues: {
+      type: plan?.type || 'DEPOSIT_MONTHLY',
+      deposit: plan?.deposit ? parseFloat(plan.deposit) : '',
+      installmentCount: plan?.installmentCount || 3,
+      startDate: (plan?.startDate || new Date().toISOString()).slice(0, 10),
+      notes: plan?.notes || '',
+      installments: plan?.type === 'CUSTOM'
+        ? plan.installments.map(installment => ({
+            label: installment.label || '',
+            dueDate: installment.dueDate.slice(0, 10),
+            amount: parseFloat(installment.amount)
+          }))
+        : [{ label: '', dueDate: new Date().toISOString().slice(0, 10), amount: totalAmount }]
+    }
+  })
+  const { fields, append, remove } = useFieldArray({ control, name: 'installments' })
+
+  const type = watch('type')
+  const customRows = watch('installments')
+  const scheduled = customRows.reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0)
+
+  const onSubmit = async (data) => {
+    setLoading(true)
+    try {
+      const payload = data.type === 'DEPOSIT_MONTHLY'
+        ? {
+            type: data.type,
+            deposit: data.deposit ? parseFloat(data.deposit) : 0,
+            installmentCount: parseInt(data.installmentCount),
+            startDate: data.startDate,
+            notes: data.notes || undefined
+          }
+        : {
+            type: data.type,
+            installments: data.installments.map(row => ({
+              label: row.label || undefined,
+              dueDate: row.dueDate,
+              amount: parseFloat(row.amount)
+            })),
+            notes: data.notes || undefined
+          }
+
+      if (plan) {
+        await axios.put(`/api/enrollments/${enrollment.id}/plan`, payload)
+        toast.success('Payment plan updated')
+      } else {
+        await axios.post(`/api/enrollments/${enrollment.id}/plan`, payload)
+        toast.success('Payment plan created')
+      }
+      onSubmitSuccess?.()
+    } catch (error) {
+      const msg = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save payment plan'
+      toast.error(msg)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content max-w-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            {plan ? 'Edit Payment Plan' : 'Set Up Payment Plan'}
+          </h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Plan Type *</label>
+              <select className="input mt-1" {...register('type', { required: true })}>
+                <option value="DEPOSIT_MONTHLY">Deposit + monthly installments</option>
+                <option value="CUSTOM">Custom schedule</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Plan Total</label>
+              <div className="input mt-1 bg-gray-50">${totalAmount.toFixed(2)}</div>
+            </div>
+          </div>
+
+          {type === 'DEPOSIT_MONTHLY' ? (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Deposit</label>
+                <input type="number" step="0.01" min="0" className="input mt-1" placeholder="0.00" {...register('deposit')} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Monthly Installments *</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="60"
+                  className={`input mt-1 ${errors.installmentCount ? 'input-error' : ''}`}
+                  {...register('installmentCount', { required: true, min: 1, max: 60 })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Deposit Due *</label>
+                <input type="date" className={`input mt-1 ${errors.startDate ? 'input-error' : ''}`} {...register('startDate', { required: true })} />
+              </div>
+            </div>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Installments *</label>
+              <div className="space-y-2">
+                {fields.map((field, index) => (
+                  <div key={field.id} className="grid grid-cols-12 gap-2 items-start">
+                    <input
+                      className="input col-span-4"
+                      placeholder={`Installment ${index + 1}`}
+                      {...register(`installments.${index}.label`)}
+                    />
+                    <input
+                      type="date"
+                      className={`input col-span-4 ${errors.installments?.[index]?.dueDate ? 'input-error' : ''}`}
+                      {...register(`installments.${index}.dueDate`, { required: true })}
+                    />
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0.01"
+                      className={`input col-span-3 ${errors.installments?.[index]?.amount ? 'input-error' : ''}`}
+                      placeholder="Amount"
+                      {...register(`installments.${index}.amount`, { required: true, min: 0.01 })}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => remove(index)}
+                      disabled={fields.length === 1}
+                      className="col-span-1 mt-2 text-gray-400 hover:text-danger-600 disabled:opacity-30"
+                      title="Remove installment"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="flex items-center justify-between mt-3">
+                <button
+                  type="button"
+                  className="btn btn-outline btn-sm"
+                  onClick={() => append({ label: '', dueDate: '', amount: '' })}
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Installment
+                </button>
+                <div className={`text-sm font-medium ${Math.abs(scheduled - totalAmount) < 0.005 ? 'text-gray-900' : 'text-danger-600'}`}>
+                  Scheduled: ${scheduled.toFixed(2)} of ${totalAmount.toFixed(2)}
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Notes</label>
+            <textarea className="input mt-1" rows={2} placeholder="Optional" {...register('notes')} />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" className="btn btn-outline" onClick={onCancel} disabled={loading}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : 'Save Plan'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default PaymentPlanForm
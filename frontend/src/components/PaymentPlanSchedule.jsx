@@ -0,0 +1,135 @@
+import { useState } from 'react'
+import { CalendarClock, Edit, Trash2, Plus } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { useAuth } from '../context/AuthContext'
+import PaymentPlanForm from './PaymentPlanForm'
+import ConfirmDialog from './ConfirmDialog'
+
+const stateConfig = {
+  PAID: { class: 'badge-success', text: 'Paid' },
+  PARTIAL: { class: 'badge-info', text: 'Part paid' },
+  OVERDUE: { class: 'badge-danger', text: 'Overdue' },
+  UPCOMING: { class: 'badge-neutral', text: 'Upcoming' }
+}
+
+// Payment plan card for EnrollmentDetail; `onChange` reloads the enrollment
+function PaymentPlanSchedule({ enrollment, onChange }) {
+  const { hasRole } = useAuth()
+  const [showForm, setShowForm] = useState(false)
+  const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
+
+  const plan = enrollment.paymentPlan
+  const canManage = hasRole('ADMIN', 'FINANCE')
+
+  const handleDelete = async () => {
+    try {
+      await axios.delete(`/api/enrollments/${enrollment.id}/plan`)
+      toast.success('Payment plan removed')
+      setShowDeleteConfirm(false)
+      onChange()
+    } catch (error) {
+      console.error('Error deleting payment plan:', error)
+      toast.error(error.response?.data?.error || 'Failed to remove payment plan')
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">Payment Plan</h3>
+        {canManage && (
+          plan ? (
+            <div className="flex items-center space-x-2">
+              <button className="btn btn-outline btn-sm" onClick={() => setShowForm(true)}>
+                <Edit className="h-4 w-4 mr-1" />
+                Edit
+              </button>
+              <button className="btn btn-outline btn-sm" onClick={() => setShowDeleteConfirm(true)}>
+                <Trash2 className="h-4 w-4 mr-1" />
+                Remove
+              </button>
+            </div>
+          ) : (
+            <button className="btn btn-primary btn-sm" onClick={() => setShowForm(true)}>
+              <Plus className="h-4 w-4 mr-1" />
+              Set Up Plan
+            </button>
+          )
+        )}
+      </div>
+      <div className="card-body">
+        {!plan ? (
+          <div className="text-center py-8">
+            <CalendarClock className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+            <p className="text-gray-500">No payment plan — the full fee is due upfront</p>
+          </div>
+        ) : (
+          <>
+            {plan.overdueCount > 0 && (
+              <div className="mb-4 rounded-lg bg-danger-50 p-3 text-sm text-danger-700">
+                {plan.overdueCount} installment{plan.overdueCount === 1 ? '' : 's'} overdue
+                (${plan.overdueAmount.toFixed(2)})
+              </div>
+            )}
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead className="table-header">
+                  <tr>
+                    <th className="table-header-cell">Installment</th>
+                    <th className="table-header-cell">Due Date</th>
+                    <th className="table-header-cell">Amount</th>
+                    <th className="table-header-cell">Paid</th>
+                    <th className="table-header-cell">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body">
+                  {plan.installments.map((installment) => {
+                    const config = stateConfig[installment.state]
+                    return (
+                      <tr key={installment.id} className="table-row">
+                        <td className="table-cell">{installment.label}</td>
+                        <td className="table-cell">{new Date(installment.dueDate).toLocaleDateString()}</td>
+                        <td className="table-cell">${parseFloat(installment.amount).toFixed(2)}</td>
+                        <td className="table-cell">${installment.paidAmount.toFixed(2)}</td>
+                        <td className="table-cell">
+                          <span className={`badge ${config.class}`}>{config.text}</span>
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+            {plan.notes && (
+              <p className="mt-4 text-sm text-gray-600">
+                <span className="font-medium">Notes:</span> {plan.notes}
+              </p>
+            )}
+          </>
+        )}
+      </div>
+
+      {showForm && (
+        <PaymentPlanForm
+          plan={plan}
+          enrollment={enrollment}
+          onSubmitSuccess={() => { setShowForm(false); onChange() }}
+          onCancel={() => setShowForm(false)}
+        />
+      )}
+
+      {showDeleteConfirm && (
+        <ConfirmDialog
+          title="Remove Payment Plan"
+          message="Remove the installment schedule? Recorded payments are not affected."
+          onConfirm={handleDelete}
+          onCancel={() => setShowDeleteConfirm(false)}
+          confirmText="Remove"
+        />
+      )}
+    </div>
+  )
+}
+
+export default PaymentPlanSchedule
@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+import axios from 'axios'
+
+function PromoCodeForm({ promoCode, onSubmit, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const [courses, setCourses] = useState([])
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      code: promoCode?.code || '',
+      description: promoCode?.description || '',
+      basis: promoCode?.basis || 'PERCENT',
+      value: promoCode ? parseFloat(promoCode.value) : '',
+      validFrom: promoCode?.validFrom?.slice(0, 10) || '',
+      validUntil: promoCode?.validUntil?.slice(0, 10) || '',
+      maxRedemptions: promoCode?.maxRedemptions ?? '',
+      maxPerStudent: promoCode?.maxPerStudent ?? '',
+      stackable: promoCode?.stackable ?? false,
+      isActive: promoCode?.isActive ?? true,
+      courseIds: (promoCode?.courses || []).map(course => course.id)
+    }
+  })
+
+  const basis = watch('basis')
+
+  useEffect(() => {
+    axios.get('/api/courses?limit=200')
+      .then(res => setCourses(res.data.courses || []))
+      .catch(() => setCourses([]))
+  }, [])
+
+  const handleFormSubmit = async (data) => {
+    setLoading(true)
+    try {
+      await onSubmit({
+        ...data,
+        value: parseFloat(data.value),
+        maxRedemptions: data.maxRedemptions === '' ? null : parseInt(data.maxRedemptions),
+        maxPerStudent: data.maxPerStudent === '' ? null : parseInt(data.maxPerStudent),
+        courseIds: [].concat(data.courseIds || []).filter(Boolean)
+      })
+    } catch (error) {
+      // Error handling is done in parent component
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content max-w-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            {promoCode ? 'Edit Promo Code' : 'Add Promo Code'}
+          </h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(handleFormSubmit)} className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Code *</label>
+              <input
+                className={`input mt-1 uppercase ${errors.code ? 'input-error' : ''}`}
+                placeholder="e.g. EARLYBIRD26"
+                {...register('code', {
+                  required: 'Code is required',
+                  pattern: { value: /^[A-Za-z0-9_-]{3,30}$/, message: '3-30 letters, digits, dashes or underscores' }
+                })}
+              />
+              {errors.code && (
+                <p className="mt-1 text-sm text-danger-600">{errors.code.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Discount *</label>
+              <div className="mt-1 flex space-x-2">
+                <select className="input w-24" {...register('basis')}>
+                  <option value="PERCENT">%</option>
+                  <option value="FIXED">$</option>
+                </select>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0.01"
+                  max={basis === 'PERCENT' ? 100 : undefined}
+                  className={`input ${errors.value ? 'input-error' : ''}`}
+                  {...register('value', {
+                    required: true,
+                    min: 0.01,
+                    validate: value => basis !== 'PERCENT' || parseFloat(value) <= 100
+                  })}
+                />
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Description</label>
+            <input className="input mt-1" placeholder="Campaign or referral source" {...register('description')} />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Valid From</label>
+              <input type="date" className="input mt-1" {...register('validFrom')} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Valid Until</label>
+              <input type="date" className="input mt-1" {...register('validUntil')} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Total Redemptions</label>
+              <input type="number" min="1" className="input mt-1" placeholder="Unlimited" {...register('maxRedemptions')} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Per Student</label>
+              <input type="number" min="1" className="input mt-1" placeholder="Unlimited" {...register('maxPerStudent')} />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Courses</label>
+            <div className="mt-1 max-h-40 overflow-y-auto rounded-lg border border-gray-200 p-3 space-y-1">
+              {courses.map(course => (
+                <label key={course.id} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    value={course.id}
+                    className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    {...register('courseIds')}
+                  />
+                  {course.name}
+                </label>
+              ))}
+            </div>
+            <p className="mt-1 text-sm text-gray-500">Leave all unchecked to allow every course</p>
+          </div>
+
+          <div className="space-y-2">
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                {...register('stackable')}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              <span className="ml-2 text-sm text-gray-700">Can be combined with other codes and discounts</span>
+            </label>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                {...register('isActive')}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              <span className="ml-2 text-sm text-gray-700">Active</span>
+            </label>
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onCancel} className="btn btn-outline" disabled={loading}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : (promoCode ? 'Update Promo Code' : 'Add Promo Code')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default PromoCodeForm
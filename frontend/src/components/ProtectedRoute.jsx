@@ -0,0 +1,33 @@
+import { Navigate, useLocation } from 'react-router-dom'
+import { ShieldAlert } from 'lucide-react'
+import { useAuth } from '../context/AuthContext'
+
+function ProtectedRoute({ children, roles }) {
+  const { user, loading } = useAuth()
+  const location = useLocation()
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="animate-pulse text-gray-500">Loading...</div>
+      </div>
+    )
+  }
+
+  if (!user) {
+    return <Navigate to="/login" state={{ from: location }} replace />
+  }
+
+  if (roles && !roles.includes(user.role)) {
+    return (
+      <div className="text-center py-12">
+        <ShieldAlert className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+        <p className="text-gray-500">You do not have permission to view this page</p>
+      </div>
+    )
+  }
+
+  return children
+}
+
+export default ProtectedRoute
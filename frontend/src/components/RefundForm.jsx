@@ -0,0 +1,123 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+
+// Refund part of a payment, or keep it as a credit note for another enrollment
+function RefundForm({ payment, onSubmitSuccess, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const available = payment.netAmount
+
+  const { register, handleSubmit, watch, formState: { errors } } = useForm({
+    defaultValues: {
+      kind: 'refund',
+      amount: available,
+      method: payment.method === 'CREDIT_NOTE' ? 'CASH' : payment.method,
+      date: new Date().toISOString().slice(0, 10),
+      reason: ''
+    }
+  })
+
+  const kind = watch('kind')
+
+  const onSubmit = async (data) => {
+    setLoading(true)
+    try {
+      const payload = {
+        amount: parseFloat(data.amount),
+        date: data.date,
+        reason: data.reason
+      }
+      if (data.kind === 'refund') {
+        await axios.post(`/api/payments/${payment.id}/refunds`, { ...payload, method: data.method })
+        toast.success('Refund recorded')
+      } else {
+        await axios.post(`/api/payments/${payment.id}/credit-notes`, payload)
+        toast.success('Credit note issued')
+      }
+      onSubmitSuccess?.()
+    } catch (error) {
+      const msg = error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save refund'
+      toast.error(msg)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Refund Payment</h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            {payment.receiptNumber || 'Payment'} · {payment.student?.name} · ${available.toFixed(2)} available
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Type *</label>
+            <select className="input mt-1" {...register('kind')}>
+              <option value="refund">Refund to student</option>
+              <option value="credit">Credit note for another enrollment</option>
+            </select>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Amount *</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0.01"
+                max={available}
+                className={`input mt-1 ${errors.amount ? 'input-error' : ''}`}
+                {...register('amount', { required: true, min: 0.01, max: available })}
+              />
+            </div>
+            {kind === 'refund' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Method *</label>
+                <select className="input mt-1" {...register('method', { required: true })}>
+                  <option value="CASH">Cash</option>
+                  <option value="BANK_TRANSFER">Bank Transfer</option>
+                  <option value="CREDIT_CARD">Credit Card</option>
+                  <option value="DEBIT_CARD">Debit Card</option>
+                  <option value="ONLINE_PAYMENT">Online Payment</option>
+                  <option value="CHECK">Check</option>
+                </select>
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Date *</label>
+              <input type="date" className={`input mt-1 ${errors.date ? 'input-error' : ''}`} {...register('date', { required: true })} />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Reason *</label>
+            <textarea
+              className={`input mt-1 ${errors.reason ? 'input-error' : ''}`}
+              rows={3}
+              {...register('reason', { required: true, validate: value => value.trim() !== '' })}
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" className="btn btn-outline" onClick={onCancel} disabled={loading}>Cancel</button>
+            <button type="submit" className="btn btn-danger" disabled={loading}>
+              {loading ? 'Saving...' : kind === 'refund' ? 'Record Refund' : 'Issue Credit Note'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default RefundForm
@@ -0,0 +1,125 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+
+// `templates` is the full template list; the choice narrows to those that
+// suit the selected channel (EMAIL templates for email, TEXT for SMS/WhatsApp)
+function ReminderRuleForm({ rule, templates, onSubmit, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      name: rule?.name || '',
+      offsetDays: rule?.offsetDays ?? 0,
+      channel: rule?.channel || 'EMAIL',
+      templateKey: rule?.templateKey || '',
+      isActive: rule?.isActive ?? true
+    }
+  })
+
+  const channel = watch('channel')
+  const format = channel === 'EMAIL' ? 'EMAIL' : 'TEXT'
+  const channelTemplates = templates.filter(template => template.format === format)
+
+  const handleFormSubmit = async (data) => {
+    setLoading(true)
+    try {
+      await onSubmit({ ...data, offsetDays: parseInt(data.offsetDays) })
+    } catch (error) {
+      // Error handling is done in parent component
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            {rule ? 'Edit Reminder' : 'Add Reminder'}
+          </h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(handleFormSubmit)} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Name *</label>
+            <input
+              className={`input mt-1 ${errors.name ? 'input-error' : ''}`}
+              placeholder="e.g. 14 days overdue"
+              {...register('name', { required: 'Name is required' })}
+            />
+            {errors.name && (
+              <p className="mt-1 text-sm text-danger-600">{errors.name.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Days from due date *</label>
+            <input
+              type="number"
+              className={`input mt-1 ${errors.offsetDays ? 'input-error' : ''}`}
+              {...register('offsetDays', { required: true, min: -60, max: 365 })}
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              Negative to remind before the due date, 0 on the day, positive once overdue
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Channel *</label>
+              <select className="input mt-1" {...register('channel')}>
+                <option value="EMAIL">Email</option>
+                <option value="SMS">SMS</option>
+                <option value="WHATSAPP">WhatsApp</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Template *</label>
+              <select
+                className={`input mt-1 ${errors.templateKey ? 'input-error' : ''}`}
+                {...register('templateKey', {
+                  required: true,
+                  validate: value => channelTemplates.some(template => template.key === value)
+                })}
+              >
+                <option value="">Select a template</option>
+                {channelTemplates.map(template => (
+                  <option key={template.key} value={template.key}>{template.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              {...register('isActive')}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+            <span className="ml-2 text-sm text-gray-700">Active</span>
+          </label>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onCancel} className="btn btn-outline" disabled={loading}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : (rule ? 'Update Reminder' : 'Add Reminder')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default ReminderRuleForm
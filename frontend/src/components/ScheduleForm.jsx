@@ -0,0 +1,207 @@
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { SessionConflicts } from './SessionForm'
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Recurring schedule for a batch: preview the sessions a weekly pattern
+// produces, then create them. `onScheduled` runs after sessions are created.
+function ScheduleForm({ batch, onScheduled, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const [preview, setPreview] = useState(null)
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      weekdays: [],
+      startTime: '18:00',
+      endTime: '20:00',
+      from: batch.startDate?.slice(0, 10) || '',
+      to: batch.endDate?.slice(0, 10) || '',
+      room: '',
+      topic: ''
+    }
+  })
+
+  // Any change makes the preview stale
+  useEffect(() => {
+    const subscription = watch(() => setPreview(null))
+    return () => subscription.unsubscribe()
+  }, [watch])
+
+  const payload = (data, extra) => ({
+    weekdays: data.weekdays.map(Number),
+    startTime: data.startTime,
+    endTime: data.endTime,
+    from: data.from,
+    to: data.to,
+    room: data.room,
+    topic: data.topic,
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    ...extra
+  })
+
+  const showError = (error, fallback) => {
+    toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || fallback)
+  }
+
+  const handlePreview = async (data) => {
+    try {
+      setLoading(true)
+      const response = await axios.post(`/api/batches/${batch.id}/schedule`, payload(data, { dryRun: true }))
+      setPreview(response.data)
+    } catch (error) {
+      console.error('Error previewing schedule:', error)
+      showError(error, 'Failed to preview schedule')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCreate = async (data) => {
+    try {
+      setLoading(true)
+      const response = await axios.post(`/api/batches/${batch.id}/schedule`, payload(data, {
+        ignoreConflicts: preview.conflicts.length > 0
+      }))
+      toast.success(`${response.data.created} session${response.data.created === 1 ? '' : 's'} scheduled`)
+      onScheduled()
+    } catch (error) {
+      console.error('Error scheduling sessions:', error)
+      if (error.response?.status === 409) setPreview(error.response.data)
+      showError(error, 'Failed to schedule sessions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content max-w-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Schedule Sessions — {batch.code}</h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(preview ? handleCreate : handlePreview)} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Every *</label>
+            <div className="mt-2 flex flex-wrap gap-2">
+              {WEEKDAYS.map((day, index) => (
+                <label key={day} className="inline-flex items-center px-3 py-2 rounded-md border border-gray-300 text-sm">
+                  <input
+                    type="checkbox"
+                    value={index}
+                    className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    {...register('weekdays', { validate: (value) => value.length > 0 || 'Pick at least one day' })}
+                  />
+                  {day}
+                </label>
+              ))}
+            </div>
+            {errors.weekdays && (
+              <p className="mt-1 text-sm text-danger-600">{errors.weekdays.message}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Starts *</label>
+              <input type="time" className="input mt-1" {...register('startTime', { required: true })} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Ends</label>
+              <input
+                type="time"
+                className={`input mt-1 ${errors.endTime ? 'input-error' : ''}`}
+                {...register('endTime', {
+                  validate: (value, values) => !value || value > values.startTime || 'End must be after start'
+                })}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">From *</label>
+              <input
+                type="date"
+                className={`input mt-1 ${errors.from ? 'input-error' : ''}`}
+                {...register('from', { required: true })}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">To *</label>
+              <input
+                type="date"
+                className={`input mt-1 ${errors.to ? 'input-error' : ''}`}
+                {...register('to', {
+                  required: true,
+                  validate: (value, values) => value >= values.from || 'Must be after the start'
+                })}
+              />
+            </div>
+          </div>
+          {errors.endTime && (
+            <p className="text-sm text-danger-600">{errors.endTime.message}</p>
+          )}
+          {errors.to?.message && (
+            <p className="text-sm text-danger-600">{errors.to.message}</p>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Room</label>
+              <input className="input mt-1" placeholder={batch.venue || 'Batch venue'} {...register('room')} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Topic</label>
+              <input className="input mt-1" placeholder="Optional, for every session" {...register('topic')} />
+            </div>
+          </div>
+
+          {preview && (
+            <div className="space-y-3">
+              <div className="rounded-md border border-gray-200 p-4">
+                <p className="text-sm font-medium text-gray-900">
+                  {preview.planned.length} session{preview.planned.length === 1 ? '' : 's'} to create
+                </p>
+                <p className="mt-1 text-sm text-gray-600">
+                  {preview.planned.map(item => new Date(item.startsAt).toLocaleDateString()).join(', ') || 'None'}
+                </p>
+                {preview.skipped.length > 0 && (
+                  <p className="mt-2 text-sm text-gray-500">
+                    Skipped: {preview.skipped.map(item => `${new Date(`${item.date}T00:00:00`).toLocaleDateString()} (${item.reason})`).join(', ')}
+                  </p>
+                )}
+              </div>
+              {preview.conflicts.length > 0 && <SessionConflicts conflicts={preview.conflicts} />}
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onCancel} className="btn btn-outline" disabled={loading}>
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading || (preview && preview.planned.length === 0)}
+            >
+              {loading ? 'Working...' : !preview ? 'Preview' : preview.conflicts.length > 0
+                ? `Create ${preview.planned.length} Anyway`
+                : `Create ${preview.planned.length} Sessions`}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default ScheduleForm
@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { X, AlertTriangle } from 'lucide-react'
+import axios from 'axios'
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// Local date (YYYY-MM-DD) and time (HH:MM) of an ISO timestamp
+const localParts = (iso) => {
+  if (!iso) return { date: '', time: '' }
+  const value = new Date(iso)
+  return {
+    date: `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`,
+    time: `${pad(value.getHours())}:${pad(value.getMinutes())}`
+  }
+}
+
+export const formatSessionTime = (session) => {
+  const start = new Date(session.startsAt)
+  const time = (value) => value.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  return `${start.toLocaleDateString()} ${time(start)}${session.endsAt ? ` – ${time(new Date(session.endsAt))}` : ''}`
+}
+
+const conflictReasons = {
+  INSTRUCTOR: 'Instructor busy',
+  ROOM: 'Room taken'
+}
+
+// Sessions a new or edited session would double-book (the API's 409 `conflicts`)
+export function SessionConflicts({ conflicts }) {
+  return (
+    <div className="rounded-md border border-warning-200 bg-warning-50 p-4">
+      <div className="flex items-center text-sm font-medium text-warning-800">
+        <AlertTriangle className="h-4 w-4 mr-2" />
+        {conflicts.length} clash{conflicts.length === 1 ? '' : 'es'} with other sessions
+      </div>
+      <ul className="mt-2 space-y-1 text-sm text-warning-800 max-h-40 overflow-y-auto">
+        {conflicts.map((conflict, index) => (
+          <li key={`${conflict.session.id}-${index}`}>
+            {new Date(conflict.startsAt).toLocaleDateString()}: {conflict.session.course.name}
+            {conflict.session.batch ? ` (${conflict.session.batch.code})` : ''} at {formatSessionTime(conflict.session)}
+            {' — '}{conflict.reasons.map(reason => conflictReasons[reason]).join(', ')}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// `conflicts` are shown after the API refused a double booking; the next
+// submit then saves anyway
+function SessionForm({ session, defaultCourseId, defaultBatchId, conflicts, onSubmit, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const [courses, setCourses] = useState([])
+  const [batches, setBatches] = useState([])
+  const [instructors, setInstructors] = useState([])
+  const start = localParts(session?.startsAt)
+  const end = localParts(session?.endsAt)
+  const {
+    register,
+    handleSubmit,
+    watch,
+    setValue,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      courseId: session?.courseId || defaultCourseId || '',
+      batchId: session ? session.batchId || '' : defaultBatchId || '',
+      date: start.date || localParts(new Date().toISOString()).date,
+      startTime: start.time || '09:00',
+      endTime: end.time || '',
+      topic: session?.topic || '',
+      room: session?.room || '',
+      instructorId: session?.instructorId || ''
+    }
+  })
+
+  const courseId = watch('courseId')
+
+  useEffect(() => {
+    axios.get('/api/courses?limit=200')
+      .then(res => {
+        setCourses(res.data.courses || [])
+        // Re-apply the course now that its option exists
+        setValue('courseId', session?.courseId || defaultCourseId || '')
+      })
+      .catch(() => setCourses([]))
+    axios.get('/api/instructors')
+      .then(res => {
+        setInstructors((res.data.instructors || []).filter(instructor => instructor.isActive || instructor.id === session?.instructorId))
+        setValue('instructorId', session?.instructorId || '')
+      })
+      .catch(() => setInstructors([]))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [])
+
+  useEffect(() => {
+    if (!courseId) {
+      setBatches([])
+      return
+    }
+    const current = session ? session.batchId : defaultBatchId
+    axios.get(`/api/batches?courseId=${courseId}`)
+      .then(res => {
+        const courseBatches = res.data.batches || []
+        setBatches(courseBatches)
+        setValue('batchId', courseBatches.some(batch => batch.id === current) ? current : '')
+      })
+      .catch(() => setBatches([]))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [courseId])
+
+  const handleFormSubmit = async (data) => {
+    setLoading(true)
+    try {
+      await onSubmit({
+        courseId: data.courseId,
+        batchId: data.batchId || null,
+        startsAt: new Date(`${data.date}T${data.startTime}`).toISOString(),
+        endsAt: data.endTime ? new Date(`${data.date}T${data.endTime}`).toISOString() : null,
+        topic: data.topic,
+        room: data.room,
+        instructorId: data.instructorId || null,
+        ...(conflicts?.length > 0 && { ignoreConflicts: true })
+      })
+    } catch (error) {
+      // Error handling is done in parent component
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content max-w-2xl" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            {session ? 'Edit Session' : 'New Session'}
+          </h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(handleFormSubmit)} className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Course *</label>
+              <select
+                className={`input mt-1 ${errors.courseId ? 'input-error' : ''}`}
+                {...register('courseId', { required: 'Course is required' })}
+              >
+                <option value="">Select a course</option>
+                {courses.map(course => (
+                  <option key={course.id} value={course.id}>{course.name}</option>
+                ))}
+              </select>
+              {errors.courseId && (
+                <p className="mt-1 text-sm text-danger-600">{errors.courseId.message}</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Batch</label>
+              <select className="input mt-1" {...register('batchId')} disabled={!courseId}>
+                <option value="">{courseId ? 'Students without a batch' : 'Select a course first'}</option>
+                {batches.map(batch => (
+                  <option key={batch.id} value={batch.id}>{batch.code}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Date *</label>
+              <input
+                type="date"
+                className={`input mt-1 ${errors.date ? 'input-error' : ''}`}
+                {...register('date', { required: true })}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Starts *</label>
+              <input
+                type="time"
+                className={`input mt-1 ${errors.startTime ? 'input-error' : ''}`}
+                {...register('startTime', { required: true })}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Ends</label>
+              <input
+                type="time"
+                className={`input mt-1 ${errors.endTime ? 'input-error' : ''}`}
+                {...register('endTime', {
+                  validate: (value, values) => !value || value > values.startTime || 'End must be after start'
+                })}
+              />
+              {errors.endTime && (
+                <p className="mt-1 text-sm text-danger-600">{errors.endTime.message}</p>
+              )}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Topic</label>
+              <input className="input mt-1" placeholder="e.g. Week 3 — Functions" {...register('topic')} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Room</label>
+              <input className="input mt-1" placeholder="Defaults to the batch venue" {...register('room')} />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Instructor</label>
+            <select className="input mt-1" {...register('instructorId')}>
+              <option value="">Batch instructor</option>
+              {instructors.map(instructor => (
+                <option key={instructor.id} value={instructor.id}>{instructor.name}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">Pick someone only when covering for the batch's instructor.</p>
+          </div>
+
+          {conflicts?.length > 0 && <SessionConflicts conflicts={conflicts} />}
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onCancel} className="btn btn-outline" disabled={loading}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : conflicts?.length > 0 ? 'Save Anyway' : (session ? 'Update Session' : 'Create Session')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default SessionForm
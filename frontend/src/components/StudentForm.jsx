@@ -3,16 +3,21 @@ import { useForm } from 'react-hook-form'
 import { X } from 'lucide-react'
 import axios from 'axios'
 import toast from 'react-hot-toast'
+import BatchSelect from './BatchSelect'
+import { useAuth } from '../context/AuthContext'
 
-function StudentForm({ student, onSubmit, onCancel }) {
+// `defaults` prefills a new student, e.g. from a lead being converted
+function StudentForm({ student, defaults, onSubmit, onCancel }) {
   const [loading, setLoading] = useState(false)
+  const { hasRole } = useAuth()
   const {
     register,
     handleSubmit,
     formState: { errors },
     reset,
-    setValue
-  } = useForm()
+    setValue,
+    watch
+  } = useForm({ defaultValues: defaults })
 
   useEffect(() => {
     if (student) {
@@ -40,7 +45,7 @@ function StudentForm({ student, onSubmit, onCancel }) {
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
         <div className="flex items-center justify-between p-6 border-b border-gray-200">
           <h2 className="text-lg font-medium text-gray-900">
-            {student ? 'Edit Student' : 'Add New Student'}
+            {student ? 'Edit Student' : defaults ? 'Convert Lead to Student' : 'Add New Student'}
           </h2>
           <button
             onClick={onCancel}
@@ -102,10 +107,10 @@ function StudentForm({ student, onSubmit, onCancel }) {
                 id="phone"
                 {...register('phone', { 
                   required: 'Phone number is required',
-                  minLength: { value: 10, message: 'Phone number must be at least 10 digits' }
+                  minLength: { value: 8, message: 'Phone number must be at least 8 digits' }
                 })}
                 className={`input mt-1 ${errors.phone ? 'input-error' : ''}`}
-                placeholder="Enter phone number"
+                placeholder="e.g. 9123 4567 or +65 9123 4567"
               />
               {errors.phone && (
                 <p className="mt-1 text-sm text-danger-600">{errors.phone.message}</p>
@@ -141,12 +146,15 @@ function StudentForm({ student, onSubmit, onCancel }) {
               />
             </div>
 
-            <div>
-              <label htmlFor="remarks" className="block text-sm font-medium text-gray-700">
-                Remarks
-              </label>
-              <textarea id="remarks" rows={3} {...register('remarks')} className="input mt-1" placeholder="Remarks (optional)" />
-            </div>
+            {/* Saved as the first note on the student's timeline */}
+            {!student && (
+              <div>
+                <label htmlFor="remarks" className="block text-sm font-medium text-gray-700">
+                  Note
+                </label>
+                <textarea id="remarks" rows={3} {...register('remarks')} className="input mt-1" placeholder="Note (optional)" />
+              </div>
+            )}
 
             <div>
               <label className="block text-sm font-medium text-gray-700">Documents</label>
@@ -158,8 +166,10 @@ function StudentForm({ student, onSubmit, onCancel }) {
           {/* Enrollment & Payment toggles */}
           {!student && (
             <div className="mt-6 space-y-4">
-              <CreateEnrollmentFields register={register} errors={errors} />
-              <CreatePaymentFields register={register} errors={errors} />
+              <CreateEnrollmentFields register={register} errors={errors} watch={watch} setValue={setValue} />
+              {hasRole('ADMIN', 'FINANCE') && (
+                <CreatePaymentFields register={register} errors={errors} watch={watch} />
+              )}
             </div>
           )}
 
@@ -186,15 +196,41 @@ function StudentForm({ student, onSubmit, onCancel }) {
   )
 }
 
-function CreateEnrollmentFields({ register }) {
-  const [open, setOpen] = useState(false)
+function CreateEnrollmentFields({ register, watch, setValue }) {
+  const open = watch('createEnrollment')
   const [courses, setCourses] = useState([])
+  const [promo, setPromo] = useState(null)
+  const [checkingPromo, setCheckingPromo] = useState(false)
+  const courseId = watch('enrollmentCourseId')
+  const promoCode = watch('enrollmentPromoCode')
+
+  // A checked code no longer holds once the code or course changes
+  useEffect(() => { setPromo(null) }, [courseId, promoCode])
+
+  const checkPromoCode = async () => {
+    if (!courseId) {
+      toast.error('Select a course first')
+      return
+    }
+    setCheckingPromo(true)
+    try {
+      const res = await axios.post('/api/promo-codes/validate', { code: promoCode, courseId })
+      setPromo(res.data.promoCode)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to check promo code')
+    } finally {
+      setCheckingPromo(false)
+    }
+  }
+
   useEffect(() => { if (open) axios.get('/api/courses?active=true&limit=200').then(r => setCourses(r.data.courses || [])).catch(()=>{}) }, [open])
+  // Re-apply a prefilled course once its option exists
+  useEffect(() => { if (courseId && courses.length) setValue('enrollmentCourseId', courseId) }, [courses])
   return (
     <div className="card">
       <div className="card-header flex items-center justify-between">
         <div className="flex items-center space-x-2">
-          <input type="checkbox" id="createEnrollment" {...register('createEnrollment')} onChange={e=>setOpen(e.target.checked)} />
+          <input type="checkbox" id="createEnrollment" {...register('createEnrollment')} />
           <label htmlFor="createEnrollment" className="text-sm font-medium text-gray-700">Create initial enrollment</label>
         </div>
       </div>
@@ -209,7 +245,13 @@ function CreateEnrollmentFields({ register }) {
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700">Batch</label>
-            <input className="input mt-1" {...register('enrollmentBatch')} placeholder="Batch" />
+            <BatchSelect
+              courseId={courseId}
+              register={register}
+              setValue={setValue}
+              name="enrollmentBatchId"
+              onSelect={(batch) => batch.startDate && setValue('enrollmentStartDate', batch.startDate.slice(0, 10))}
+            />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700">Start Date</label>
@@ -219,19 +261,43 @@ function CreateEnrollmentFields({ register }) {
             <label className="block text-sm font-medium text-gray-700">Notes</label>
             <input className="input mt-1" {...register('enrollmentNotes')} />
           </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700">Promo Code</label>
+            <div className="mt-1 flex space-x-2">
+              <input
+                className="input uppercase"
+                placeholder="Optional"
+                {...register('enrollmentPromoCode', { setValueAs: value => value.trim().toUpperCase() })}
+              />
+              <button
+                type="button"
+                className="btn btn-outline"
+                onClick={checkPromoCode}
+                disabled={checkingPromo || !promoCode?.trim()}
+              >
+                {checkingPromo ? 'Checking...' : 'Check'}
+              </button>
+            </div>
+            {promo && (
+              <p className="mt-1 text-xs text-success-600">
+                {promo.code}: {promo.basis === 'PERCENT' ? `${parseFloat(promo.value)}%` : `$${parseFloat(promo.value).toFixed(2)}`} off
+                {promo.description && ` · ${promo.description}`}
+              </p>
+            )}
+          </div>
         </div>
       )}
     </div>
   )
 }
 
-function CreatePaymentFields({ register }) {
-  const [open, setOpen] = useState(false)
+function CreatePaymentFields({ register, watch }) {
+  const open = watch('createPayment')
   return (
     <div className="card">
       <div className="card-header flex items-center justify-between">
         <div className="flex items-center space-x-2">
-          <input type="checkbox" id="createPayment" {...register('createPayment')} onChange={e=>setOpen(e.target.checked)} />
+          <input type="checkbox" id="createPayment" {...register('createPayment')} />
           <label htmlFor="createPayment" className="text-sm font-medium text-gray-700">Record initial payment</label>
         </div>
       </div>
@@ -0,0 +1,141 @@
+import { useState, useEffect } from 'react'
+import { Mail, RotateCcw, ChevronDown, ChevronRight } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { useAuth } from '../context/AuthContext'
+
+export const messageStatusConfig = {
+  PENDING: { class: 'badge-warning', text: 'Pending' },
+  SENDING: { class: 'badge-info', text: 'Sending' },
+  SENT: { class: 'badge-success', text: 'Sent' },
+  FAILED: { class: 'badge-danger', text: 'Failed' }
+}
+
+export const channelLabels = {
+  EMAIL: 'Email',
+  SMS: 'SMS',
+  WHATSAPP: 'WhatsApp'
+}
+
+export const channelLabel = (message) =>
+  message.providerId === 'click-to-chat' ? 'WhatsApp link' : channelLabels[message.channel]
+
+// Everything queued or sent to a student, newest first
+function StudentMessages({ studentId }) {
+  const { hasRole } = useAuth()
+  const [messages, setMessages] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [expandedId, setExpandedId] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+
+  const canRetry = hasRole('ADMIN', 'FINANCE')
+
+  useEffect(() => {
+    fetchMessages()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [studentId])
+
+  const fetchMessages = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get(`/api/messages?studentId=${studentId}&limit=100`)
+      setMessages(response.data.messages)
+    } catch (error) {
+      console.error('Error fetching messages:', error)
+      toast.error('Failed to load messages')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRetry = async (message) => {
+    try {
+      setBusyId(message.id)
+      await axios.post(`/api/messages/${message.id}/retry`)
+      toast.success('Message queued for another attempt')
+      fetchMessages()
+    } catch (error) {
+      console.error('Error retrying message:', error)
+      toast.error(error.response?.data?.error || 'Failed to retry message')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="animate-pulse space-y-3">
+        {[...Array(3)].map((_, i) => (
+          <div key={i} className="h-16 bg-gray-200 rounded"></div>
+        ))}
+      </div>
+    )
+  }
+
+  if (messages.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <Mail className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+        <p className="text-gray-500">No messages sent yet</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      {messages.map((message) => {
+        const config = messageStatusConfig[message.status]
+        const expanded = expandedId === message.id
+
+        return (
+          <div key={message.id} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex items-start justify-between">
+              <button
+                className="flex items-start text-left"
+                onClick={() => setExpandedId(expanded ? null : message.id)}
+              >
+                {expanded
+                  ? <ChevronDown className="h-4 w-4 mt-0.5 mr-2 text-gray-400" />
+                  : <ChevronRight className="h-4 w-4 mt-0.5 mr-2 text-gray-400" />}
+                <div>
+                  <div className="text-sm font-medium text-gray-900">
+                    {message.subject || message.body.split('\n')[0]}
+                  </div>
+                  <div className="text-sm text-gray-500 mt-1">
+                    {channelLabel(message)} to {message.to} · {new Date(message.sentAt || message.createdAt).toLocaleString()}
+                    {message.attempts > 1 && ` · ${message.attempts} attempts`}
+                  </div>
+                </div>
+              </button>
+              <div className="flex items-center space-x-2">
+                <span className={`badge ${config.class}`}>{config.text}</span>
+                {canRetry && message.status === 'FAILED' && (
+                  <button
+                    className="btn btn-outline btn-sm"
+                    onClick={() => handleRetry(message)}
+                    disabled={busyId === message.id}
+                  >
+                    <RotateCcw className="h-4 w-4 mr-1" />
+                    Retry
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {message.lastError && message.status !== 'SENT' && (
+              <div className="text-sm text-danger-600 mt-2">{message.lastError}</div>
+            )}
+
+            {expanded && (
+              <pre className="mt-3 border-t border-gray-100 pt-3 text-sm text-gray-700 whitespace-pre-wrap font-sans">
+                {message.body}
+              </pre>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default StudentMessages
@@ -0,0 +1,373 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import {
+  Phone,
+  Users,
+  Mail,
+  StickyNote,
+  BookOpen,
+  CreditCard,
+  RefreshCw,
+  FileText,
+  Pin,
+  Edit,
+  Trash2
+} from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import ConfirmDialog from './ConfirmDialog'
+import { academicStatusConfig } from './EnrollmentForm'
+import { useAuth } from '../context/AuthContext'
+
+export const noteTypes = {
+  CALL: { label: 'Call', icon: Phone },
+  MEETING: { label: 'Meeting', icon: Users },
+  EMAIL: { label: 'Email', icon: Mail },
+  GENERAL: { label: 'Note', icon: StickyNote }
+}
+
+const kindFilters = [
+  { id: '', label: 'Everything' },
+  { id: 'NOTE', label: 'Notes' },
+  { id: 'ENROLLMENT,STATUS_CHANGE', label: 'Enrollments' },
+  { id: 'PAYMENT', label: 'Payments' },
+  { id: 'DOCUMENT', label: 'Documents' }
+]
+
+const statusLabels = {
+  // Statuses from before academic and financial status were split
+  ACTIVE: 'Active',
+  CANCELLED: 'Cancelled',
+  ...Object.fromEntries(Object.entries(academicStatusConfig).map(([status, config]) => [status, config.label]))
+}
+
+const itemIcon = (item) => {
+  switch (item.kind) {
+    case 'NOTE': return noteTypes[item.note.type].icon
+    case 'ENROLLMENT': return BookOpen
+    case 'PAYMENT': return CreditCard
+    case 'STATUS_CHANGE': return RefreshCw
+    default: return FileText
+  }
+}
+
+// Notes, enrollments, payments, status changes and documents for a student,
+// newest first, with a note composer on top
+function StudentTimeline({ studentId }) {
+  const { user, hasRole } = useAuth()
+  const canWrite = hasRole('ADMIN', 'FINANCE', 'COUNSELLOR')
+  const [items, setItems] = useState([])
+  const [pinned, setPinned] = useState([])
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, pages: 0 })
+  const [kinds, setKinds] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [draft, setDraft] = useState({ type: 'CALL', body: '', isPinned: false })
+  const [saving, setSaving] = useState(false)
+  const [editing, setEditing] = useState(null)
+  const [deletingNote, setDeletingNote] = useState(null)
+
+  useEffect(() => {
+    fetchTimeline(1)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [studentId, kinds])
+
+  const fetchTimeline = async (page) => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams({
+        page,
+        limit: pagination.limit,
+        ...(kinds && { kinds })
+      })
+      const response = await axios.get(`/api/students/${studentId}/timeline?${params}`)
+      setItems(prev => (page === 1 ? response.data.items : [...prev, ...response.data.items]))
+      setPinned(response.data.pinned)
+      setPagination(response.data.pagination)
+    } catch (error) {
+      console.error('Error fetching timeline:', error)
+      toast.error('Failed to load timeline')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const canChange = (note) => hasRole('ADMIN') || note.author?.id === user?.id
+
+  const handleAddNote = async (e) => {
+    e.preventDefault()
+    if (!draft.body.trim()) return
+    try {
+      setSaving(true)
+      await axios.post('/api/notes', { ...draft, studentId })
+      setDraft({ type: draft.type, body: '', isPinned: false })
+      fetchTimeline(1)
+    } catch (error) {
+      console.error('Error adding note:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to add note')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSaveEdit = async () => {
+    try {
+      await axios.put(`/api/notes/${editing.id}`, { type: editing.type, body: editing.body })
+      setEditing(null)
+      fetchTimeline(1)
+    } catch (error) {
+      console.error('Error updating note:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to update note')
+    }
+  }
+
+  const handleTogglePin = async (note) => {
+    try {
+      await axios.patch(`/api/notes/${note.id}/pin`, { isPinned: !note.isPinned })
+      fetchTimeline(1)
+    } catch (error) {
+      console.error('Error pinning note:', error)
+      toast.error(error.response?.data?.error || 'Failed to pin note')
+    }
+  }
+
+  const handleDeleteNote = async () => {
+    try {
+      await axios.delete(`/api/notes/${deletingNote.id}`)
+      toast.success('Note deleted')
+      setDeletingNote(null)
+      fetchTimeline(1)
+    } catch (error) {
+      console.error('Error deleting note:', error)
+      toast.error(error.response?.data?.error || 'Failed to delete note')
+    }
+  }
+
+  const renderNote = (note) => {
+    if (editing?.id === note.id) {
+      return (
+        <div className="space-y-2">
+          <select
+            className="input"
+            value={editing.type}
+            onChange={(e) => setEditing(prev => ({ ...prev, type: e.target.value }))}
+          >
+            {Object.entries(noteTypes).map(([value, config]) => (
+              <option key={value} value={value}>{config.label}</option>
+            ))}
+          </select>
+          <textarea
+            className="input"
+            rows={3}
+            value={editing.body}
+            onChange={(e) => setEditing(prev => ({ ...prev, body: e.target.value }))}
+          />
+          <div className="flex justify-end space-x-2">
+            <button onClick={() => setEditing(null)} className="btn btn-outline btn-sm">Cancel</button>
+            <button onClick={handleSaveEdit} className="btn btn-primary btn-sm">Save</button>
+          </div>
+        </div>
+      )
+    }
+
+    return (
+      <>
+        <div className="flex items-start justify-between">
+          <p className="text-sm font-medium text-gray-900">
+            {noteTypes[note.type].label}
+            {note.author && <span className="font-normal text-gray-500"> by {note.author.name}</span>}
+          </p>
+          {canWrite && (
+            <div className="flex space-x-1">
+              <button
+                onClick={() => handleTogglePin(note)}
+                className={note.isPinned ? 'text-primary-600 hover:text-primary-800' : 'text-gray-400 hover:text-primary-600'}
+                title={note.isPinned ? 'Unpin' : 'Pin'}
+              >
+                <Pin className="h-4 w-4" />
+              </button>
+              {canChange(note) && (
+                <>
+                  <button
+                    onClick={() => setEditing({ id: note.id, type: note.type, body: note.body })}
+                    className="text-gray-400 hover:text-primary-600"
+                    title="Edit"
+                  >
+                    <Edit className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => setDeletingNote(note)}
+                    className="text-gray-400 hover:text-danger-600"
+                    title="Delete"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+        <p className="text-sm text-gray-700 whitespace-pre-line">{note.body}</p>
+      </>
+    )
+  }
+
+  const renderItem = (item) => {
+    switch (item.kind) {
+      case 'NOTE':
+        return renderNote(item.note)
+      case 'ENROLLMENT':
+        return (
+          <p className="text-sm text-gray-900">
+            Enrolled in{' '}
+            <Link to={`/enrollments/${item.enrollment.id}`} className="font-medium text-primary-600 hover:text-primary-900">
+              {item.enrollment.course.name}
+            </Link>
+            {item.enrollment.batch && <span className="text-gray-500"> · {item.enrollment.batch}</span>}
+          </p>
+        )
+      case 'PAYMENT':
+        return (
+          <p className="text-sm text-gray-900">
+            Paid <span className="font-medium text-success-600">${parseFloat(item.payment.amount).toFixed(2)}</span>
+            {' '}by {item.payment.method.replace('_', ' ').toLowerCase()}
+            {item.payment.course && <> for {item.payment.course.name}</>}
+            <span className="text-gray-500"> · {item.payment.receiptNumber}</span>
+          </p>
+        )
+      case 'STATUS_CHANGE':
+        return (
+          <p className="text-sm text-gray-900">
+            {item.statusChange.course?.name || 'Enrollment'} changed from{' '}
+            <span className="font-medium">{statusLabels[item.statusChange.from] || item.statusChange.from}</span> to{' '}
+            <span className="font-medium">{statusLabels[item.statusChange.to] || item.statusChange.to}</span>
+            {item.statusChange.actorName && <span className="text-gray-500"> by {item.statusChange.actorName}</span>}
+          </p>
+        )
+      default:
+        return (
+          <p className="text-sm text-gray-900">
+            Document uploaded: <span className="font-medium">{item.document.name}</span>
+          </p>
+        )
+    }
+  }
+
+  const renderEntry = (item) => {
+    const Icon = itemIcon(item)
+    return (
+      <li key={item.id} className="flex py-3">
+        <div className="flex-shrink-0 mr-3">
+          <div className="h-8 w-8 rounded-full bg-gray-100 flex items-center justify-center">
+            <Icon className="h-4 w-4 text-gray-500" />
+          </div>
+        </div>
+        <div className="flex-1 min-w-0">
+          {renderItem(item)}
+          <p className="text-xs text-gray-500 mt-1">{new Date(item.date).toLocaleString()}</p>
+        </div>
+      </li>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {canWrite && (
+        <form onSubmit={handleAddNote} className="space-y-2">
+          <div className="flex space-x-2">
+            {Object.entries(noteTypes).map(([value, config]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setDraft(prev => ({ ...prev, type: value }))}
+                className={`btn btn-sm ${draft.type === value ? 'btn-primary' : 'btn-outline'}`}
+              >
+                {config.label}
+              </button>
+            ))}
+          </div>
+          <textarea
+            className="input"
+            rows={3}
+            placeholder="What happened? e.g. Called about the deposit, will pay on Friday"
+            value={draft.body}
+            onChange={(e) => setDraft(prev => ({ ...prev, body: e.target.value }))}
+          />
+          <div className="flex items-center justify-between">
+            <label className="flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={draft.isPinned}
+                onChange={(e) => setDraft(prev => ({ ...prev, isPinned: e.target.checked }))}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              <span className="ml-2">Pin to top</span>
+            </label>
+            <button type="submit" className="btn btn-primary btn-sm" disabled={saving || !draft.body.trim()}>
+              {saving ? 'Saving...' : 'Add Note'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {pinned.length > 0 && (
+        <div className="rounded-lg bg-warning-50 border border-warning-200 px-4">
+          <ul className="divide-y divide-warning-200">
+            {pinned.map(renderEntry)}
+          </ul>
+        </div>
+      )}
+
+      <div>
+        <div className="flex flex-wrap gap-2 mb-2">
+          {kindFilters.map(filter => (
+            <button
+              key={filter.id}
+              onClick={() => setKinds(filter.id)}
+              className={`badge ${kinds === filter.id ? 'badge-info' : 'badge-neutral'}`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+
+        {loading && items.length === 0 ? (
+          <div className="animate-pulse space-y-3">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="h-12 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        ) : items.length === 0 ? (
+          <p className="text-center py-8 text-gray-500">Nothing here yet</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {items.map(renderEntry)}
+          </ul>
+        )}
+
+        {pagination.page < pagination.pages && (
+          <div className="text-center pt-4">
+            <button
+              onClick={() => fetchTimeline(pagination.page + 1)}
+              className="btn btn-outline btn-sm"
+              disabled={loading}
+            >
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {deletingNote && (
+        <ConfirmDialog
+          title="Delete Note"
+          message="Delete this note? This cannot be undone."
+          confirmText="Delete"
+          onConfirm={handleDeleteNote}
+          onCancel={() => setDeletingNote(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default StudentTimeline
@@ -0,0 +1,27 @@
+function Tabs({ tabs, activeTab, onChange }) {
+  return (
+    <div className="border-b border-gray-200">
+      <nav className="-mb-px flex space-x-6 overflow-x-auto scrollbar-hide">
+        {tabs.map((tab) => {
+          const isActive = tab.id === activeTab
+          return (
+            <button
+              key={tab.id}
+              type="button"
+              onClick={() => onChange(tab.id)}
+              className={`whitespace-nowrap border-b-2 px-1 py-3 text-sm font-medium ${
+                isActive
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:border-gray-300 hover:text-gray-700'
+              }`}
+            >
+              {tab.label}
+            </button>
+          )
+        })}
+      </nav>
+    </div>
+  )
+}
+
+export default Tabs
@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+import axios from 'axios'
+
+export const taskPriorityConfig = {
+  LOW: { class: 'badge-neutral', text: 'Low' },
+  MEDIUM: { class: 'badge-info', text: 'Medium' },
+  HIGH: { class: 'badge-warning', text: 'High' },
+  URGENT: { class: 'badge-danger', text: 'Urgent' }
+}
+
+// `links` ({ studentId, enrollmentId, leadId }) ties a new task to the record
+// it was created from; an existing task keeps its links
+function TaskForm({ task, links, onSubmit, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const [staff, setStaff] = useState([])
+  const {
+    register,
+    handleSubmit,
+    formState: { errors }
+  } = useForm({
+    defaultValues: {
+      title: task?.title || '',
+      description: task?.description || '',
+      dueAt: task?.dueAt ? task.dueAt.slice(0, 10) : '',
+      priority: task?.priority || 'MEDIUM',
+      assigneeId: ''
+    }
+  })
+
+  useEffect(() => {
+    axios.get('/api/staff')
+      .then(r => setStaff(r.data.staff || []))
+      .catch(() => {})
+  }, [])
+
+  const handleFormSubmit = async (data) => {
+    setLoading(true)
+    try {
+      await onSubmit({
+        ...data,
+        studentId: task ? task.studentId : links?.studentId,
+        enrollmentId: task ? task.enrollmentId : links?.enrollmentId,
+        leadId: task ? task.leadId : links?.leadId
+      })
+    } catch (error) {
+      // Error handling is done in parent component
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            {task ? 'Edit Task' : 'Add Task'}
+          </h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-gray-600">
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(handleFormSubmit)} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Title *</label>
+            <input
+              className={`input mt-1 ${errors.title ? 'input-error' : ''}`}
+              placeholder="e.g. Call back about deposit"
+              {...register('title', {
+                required: 'Title is required',
+                minLength: { value: 2, message: 'Title must be at least 2 characters' }
+              })}
+            />
+            {errors.title && (
+              <p className="mt-1 text-sm text-danger-600">{errors.title.message}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Due date</label>
+              <input type="date" className="input mt-1" {...register('dueAt')} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Priority</label>
+              <select className="input mt-1" {...register('priority')}>
+                {Object.entries(taskPriorityConfig).map(([value, config]) => (
+                  <option key={value} value={value}>{config.text}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Assigned to</label>
+            {/* Left blank, a new task goes to its creator and an edited one keeps its assignee */}
+            <select className="input mt-1" {...register('assigneeId')}>
+              <option value="">{task ? task.assignee?.name : 'Me'}</option>
+              {staff.filter(user => user.id !== task?.assigneeId).map(user => (
+                <option key={user.id} value={user.id}>{user.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Details</label>
+            <textarea className="input mt-1" rows={3} {...register('description')} />
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-2">
+            <button type="button" onClick={onCancel} className="btn btn-outline" disabled={loading}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Saving...' : (task ? 'Update Task' : 'Add Task')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default TaskForm
@@ -0,0 +1,265 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { CheckSquare, Square, Plus, Edit, Trash2, Calendar } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import TaskForm, { taskPriorityConfig } from './TaskForm'
+import ConfirmDialog from './ConfirmDialog'
+import { useAuth } from '../context/AuthContext'
+
+const dueFilters = [
+  { id: '', label: 'Open', countKey: 'open' },
+  { id: 'today', label: 'Today', countKey: 'today' },
+  { id: 'overdue', label: 'Overdue', countKey: 'overdue' }
+]
+
+const isOverdue = (task) => {
+  if (!task.dueAt || task.status !== 'OPEN') return false
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  return new Date(task.dueAt) < today
+}
+
+// Task list card. `params` filters the list (studentId, enrollmentId or
+// mine) and `links` are attached to tasks added from it. `myTasks` adds the
+// Open/Today/Overdue switch used on the dashboard.
+function TaskPanel({ title = 'Tasks', params = {}, links, myTasks = false }) {
+  const { hasRole } = useAuth()
+  const canEdit = hasRole('ADMIN', 'FINANCE', 'COUNSELLOR')
+  const [tasks, setTasks] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [due, setDue] = useState('')
+  const [showClosed, setShowClosed] = useState(false)
+  const [summary, setSummary] = useState(null)
+  const [showForm, setShowForm] = useState(false)
+  const [editingTask, setEditingTask] = useState(null)
+  const [deletingTask, setDeletingTask] = useState(null)
+
+  useEffect(() => {
+    fetchTasks()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [JSON.stringify(params), due, showClosed])
+
+  const fetchTasks = async () => {
+    try {
+      setLoading(true)
+      const query = new URLSearchParams({
+        ...params,
+        limit: 50,
+        ...(due && { due }),
+        ...(!showClosed && { status: 'OPEN' })
+      })
+      const requests = [axios.get(`/api/tasks?${query}`)]
+      if (myTasks) requests.push(axios.get('/api/tasks/summary'))
+
+      const [tasksResponse, summaryResponse] = await Promise.all(requests)
+      setTasks(tasksResponse.data.tasks)
+      if (summaryResponse) setSummary(summaryResponse.data)
+    } catch (error) {
+      console.error('Error fetching tasks:', error)
+      toast.error('Failed to load tasks')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSaveTask = async (data) => {
+    try {
+      if (editingTask) {
+        await axios.put(`/api/tasks/${editingTask.id}`, data)
+        toast.success('Task updated successfully')
+      } else {
+        await axios.post('/api/tasks', data)
+        toast.success('Task added successfully')
+      }
+      setShowForm(false)
+      setEditingTask(null)
+      fetchTasks()
+    } catch (error) {
+      console.error('Error saving task:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save task')
+      throw error
+    }
+  }
+
+  const handleToggleDone = async (task) => {
+    try {
+      await axios.patch(`/api/tasks/${task.id}/status`, { status: task.status === 'OPEN' ? 'DONE' : 'OPEN' })
+      fetchTasks()
+    } catch (error) {
+      console.error('Error changing task status:', error)
+      toast.error(error.response?.data?.error || 'Failed to update task')
+    }
+  }
+
+  const handleDeleteTask = async () => {
+    try {
+      await axios.delete(`/api/tasks/${deletingTask.id}`)
+      toast.success('Task deleted successfully')
+      setDeletingTask(null)
+      fetchTasks()
+    } catch (error) {
+      console.error('Error deleting task:', error)
+      toast.error(error.response?.data?.error || 'Failed to delete task')
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-medium text-gray-900">{title}</h3>
+        <div className="flex items-center space-x-3">
+          <label className="flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showClosed}
+              onChange={(e) => setShowClosed(e.target.checked)}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+            <span className="ml-2">Show done</span>
+          </label>
+          {canEdit && (
+            <button
+              onClick={() => {
+                setEditingTask(null)
+                setShowForm(true)
+              }}
+              className="btn btn-primary btn-sm"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add Task
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="card-body">
+        {myTasks && (
+          <div className="flex space-x-2 mb-4">
+            {dueFilters.map(filter => (
+              <button
+                key={filter.id}
+                onClick={() => setDue(filter.id)}
+                className={`btn btn-sm ${due === filter.id ? 'btn-primary' : 'btn-outline'}`}
+              >
+                {filter.label}
+                {summary && ` (${summary[filter.countKey]})`}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="animate-pulse space-y-3">
+            {[...Array(3)].map((_, i) => (
+              <div key={i} className="h-12 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        ) : tasks.length === 0 ? (
+          <div className="text-center py-8">
+            <CheckSquare className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+            <p className="text-gray-500">No tasks</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {tasks.map(task => {
+              const priority = taskPriorityConfig[task.priority]
+              const closed = task.status !== 'OPEN'
+              return (
+                <li key={task.id} className="py-3 flex items-start">
+                  <button
+                    onClick={() => handleToggleDone(task)}
+                    disabled={!canEdit || task.status === 'CANCELLED'}
+                    className="mt-0.5 mr-3 text-gray-400 hover:text-primary-600 disabled:opacity-50"
+                    title={closed ? 'Reopen' : 'Mark done'}
+                  >
+                    {closed ? <CheckSquare className="h-5 w-5 text-success-600" /> : <Square className="h-5 w-5" />}
+                  </button>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center space-x-2">
+                      <p className={`text-sm font-medium ${closed ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                        {task.title}
+                      </p>
+                      <span className={`badge ${priority.class}`}>{priority.text}</span>
+                    </div>
+                    {task.description && (
+                      <p className="text-sm text-gray-500 whitespace-pre-line">{task.description}</p>
+                    )}
+                    <div className="mt-1 flex flex-wrap items-center gap-x-3 text-xs text-gray-500">
+                      {task.dueAt && (
+                        <span className={`flex items-center ${isOverdue(task) ? 'text-danger-600 font-medium' : ''}`}>
+                          <Calendar className="h-3 w-3 mr-1" />
+                          {new Date(task.dueAt).toLocaleDateString()}
+                        </span>
+                      )}
+                      <span>{task.assignee.name}</span>
+                      {task.student && !params.studentId && (
+                        <Link to={`/students/${task.student.id}`} className="text-primary-600 hover:text-primary-900">
+                          {task.student.name}
+                        </Link>
+                      )}
+                      {task.enrollment && !params.enrollmentId && (
+                        <Link to={`/enrollments/${task.enrollment.id}`} className="text-primary-600 hover:text-primary-900">
+                          {task.enrollment.course.name}
+                        </Link>
+                      )}
+                      {task.lead && (
+                        <Link to="/leads" className="text-primary-600 hover:text-primary-900">
+                          Lead: {task.lead.name}
+                        </Link>
+                      )}
+                    </div>
+                  </div>
+                  {canEdit && (
+                    <div className="ml-3 flex space-x-1">
+                      <button
+                        onClick={() => {
+                          setEditingTask(task)
+                          setShowForm(true)
+                        }}
+                        className="text-gray-400 hover:text-primary-600"
+                        title="Edit"
+                      >
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => setDeletingTask(task)}
+                        className="text-gray-400 hover:text-danger-600"
+                        title="Delete"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+
+      {showForm && (
+        <TaskForm
+          task={editingTask}
+          links={links}
+          onSubmit={handleSaveTask}
+          onCancel={() => {
+            setShowForm(false)
+            setEditingTask(null)
+          }}
+        />
+      )}
+
+      {deletingTask && (
+        <ConfirmDialog
+          title="Delete Task"
+          message={`Delete the task "${deletingTask.title}"?`}
+          confirmText="Delete"
+          onConfirm={handleDeleteTask}
+          onCancel={() => setDeletingTask(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default TaskPanel
@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { X } from 'lucide-react'
+
+export const ROLE_OPTIONS = [
+  { value: 'ADMIN', label: 'Admin' },
+  { value: 'FINANCE', label: 'Finance' },
+  { value: 'COUNSELLOR', label: 'Counsellor' },
+  { value: 'READ_ONLY', label: 'Read-only' }
+]
+
+function UserForm({ user, onSubmit, onCancel }) {
+  const [loading, setLoading] = useState(false)
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    reset,
+    setValue
+  } = useForm({ defaultValues: { role: 'READ_ONLY', isActive: true } })
+
+  useEffect(() => {
+    if (user) {
+      setValue('name', user.name)
+      setValue('email', user.email)
+      setValue('role', user.role)
+      setValue('isActive', user.isActive)
+    }
+  }, [user, setValue])
+
+  const handleFormSubmit = async (data) => {
+    setLoading(true)
+    try {
+      await onSubmit(data)
+      reset()
+    } catch (error) {
+      // Error handling is done in parent component
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            {user ? 'Edit User' : 'Add New User'}
+          </h2>
+          <button
+            onClick={onCancel}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(handleFormSubmit)} className="p-6">
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="name" className="block text-sm font-medium text-gray-700">
+                Full Name *
+              </label>
+              <input
+                type="text"
+                id="name"
+                {...register('name', {
+                  required: 'Name is required',
+                  minLength: { value: 2, message: 'Name must be at least 2 characters' }
+                })}
+                className={`input mt-1 ${errors.name ? 'input-error' : ''}`}
+              />
+              {errors.name && (
+                <p className="mt-1 text-sm text-danger-600">{errors.name.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email Address *
+              </label>
+              <input
+                type="email"
+                id="email"
+                {...register('email', { required: 'Email is required' })}
+                className={`input mt-1 ${errors.email ? 'input-error' : ''}`}
+              />
+              {errors.email && (
+                <p className="mt-1 text-sm text-danger-600">{errors.email.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="role" className="block text-sm font-medium text-gray-700">
+                Role *
+              </label>
+              <select id="role" className="input mt-1" {...register('role', { required: true })}>
+                {ROLE_OPTIONS.map(role => (
+                  <option key={role.value} value={role.value}>{role.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {!user && (
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  Password *
+                </label>
+                <input
+                  type="password"
+                  id="password"
+                  autoComplete="new-password"
+                  {...register('password', {
+                    required: 'Password is required',
+                    minLength: { value: 8, message: 'Password must be at least 8 characters' }
+                  })}
+                  className={`input mt-1 ${errors.password ? 'input-error' : ''}`}
+                />
+                {errors.password && (
+                  <p className="mt-1 text-sm text-danger-600">{errors.password.message}</p>
+                )}
+              </div>
+            )}
+
+            <div className="flex items-center space-x-2">
+              <input type="checkbox" id="isActive" {...register('isActive')} />
+              <label htmlFor="isActive" className="text-sm font-medium text-gray-700">Active</label>
+            </div>
+          </div>
+
+          <div className="mt-6 flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onCancel}
+              className="btn btn-outline"
+              disabled={loading}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="btn btn-primary"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : (user ? 'Update User' : 'Add User')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default UserForm
@@ -0,0 +1,65 @@
+import { createContext, useContext, useEffect, useState } from 'react'
+import axios from 'axios'
+import { AUTH_LOGOUT_EVENT, clearTokens, getAccessToken, setTokens } from '../lib/auth'
+
+const AuthContext = createContext(null)
+
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchCurrentUser()
+
+    const handleLogout = () => setUser(null)
+    window.addEventListener(AUTH_LOGOUT_EVENT, handleLogout)
+    return () => window.removeEventListener(AUTH_LOGOUT_EVENT, handleLogout)
+  }, [])
+
+  const fetchCurrentUser = async () => {
+    if (!getAccessToken()) {
+      setLoading(false)
+      return
+    }
+
+    try {
+      const response = await axios.get('/api/auth/me')
+      setUser(response.data)
+    } catch (error) {
+      console.error('Error fetching current user:', error)
+      setUser(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const login = async (email, password) => {
+    const response = await axios.post('/api/auth/login', { email, password })
+    setTokens(response.data)
+    setUser(response.data.user)
+    return response.data.user
+  }
+
+  const logout = async () => {
+    try {
+      await axios.post('/api/auth/logout')
+    } catch (error) {
+      // Tokens are discarded locally either way
+    } finally {
+      clearTokens()
+      setUser(null)
+    }
+  }
+
+  const hasRole = (...roles) => !!user && roles.includes(user.role)
+
+  return (
+    <AuthContext.Provider value={{ user, loading, login, logout, hasRole }}>
+      {children}
+    </AuthContext.Provider>
+  )
+}
+
+export function useAuth() {
+  return useContext(AuthContext)
+}
@@ -0,0 +1,74 @@
+import axios from 'axios'
+
+const ACCESS_TOKEN_KEY = 'va-crm.accessToken'
+const REFRESH_TOKEN_KEY = 'va-crm.refreshToken'
+
+export const AUTH_LOGOUT_EVENT = 'va-crm:logout'
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY)
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY)
+
+export const setTokens = ({ accessToken, refreshToken }) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, accessToken)
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken)
+}
+
+export const clearTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY)
+  localStorage.removeItem(REFRESH_TOKEN_KEY)
+}
+
+// Requests to these endpoints must never trigger a token refresh
+const isAuthEndpoint = (url = '') => /\/api\/auth\/(login|refresh)/.test(url)
+
+// Share one in-flight refresh between all requests that hit a 401 at once
+let refreshPromise = null
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post('/api/auth/refresh', { refreshToken: getRefreshToken() })
+      .then((response) => {
+        setTokens(response.data)
+        return response.data.accessToken
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+  return refreshPromise
+}
+
+axios.interceptors.request.use((config) => {
+  const token = getAccessToken()
+  if (token && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`
+  }
+  return config
+})
+
+axios.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error
+
+    if (response?.status !== 401 || !config || isAuthEndpoint(config.url)) {
+      return Promise.reject(error)
+    }
+
+    if (!config._retried && getRefreshToken()) {
+      config._retried = true
+      try {
+        const accessToken = await refreshTokens()
+        config.headers.Authorization = `Bearer ${accessToken}`
+        return axios(config)
+      } catch (refreshError) {
+        // Fall through to logout below
+      }
+    }
+
+    clearTokens()
+    window.dispatchEvent(new Event(AUTH_LOGOUT_EVENT))
+    return Promise.reject(error)
+  }
+)
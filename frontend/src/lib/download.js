@@ -0,0 +1,23 @@
+import axios from 'axios'
+
+// Fetch a file through axios (so the auth header is sent) and save it.
+// The server's Content-Disposition filename wins over `fallbackName`.
+export const downloadFile = async (url, fallbackName) => {
+  const response = await axios.get(url, { responseType: 'blob' })
+
+  const disposition = response.headers['content-disposition'] || ''
+  const match = disposition.match(/filename="?([^"]+)"?/)
+  const filename = match ? match[1] : fallbackName
+
+  const objectUrl = URL.createObjectURL(response.data)
+  const link = document.createElement('a')
+  link.href = objectUrl
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(objectUrl)
+}
+
+export const downloadReceipt = (payment) =>
+  downloadFile(`/api/payments/${payment.id}/receipt.pdf`, `${payment.receiptNumber || 'receipt'}.pdf`)
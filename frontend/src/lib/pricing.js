@@ -0,0 +1,39 @@
+// Mirrors backend/src/lib/pricing.js so forms can preview the net fee before saving
+
+export const adjustmentTypes = {
+  PERCENTAGE_DISCOUNT: { label: 'Percentage discount', basis: 'PERCENT' },
+  FIXED_DISCOUNT: { label: 'Fixed discount', basis: 'FIXED' },
+  SCHOLARSHIP: { label: 'Scholarship', basis: null },
+  SIBLING_DISCOUNT: { label: 'Sibling discount', basis: null },
+  PROMO_CODE: { label: 'Promo code', basis: null }
+}
+
+// Promo code adjustments come from redeeming a code, never from the picker
+export const manualAdjustmentTypes = Object.fromEntries(
+  Object.entries(adjustmentTypes).filter(([type]) => type !== 'PROMO_CODE')
+)
+
+const roundMoney = (value) => Math.round(value * 100) / 100
+
+export const discountFor = (adjustment, basePrice) => {
+  const value = parseFloat(adjustment.value) || 0
+  return adjustment.basis === 'PERCENT'
+    ? roundMoney((basePrice * value) / 100)
+    : roundMoney(value)
+}
+
+export const calculatePricing = (listPrice, priceOverride, adjustments) => {
+  const hasOverride = priceOverride !== '' && priceOverride !== null && priceOverride !== undefined
+  const basePrice = hasOverride ? parseFloat(priceOverride) || 0 : listPrice
+  const totalDiscount = Math.min(
+    basePrice,
+    roundMoney(adjustments.reduce((sum, adjustment) => sum + discountFor(adjustment, basePrice), 0))
+  )
+
+  return {
+    listPrice,
+    basePrice,
+    totalDiscount,
+    netFee: roundMoney(basePrice - totalDiscount)
+  }
+}
@@ -0,0 +1,390 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { Plus, ClipboardCheck, Trash2, Users } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import Tabs from '../components/Tabs'
+import SessionForm, { formatSessionTime } from '../components/SessionForm'
+import ConfirmDialog from '../components/ConfirmDialog'
+import AttendanceRate from '../components/AttendanceRate'
+import { useAuth } from '../context/AuthContext'
+
+function Attendance() {
+  const navigate = useNavigate()
+  const { hasRole } = useAuth()
+  const canTakeRoll = hasRole('ADMIN', 'COUNSELLOR')
+  const [activeTab, setActiveTab] = useState('sessions')
+  const [courses, setCourses] = useState([])
+  const [batches, setBatches] = useState([])
+  const [courseFilter, setCourseFilter] = useState('')
+  const [batchFilter, setBatchFilter] = useState('')
+  const [atRiskOnly, setAtRiskOnly] = useState(false)
+  const [sessions, setSessions] = useState([])
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, pages: 0 })
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [conflicts, setConflicts] = useState(null)
+  const [deletingSession, setDeletingSession] = useState(null)
+
+  useEffect(() => {
+    axios.get('/api/courses?limit=200')
+      .then(res => setCourses(res.data.courses || []))
+      .catch(() => setCourses([]))
+  }, [])
+
+  useEffect(() => {
+    setBatchFilter('')
+    if (!courseFilter) {
+      setBatches([])
+      return
+    }
+    axios.get(`/api/batches?courseId=${courseFilter}`)
+      .then(res => setBatches(res.data.batches || []))
+      .catch(() => setBatches([]))
+  }, [courseFilter])
+
+  useEffect(() => {
+    if (activeTab === 'sessions') fetchSessions()
+    else fetchReport()
+  }, [activeTab, courseFilter, batchFilter, atRiskOnly, pagination.page])
+
+  const filterParams = () => ({
+    ...(courseFilter && { courseId: courseFilter }),
+    ...(batchFilter && { batchId: batchFilter })
+  })
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams({
+        page: pagination.page,
+        limit: pagination.limit,
+        ...filterParams()
+      })
+      const response = await axios.get(`/api/sessions?${params}`)
+      setSessions(response.data.sessions)
+      setPagination(response.data.pagination)
+    } catch (error) {
+      console.error('Error fetching sessions:', error)
+      toast.error('Failed to load sessions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams({
+        ...filterParams(),
+        ...(atRiskOnly && { atRisk: 'true' })
+      })
+      const response = await axios.get(`/api/reports/attendance?${params}`)
+      setReport(response.data)
+    } catch (error) {
+      console.error('Error fetching attendance report:', error)
+      toast.error('Failed to load attendance report')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCreate = async (sessionData) => {
+    try {
+      const response = await axios.post('/api/sessions', sessionData)
+      toast.success('Session created')
+      closeForm()
+      navigate(`/sessions/${response.data.id}`)
+    } catch (error) {
+      console.error('Error creating session:', error)
+      if (error.response?.status === 409) setConflicts(error.response.data.conflicts)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to create session')
+    }
+  }
+
+  const closeForm = () => {
+    setShowForm(false)
+    setConflicts(null)
+  }
+
+  const handleDelete = async () => {
+    try {
+      await axios.delete(`/api/sessions/${deletingSession.id}`)
+      toast.success('Session deleted')
+      setDeletingSession(null)
+      fetchSessions()
+    } catch (error) {
+      console.error('Error deleting session:', error)
+      toast.error(error.response?.data?.error || 'Failed to delete session')
+    }
+  }
+
+  const skeleton = (
+    <div className="animate-pulse">
+      {[...Array(5)].map((_, i) => (
+        <div key={i} className="h-16 bg-gray-200 rounded mb-3"></div>
+      ))}
+    </div>
+  )
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Attendance</h1>
+            <p className="mt-2 text-gray-600">
+              Class sessions, roll call and students at risk of falling behind
+            </p>
+          </div>
+          {canTakeRoll && (
+            <div className="mt-4 sm:mt-0">
+              <button className="btn btn-primary" onClick={() => setShowForm(true)}>
+                <Plus className="h-4 w-4 mr-2" />
+                New Session
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="card mb-6">
+        <div className="card-body">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <select
+              className="input"
+              value={courseFilter}
+              onChange={(e) => { setCourseFilter(e.target.value); setPagination(prev => ({ ...prev, page: 1 })) }}
+            >
+              <option value="">All courses</option>
+              {courses.map(course => (
+                <option key={course.id} value={course.id}>{course.name}</option>
+              ))}
+            </select>
+            <select
+              className="input"
+              value={batchFilter}
+              onChange={(e) => { setBatchFilter(e.target.value); setPagination(prev => ({ ...prev, page: 1 })) }}
+              disabled={!courseFilter}
+            >
+              <option value="">All batches</option>
+              {batches.map(batch => (
+                <option key={batch.id} value={batch.id}>{batch.code}</option>
+              ))}
+            </select>
+            {activeTab === 'report' && (
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={atRiskOnly}
+                  onChange={(e) => setAtRiskOnly(e.target.checked)}
+                  className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                At-risk students only
+              </label>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="mb-6">
+        <Tabs
+          tabs={[
+            { id: 'sessions', label: 'Sessions' },
+            { id: 'report', label: 'Attendance Report' }
+          ]}
+          activeTab={activeTab}
+          onChange={setActiveTab}
+        />
+      </div>
+
+      {activeTab === 'sessions' && (
+        <div className="card">
+          <div className="card-body">
+            {loading ? skeleton : sessions.length === 0 ? (
+              <div className="text-center py-12">
+                <ClipboardCheck className="mx-auto h-12 w-12 text-gray-400" />
+                <p className="mt-4 text-gray-500">No sessions yet</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="table">
+                  <thead className="table-header">
+                    <tr>
+                      <th className="table-header-cell">When</th>
+                      <th className="table-header-cell">Course / Batch</th>
+                      <th className="table-header-cell">Topic</th>
+                      <th className="table-header-cell">Attended</th>
+                      <th className="table-header-cell">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="table-body">
+                    {sessions.map(session => (
+                      <tr key={session.id} className="table-row">
+                        <td className="table-cell text-sm text-gray-900">{formatSessionTime(session)}</td>
+                        <td className="table-cell">
+                          <div className="text-sm text-gray-900">{session.course.name}</div>
+                          {session.batch && <div className="text-sm text-gray-500">{session.batch.code}</div>}
+                        </td>
+                        <td className="table-cell text-sm text-gray-900">{session.topic || '—'}</td>
+                        <td className="table-cell text-sm text-gray-900">
+                          {session.marked === 0 ? (
+                            <span className="badge badge-warning">Not taken</span>
+                          ) : (
+                            `${session.present} of ${session.marked} marked`
+                          )}
+                        </td>
+                        <td className="table-cell">
+                          <div className="flex items-center space-x-2">
+                            <Link to={`/sessions/${session.id}`} className="btn btn-outline btn-sm">
+                              <Users className="h-4 w-4 mr-1" />
+                              {canTakeRoll ? 'Roll Call' : 'View'}
+                            </Link>
+                            {hasRole('ADMIN') && (
+                              <button
+                                onClick={() => setDeletingSession(session)}
+                                className="text-danger-600 hover:text-danger-900"
+                                title="Delete session"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {pagination.pages > 1 && (
+              <div className="flex items-center justify-between mt-6">
+                <p className="text-sm text-gray-700">
+                  Page {pagination.page} of {pagination.pages}
+                </p>
+                <div className="flex space-x-2">
+                  <button
+                    className="btn btn-outline btn-sm"
+                    disabled={pagination.page === 1}
+                    onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                  >
+                    Previous
+                  </button>
+                  <button
+                    className="btn btn-outline btn-sm"
+                    disabled={pagination.page === pagination.pages}
+                    onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {activeTab === 'report' && (
+        <div className="card">
+          <div className="card-body">
+            {loading || !report ? skeleton : (
+              <>
+                <div className="grid grid-cols-3 gap-4 mb-6">
+                  <div>
+                    <p className="text-sm text-gray-500">Students</p>
+                    <p className="text-2xl font-bold text-gray-900">{report.totals.enrollments}</p>
+                  </div>
+                  <div>
+                    <p className="text-sm text-gray-500">Average Attendance</p>
+                    <p className="text-2xl font-bold text-gray-900">
+                      {report.totals.averageRate === null ? '—' : `${report.totals.averageRate}%`}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-sm text-gray-500">At Risk</p>
+                    <p className="text-2xl font-bold text-danger-600">{report.totals.atRisk}</p>
+                  </div>
+                </div>
+
+                {report.rows.length === 0 ? (
+                  <p className="text-center py-8 text-gray-500">No students to report on</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="table">
+                      <thead className="table-header">
+                        <tr>
+                          <th className="table-header-cell">Student</th>
+                          <th className="table-header-cell">Course / Batch</th>
+                          <th className="table-header-cell">Attendance</th>
+                          <th className="table-header-cell">Present</th>
+                          <th className="table-header-cell">Late</th>
+                          <th className="table-header-cell">Absent</th>
+                          <th className="table-header-cell">Excused</th>
+                        </tr>
+                      </thead>
+                      <tbody className="table-body">
+                        {report.rows.map(row => (
+                          <tr key={row.enrollmentId} className="table-row">
+                            <td className="table-cell">
+                              <Link
+                                to={`/students/${row.student.id}`}
+                                className="text-sm font-medium text-primary-600 hover:text-primary-900"
+                              >
+                                {row.student.name}
+                              </Link>
+                              <div className="text-sm text-gray-500">{row.student.phone}</div>
+                            </td>
+                            <td className="table-cell">
+                              <Link
+                                to={`/enrollments/${row.enrollmentId}`}
+                                className="text-sm text-gray-900 hover:text-primary-600"
+                              >
+                                {row.course.name}
+                              </Link>
+                              {row.batch && <div className="text-sm text-gray-500">{row.batch}</div>}
+                            </td>
+                            <td className="table-cell"><AttendanceRate summary={row} /></td>
+                            <td className="table-cell text-sm text-gray-900">{row.present}</td>
+                            <td className="table-cell text-sm text-gray-900">{row.late}</td>
+                            <td className="table-cell text-sm text-gray-900">{row.absent}</td>
+                            <td className="table-cell text-sm text-gray-900">{row.excused}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showForm && (
+        <SessionForm
+          defaultCourseId={courseFilter}
+          defaultBatchId={batchFilter}
+          conflicts={conflicts}
+          onSubmit={handleCreate}
+          onCancel={closeForm}
+        />
+      )}
+
+      {deletingSession && (
+        <ConfirmDialog
+          title="Delete Session"
+          message={`Delete the ${deletingSession.course.name} session on ${formatSessionTime(deletingSession)}? Its attendance will be deleted too.`}
+          confirmText="Delete"
+          onConfirm={handleDelete}
+          onCancel={() => setDeletingSession(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default Attendance
@@ -0,0 +1,386 @@
+import { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import {
+  ArrowLeft,
+  Layers,
+  BookOpen,
+  Calendar,
+  User,
+  MapPin,
+  Edit,
+  GraduationCap,
+  CalendarPlus
+} from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import Tabs from '../components/Tabs'
+import AuditHistory from '../components/AuditHistory'
+import BatchForm, { batchStatusConfig, formatBatchDates, SeatBar } from '../components/BatchForm'
+import { academicStatusConfig } from '../components/EnrollmentForm'
+import ScheduleForm from '../components/ScheduleForm'
+import CalendarFeedButton from '../components/CalendarFeedButton'
+import { formatSessionTime } from '../components/SessionForm'
+import { useAuth } from '../context/AuthContext'
+
+function BatchDetail() {
+  const { id } = useParams()
+  const { hasRole } = useAuth()
+  const [batch, setBatch] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [activeTab, setActiveTab] = useState('roster')
+  const [showForm, setShowForm] = useState(false)
+  const [showScheduleForm, setShowScheduleForm] = useState(false)
+  const [sessions, setSessions] = useState(null)
+
+  useEffect(() => {
+    fetchBatch()
+  }, [id])
+
+  useEffect(() => {
+    if (activeTab === 'sessions') fetchSessions()
+  }, [activeTab, id])
+
+  const fetchBatch = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get(`/api/batches/${id}`)
+      setBatch(response.data)
+    } catch (error) {
+      console.error('Error fetching batch:', error)
+      toast.error('Failed to load batch details')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get(`/api/sessions?batchId=${id}&order=asc&limit=500`)
+      setSessions(response.data.sessions)
+    } catch (error) {
+      console.error('Error fetching sessions:', error)
+      toast.error('Failed to load sessions')
+    }
+  }
+
+  const handleScheduled = () => {
+    setShowScheduleForm(false)
+    setActiveTab('sessions')
+    fetchSessions()
+  }
+
+  const handleUpdate = async (batchData) => {
+    try {
+      await axios.put(`/api/batches/${id}`, batchData)
+      toast.success('Batch updated successfully')
+      setShowForm(false)
+      fetchBatch()
+    } catch (error) {
+      console.error('Error updating batch:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to update batch')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="animate-pulse">
+        <div className="h-8 bg-gray-200 rounded w-1/4 mb-6"></div>
+        <div className="card">
+          <div className="card-body">
+            <div className="h-20 bg-gray-200 rounded mb-4"></div>
+            <div className="space-y-3">
+              <div className="h-4 bg-gray-200 rounded w-1/2"></div>
+              <div className="h-4 bg-gray-200 rounded w-1/3"></div>
+            </div>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  if (!batch) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500 mb-4">Batch not found</p>
+        <Link to="/batches" className="btn btn-primary">
+          Back to Batches
+        </Link>
+      </div>
+    )
+  }
+
+  const stats = [
+    { label: 'Fill Rate', value: batch.seats.fillRate === null ? `${batch.seats.taken} enrolled` : `${batch.seats.fillRate}%` },
+    { label: 'Net Fees', value: `$${batch.fees.netFees.toFixed(2)}` },
+    { label: 'Collected', value: `$${batch.fees.collected.toFixed(2)}`, color: 'text-success-600' },
+    { label: 'Outstanding', value: `$${batch.fees.outstanding.toFixed(2)}`, color: 'text-warning-600' }
+  ]
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex items-center space-x-4">
+          <Link to="/batches" className="text-gray-500 hover:text-gray-700">
+            <ArrowLeft className="h-6 w-6" />
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Batch {batch.code}</h1>
+            <p className="mt-2 text-gray-600">{batch.course.name}</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        {stats.map(stat => (
+          <div key={stat.label} className="card">
+            <div className="card-body">
+              <p className="text-sm font-medium text-gray-500">{stat.label}</p>
+              <p className={`mt-1 text-2xl font-bold ${stat.color || 'text-gray-900'}`}>{stat.value}</p>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Batch Info */}
+        <div className="lg:col-span-1">
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900">Batch Information</h3>
+            </div>
+            <div className="card-body">
+              <div className="text-center mb-6">
+                <div className="h-20 w-20 rounded-full bg-primary-100 flex items-center justify-center mx-auto mb-4">
+                  <Layers className="h-10 w-10 text-primary-600" />
+                </div>
+                <h4 className="text-lg font-medium text-gray-900">{batch.code}</h4>
+                <div className="mt-2">
+                  <span className={`badge ${batchStatusConfig[batch.status].badge}`}>
+                    {batchStatusConfig[batch.status].label}
+                  </span>
+                </div>
+              </div>
+
+              <div className="space-y-4">
+                <div className="flex items-center space-x-3">
+                  <BookOpen className="h-5 w-5 text-gray-400" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">Course</p>
+                    <Link to={`/courses/${batch.course.id}`} className="text-sm text-primary-600 hover:text-primary-900">
+                      {batch.course.name}
+                    </Link>
+                  </div>
+                </div>
+
+                <div className="flex items-center space-x-3">
+                  <Calendar className="h-5 w-5 text-gray-400" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">Dates</p>
+                    <p className="text-sm text-gray-600">{formatBatchDates(batch)}</p>
+                  </div>
+                </div>
+
+                {batch.instructor && (
+                  <div className="flex items-center space-x-3">
+                    <User className="h-5 w-5 text-gray-400" />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">Instructor</p>
+                      <Link to={`/instructors/${batch.instructor.id}`} className="text-sm text-primary-600 hover:text-primary-900">
+                        {batch.instructor.name}
+                      </Link>
+                    </div>
+                  </div>
+                )}
+
+                {batch.venue && (
+                  <div className="flex items-center space-x-3">
+                    <MapPin className="h-5 w-5 text-gray-400" />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">Venue</p>
+                      <p className="text-sm text-gray-600">{batch.venue}</p>
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex items-start space-x-3">
+                  <GraduationCap className="h-5 w-5 text-gray-400" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">Seats</p>
+                    <SeatBar seats={batch.seats} />
+                  </div>
+                </div>
+              </div>
+
+              <div className="mt-6 pt-6 border-t border-gray-200 space-y-3">
+                {hasRole('ADMIN') && (
+                  <button className="btn btn-outline w-full" onClick={() => setShowForm(true)}>
+                    <Edit className="h-4 w-4 mr-2" />
+                    Edit Batch
+                  </button>
+                )}
+                {hasRole('ADMIN', 'COUNSELLOR') && (
+                  <button className="btn btn-outline w-full" onClick={() => setShowScheduleForm(true)}>
+                    <CalendarPlus className="h-4 w-4 mr-2" />
+                    Schedule Sessions
+                  </button>
+                )}
+                <CalendarFeedButton
+                  params={{ batchId: batch.id }}
+                  label="Subscribe to Timetable"
+                  className="btn btn-outline w-full"
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Roster */}
+        <div className="lg:col-span-2 space-y-6">
+          <Tabs
+            tabs={[
+              { id: 'roster', label: 'Roster' },
+              { id: 'sessions', label: 'Sessions' },
+              { id: 'history', label: 'History' }
+            ]}
+            activeTab={activeTab}
+            onChange={setActiveTab}
+          />
+
+          {activeTab === 'roster' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Roster</h3>
+              </div>
+              <div className="card-body">
+                {batch.roster.length === 0 ? (
+                  <div className="text-center py-8">
+                    <GraduationCap className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+                    <p className="text-gray-500">No students in this batch yet</p>
+                  </div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="table">
+                      <thead className="table-header">
+                        <tr>
+                          <th className="table-header-cell">Student</th>
+                          <th className="table-header-cell">Status</th>
+                          <th className="table-header-cell">Net Fee</th>
+                          <th className="table-header-cell">Paid</th>
+                          <th className="table-header-cell">Outstanding</th>
+                        </tr>
+                      </thead>
+                      <tbody className="table-body">
+                        {batch.roster.map(enrollment => (
+                          <tr key={enrollment.id} className="table-row">
+                            <td className="table-cell">
+                              <Link
+                                to={`/students/${enrollment.student.id}`}
+                                className="text-sm font-medium text-primary-600 hover:text-primary-900"
+                              >
+                                {enrollment.student.name}
+                              </Link>
+                              <div className="text-sm text-gray-500">{enrollment.student.email}</div>
+                            </td>
+                            <td className="table-cell">
+                              <Link to={`/enrollments/${enrollment.id}`}>
+                                <span className={`badge ${academicStatusConfig[enrollment.academicStatus].badge}`}>
+                                  {academicStatusConfig[enrollment.academicStatus].label}
+                                </span>
+                              </Link>
+                            </td>
+                            <td className="table-cell text-sm text-gray-900">
+                              ${enrollment.pricing.netFee.toFixed(2)}
+                            </td>
+                            <td className="table-cell text-sm text-success-600">
+                              ${enrollment.paymentStatus.totalPaid.toFixed(2)}
+                            </td>
+                            <td className="table-cell text-sm text-warning-600">
+                              ${enrollment.paymentStatus.outstanding.toFixed(2)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'sessions' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Sessions</h3>
+              </div>
+              <div className="card-body">
+                {!sessions ? (
+                  <div className="animate-pulse space-y-3">
+                    {[...Array(3)].map((_, i) => (
+                      <div key={i} className="h-10 bg-gray-200 rounded"></div>
+                    ))}
+                  </div>
+                ) : sessions.length === 0 ? (
+                  <div className="text-center py-8">
+                    <Calendar className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+                    <p className="text-gray-500">No sessions scheduled yet</p>
+                  </div>
+                ) : (
+                  <div className="divide-y divide-gray-200">
+                    {sessions.map(session => (
+                      <div key={session.id} className="py-3 flex items-center justify-between">
+                        <div>
+                          <Link
+                            to={`/sessions/${session.id}`}
+                            className="text-sm font-medium text-gray-900 hover:text-primary-600"
+                          >
+                            {formatSessionTime(session)}
+                          </Link>
+                          <p className="text-sm text-gray-500">
+                            {[session.topic, session.room || batch.venue].filter(Boolean).join(' · ') || '—'}
+                          </p>
+                        </div>
+                        <span className="text-sm text-gray-500">
+                          {session.marked === 0 ? 'Not taken' : `${session.present} of ${session.marked} attended`}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'history' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">History</h3>
+              </div>
+              <div className="card-body">
+                <AuditHistory params={{ entity: 'BATCH', entityId: batch.id }} />
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <BatchForm
+          batch={batch}
+          onSubmit={handleUpdate}
+          onCancel={() => setShowForm(false)}
+        />
+      )}
+
+      {showScheduleForm && (
+        <ScheduleForm
+          batch={batch}
+          onScheduled={handleScheduled}
+          onCancel={() => setShowScheduleForm(false)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default BatchDetail
@@ -0,0 +1,248 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { Plus, Search, Edit, Trash2, Eye, Layers } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import BatchForm, { batchStatusConfig, formatBatchDates, SeatBar } from '../components/BatchForm'
+import ConfirmDialog from '../components/ConfirmDialog'
+import { useAuth } from '../context/AuthContext'
+
+function Batches() {
+  const { hasRole } = useAuth()
+  const canManage = hasRole('ADMIN')
+  const [batches, setBatches] = useState([])
+  const [courses, setCourses] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [searchTerm, setSearchTerm] = useState('')
+  const [courseFilter, setCourseFilter] = useState('')
+  const [statusFilter, setStatusFilter] = useState('')
+  const [showForm, setShowForm] = useState(false)
+  const [editingBatch, setEditingBatch] = useState(null)
+  const [deletingBatch, setDeletingBatch] = useState(null)
+
+  useEffect(() => {
+    axios.get('/api/courses?limit=200')
+      .then(res => setCourses(res.data.courses || []))
+      .catch(() => setCourses([]))
+  }, [])
+
+  useEffect(() => {
+    fetchBatches()
+  }, [searchTerm, courseFilter, statusFilter])
+
+  const fetchBatches = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams({
+        ...(searchTerm && { search: searchTerm }),
+        ...(courseFilter && { courseId: courseFilter }),
+        ...(statusFilter && { status: statusFilter })
+      })
+      const response = await axios.get(`/api/batches?${params}`)
+      setBatches(response.data.batches)
+    } catch (error) {
+      console.error('Error fetching batches:', error)
+      toast.error('Failed to load batches')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSave = async (batchData) => {
+    try {
+      if (editingBatch) {
+        await axios.put(`/api/batches/${editingBatch.id}`, batchData)
+        toast.success('Batch updated successfully')
+      } else {
+        await axios.post('/api/batches', batchData)
+        toast.success('Batch created successfully')
+      }
+      setShowForm(false)
+      setEditingBatch(null)
+      fetchBatches()
+    } catch (error) {
+      console.error('Error saving batch:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save batch')
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!deletingBatch) return
+
+    try {
+      await axios.delete(`/api/batches/${deletingBatch.id}`)
+      toast.success('Batch deleted')
+      setDeletingBatch(null)
+      fetchBatches()
+    } catch (error) {
+      console.error('Error deleting batch:', error)
+      toast.error(error.response?.data?.error || 'Failed to delete batch')
+    }
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Batches</h1>
+            <p className="mt-2 text-gray-600">
+              Cohorts of each course with their schedule, seats and fees
+            </p>
+          </div>
+          {canManage && (
+            <div className="mt-4 sm:mt-0">
+              <button className="btn btn-primary" onClick={() => setShowForm(true)}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Batch
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="card mb-6">
+        <div className="card-body">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Search batch code..."
+                className="input pl-10"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+              />
+            </div>
+            <select className="input" value={courseFilter} onChange={(e) => setCourseFilter(e.target.value)}>
+              <option value="">All courses</option>
+              {courses.map(course => (
+                <option key={course.id} value={course.id}>{course.name}</option>
+              ))}
+            </select>
+            <select className="input" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+              <option value="">All statuses</option>
+              {Object.entries(batchStatusConfig).map(([value, config]) => (
+                <option key={value} value={value}>{config.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Batches Table */}
+      <div className="card">
+        <div className="card-body">
+          {loading ? (
+            <div className="animate-pulse">
+              {[...Array(5)].map((_, i) => (
+                <div key={i} className="h-16 bg-gray-200 rounded mb-3"></div>
+              ))}
+            </div>
+          ) : batches.length === 0 ? (
+            <div className="text-center py-12">
+              <Layers className="mx-auto h-12 w-12 text-gray-400" />
+              <p className="mt-4 text-gray-500">No batches found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead className="table-header">
+                  <tr>
+                    <th className="table-header-cell">Batch</th>
+                    <th className="table-header-cell">Dates</th>
+                    <th className="table-header-cell">Instructor / Venue</th>
+                    <th className="table-header-cell">Seats</th>
+                    <th className="table-header-cell">Fees Collected</th>
+                    <th className="table-header-cell">Status</th>
+                    <th className="table-header-cell">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body">
+                  {batches.map((batch) => (
+                    <tr key={batch.id} className="table-row">
+                      <td className="table-cell">
+                        <div className="text-sm font-medium text-gray-900">{batch.code}</div>
+                        <div className="text-sm text-gray-500">{batch.course.name}</div>
+                      </td>
+                      <td className="table-cell">
+                        <span className="text-sm text-gray-900">{formatBatchDates(batch)}</span>
+                      </td>
+                      <td className="table-cell">
+                        <div className="text-sm text-gray-900">{batch.instructor?.name || '—'}</div>
+                        {batch.venue && <div className="text-sm text-gray-500">{batch.venue}</div>}
+                      </td>
+                      <td className="table-cell">
+                        <SeatBar seats={batch.seats} />
+                      </td>
+                      <td className="table-cell">
+                        <div className="text-sm text-gray-900">${batch.fees.collected.toFixed(2)}</div>
+                        <div className="text-xs text-gray-500">of ${batch.fees.netFees.toFixed(2)}</div>
+                      </td>
+                      <td className="table-cell">
+                        <span className={`badge ${batchStatusConfig[batch.status].badge}`}>
+                          {batchStatusConfig[batch.status].label}
+                        </span>
+                      </td>
+                      <td className="table-cell">
+                        <div className="flex items-center space-x-2">
+                          <Link
+                            to={`/batches/${batch.id}`}
+                            className="text-primary-600 hover:text-primary-900"
+                            title="View batch"
+                          >
+                            <Eye className="h-4 w-4" />
+                          </Link>
+                          {canManage && (
+                            <>
+                              <button
+                                onClick={() => { setEditingBatch(batch); setShowForm(true) }}
+                                className="text-gray-600 hover:text-gray-900"
+                                title="Edit batch"
+                              >
+                                <Edit className="h-4 w-4" />
+                              </button>
+                              <button
+                                onClick={() => setDeletingBatch(batch)}
+                                className="text-danger-600 hover:text-danger-900"
+                                title="Delete batch"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <BatchForm
+          batch={editingBatch}
+          defaultCourseId={courseFilter}
+          onSubmit={handleSave}
+          onCancel={() => { setShowForm(false); setEditingBatch(null) }}
+        />
+      )}
+
+      {deletingBatch && (
+        <ConfirmDialog
+          title="Delete Batch"
+          message={`Delete batch "${deletingBatch.code}" of ${deletingBatch.course.name}? This cannot be undone.`}
+          onConfirm={handleDelete}
+          onCancel={() => setDeletingBatch(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default Batches
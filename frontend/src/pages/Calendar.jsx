@@ -0,0 +1,263 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { ChevronLeft, ChevronRight, CalendarDays } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import CalendarFeedButton from '../components/CalendarFeedButton'
+import HolidayManager from '../components/HolidayManager'
+import { useAuth } from '../context/AuthContext'
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// Local 'YYYY-MM-DD' of a date
+const dayKey = (value) => `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+
+const addDays = (value, days) => new Date(value.getFullYear(), value.getMonth(), value.getDate() + days)
+
+const startOfWeek = (value) => addDays(value, -value.getDay())
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+// First and last day shown: six full weeks for a month, seven days for a week
+const visibleRange = (view, cursor) => {
+  if (view === 'week') {
+    const start = startOfWeek(cursor)
+    return { start, days: 7 }
+  }
+  return { start: startOfWeek(new Date(cursor.getFullYear(), cursor.getMonth(), 1)), days: 42 }
+}
+
+function Calendar() {
+  const { hasRole } = useAuth()
+  const [view, setView] = useState('month')
+  const [cursor, setCursor] = useState(new Date())
+  const [courses, setCourses] = useState([])
+  const [batches, setBatches] = useState([])
+  const [instructors, setInstructors] = useState([])
+  const [courseFilter, setCourseFilter] = useState('')
+  const [batchFilter, setBatchFilter] = useState('')
+  const [instructorFilter, setInstructorFilter] = useState('')
+  const [sessions, setSessions] = useState([])
+  const [holidays, setHolidays] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [showHolidays, setShowHolidays] = useState(false)
+
+  const { start, days } = visibleRange(view, cursor)
+  const end = addDays(start, days)
+
+  useEffect(() => {
+    axios.get('/api/courses?limit=200')
+      .then(res => setCourses(res.data.courses || []))
+      .catch(() => setCourses([]))
+    axios.get('/api/batches')
+      .then(res => setBatches(res.data.batches || []))
+      .catch(() => setBatches([]))
+    axios.get('/api/instructors')
+      .then(res => setInstructors(res.data.instructors || []))
+      .catch(() => setInstructors([]))
+  }, [])
+
+  useEffect(() => {
+    fetchCalendar()
+  }, [view, dayKey(start), courseFilter, batchFilter, instructorFilter])
+
+  const fetchCalendar = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams({
+        from: start.toISOString(),
+        to: end.toISOString(),
+        order: 'asc',
+        limit: 1000,
+        ...(courseFilter && { courseId: courseFilter }),
+        ...(batchFilter && { batchId: batchFilter }),
+        ...(instructorFilter && { instructorId: instructorFilter })
+      })
+      const [sessionResponse, holidayResponse] = await Promise.all([
+        axios.get(`/api/sessions?${params}`),
+        axios.get(`/api/holidays?from=${dayKey(start)}&to=${dayKey(end)}`)
+      ])
+      setSessions(sessionResponse.data.sessions)
+      setHolidays(Object.fromEntries(holidayResponse.data.holidays.map(holiday => [holiday.date.slice(0, 10), holiday.name])))
+    } catch (error) {
+      console.error('Error fetching calendar:', error)
+      toast.error('Failed to load calendar')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const move = (step) => {
+    setCursor(prev => view === 'week'
+      ? addDays(prev, step * 7)
+      : new Date(prev.getFullYear(), prev.getMonth() + step, 1))
+  }
+
+  const courseBatches = batches.filter(batch => !courseFilter || batch.courseId === courseFilter)
+
+  const sessionsByDay = sessions.reduce((groups, session) => {
+    const key = dayKey(new Date(session.startsAt))
+    groups[key] = [...(groups[key] || []), session]
+    return groups
+  }, {})
+
+  const title = view === 'week'
+    ? `${start.toLocaleDateString()} – ${addDays(start, 6).toLocaleDateString()}`
+    : cursor.toLocaleDateString([], { month: 'long', year: 'numeric' })
+
+  const today = dayKey(new Date())
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Calendar</h1>
+            <p className="mt-2 text-gray-600">
+              Class timetable across courses, batches and instructors
+            </p>
+          </div>
+          <div className="mt-4 sm:mt-0 flex space-x-3">
+            {(batchFilter || instructorFilter) && (
+              <CalendarFeedButton
+                params={batchFilter ? { batchId: batchFilter } : { instructorId: instructorFilter }}
+              />
+            )}
+            {hasRole('ADMIN') && (
+              <button className="btn btn-outline" onClick={() => setShowHolidays(true)}>
+                Holidays
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="card mb-6">
+        <div className="card-body">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <select
+              className="input"
+              value={courseFilter}
+              onChange={(e) => { setCourseFilter(e.target.value); setBatchFilter('') }}
+            >
+              <option value="">All courses</option>
+              {courses.map(course => (
+                <option key={course.id} value={course.id}>{course.name}</option>
+              ))}
+            </select>
+            <select className="input" value={batchFilter} onChange={(e) => setBatchFilter(e.target.value)}>
+              <option value="">All batches</option>
+              {courseBatches.map(batch => (
+                <option key={batch.id} value={batch.id}>
+                  {courseFilter ? batch.code : `${batch.course.name} · ${batch.code}`}
+                </option>
+              ))}
+            </select>
+            <select className="input" value={instructorFilter} onChange={(e) => setInstructorFilter(e.target.value)}>
+              <option value="">All instructors</option>
+              {instructors.map(instructor => (
+                <option key={instructor.id} value={instructor.id}>{instructor.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div className="flex items-center space-x-2">
+              <button className="btn btn-outline btn-sm" onClick={() => move(-1)} title="Previous">
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <button className="btn btn-outline btn-sm" onClick={() => setCursor(new Date())}>
+                Today
+              </button>
+              <button className="btn btn-outline btn-sm" onClick={() => move(1)} title="Next">
+                <ChevronRight className="h-4 w-4" />
+              </button>
+              <h3 className="ml-2 text-lg font-medium text-gray-900">{title}</h3>
+            </div>
+            <div className="flex space-x-2">
+              {['month', 'week'].map(option => (
+                <button
+                  key={option}
+                  className={`btn btn-sm ${view === option ? 'btn-primary' : 'btn-outline'}`}
+                  onClick={() => setView(option)}
+                >
+                  {option === 'month' ? 'Month' : 'Week'}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+        <div className={`card-body ${loading ? 'opacity-60' : ''}`}>
+          <div className="overflow-x-auto">
+            <div className="grid grid-cols-7 min-w-[48rem] border-l border-t border-gray-200">
+              {WEEKDAYS.map(day => (
+                <div key={day} className="px-2 py-1 text-xs font-medium text-gray-500 uppercase border-r border-b border-gray-200 bg-gray-50">
+                  {day}
+                </div>
+              ))}
+              {[...Array(days)].map((_, index) => {
+                const day = addDays(start, index)
+                const key = dayKey(day)
+                const daySessions = sessionsByDay[key] || []
+                const outside = view === 'month' && day.getMonth() !== cursor.getMonth()
+                return (
+                  <div
+                    key={key}
+                    className={`border-r border-b border-gray-200 p-1 ${view === 'week' ? 'min-h-[20rem]' : 'min-h-[7rem]'} ${outside ? 'bg-gray-50' : ''}`}
+                  >
+                    <div className="flex items-center justify-between px-1">
+                      <span className={`text-xs font-medium ${key === today ? 'text-primary-600' : outside ? 'text-gray-400' : 'text-gray-700'}`}>
+                        {day.getDate()}
+                      </span>
+                      {holidays[key] && (
+                        <span className="text-xs text-danger-600 truncate ml-1" title={holidays[key]}>{holidays[key]}</span>
+                      )}
+                    </div>
+                    <div className="mt-1 space-y-1">
+                      {daySessions.map(session => (
+                        <Link
+                          key={session.id}
+                          to={`/sessions/${session.id}`}
+                          className="block rounded px-1 py-0.5 text-xs bg-primary-50 text-primary-700 hover:bg-primary-100"
+                          title={[session.topic, session.room || session.batch?.venue, (session.instructor || session.batch?.instructor)?.name].filter(Boolean).join(' · ')}
+                        >
+                          <span className="font-medium">{formatTime(session.startsAt)}</span>{' '}
+                          {session.course.name}{session.batch ? ` · ${session.batch.code}` : ''}
+                          {view === 'week' && (
+                            <span className="block text-primary-600">
+                              {[session.topic, session.room || session.batch?.venue, (session.instructor || session.batch?.instructor)?.name].filter(Boolean).join(' · ')}
+                            </span>
+                          )}
+                        </Link>
+                      ))}
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+          {!loading && sessions.length === 0 && (
+            <div className="text-center py-6">
+              <CalendarDays className="mx-auto h-10 w-10 text-gray-400" />
+              <p className="mt-2 text-gray-500">No sessions in this {view}</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showHolidays && (
+        <HolidayManager onChange={fetchCalendar} onClose={() => setShowHolidays(false)} />
+      )}
+    </div>
+  )
+}
+
+export default Calendar
@@ -7,20 +7,38 @@ import {
   DollarSign,
   Calendar,
   Edit,
-  GraduationCap
+  GraduationCap,
+  ChevronUp,
+  ChevronDown
 } from 'lucide-react'
 import axios from 'axios'
 import toast from 'react-hot-toast'
+import Tabs from '../components/Tabs'
+import AuditHistory from '../components/AuditHistory'
+import { batchStatusConfig, formatBatchDates, SeatBar } from '../components/BatchForm'
+import { academicStatusConfig, financialStatusConfig } from '../components/EnrollmentForm'
+import { useAuth } from '../context/AuthContext'
 
 function CourseDetail() {
   const { id } = useParams()
+  const { hasRole } = useAuth()
+  const canReorder = hasRole('ADMIN', 'COUNSELLOR')
   const [course, setCourse] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [activeTab, setActiveTab] = useState('overview')
+  const [batches, setBatches] = useState([])
 
   useEffect(() => {
     fetchCourse()
   }, [id])
 
+  useEffect(() => {
+    if (activeTab !== 'batches') return
+    axios.get(`/api/batches?courseId=${id}`)
+      .then(response => setBatches(response.data.batches))
+      .catch(() => toast.error('Failed to load batches'))
+  }, [id, activeTab])
+
   const fetchCourse = async () => {
     try {
       setLoading(true)
@@ -63,6 +81,34 @@ function CourseDetail() {
     )
   }
 
+  // Waitlisted enrollments grouped by batch, first in line first
+  const waitlists = Object.values(
+    (course.enrollments || [])
+      .filter(enrollment => enrollment.academicStatus === 'WAITLISTED')
+      .sort((a, b) => (a.waitlistPosition ?? Infinity) - (b.waitlistPosition ?? Infinity))
+      .reduce((groups, enrollment) => {
+        const key = enrollment.batchId || 'none'
+        if (!groups[key]) groups[key] = { batchId: enrollment.batchId, code: enrollment.batch, enrollments: [] }
+        groups[key].enrollments.push(enrollment)
+        return groups
+      }, {})
+  )
+  const waitlistedCount = waitlists.reduce((sum, group) => sum + group.enrollments.length, 0)
+
+  const moveInWaitlist = async (group, index, offset) => {
+    const ids = group.enrollments.map(enrollment => enrollment.id)
+    const [moved] = ids.splice(index, 1)
+    ids.splice(index + offset, 0, moved)
+    try {
+      await axios.put(`/api/batches/${group.batchId}/waitlist`, { enrollmentIds: ids })
+      fetchCourse()
+    } catch (error) {
+      console.error('Error reordering waitlist:', error)
+      toast.error(error.response?.data?.error || 'Failed to reorder waitlist')
+      fetchCourse()
+    }
+  }
+
   const getStatusBadge = (isActive) => {
     return isActive ? (
       <span className="badge badge-success">Active</span>
@@ -153,6 +199,23 @@ function CourseDetail() {
                 </div>
               )}
 
+              {course.instructors?.length > 0 && (
+                <div className="mt-6 pt-6 border-t border-gray-200">
+                  <h5 className="text-sm font-medium text-gray-900 mb-2">Instructors</h5>
+                  <div className="space-y-1">
+                    {course.instructors.map(instructor => (
+                      <Link
+                        key={instructor.id}
+                        to={`/instructors/${instructor.id}`}
+                        className="block text-sm text-primary-600 hover:text-primary-900"
+                      >
+                        {instructor.name}
+                      </Link>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               <div className="mt-6 pt-6 border-t border-gray-200">
                 <button className="btn btn-outline w-full">
                   <Edit className="h-4 w-4 mr-2" />
@@ -164,74 +227,209 @@ function CourseDetail() {
         </div>
 
         {/* Enrollments */}
-        <div className="lg:col-span-2">
-          <div className="card">
-            <div className="card-header">
-              <h3 className="text-lg font-medium text-gray-900">Student Enrollments</h3>
-            </div>
-            <div className="card-body">
-              {course.enrollments?.length === 0 ? (
-                <div className="text-center py-8">
-                  <GraduationCap className="mx-auto h-12 w-12 text-gray-400 mb-4" />
-                  <p className="text-gray-500 mb-4">No students enrolled yet</p>
-                  <button className="btn btn-primary">Enroll Students</button>
-                </div>
-              ) : (
-                <div className="space-y-4">
-                  {course.enrollments?.map((enrollment) => (
-                    <div key={enrollment.id} className="border border-gray-200 rounded-lg p-4">
-                      <div className="flex items-start justify-between mb-3">
-                        <div className="flex items-center space-x-3">
-                          <div className="h-10 w-10 rounded-full bg-primary-100 flex items-center justify-center">
-                            <span className="text-sm font-medium text-primary-600">
-                              {enrollment.student.name.charAt(0)}
+        <div className="lg:col-span-2 space-y-6">
+          <Tabs
+            tabs={[
+              { id: 'overview', label: 'Overview' },
+              { id: 'batches', label: 'Batches' },
+              { id: 'waitlist', label: `Waitlist${waitlistedCount ? ` (${waitlistedCount})` : ''}` },
+              { id: 'history', label: 'History' }
+            ]}
+            activeTab={activeTab}
+            onChange={setActiveTab}
+          />
+
+          {activeTab === 'overview' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Student Enrollments</h3>
+              </div>
+              <div className="card-body">
+                {course.enrollments?.length === 0 ? (
+                  <div className="text-center py-8">
+                    <GraduationCap className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+                    <p className="text-gray-500 mb-4">No students enrolled yet</p>
+                    <button className="btn btn-primary">Enroll Students</button>
+                  </div>
+                ) : (
+                  <div className="space-y-4">
+                    {course.enrollments?.map((enrollment) => (
+                      <div key={enrollment.id} className="border border-gray-200 rounded-lg p-4">
+                        <div className="flex items-start justify-between mb-3">
+                          <div className="flex items-center space-x-3">
+                            <div className="h-10 w-10 rounded-full bg-primary-100 flex items-center justify-center">
+                              <span className="text-sm font-medium text-primary-600">
+                                {enrollment.student.name.charAt(0)}
+                              </span>
+                            </div>
+                            <div>
+                              <h4 className="text-lg font-medium text-gray-900">
+                                {enrollment.student.name}
+                              </h4>
+                              <p className="text-sm text-gray-600">
+                                {enrollment.student.email}
+                              </p>
+                            </div>
+                          </div>
+                          <div className="flex items-center space-x-2">
+                            <span className={`badge ${academicStatusConfig[enrollment.academicStatus].badge}`}>
+                              {academicStatusConfig[enrollment.academicStatus].label}
+                            </span>
+                            <span className={`badge ${financialStatusConfig[enrollment.financialStatus].badge}`}>
+                              {financialStatusConfig[enrollment.financialStatus].label}
                             </span>
                           </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm">
                           <div>
-                            <h4 className="text-lg font-medium text-gray-900">
-                              {enrollment.student.name}
-                            </h4>
-                            <p className="text-sm text-gray-600">
-                              {enrollment.student.email}
+                            <p className="text-gray-500">Batch</p>
+                            <p className="font-medium">{enrollment.batch || 'N/A'}</p>
+                          </div>
+                          <div>
+                            <p className="text-gray-500">Start Date</p>
+                            <p className="font-medium">
+                              {new Date(enrollment.startDate).toLocaleDateString()}
+                            </p>
+                          </div>
+                          <div>
+                            <p className="text-gray-500">Enrollment Date</p>
+                            <p className="font-medium">
+                              {new Date(enrollment.createdAt).toLocaleDateString()}
                             </p>
                           </div>
-                        </div>
-                        <div className="flex items-center space-x-2">
-                          <span className={`badge ${
-                            enrollment.status === 'ACTIVE' ? 'badge-success' :
-                            enrollment.status === 'COMPLETED' ? 'badge-info' :
-                            enrollment.status === 'CANCELLED' ? 'badge-danger' :
-                            'badge-warning'
-                          }`}>
-                            {enrollment.status}
-                          </span>
                         </div>
                       </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
 
-                      <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm">
-                        <div>
-                          <p className="text-gray-500">Batch</p>
-                          <p className="font-medium">{enrollment.batch || 'N/A'}</p>
-                        </div>
-                        <div>
-                          <p className="text-gray-500">Start Date</p>
-                          <p className="font-medium">
-                            {new Date(enrollment.startDate).toLocaleDateString()}
-                          </p>
-                        </div>
-                        <div>
-                          <p className="text-gray-500">Enrollment Date</p>
-                          <p className="font-medium">
-                            {new Date(enrollment.createdAt).toLocaleDateString()}
-                          </p>
-                        </div>
+          {activeTab === 'batches' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Batches</h3>
+              </div>
+              <div className="card-body">
+                {batches.length === 0 ? (
+                  <p className="text-center py-8 text-gray-500">No batches for this course yet</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="table">
+                      <thead className="table-header">
+                        <tr>
+                          <th className="table-header-cell">Batch</th>
+                          <th className="table-header-cell">Dates</th>
+                          <th className="table-header-cell">Instructor</th>
+                          <th className="table-header-cell">Seats</th>
+                          <th className="table-header-cell">Status</th>
+                        </tr>
+                      </thead>
+                      <tbody className="table-body">
+                        {batches.map(batch => (
+                          <tr key={batch.id} className="table-row">
+                            <td className="table-cell">
+                              <Link to={`/batches/${batch.id}`} className="text-sm font-medium text-primary-600 hover:text-primary-900">
+                                {batch.code}
+                              </Link>
+                            </td>
+                            <td className="table-cell text-sm text-gray-900">{formatBatchDates(batch)}</td>
+                            <td className="table-cell text-sm text-gray-900">{batch.instructor?.name || '—'}</td>
+                            <td className="table-cell"><SeatBar seats={batch.seats} /></td>
+                            <td className="table-cell">
+                              <span className={`badge ${batchStatusConfig[batch.status].badge}`}>
+                                {batchStatusConfig[batch.status].label}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'waitlist' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Waitlist</h3>
+              </div>
+              <div className="card-body">
+                {waitlists.length === 0 ? (
+                  <p className="text-center py-8 text-gray-500">Nobody is waiting for a seat</p>
+                ) : (
+                  <div className="space-y-6">
+                    {waitlists.map(group => (
+                      <div key={group.batchId || 'none'}>
+                        <h4 className="text-sm font-medium text-gray-900 mb-2">
+                          {group.batchId ? (
+                            <Link to={`/batches/${group.batchId}`} className="text-primary-600 hover:text-primary-900">
+                              Batch {group.code}
+                            </Link>
+                          ) : 'No batch'}
+                        </h4>
+                        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                          {group.enrollments.map((enrollment, index) => (
+                            <li key={enrollment.id} className="flex items-center justify-between px-4 py-3">
+                              <div className="flex items-center space-x-3">
+                                <span className="h-8 w-8 rounded-full bg-gray-100 flex items-center justify-center text-sm font-medium text-gray-600">
+                                  {index + 1}
+                                </span>
+                                <div>
+                                  <Link
+                                    to={`/enrollments/${enrollment.id}`}
+                                    className="text-sm font-medium text-primary-600 hover:text-primary-900"
+                                  >
+                                    {enrollment.student.name}
+                                  </Link>
+                                  <p className="text-xs text-gray-500">{enrollment.student.email}</p>
+                                </div>
+                              </div>
+                              {canReorder && group.batchId && (
+                                <div className="flex space-x-1">
+                                  <button
+                                    onClick={() => moveInWaitlist(group, index, -1)}
+                                    className="text-gray-400 hover:text-primary-600 disabled:opacity-30"
+                                    disabled={index === 0}
+                                    title="Move up"
+                                  >
+                                    <ChevronUp className="h-5 w-5" />
+                                  </button>
+                                  <button
+                                    onClick={() => moveInWaitlist(group, index, 1)}
+                                    className="text-gray-400 hover:text-primary-600 disabled:opacity-30"
+                                    disabled={index === group.enrollments.length - 1}
+                                    title="Move down"
+                                  >
+                                    <ChevronDown className="h-5 w-5" />
+                                  </button>
+                                </div>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
                       </div>
-                    </div>
-                  ))}
-                </div>
-              )}
+                    ))}
+                  </div>
+                )}
+              </div>
             </div>
-          </div>
+          )}
+
+          {activeTab === 'history' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">History</h3>
+              </div>
+              <div className="card-body">
+                <AuditHistory params={{ entity: 'COURSE', entityId: course.id }} />
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -85,7 +85,7 @@ function Courses() {
 
     try {
       await axios.delete(`/api/courses/${deletingCourse.id}`)
-      toast.success('Course deleted successfully')
+      toast.success('Course moved to the Recycle Bin')
       setShowDeleteDialog(false)
       setDeletingCourse(null)
       fetchCourses()
@@ -322,7 +322,7 @@ function Courses() {
       {showDeleteDialog && (
         <ConfirmDialog
           title="Delete Course"
-          message={`Are you sure you want to delete "${deletingCourse?.name}"? This action cannot be undone.`}
+          message={`Delete "${deletingCourse?.name}"? It will be moved to the Recycle Bin and can be restored by an admin.`}
           onConfirm={handleDeleteCourse}
           onCancel={() => {
             setShowDeleteDialog(false)
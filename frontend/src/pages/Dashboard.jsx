@@ -7,9 +7,11 @@ import {
   TrendingUp, 
   TrendingDown,
   DollarSign,
-  Calendar
+  Calendar,
+  Tag
 } from 'lucide-react'
 import PaymentForm from '../components/PaymentForm'
+import TaskPanel from '../components/TaskPanel'
 import { format } from 'date-fns'
 import axios from 'axios'
 import toast from 'react-hot-toast'
@@ -172,7 +174,7 @@ function Dashboard() {
     )
   }
 
-  const { overview, recentEnrollments, recentPayments, courseEnrollments, monthlyRevenue } = dashboardData
+  const { overview, recentEnrollments, recentPayments, courseEnrollments, monthlyRevenue, promoRedemptions = [] } = dashboardData
 
   return (
     <div>
@@ -196,14 +198,14 @@ function Dashboard() {
           title="Active Enrollments"
           value={overview.activeEnrollments}
           icon={GraduationCap}
-          change={`${overview.completedEnrollments} completed`}
+          change={`${overview.completedEnrollments} completed · ${overview.paidEnrollments} paid in full`}
           changeType="positive"
         />
         <StatCard
           title="Total Revenue"
           value={`$${overview.totalRevenue.toLocaleString()}`}
           icon={DollarSign}
-          change={`$${overview.outstandingAmount.toLocaleString()} outstanding`}
+          change={`$${overview.outstandingAmount.toLocaleString()} outstanding · $${overview.overdueAmount.toLocaleString()} overdue`}
           changeType="warning"
         />
         <StatCard
@@ -215,6 +217,11 @@ function Dashboard() {
         />
       </div>
 
+      {/* My Tasks */}
+      <div className="mb-8">
+        <TaskPanel title="My Tasks" params={{ mine: 'true' }} myTasks />
+      </div>
+
       {/* Charts and Recent Activity */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Recent Enrollments */}
@@ -282,6 +289,39 @@ function Dashboard() {
         </div>
       </div>
 
+      {/* Promo Code Redemptions */}
+      {promoRedemptions.length > 0 && (
+        <div className="mt-8">
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900">Promo Code Redemptions</h3>
+            </div>
+            <div className="card-body">
+              <div className="space-y-4">
+                {promoRedemptions.map((promo) => (
+                  <div key={promo.id} className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3">
+                      <div className="flex-shrink-0">
+                        <div className="h-8 w-8 rounded-full bg-success-100 flex items-center justify-center">
+                          <Tag className="h-4 w-4 text-success-600" />
+                        </div>
+                      </div>
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{promo.code}</p>
+                        <p className="text-sm text-gray-500">{promo.redemptions} redemptions</p>
+                      </div>
+                    </div>
+                    <div className="text-sm text-gray-500">
+                      ${promo.totalDiscount.toLocaleString()} discounted
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Monthly Revenue Chart */}
       {monthlyRevenue.length > 0 && (
         <div className="mt-8">
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { useParams, Link } from 'react-router-dom'
+import { useParams, Link, useNavigate } from 'react-router-dom'
 import { 
   ArrowLeft,
   GraduationCap, 
@@ -8,15 +8,34 @@ import {
   Calendar,
   Edit,
   CreditCard,
-  BookOpen
+  BookOpen,
+  ArrowRightLeft
 } from 'lucide-react'
 import axios from 'axios'
 import toast from 'react-hot-toast'
+import Tabs from '../components/Tabs'
+import AuditHistory from '../components/AuditHistory'
+import TaskPanel from '../components/TaskPanel'
+import EnrollmentInvoices from '../components/EnrollmentInvoices'
+import EnrollmentAttendance from '../components/EnrollmentAttendance'
+import EnrollmentCertificate from '../components/EnrollmentCertificate'
+import EnrollmentStatusHistory from '../components/EnrollmentStatusHistory'
+import EnrollmentTransfers from '../components/EnrollmentTransfers'
+import EnrollmentTransferForm from '../components/EnrollmentTransferForm'
+import PaymentPlanSchedule from '../components/PaymentPlanSchedule'
+import EnrollmentForm, { academicStatusConfig, financialStatusConfig } from '../components/EnrollmentForm'
+import { adjustmentTypes } from '../lib/pricing'
+import { useAuth } from '../context/AuthContext'
 
 function EnrollmentDetail() {
   const { id } = useParams()
+  const navigate = useNavigate()
+  const { hasRole } = useAuth()
   const [enrollment, setEnrollment] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [activeTab, setActiveTab] = useState('overview')
+  const [showEditForm, setShowEditForm] = useState(false)
+  const [showTransferForm, setShowTransferForm] = useState(false)
 
   useEffect(() => {
     fetchEnrollment()
@@ -64,24 +83,15 @@ function EnrollmentDetail() {
     )
   }
 
-  const getStatusBadge = (status) => {
-    const statusConfig = {
-      ACTIVE: { class: 'badge-success', text: 'Active' },
-      COMPLETED: { class: 'badge-info', text: 'Completed' },
-      CANCELLED: { class: 'badge-danger', text: 'Cancelled' },
-      SUSPENDED: { class: 'badge-warning', text: 'Suspended' }
-    }
-    
-    const config = statusConfig[status] || statusConfig.ACTIVE
-    return <span className={`badge ${config.class}`}>{config.text}</span>
+  const getStatusBadge = (status, config) => {
+    const { label, badge } = config[status] || { label: status, badge: 'badge-neutral' }
+    return <span className={`badge ${badge}`}>{label}</span>
   }
 
   const getPaymentStatus = () => {
-    const totalPaid = enrollment.payments?.reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0
-    const coursePrice = parseFloat(enrollment.course.price)
-    const outstanding = Math.max(0, coursePrice - totalPaid)
+    const { outstanding } = enrollment.paymentStatus
     
-    if (outstanding === 0) return <span className="text-success-600 font-medium">Fully Paid</span>
+    if (outstanding === 0) return <span className="text-success-600 font-medium">Nothing Outstanding</span>
     return <span className="text-warning-600 font-medium">${outstanding.toFixed(2)} Outstanding</span>
   }
 
@@ -104,7 +114,7 @@ function EnrollmentDetail() {
 
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Enrollment Info */}
-        <div className="lg:col-span-1">
+        <div className="lg:col-span-1 space-y-6">
           <div className="card">
             <div className="card-header">
               <h3 className="text-lg font-medium text-gray-900">Enrollment Information</h3>
@@ -115,9 +125,13 @@ function EnrollmentDetail() {
                   <GraduationCap className="h-10 w-10 text-primary-600" />
                 </div>
                 <h4 className="text-lg font-medium text-gray-900">Enrollment #{enrollment.id.slice(-8)}</h4>
-                <div className="mt-2">
-                  {getStatusBadge(enrollment.status)}
+                <div className="mt-2 flex justify-center space-x-2">
+                  {getStatusBadge(enrollment.academicStatus, academicStatusConfig)}
+                  {getStatusBadge(enrollment.financialStatus, financialStatusConfig)}
                 </div>
+                {enrollment.academicStatus === 'WAITLISTED' && enrollment.waitlistPosition && (
+                  <p className="mt-1 text-sm text-gray-500">#{enrollment.waitlistPosition} on the waitlist</p>
+                )}
               </div>
 
               <div className="space-y-4">
@@ -140,9 +154,14 @@ function EnrollmentDetail() {
                 <div className="flex items-center space-x-3">
                   <DollarSign className="h-5 w-5 text-gray-400" />
                   <div>
-                    <p className="text-sm font-medium text-gray-900">Course Price</p>
+                    <p className="text-sm font-medium text-gray-900">Net Fee</p>
                     <p className="text-sm text-gray-600">
-                      ${parseFloat(enrollment.course.price).toFixed(2)}
+                      ${enrollment.pricing.netFee.toFixed(2)}
+                      {enrollment.pricing.totalDiscount > 0 && (
+                        <span className="ml-2 text-gray-400 line-through">
+                          ${enrollment.pricing.basePrice.toFixed(2)}
+                        </span>
+                      )}
                     </p>
                   </div>
                 </div>
@@ -152,7 +171,13 @@ function EnrollmentDetail() {
                     <Calendar className="h-5 w-5 text-gray-400" />
                     <div>
                       <p className="text-sm font-medium text-gray-900">Batch</p>
-                      <p className="text-sm text-gray-600">{enrollment.batch}</p>
+                      {enrollment.cohort ? (
+                        <Link to={`/batches/${enrollment.cohort.id}`} className="text-sm text-primary-600 hover:text-primary-900">
+                          {enrollment.cohort.code}
+                        </Link>
+                      ) : (
+                        <p className="text-sm text-gray-600">{enrollment.batch}</p>
+                      )}
                     </div>
                   </div>
                 )}
@@ -191,106 +216,222 @@ function EnrollmentDetail() {
               </div>
 
               <div className="mt-6 pt-6 border-t border-gray-200">
-                <button className="btn btn-outline w-full">
+                <button className="btn btn-outline w-full" onClick={() => setShowEditForm(true)}>
                   <Edit className="h-4 w-4 mr-2" />
                   Edit Enrollment
                 </button>
+                {hasRole('ADMIN', 'FINANCE') && enrollment.nextStatuses.some(next => next.status === 'WITHDRAWN') && (
+                  <button className="btn btn-outline w-full mt-3" onClick={() => setShowTransferForm(true)}>
+                    <ArrowRightLeft className="h-4 w-4 mr-2" />
+                    Transfer to Another Course or Batch
+                  </button>
+                )}
               </div>
             </div>
           </div>
+
+          <EnrollmentStatusHistory enrollment={enrollment} onChange={fetchEnrollment} />
+
+          {enrollment.transfers.length > 0 && <EnrollmentTransfers enrollment={enrollment} />}
+
+          {enrollment.academicStatus === 'COMPLETED' && <EnrollmentCertificate enrollmentId={enrollment.id} />}
         </div>
 
         {/* Payment Status & History */}
         <div className="lg:col-span-2 space-y-6">
-          {/* Payment Status */}
-          <div className="card">
-            <div className="card-header">
-              <h3 className="text-lg font-medium text-gray-900">Payment Status</h3>
-            </div>
-            <div className="card-body">
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-                <div className="text-center p-4 bg-gray-50 rounded-lg">
-                  <DollarSign className="mx-auto h-8 w-8 text-gray-500 mb-2" />
-                  <div className="text-2xl font-bold text-gray-900">
-                    ${parseFloat(enrollment.course.price).toFixed(2)}
-                  </div>
-                  <div className="text-sm text-gray-500">Course Price</div>
+          <Tabs
+            tabs={[
+              { id: 'overview', label: 'Overview' },
+              { id: 'attendance', label: 'Attendance' },
+              { id: 'tasks', label: 'Tasks' },
+              { id: 'history', label: 'History' }
+            ]}
+            activeTab={activeTab}
+            onChange={setActiveTab}
+          />
+
+          {activeTab === 'overview' && (
+            <>
+              {/* Payment Status */}
+              <div className="card">
+                <div className="card-header">
+                  <h3 className="text-lg font-medium text-gray-900">Payment Status</h3>
                 </div>
+                <div className="card-body">
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <div className="text-center p-4 bg-gray-50 rounded-lg">
+                      <DollarSign className="mx-auto h-8 w-8 text-gray-500 mb-2" />
+                      <div className="text-2xl font-bold text-gray-900">
+                        ${enrollment.pricing.netFee.toFixed(2)}
+                      </div>
+                      <div className="text-sm text-gray-500">Net Fee</div>
+                    </div>
                 
-                <div className="text-center p-4 bg-success-50 rounded-lg">
-                  <CreditCard className="mx-auto h-8 w-8 text-success-500 mb-2" />
-                  <div className="text-2xl font-bold text-success-600">
-                    ${enrollment.payments?.reduce((sum, p) => sum + parseFloat(p.amount), 0).toFixed(2) || '0.00'}
-                  </div>
-                  <div className="text-sm text-success-500">Total Paid</div>
-                </div>
+                    <div className="text-center p-4 bg-success-50 rounded-lg">
+                      <CreditCard className="mx-auto h-8 w-8 text-success-500 mb-2" />
+                      <div className="text-2xl font-bold text-success-600">
+                        ${enrollment.paymentStatus.totalPaid.toFixed(2)}
+                      </div>
+                      <div className="text-sm text-success-500">Total Paid</div>
+                    </div>
                 
-                <div className="text-center p-4 bg-warning-50 rounded-lg">
-                  <DollarSign className="mx-auto h-8 w-8 text-warning-500 mb-2" />
-                  <div className="text-2xl font-bold text-warning-600">
-                    ${Math.max(0, parseFloat(enrollment.course.price) - (enrollment.payments?.reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0)).toFixed(2)}
+                    <div className="text-center p-4 bg-warning-50 rounded-lg">
+                      <DollarSign className="mx-auto h-8 w-8 text-warning-500 mb-2" />
+                      <div className="text-2xl font-bold text-warning-600">
+                        ${enrollment.paymentStatus.outstanding.toFixed(2)}
+                      </div>
+                      <div className="text-sm text-warning-500">Outstanding</div>
+                    </div>
                   </div>
-                  <div className="text-sm text-warning-500">Outstanding</div>
-                </div>
-              </div>
 
-              <div className="mt-6 text-center">
-                <div className="text-lg font-medium text-gray-900 mb-2">Payment Status</div>
-                <div className="text-xl">
-                  {getPaymentStatus()}
+                  {(enrollment.pricing.adjustments.length > 0 || enrollment.pricing.basePrice !== enrollment.pricing.listPrice) && (
+                    <div className="mt-6 border-t border-gray-200 pt-4 space-y-2 text-sm">
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Course list price</span>
+                        <span className="text-gray-900">${enrollment.pricing.listPrice.toFixed(2)}</span>
+                      </div>
+                      {enrollment.pricing.basePrice !== enrollment.pricing.listPrice && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Negotiated price</span>
+                          <span className="text-gray-900">${enrollment.pricing.basePrice.toFixed(2)}</span>
+                        </div>
+                      )}
+                      {enrollment.pricing.adjustments.map((adjustment) => (
+                        <div key={adjustment.id} className="flex justify-between">
+                          <span className="text-gray-600">
+                            {adjustmentTypes[adjustment.type].label}
+                            {adjustment.basis === 'PERCENT' && ` (${parseFloat(adjustment.value)}%)`}
+                            {' — '}{adjustment.reason}
+                            {adjustment.approvedByName && (
+                              <span className="text-gray-400"> · approved by {adjustment.approvedByName}</span>
+                            )}
+                          </span>
+                          <span className="text-success-600">−${adjustment.discountAmount.toFixed(2)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="mt-6 text-center">
+                    <div className="text-lg font-medium text-gray-900 mb-2">Payment Status</div>
+                    <div className="text-xl">
+                      {getPaymentStatus()}
+                    </div>
+                  </div>
                 </div>
               </div>
-            </div>
-          </div>
 
-          {/* Payment History */}
-          <div className="card">
-            <div className="card-header">
-              <h3 className="text-lg font-medium text-gray-900">Payment History</h3>
-            </div>
-            <div className="card-body">
-              {enrollment.payments?.length === 0 ? (
-                <div className="text-center py-8">
-                  <CreditCard className="mx-auto h-12 w-12 text-gray-400 mb-4" />
-                  <p className="text-gray-500 mb-4">No payments recorded yet</p>
-                  <button className="btn btn-primary">Record Payment</button>
+              <PaymentPlanSchedule enrollment={enrollment} onChange={fetchEnrollment} />
+
+              <EnrollmentInvoices enrollment={enrollment} onChange={fetchEnrollment} />
+
+              {/* Payment History */}
+              <div className="card">
+                <div className="card-header">
+                  <h3 className="text-lg font-medium text-gray-900">Payment History</h3>
                 </div>
-              ) : (
-                <div className="space-y-4">
-                  {enrollment.payments?.map((payment) => (
-                    <div key={payment.id} className="border border-gray-200 rounded-lg p-4">
-                      <div className="flex items-center justify-between mb-3">
-                        <div>
-                          <div className="text-sm font-medium text-gray-900">
-                            ${parseFloat(payment.amount).toFixed(2)}
-                          </div>
-                          <div className="text-sm text-gray-500 capitalize">
-                            {payment.method.replace('_', ' ')}
-                          </div>
-                        </div>
-                        <div className="text-right">
-                          <div className="text-sm text-gray-900">
-                            {new Date(payment.date).toLocaleDateString()}
-                          </div>
-                          <div className="text-sm text-gray-500">
-                            {new Date(payment.date).toLocaleTimeString()}
+                <div className="card-body">
+                  {enrollment.payments?.length === 0 ? (
+                    <div className="text-center py-8">
+                      <CreditCard className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+                      <p className="text-gray-500 mb-4">No payments recorded yet</p>
+                      <button className="btn btn-primary">Record Payment</button>
+                    </div>
+                  ) : (
+                    <div className="space-y-4">
+                      {enrollment.payments?.map((payment) => (
+                        <div key={payment.id} className="border border-gray-200 rounded-lg p-4">
+                          <div className="flex items-center justify-between mb-3">
+                            <div>
+                              <div className="text-sm font-medium text-gray-900">
+                                ${parseFloat(payment.amount).toFixed(2)}
+                              </div>
+                              <div className="text-sm text-gray-500 capitalize">
+                                {payment.method.replace('_', ' ')}
+                              </div>
+                            </div>
+                            <div className="text-right">
+                              <div className="text-sm text-gray-900">
+                                {new Date(payment.date).toLocaleDateString()}
+                              </div>
+                              <div className="text-sm text-gray-500">
+                                {new Date(payment.date).toLocaleTimeString()}
+                              </div>
+                            </div>
                           </div>
-                        </div>
-                      </div>
                       
-                      {payment.notes && (
-                        <div className="text-sm text-gray-600 border-t border-gray-100 pt-3">
-                          <span className="font-medium">Notes:</span> {payment.notes}
+                          {payment.notes && (
+                            <div className="text-sm text-gray-600 border-t border-gray-100 pt-3">
+                              <span className="font-medium">Notes:</span> {payment.notes}
+                            </div>
+                          )}
+
+                          {payment.refunds.map((refund) => (
+                            <div key={refund.id} className="flex justify-between text-sm border-t border-gray-100 pt-3 mt-3">
+                              <span className="text-gray-600">
+                                <span className="badge badge-danger mr-2">Refund</span>
+                                {refund.refundNumber} — {refund.reason}
+                              </span>
+                              <span className="text-danger-600">−${parseFloat(refund.amount).toFixed(2)}</span>
+                            </div>
+                          ))}
+                          {payment.creditNotes.map((creditNote) => (
+                            <div key={creditNote.id} className="flex justify-between text-sm border-t border-gray-100 pt-3 mt-3">
+                              <span className="text-gray-600">
+                                <span className="badge badge-info mr-2">Credit Note</span>
+                                {creditNote.number} — {creditNote.reason}
+                              </span>
+                              <span className="text-danger-600">−${parseFloat(creditNote.amount).toFixed(2)}</span>
+                            </div>
+                          ))}
                         </div>
-                      )}
+                      ))}
                     </div>
-                  ))}
+                  )}
                 </div>
-              )}
+              </div>
+            </>
+          )}
+
+          {activeTab === 'attendance' && (
+            <EnrollmentAttendance enrollmentId={enrollment.id} />
+          )}
+
+          {activeTab === 'tasks' && (
+            <TaskPanel
+              params={{ enrollmentId: enrollment.id }}
+              links={{ studentId: enrollment.studentId, enrollmentId: enrollment.id }}
+            />
+          )}
+
+          {activeTab === 'history' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">History</h3>
+              </div>
+              <div className="card-body">
+                <AuditHistory params={{ enrollmentId: enrollment.id }} />
+              </div>
             </div>
-          </div>
+          )}
         </div>
       </div>
+
+      {showEditForm && (
+        <EnrollmentForm
+          enrollment={enrollment}
+          onSubmitSuccess={() => { setShowEditForm(false); fetchEnrollment() }}
+          onCancel={() => setShowEditForm(false)}
+        />
+      )}
+
+      {showTransferForm && (
+        <EnrollmentTransferForm
+          enrollment={enrollment}
+          onSubmitSuccess={(newEnrollment) => { setShowTransferForm(false); navigate(`/enrollments/${newEnrollment.id}`) }}
+          onCancel={() => setShowTransferForm(false)}
+        />
+      )}
     </div>
   )
 }
@@ -10,7 +10,10 @@ import {
 } from 'lucide-react'
 import axios from 'axios'
 import toast from 'react-hot-toast'
-import EnrollmentForm from '../components/EnrollmentForm'
+import EnrollmentForm, { academicStatusConfig, financialStatusConfig } from '../components/EnrollmentForm'
+
+const ACTIVE_STATUSES = ['ENROLLED', 'IN_PROGRESS']
+const OWING_STATUSES = ['UNPAID', 'PARTIAL']
 
 function Enrollments() {
   const [enrollments, setEnrollments] = useState([])
@@ -20,6 +23,7 @@ function Enrollments() {
   const [editingEnrollment, setEditingEnrollment] = useState(null)
   const [searchQuery, setSearchQuery] = useState('')
   const [statusFilter, setStatusFilter] = useState('all')
+  const [financialFilter, setFinancialFilter] = useState('all')
 
   useEffect(() => {
     fetchEnrollments()
@@ -40,7 +44,7 @@ function Enrollments() {
     }
   }
 
-  const filterEnrollments = (enrollments, query, status) => {
+  const filterEnrollments = (enrollments, query, status, financialStatus) => {
     let filtered = [...enrollments]
 
     // Filter by search query
@@ -58,9 +62,12 @@ function Enrollments() {
       })
     }
 
-    // Filter by status
+    // Filter by academic and financial status
     if (status !== 'all') {
-      filtered = filtered.filter(enrollment => enrollment.status === status)
+      filtered = filtered.filter(enrollment => enrollment.academicStatus === status)
+    }
+    if (financialStatus !== 'all') {
+      filtered = filtered.filter(enrollment => enrollment.financialStatus === financialStatus)
     }
 
     return filtered
@@ -68,33 +75,35 @@ function Enrollments() {
 
   const handleSearch = (query) => {
     setSearchQuery(query)
-    setFilteredEnrollments(filterEnrollments(enrollments, query, statusFilter))
+    setFilteredEnrollments(filterEnrollments(enrollments, query, statusFilter, financialFilter))
   }
 
   const handleStatusFilter = (status) => {
     setStatusFilter(status)
-    setFilteredEnrollments(filterEnrollments(enrollments, searchQuery, status))
+    setFilteredEnrollments(filterEnrollments(enrollments, searchQuery, status, financialFilter))
   }
 
-  const getStatusBadge = (status) => {
-    const statusConfig = {
-      ACTIVE: { class: 'badge-success', text: 'Active' },
-      COMPLETED: { class: 'badge-info', text: 'Completed' },
-      CANCELLED: { class: 'badge-danger', text: 'Cancelled' },
-      SUSPENDED: { class: 'badge-warning', text: 'Suspended' }
-    }
-    
-    const config = statusConfig[status] || statusConfig.ACTIVE
-    return <span className={`badge ${config.class}`}>{config.text}</span>
+  const handleFinancialFilter = (financialStatus) => {
+    setFinancialFilter(financialStatus)
+    setFilteredEnrollments(filterEnrollments(enrollments, searchQuery, statusFilter, financialStatus))
+  }
+
+  const getStatusBadge = (status, config) => {
+    const { label, badge } = config[status] || { label: status, badge: 'badge-neutral' }
+    return <span className={`badge ${badge}`}>{label}</span>
   }
 
   const getPaymentStatus = (enrollment) => {
-    const totalPaid = enrollment.payments?.reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0
-    const coursePrice = parseFloat(enrollment.course.price)
-    const outstanding = Math.max(0, coursePrice - totalPaid)
+    const { outstanding } = enrollment.paymentStatus
     
-    if (outstanding === 0) return <span className="text-success-600 font-medium">Fully Paid</span>
-    return <span className="text-warning-600 font-medium">Outstanding <br></br>${outstanding.toFixed(2)}</span>
+    return (
+      <div>
+        {getStatusBadge(enrollment.financialStatus, financialStatusConfig)}
+        {outstanding > 0 && (
+          <div className="mt-1 text-sm text-warning-600">${outstanding.toFixed(2)} outstanding</div>
+        )}
+      </div>
+    )
   }
 
   return (
@@ -139,11 +148,20 @@ function Enrollments() {
                 onChange={(e) => handleStatusFilter(e.target.value)}
                 className="input"
               >
-                <option value="all">All Status</option>
-                <option value="ACTIVE">Active</option>
-                <option value="COMPLETED">Completed</option>
-                <option value="CANCELLED">Cancelled</option>
-                <option value="SUSPENDED">Suspended</option>
+                <option value="all">All Academic Status</option>
+                {Object.entries(academicStatusConfig).map(([value, config]) => (
+                  <option key={value} value={value}>{config.label}</option>
+                ))}
+              </select>
+              <select
+                value={financialFilter}
+                onChange={(e) => handleFinancialFilter(e.target.value)}
+                className="input"
+              >
+                <option value="all">All Payment Status</option>
+                {Object.entries(financialStatusConfig).map(([value, config]) => (
+                  <option key={value} value={value}>{config.label}</option>
+                ))}
               </select>
             </div>
           </div>
@@ -156,7 +174,7 @@ function Enrollments() {
           <div className="card-body text-center">
             <GraduationCap className="mx-auto h-8 w-8 text-primary-500 mb-2" />
             <div className="text-2xl font-bold text-gray-900">
-              {enrollments.filter(e => e.status === 'ACTIVE').length}
+              {enrollments.filter(e => ACTIVE_STATUSES.includes(e.academicStatus)).length}
             </div>
             <div className="text-sm text-gray-500">Active Enrollments</div>
           </div>
@@ -166,7 +184,7 @@ function Enrollments() {
           <div className="card-body text-center">
             <Users className="mx-auto h-8 w-8 text-success-500 mb-2" />
             <div className="text-2xl font-bold text-gray-900">
-              {enrollments.filter(e => e.status === 'COMPLETED').length}
+              {enrollments.filter(e => e.academicStatus === 'COMPLETED').length}
             </div>
             <div className="text-sm text-gray-500">Completed</div>
           </div>
@@ -186,7 +204,7 @@ function Enrollments() {
           <div className="card-body text-center">
             <DollarSign className="mx-auto h-8 w-8 text-warning-500 mb-2" />
             <div className="text-2xl font-bold text-gray-900">
-              {enrollments.filter(e => e.status === 'ACTIVE').length}
+              {enrollments.filter(e => OWING_STATUSES.includes(e.financialStatus) && e.academicStatus !== 'WITHDRAWN').length}
             </div>
             <div className="text-sm text-gray-500">Pending Payments</div>
           </div>
@@ -229,8 +247,8 @@ function Enrollments() {
                     <th className="table-header-cell">Course</th>
                     <th className="table-header-cell">Batch</th>
                     <th className="table-header-cell">Start Date</th>
-                    <th className="table-header-cell">Status</th>
-                    <th className="table-header-cell">Payment Remarks</th>
+                    <th className="table-header-cell">Academic Status</th>
+                    <th className="table-header-cell">Payment Status</th>
                     <th className="table-header-cell">Actions</th>
                   </tr>
                 </thead>
@@ -259,7 +277,12 @@ function Enrollments() {
                           {enrollment.course.name}
                         </div>
                         <div className="text-sm text-gray-500">
-                          ${parseFloat(enrollment.course.price).toFixed(2)}
+                          ${enrollment.pricing.netFee.toFixed(2)}
+                          {enrollment.pricing.totalDiscount > 0 && (
+                            <span className="ml-2 text-gray-400 line-through">
+                              ${enrollment.pricing.basePrice.toFixed(2)}
+                            </span>
+                          )}
                         </div>
                       </td>
                       <td className="table-cell">
@@ -273,7 +296,7 @@ function Enrollments() {
                         </span>
                       </td>
                       <td className="table-cell">
-                        {getStatusBadge(enrollment.status)}
+                        {getStatusBadge(enrollment.academicStatus, academicStatusConfig)}
                       </td>
                       <td className="table-cell">
                         {getPaymentStatus(enrollment)}
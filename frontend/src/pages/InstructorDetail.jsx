@@ -0,0 +1,358 @@
+import { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import {
+  ArrowLeft,
+  Presentation,
+  Mail,
+  Phone,
+  DollarSign,
+  Edit,
+  Calendar,
+  Layers,
+  BookOpen
+} from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import Tabs from '../components/Tabs'
+import AuditHistory from '../components/AuditHistory'
+import InstructorForm, { formatRate } from '../components/InstructorForm'
+import CalendarFeedButton from '../components/CalendarFeedButton'
+import { batchStatusConfig, formatBatchDates, SeatBar } from '../components/BatchForm'
+import { formatSessionTime } from '../components/SessionForm'
+import { useAuth } from '../context/AuthContext'
+
+function InstructorDetail() {
+  const { id } = useParams()
+  const { hasRole } = useAuth()
+  const [instructor, setInstructor] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [activeTab, setActiveTab] = useState('schedule')
+  const [showForm, setShowForm] = useState(false)
+
+  useEffect(() => {
+    fetchInstructor()
+  }, [id])
+
+  const fetchInstructor = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get(`/api/instructors/${id}`)
+      setInstructor(response.data)
+    } catch (error) {
+      console.error('Error fetching instructor:', error)
+      toast.error('Failed to load instructor details')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleUpdate = async (instructorData) => {
+    try {
+      await axios.put(`/api/instructors/${id}`, instructorData)
+      toast.success('Instructor updated successfully')
+      setShowForm(false)
+      fetchInstructor()
+    } catch (error) {
+      console.error('Error updating instructor:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to update instructor')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="animate-pulse">
+        <div className="h-8 bg-gray-200 rounded w-1/4 mb-6"></div>
+        <div className="card">
+          <div className="card-body">
+            <div className="h-20 bg-gray-200 rounded mb-4"></div>
+            <div className="space-y-3">
+              <div className="h-4 bg-gray-200 rounded w-1/2"></div>
+              <div className="h-4 bg-gray-200 rounded w-1/3"></div>
+            </div>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  if (!instructor) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500 mb-4">Instructor not found</p>
+        <Link to="/instructors" className="btn btn-primary">
+          Back to Instructors
+        </Link>
+      </div>
+    )
+  }
+
+  const currentBatches = instructor.batches.filter(batch => !['COMPLETED', 'CANCELLED'].includes(batch.status))
+
+  const stats = [
+    { label: 'Current Batches', value: currentBatches.length },
+    { label: 'Headcount', value: instructor.headcount },
+    { label: 'Upcoming Sessions', value: instructor.upcomingSessions.length },
+    { label: 'Courses', value: instructor.courses.length }
+  ]
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex items-center space-x-4">
+          <Link to="/instructors" className="text-gray-500 hover:text-gray-700">
+            <ArrowLeft className="h-6 w-6" />
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{instructor.name}</h1>
+            <p className="mt-2 text-gray-600">Instructor schedule, batches and courses</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        {stats.map(stat => (
+          <div key={stat.label} className="card">
+            <div className="card-body">
+              <p className="text-sm font-medium text-gray-500">{stat.label}</p>
+              <p className="mt-1 text-2xl font-bold text-gray-900">{stat.value}</p>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Instructor Info */}
+        <div className="lg:col-span-1">
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900">Instructor Information</h3>
+            </div>
+            <div className="card-body">
+              <div className="text-center mb-6">
+                <div className="h-20 w-20 rounded-full bg-primary-100 flex items-center justify-center mx-auto mb-4">
+                  <Presentation className="h-10 w-10 text-primary-600" />
+                </div>
+                <h4 className="text-lg font-medium text-gray-900">{instructor.name}</h4>
+                <div className="mt-2">
+                  <span className={`badge ${instructor.isActive ? 'badge-success' : 'badge-neutral'}`}>
+                    {instructor.isActive ? 'Active' : 'Inactive'}
+                  </span>
+                </div>
+                {instructor.specialities.length > 0 && (
+                  <div className="mt-3 flex flex-wrap justify-center gap-1">
+                    {instructor.specialities.map(speciality => (
+                      <span key={speciality} className="badge badge-info">{speciality}</span>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="space-y-4">
+                {instructor.email && (
+                  <div className="flex items-center space-x-3">
+                    <Mail className="h-5 w-5 text-gray-400" />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">Email</p>
+                      <p className="text-sm text-gray-600">{instructor.email}</p>
+                    </div>
+                  </div>
+                )}
+
+                {instructor.phone && (
+                  <div className="flex items-center space-x-3">
+                    <Phone className="h-5 w-5 text-gray-400" />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">Phone</p>
+                      <p className="text-sm text-gray-600">{instructor.phone}</p>
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex items-center space-x-3">
+                  <DollarSign className="h-5 w-5 text-gray-400" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">Rate</p>
+                    <p className="text-sm text-gray-600">{formatRate(instructor)}</p>
+                  </div>
+                </div>
+              </div>
+
+              <div className="mt-6 pt-6 border-t border-gray-200 space-y-3">
+                {hasRole('ADMIN') && (
+                  <button className="btn btn-outline w-full" onClick={() => setShowForm(true)}>
+                    <Edit className="h-4 w-4 mr-2" />
+                    Edit Instructor
+                  </button>
+                )}
+                <CalendarFeedButton
+                  params={{ instructorId: instructor.id }}
+                  label="Subscribe to Timetable"
+                  className="btn btn-outline w-full"
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 space-y-6">
+          <Tabs
+            tabs={[
+              { id: 'schedule', label: 'Schedule' },
+              { id: 'batches', label: 'Batches' },
+              { id: 'courses', label: 'Courses' },
+              { id: 'history', label: 'History' }
+            ]}
+            activeTab={activeTab}
+            onChange={setActiveTab}
+          />
+
+          {activeTab === 'schedule' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Upcoming Sessions</h3>
+              </div>
+              <div className="card-body">
+                {instructor.upcomingSessions.length === 0 ? (
+                  <div className="text-center py-8">
+                    <Calendar className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+                    <p className="text-gray-500">No upcoming sessions</p>
+                  </div>
+                ) : (
+                  <div className="divide-y divide-gray-200">
+                    {instructor.upcomingSessions.map(session => (
+                      <div key={session.id} className="py-3 flex items-center justify-between">
+                        <div>
+                          <Link
+                            to={`/sessions/${session.id}`}
+                            className="text-sm font-medium text-gray-900 hover:text-primary-600"
+                          >
+                            {formatSessionTime(session)}
+                          </Link>
+                          <p className="text-sm text-gray-500">
+                            {[
+                              session.course.name,
+                              session.batch?.code,
+                              session.topic,
+                              session.room || session.batch?.venue
+                            ].filter(Boolean).join(' · ')}
+                          </p>
+                        </div>
+                        {session.instructor?.id === instructor.id && (
+                          <span className="badge badge-warning">Covering</span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'batches' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Batches</h3>
+              </div>
+              <div className="card-body">
+                {instructor.batches.length === 0 ? (
+                  <div className="text-center py-8">
+                    <Layers className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+                    <p className="text-gray-500">No batches assigned</p>
+                  </div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="table">
+                      <thead className="table-header">
+                        <tr>
+                          <th className="table-header-cell">Batch</th>
+                          <th className="table-header-cell">Dates</th>
+                          <th className="table-header-cell">Seats</th>
+                          <th className="table-header-cell">Status</th>
+                        </tr>
+                      </thead>
+                      <tbody className="table-body">
+                        {instructor.batches.map(batch => (
+                          <tr key={batch.id} className="table-row">
+                            <td className="table-cell">
+                              <Link
+                                to={`/batches/${batch.id}`}
+                                className="text-sm font-medium text-primary-600 hover:text-primary-900"
+                              >
+                                {batch.code}
+                              </Link>
+                              <div className="text-sm text-gray-500">{batch.course.name}</div>
+                            </td>
+                            <td className="table-cell text-sm text-gray-900">{formatBatchDates(batch)}</td>
+                            <td className="table-cell">
+                              <SeatBar seats={batch.seats} />
+                            </td>
+                            <td className="table-cell">
+                              <span className={`badge ${batchStatusConfig[batch.status].badge}`}>
+                                {batchStatusConfig[batch.status].label}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'courses' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Courses</h3>
+              </div>
+              <div className="card-body">
+                {instructor.courses.length === 0 ? (
+                  <div className="text-center py-8">
+                    <BookOpen className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+                    <p className="text-gray-500">No courses assigned</p>
+                  </div>
+                ) : (
+                  <div className="divide-y divide-gray-200">
+                    {instructor.courses.map(course => (
+                      <div key={course.id} className="py-3">
+                        <Link
+                          to={`/courses/${course.id}`}
+                          className="text-sm font-medium text-primary-600 hover:text-primary-900"
+                        >
+                          {course.name}
+                        </Link>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'history' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">History</h3>
+              </div>
+              <div className="card-body">
+                <AuditHistory params={{ entity: 'INSTRUCTOR', entityId: instructor.id }} />
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <InstructorForm
+          instructor={instructor}
+          onSubmit={handleUpdate}
+          onCancel={() => setShowForm(false)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default InstructorDetail
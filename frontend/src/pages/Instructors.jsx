@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { Plus, Search, Edit, Trash2, Eye, Presentation } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import InstructorForm, { formatRate } from '../components/InstructorForm'
+import ConfirmDialog from '../components/ConfirmDialog'
+import { useAuth } from '../context/AuthContext'
+
+function Instructors() {
+  const { hasRole } = useAuth()
+  const canManage = hasRole('ADMIN')
+  const [instructors, setInstructors] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [searchTerm, setSearchTerm] = useState('')
+  const [activeFilter, setActiveFilter] = useState('true')
+  const [showForm, setShowForm] = useState(false)
+  const [editingInstructor, setEditingInstructor] = useState(null)
+  const [deletingInstructor, setDeletingInstructor] = useState(null)
+
+  useEffect(() => {
+    fetchInstructors()
+  }, [searchTerm, activeFilter])
+
+  const fetchInstructors = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams({
+        ...(searchTerm && { search: searchTerm }),
+        ...(activeFilter && { active: activeFilter })
+      })
+      const response = await axios.get(`/api/instructors?${params}`)
+      setInstructors(response.data.instructors)
+    } catch (error) {
+      console.error('Error fetching instructors:', error)
+      toast.error('Failed to load instructors')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSave = async (instructorData) => {
+    try {
+      if (editingInstructor) {
+        await axios.put(`/api/instructors/${editingInstructor.id}`, instructorData)
+        toast.success('Instructor updated successfully')
+      } else {
+        await axios.post('/api/instructors', instructorData)
+        toast.success('Instructor created successfully')
+      }
+      setShowForm(false)
+      setEditingInstructor(null)
+      fetchInstructors()
+    } catch (error) {
+      console.error('Error saving instructor:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save instructor')
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!deletingInstructor) return
+
+    try {
+      await axios.delete(`/api/instructors/${deletingInstructor.id}`)
+      toast.success('Instructor deleted')
+      setDeletingInstructor(null)
+      fetchInstructors()
+    } catch (error) {
+      console.error('Error deleting instructor:', error)
+      toast.error(error.response?.data?.error || 'Failed to delete instructor')
+    }
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Instructors</h1>
+            <p className="mt-2 text-gray-600">
+              Who teaches which courses and batches, and at what rate
+            </p>
+          </div>
+          {canManage && (
+            <div className="mt-4 sm:mt-0">
+              <button className="btn btn-primary" onClick={() => setShowForm(true)}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Instructor
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="card mb-6">
+        <div className="card-body">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="relative md:col-span-2">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Search name, email or speciality..."
+                className="input pl-10"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+              />
+            </div>
+            <select className="input" value={activeFilter} onChange={(e) => setActiveFilter(e.target.value)}>
+              <option value="true">Active</option>
+              <option value="false">Inactive</option>
+              <option value="">All instructors</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Instructors Table */}
+      <div className="card">
+        <div className="card-body">
+          {loading ? (
+            <div className="animate-pulse">
+              {[...Array(5)].map((_, i) => (
+                <div key={i} className="h-16 bg-gray-200 rounded mb-3"></div>
+              ))}
+            </div>
+          ) : instructors.length === 0 ? (
+            <div className="text-center py-12">
+              <Presentation className="mx-auto h-12 w-12 text-gray-400" />
+              <p className="mt-4 text-gray-500">No instructors found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead className="table-header">
+                  <tr>
+                    <th className="table-header-cell">Instructor</th>
+                    <th className="table-header-cell">Specialities</th>
+                    <th className="table-header-cell">Courses</th>
+                    <th className="table-header-cell">Current Batches</th>
+                    <th className="table-header-cell">Headcount</th>
+                    <th className="table-header-cell">Rate</th>
+                    <th className="table-header-cell">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body">
+                  {instructors.map((instructor) => (
+                    <tr key={instructor.id} className="table-row">
+                      <td className="table-cell">
+                        <div className="text-sm font-medium text-gray-900">
+                          {instructor.name}
+                          {!instructor.isActive && <span className="badge badge-neutral ml-2">Inactive</span>}
+                        </div>
+                        <div className="text-sm text-gray-500">{instructor.email || instructor.phone || '—'}</div>
+                      </td>
+                      <td className="table-cell">
+                        <div className="flex flex-wrap gap-1">
+                          {instructor.specialities.length === 0 ? (
+                            <span className="text-sm text-gray-500">—</span>
+                          ) : instructor.specialities.map(speciality => (
+                            <span key={speciality} className="badge badge-info">{speciality}</span>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="table-cell text-sm text-gray-900">
+                        {instructor.courses.map(course => course.name).join(', ') || '—'}
+                      </td>
+                      <td className="table-cell text-sm text-gray-900">{instructor.currentBatches}</td>
+                      <td className="table-cell text-sm text-gray-900">{instructor.headcount}</td>
+                      <td className="table-cell text-sm text-gray-900">{formatRate(instructor)}</td>
+                      <td className="table-cell">
+                        <div className="flex items-center space-x-2">
+                          <Link
+                            to={`/instructors/${instructor.id}`}
+                            className="text-primary-600 hover:text-primary-900"
+                            title="View instructor"
+                          >
+                            <Eye className="h-4 w-4" />
+                          </Link>
+                          {canManage && (
+                            <>
+                              <button
+                                onClick={() => { setEditingInstructor(instructor); setShowForm(true) }}
+                                className="text-gray-600 hover:text-gray-900"
+                                title="Edit instructor"
+                              >
+                                <Edit className="h-4 w-4" />
+                              </button>
+                              <button
+                                onClick={() => setDeletingInstructor(instructor)}
+                                className="text-danger-600 hover:text-danger-900"
+                                title="Delete instructor"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <InstructorForm
+          instructor={editingInstructor}
+          onSubmit={handleSave}
+          onCancel={() => { setShowForm(false); setEditingInstructor(null) }}
+        />
+      )}
+
+      {deletingInstructor && (
+        <ConfirmDialog
+          title="Delete Instructor"
+          message={`Delete instructor "${deletingInstructor.name}"? This cannot be undone.`}
+          onConfirm={handleDelete}
+          onCancel={() => setDeletingInstructor(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default Instructors
@@ -0,0 +1,360 @@
+import { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { Plus, Search, Edit, Trash2, UserCheck, Calendar, X } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import LeadForm, { leadSourceLabels } from '../components/LeadForm'
+import ConfirmDialog from '../components/ConfirmDialog'
+import { useAuth } from '../context/AuthContext'
+
+const stages = [
+  { key: 'NEW', label: 'New', class: 'border-gray-300' },
+  { key: 'CONTACTED', label: 'Contacted', class: 'border-primary-300' },
+  { key: 'TRIAL', label: 'Trial', class: 'border-primary-500' },
+  { key: 'NEGOTIATING', label: 'Negotiating', class: 'border-warning-400' },
+  { key: 'WON', label: 'Won', class: 'border-success-500' },
+  { key: 'LOST', label: 'Lost', class: 'border-danger-400' }
+]
+
+const isOverdue = (lead) => {
+  if (!lead.nextFollowUpAt || ['WON', 'LOST'].includes(lead.stage)) return false
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  return new Date(lead.nextFollowUpAt) < today
+}
+
+// Pipeline board: drag a card to another column to change its stage.
+// Dropping on Won starts the convert-to-student flow instead.
+function Leads() {
+  const { hasRole } = useAuth()
+  const navigate = useNavigate()
+  const canEdit = hasRole('ADMIN', 'COUNSELLOR')
+  const [leads, setLeads] = useState([])
+  const [courses, setCourses] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [filters, setFilters] = useState({ search: '', courseId: '', mine: false })
+  const [showForm, setShowForm] = useState(false)
+  const [editingLead, setEditingLead] = useState(null)
+  const [deletingLead, setDeletingLead] = useState(null)
+  const [losingLead, setLosingLead] = useState(null)
+  const [lostReason, setLostReason] = useState('')
+  const [dragOver, setDragOver] = useState(null)
+
+  useEffect(() => {
+    axios.get('/api/courses?limit=200')
+      .then(r => setCourses(r.data.courses || []))
+      .catch(() => {})
+  }, [])
+
+  useEffect(() => {
+    fetchLeads()
+  }, [filters])
+
+  const fetchLeads = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams({
+        ...(filters.search && { search: filters.search }),
+        ...(filters.courseId && { courseId: filters.courseId }),
+        ...(filters.mine && { mine: 'true' })
+      })
+      const response = await axios.get(`/api/leads?${params}`)
+      setLeads(response.data.leads)
+    } catch (error) {
+      console.error('Error fetching leads:', error)
+      toast.error('Failed to load leads')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSaveLead = async (data) => {
+    try {
+      if (editingLead) {
+        await axios.put(`/api/leads/${editingLead.id}`, data)
+        toast.success('Lead updated successfully')
+      } else {
+        await axios.post('/api/leads', data)
+        toast.success('Lead added successfully')
+      }
+      setShowForm(false)
+      setEditingLead(null)
+      fetchLeads()
+    } catch (error) {
+      console.error('Error saving lead:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save lead')
+      throw error
+    }
+  }
+
+  const changeStage = async (lead, stage, reason) => {
+    const previous = leads
+    setLeads(prev => prev.map(l => (l.id === lead.id ? { ...l, stage } : l)))
+    try {
+      const response = await axios.patch(`/api/leads/${lead.id}/stage`, { stage, lostReason: reason })
+      setLeads(prev => prev.map(l => (l.id === lead.id ? response.data : l)))
+    } catch (error) {
+      console.error('Error changing lead stage:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to change stage')
+      setLeads(previous)
+    }
+  }
+
+  const convertLead = (lead) => {
+    navigate(`/students?lead=${lead.id}`)
+  }
+
+  const handleDrop = (e, stage) => {
+    e.preventDefault()
+    setDragOver(null)
+    const lead = leads.find(l => l.id === e.dataTransfer.getData('text/plain'))
+    if (!lead || lead.stage === stage) return
+
+    if (stage === 'WON') {
+      convertLead(lead)
+    } else if (stage === 'LOST') {
+      setLostReason('')
+      setLosingLead(lead)
+    } else {
+      changeStage(lead, stage)
+    }
+  }
+
+  const handleMarkLost = () => {
+    changeStage(losingLead, 'LOST', lostReason)
+    setLosingLead(null)
+  }
+
+  const handleDeleteLead = async () => {
+    try {
+      await axios.delete(`/api/leads/${deletingLead.id}`)
+      toast.success('Lead deleted successfully')
+      setDeletingLead(null)
+      fetchLeads()
+    } catch (error) {
+      console.error('Error deleting lead:', error)
+      toast.error(error.response?.data?.error || 'Failed to delete lead')
+    }
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8 flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Leads</h1>
+          <p className="mt-2 text-gray-600">
+            Prospective students from first contact to enrollment
+          </p>
+        </div>
+        {canEdit && (
+          <button
+            onClick={() => {
+              setEditingLead(null)
+              setShowForm(true)
+            }}
+            className="btn btn-primary"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Lead
+          </button>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="card mb-6">
+        <div className="card-body">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Search name, email or phone..."
+                className="input pl-10"
+                value={filters.search}
+                onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+              />
+            </div>
+            <select
+              className="input"
+              value={filters.courseId}
+              onChange={(e) => setFilters(prev => ({ ...prev, courseId: e.target.value }))}
+            >
+              <option value="">All courses</option>
+              {courses.map(course => (
+                <option key={course.id} value={course.id}>{course.name}</option>
+              ))}
+            </select>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={filters.mine}
+                onChange={(e) => setFilters(prev => ({ ...prev, mine: e.target.checked }))}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              <span className="ml-2 text-sm text-gray-700">Only my leads</span>
+            </label>
+          </div>
+        </div>
+      </div>
+
+      {/* Board */}
+      {loading && leads.length === 0 ? (
+        <div className="animate-pulse grid grid-cols-1 md:grid-cols-3 xl:grid-cols-6 gap-4">
+          {stages.map(stage => (
+            <div key={stage.key} className="h-64 bg-gray-200 rounded"></div>
+          ))}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 xl:grid-cols-6 gap-4">
+          {stages.map(stage => {
+            const stageLeads = leads.filter(lead => lead.stage === stage.key)
+            return (
+              <div
+                key={stage.key}
+                className={`rounded-lg bg-gray-100 border-t-4 ${stage.class} ${dragOver === stage.key ? 'ring-2 ring-primary-400' : ''}`}
+                onDragOver={(e) => {
+                  if (!canEdit) return
+                  e.preventDefault()
+                  setDragOver(stage.key)
+                }}
+                onDragLeave={() => setDragOver(null)}
+                onDrop={(e) => handleDrop(e, stage.key)}
+              >
+                <div className="flex items-center justify-between px-3 py-2">
+                  <h2 className="text-sm font-semibold text-gray-700">{stage.label}</h2>
+                  <span className="badge badge-neutral">{stageLeads.length}</span>
+                </div>
+                <div className="px-2 pb-2 space-y-2 min-h-[8rem]">
+                  {stageLeads.map(lead => (
+                    <div
+                      key={lead.id}
+                      draggable={canEdit && !lead.studentId}
+                      onDragStart={(e) => e.dataTransfer.setData('text/plain', lead.id)}
+                      className={`bg-white rounded-md shadow-sm p-3 ${canEdit && !lead.studentId ? 'cursor-move' : ''}`}
+                    >
+                      <div className="flex items-start justify-between">
+                        <p className="text-sm font-medium text-gray-900">{lead.name}</p>
+                        {canEdit && !lead.studentId && (
+                          <div className="flex space-x-1">
+                            <button
+                              onClick={() => {
+                                setEditingLead(lead)
+                                setShowForm(true)
+                              }}
+                              className="text-gray-400 hover:text-primary-600"
+                              title="Edit"
+                            >
+                              <Edit className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => setDeletingLead(lead)}
+                              className="text-gray-400 hover:text-danger-600"
+                              title="Delete"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                      <p className="text-xs text-gray-500 truncate">{lead.email || lead.phone}</p>
+                      {lead.course && (
+                        <p className="mt-1 text-xs text-gray-700">{lead.course.name}</p>
+                      )}
+                      <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
+                        <span>{lead.owner?.name || 'Unassigned'}</span>
+                        <span>{leadSourceLabels[lead.source]}</span>
+                      </div>
+                      {lead.nextFollowUpAt && !lead.studentId && (
+                        <p className={`mt-1 flex items-center text-xs ${isOverdue(lead) ? 'text-danger-600 font-medium' : 'text-gray-500'}`}>
+                          <Calendar className="h-3 w-3 mr-1" />
+                          Follow up {new Date(lead.nextFollowUpAt).toLocaleDateString()}
+                        </p>
+                      )}
+                      {lead.stage === 'LOST' && lead.lostReason && (
+                        <p className="mt-1 text-xs text-danger-600">{lead.lostReason}</p>
+                      )}
+                      {lead.student ? (
+                        <Link
+                          to={`/students/${lead.student.id}`}
+                          className="mt-2 inline-block text-xs font-medium text-primary-600 hover:text-primary-900"
+                        >
+                          View student
+                        </Link>
+                      ) : canEdit && lead.stage !== 'LOST' && (
+                        <button
+                          onClick={() => convertLead(lead)}
+                          className="mt-2 flex items-center text-xs font-medium text-success-600 hover:text-success-800"
+                        >
+                          <UserCheck className="h-3 w-3 mr-1" />
+                          Convert to student
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {showForm && (
+        <LeadForm
+          lead={editingLead}
+          onSubmit={handleSaveLead}
+          onCancel={() => {
+            setShowForm(false)
+            setEditingLead(null)
+          }}
+        />
+      )}
+
+      {/* Lost Reason Dialog */}
+      {losingLead && (
+        <div className="modal-overlay" onClick={() => setLosingLead(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">Mark {losingLead.name} as lost</h2>
+              <button onClick={() => setLosingLead(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+            <div className="p-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Reason</label>
+                <textarea
+                  className="input mt-1"
+                  rows={3}
+                  placeholder="e.g. Chose another school, price too high"
+                  value={lostReason}
+                  onChange={(e) => setLostReason(e.target.value)}
+                />
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button onClick={() => setLosingLead(null)} className="btn btn-outline">
+                  Cancel
+                </button>
+                <button onClick={handleMarkLost} className="btn btn-danger">
+                  Mark Lost
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {deletingLead && (
+        <ConfirmDialog
+          title="Delete Lead"
+          message={`Delete ${deletingLead.name}? This cannot be undone.`}
+          confirmText="Delete"
+          onConfirm={handleDeleteLead}
+          onCancel={() => setDeletingLead(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default Leads
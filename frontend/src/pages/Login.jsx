@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { Navigate, useLocation, useNavigate } from 'react-router-dom'
+import { LogIn } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { useAuth } from '../context/AuthContext'
+
+function Login() {
+  const { user, login } = useAuth()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [loading, setLoading] = useState(false)
+  const { register, handleSubmit, formState: { errors } } = useForm()
+
+  const redirectTo = location.state?.from?.pathname || '/'
+
+  if (user) {
+    return <Navigate to={redirectTo} replace />
+  }
+
+  const onSubmit = async (data) => {
+    setLoading(true)
+    try {
+      await login(data.email, data.password)
+      navigate(redirectTo, { replace: true })
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to log in')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <div className="w-full max-w-sm">
+        <div className="text-center mb-8">
+          <h1 className="text-2xl font-bold text-gray-900">VA CRM</h1>
+          <p className="mt-2 text-gray-600">Sign in to your account</p>
+        </div>
+
+        <div className="card">
+          <form onSubmit={handleSubmit(onSubmit)} className="card-body space-y-4">
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email Address
+              </label>
+              <input
+                type="email"
+                id="email"
+                autoComplete="email"
+                {...register('email', { required: 'Email is required' })}
+                className={`input mt-1 ${errors.email ? 'input-error' : ''}`}
+              />
+              {errors.email && (
+                <p className="mt-1 text-sm text-danger-600">{errors.email.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                autoComplete="current-password"
+                {...register('password', { required: 'Password is required' })}
+                className={`input mt-1 ${errors.password ? 'input-error' : ''}`}
+              />
+              {errors.password && (
+                <p className="mt-1 text-sm text-danger-600">{errors.password.message}</p>
+              )}
+            </div>
+
+            <button type="submit" className="btn btn-primary w-full" disabled={loading}>
+              <LogIn className="h-4 w-4 mr-2" />
+              {loading ? 'Signing in...' : 'Sign In'}
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Login
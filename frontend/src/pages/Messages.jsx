@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { MessageSquare } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { messageStatusConfig, channelLabels, channelLabel } from '../components/StudentMessages'
+
+// Log of every email, SMS and WhatsApp message sent or queued
+function Messages() {
+  const [messages, setMessages] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [filters, setFilters] = useState({ channel: '', status: '' })
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, pages: 0 })
+
+  useEffect(() => {
+    fetchMessages()
+  }, [filters, pagination.page])
+
+  const fetchMessages = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams({
+        page: pagination.page,
+        limit: pagination.limit,
+        ...(filters.channel && { channel: filters.channel }),
+        ...(filters.status && { status: filters.status })
+      })
+      const response = await axios.get(`/api/messages?${params}`)
+      setMessages(response.data.messages)
+      setPagination(response.data.pagination)
+    } catch (error) {
+      console.error('Error fetching messages:', error)
+      toast.error('Failed to load messages')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }))
+    setPagination(prev => ({ ...prev, page: 1 }))
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900">Messages</h1>
+        <p className="mt-2 text-gray-600">
+          Emails, SMS and WhatsApp messages sent to students
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="card mb-6">
+        <div className="card-body">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <select
+              className="input"
+              value={filters.channel}
+              onChange={(e) => handleFilterChange('channel', e.target.value)}
+            >
+              <option value="">All channels</option>
+              {Object.entries(channelLabels).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              className="input"
+              value={filters.status}
+              onChange={(e) => handleFilterChange('status', e.target.value)}
+            >
+              <option value="">All statuses</option>
+              {Object.entries(messageStatusConfig).map(([value, config]) => (
+                <option key={value} value={value}>{config.text}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* Messages Table */}
+      <div className="card">
+        <div className="card-body">
+          {loading ? (
+            <div className="animate-pulse">
+              {[...Array(5)].map((_, i) => (
+                <div key={i} className="h-16 bg-gray-200 rounded mb-3"></div>
+              ))}
+            </div>
+          ) : messages.length === 0 ? (
+            <div className="text-center py-12">
+              <MessageSquare className="mx-auto h-12 w-12 text-gray-400" />
+              <p className="mt-4 text-gray-500">No messages found</p>
+            </div>
+          ) : (
+            <>
+              <div className="overflow-x-auto">
+                <table className="table">
+                  <thead className="table-header">
+                    <tr>
+                      <th className="table-header-cell">Date</th>
+                      <th className="table-header-cell">Student</th>
+                      <th className="table-header-cell">Channel</th>
+                      <th className="table-header-cell">Message</th>
+                      <th className="table-header-cell">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="table-body">
+                    {messages.map((message) => {
+                      const config = messageStatusConfig[message.status]
+                      return (
+                        <tr key={message.id} className="table-row">
+                          <td className="table-cell">
+                            <span className="text-sm text-gray-900">
+                              {new Date(message.sentAt || message.createdAt).toLocaleString()}
+                            </span>
+                          </td>
+                          <td className="table-cell">
+                            {message.student ? (
+                              <Link to={`/students/${message.student.id}`} className="text-sm font-medium text-primary-600 hover:text-primary-900">
+                                {message.student.name}
+                              </Link>
+                            ) : (
+                              <span className="text-sm text-gray-500">—</span>
+                            )}
+                            <div className="text-xs text-gray-500">{message.to}</div>
+                          </td>
+                          <td className="table-cell">
+                            <span className="text-sm text-gray-900">{channelLabel(message)}</span>
+                          </td>
+                          <td className="table-cell">
+                            <div className="text-sm text-gray-900 max-w-md truncate">
+                              {message.subject || message.body}
+                            </div>
+                            {message.lastError && message.status !== 'SENT' && (
+                              <div className="text-xs text-danger-600 max-w-md truncate">{message.lastError}</div>
+                            )}
+                          </td>
+                          <td className="table-cell">
+                            <span className={`badge ${config.class}`}>{config.text}</span>
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              {/* Pagination */}
+              {pagination.pages > 1 && (
+                <div className="mt-6 flex items-center justify-between">
+                  <div className="text-sm text-gray-700">
+                    Page {pagination.page} of {pagination.pages} · {pagination.total} messages
+                  </div>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                      disabled={pagination.page === 1}
+                      className="btn btn-outline btn-sm disabled:opacity-50"
+                    >
+                      Previous
+                    </button>
+                    <button
+                      onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                      disabled={pagination.page === pagination.pages}
+                      className="btn btn-outline btn-sm disabled:opacity-50"
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default Messages
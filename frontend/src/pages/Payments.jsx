@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { Fragment, useState, useEffect } from 'react'
 import { 
   Plus, 
   Search,
@@ -6,12 +6,19 @@ import {
   DollarSign,
   TrendingUp,
   Users,
-  Calendar
+  Calendar,
+  Download,
+  RotateCcw,
+  Ticket
 } from 'lucide-react'
 import axios from 'axios'
 import toast from 'react-hot-toast'
+import { useAuth } from '../context/AuthContext'
 import PaymentForm from '../components/PaymentForm'
+import RefundForm from '../components/RefundForm'
+import ApplyCreditNoteForm from '../components/ApplyCreditNoteForm'
 import SearchBar from '../components/SearchBar'
+import { downloadReceipt } from '../lib/download'
 
 function Payments() {
   const [payments, setPayments] = useState([])
@@ -21,6 +28,10 @@ function Payments() {
   const [editingPayment, setEditingPayment] = useState(null)
   const [searchQuery, setSearchQuery] = useState('')
   const [paymentMethodFilter, setPaymentMethodFilter] = useState('all')
+  const [refundingPayment, setRefundingPayment] = useState(null)
+  const [applyingCreditNote, setApplyingCreditNote] = useState(null)
+  const { hasRole } = useAuth()
+  const canRefund = hasRole('ADMIN', 'FINANCE')
 
   useEffect(() => {
     fetchPayments()
@@ -91,7 +102,8 @@ function Payments() {
       CREDIT_CARD: { icon: CreditCard, class: 'text-warning-500' },
       DEBIT_CARD: { icon: CreditCard, class: 'text-info-500' },
       ONLINE_PAYMENT: { icon: TrendingUp, class: 'text-primary-500' },
-      CHECK: { icon: DollarSign, class: 'text-gray-500' }
+      CHECK: { icon: DollarSign, class: 'text-gray-500' },
+      CREDIT_NOTE: { icon: Ticket, class: 'text-info-500' }
     }
     
     const config = methodConfig[method] || methodConfig.CASH
@@ -99,10 +111,26 @@ function Payments() {
     return <Icon className={`h-4 w-4 ${config.class}`} />
   }
 
+  const handleDownloadReceipt = async (payment) => {
+    try {
+      await downloadReceipt(payment)
+    } catch (error) {
+      console.error('Error downloading receipt:', error)
+      toast.error('Failed to download receipt')
+    }
+  }
+
   const getPaymentMethodText = (method) => {
     return method.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase())
   }
 
+  // Money received (credit note applications aren't new money) minus refunds
+  const totalRefunded = payments.reduce((sum, p) =>
+    sum + (p.refunds || []).reduce((total, refund) => total + parseFloat(refund.amount), 0), 0)
+  const totalRevenue = payments
+    .filter(p => p.method !== 'CREDIT_NOTE')
+    .reduce((sum, p) => sum + parseFloat(p.amount), 0) - totalRefunded
+
   return (
     <div>
       {/* Header */}
@@ -152,6 +180,7 @@ function Payments() {
                 <option value="DEBIT_CARD">Debit Card</option>
                 <option value="ONLINE_PAYMENT">Online Payment</option>
                 <option value="CHECK">Check</option>
+                <option value="CREDIT_NOTE">Credit Note</option>
               </select>
             </div>
           </div>
@@ -164,9 +193,12 @@ function Payments() {
           <div className="card-body text-center">
             <DollarSign className="mx-auto h-8 w-8 text-success-500 mb-2" />
             <div className="text-2xl font-bold text-gray-900">
-              ${payments.reduce((sum, p) => sum + parseFloat(p.amount), 0).toFixed(2)}
+              ${totalRevenue.toFixed(2)}
             </div>
             <div className="text-sm text-gray-500">Total Revenue</div>
+            {totalRefunded > 0 && (
+              <div className="text-xs text-danger-600 mt-1">after ${totalRefunded.toFixed(2)} refunded</div>
+            )}
           </div>
         </div>
         
@@ -243,7 +275,8 @@ function Payments() {
                 </thead>
                 <tbody className="table-body">
                   {filteredPayments.slice(0, 10).map((payment) => (
-                    <tr key={payment.id} className="table-row">
+                    <Fragment key={payment.id}>
+                    <tr className="table-row">
                       <td className="table-cell">
                         <div className="flex items-center">
                           <div className="h-8 w-8 rounded-full bg-primary-100 flex items-center justify-center">
@@ -270,6 +303,12 @@ function Payments() {
                         <span className="text-sm font-medium text-success-600">
                           ${parseFloat(payment.amount).toFixed(2)}
                         </span>
+                        {payment.receiptNumber && (
+                          <div className="text-xs text-gray-500">{payment.receiptNumber}</div>
+                        )}
+                        {payment.netAmount < parseFloat(payment.amount) && (
+                          <div className="text-xs text-danger-600">Net ${payment.netAmount.toFixed(2)}</div>
+                        )}
                       </td>
                       <td className="table-cell">
                         <div className="flex items-center space-x-2">
@@ -291,15 +330,96 @@ function Payments() {
                       </td>
                       <td className="table-cell">
                         <div className="flex items-center space-x-2">
+                          {payment.method !== 'CREDIT_NOTE' && (
+                            <button
+                              className="btn btn-outline btn-sm"
+                              onClick={() => { setEditingPayment(payment); setShowForm(true) }}
+                            >
+                              Edit
+                            </button>
+                          )}
                           <button
                             className="btn btn-outline btn-sm"
-                            onClick={() => { setEditingPayment(payment); setShowForm(true) }}
+                            onClick={() => handleDownloadReceipt(payment)}
+                            title="Download receipt"
                           >
-                            Edit
+                            <Download className="h-4 w-4 mr-1" />
+                            Receipt
                           </button>
+                          {canRefund && payment.netAmount > 0 && (
+                            <button
+                              className="btn btn-outline btn-sm"
+                              onClick={() => setRefundingPayment(payment)}
+                              title="Refund or issue credit note"
+                            >
+                              <RotateCcw className="h-4 w-4 mr-1" />
+                              Refund
+                            </button>
+                          )}
                         </div>
                       </td>
                     </tr>
+                    {payment.refunds?.map((refund) => (
+                      <tr key={refund.id} className="table-row bg-danger-50">
+                        <td className="table-cell">
+                          <span className="badge badge-danger">Refund</span>
+                        </td>
+                        <td className="table-cell">
+                          <div className="text-sm text-gray-500">{refund.refundNumber}</div>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm font-medium text-danger-600">
+                            −${parseFloat(refund.amount).toFixed(2)}
+                          </span>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm text-gray-900">{getPaymentMethodText(refund.method)}</span>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm text-gray-900">{new Date(refund.date).toLocaleDateString()}</span>
+                        </td>
+                        <td className="table-cell" colSpan={2}>
+                          <span className="text-sm text-gray-500">{refund.reason}</span>
+                        </td>
+                      </tr>
+                    ))}
+                    {payment.creditNotes?.map((creditNote) => (
+                      <tr key={creditNote.id} className="table-row bg-gray-50">
+                        <td className="table-cell">
+                          <span className="badge badge-info">Credit Note</span>
+                        </td>
+                        <td className="table-cell">
+                          <div className="text-sm text-gray-500">{creditNote.number}</div>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm font-medium text-danger-600">
+                            −${parseFloat(creditNote.amount).toFixed(2)}
+                          </span>
+                        </td>
+                        <td className="table-cell">
+                          <span className={`badge ${creditNote.status === 'OPEN' ? 'badge-warning' : 'badge-success'}`}>
+                            {creditNote.status === 'OPEN' ? 'Open' : 'Applied'}
+                          </span>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm text-gray-900">{new Date(creditNote.date).toLocaleDateString()}</span>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm text-gray-500">{creditNote.reason}</span>
+                        </td>
+                        <td className="table-cell">
+                          {canRefund && creditNote.status === 'OPEN' && (
+                            <button
+                              className="btn btn-outline btn-sm"
+                              onClick={() => setApplyingCreditNote(creditNote)}
+                            >
+                              Apply
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                    </Fragment>
                   ))}
                 </tbody>
               </table>
@@ -324,6 +444,22 @@ function Payments() {
         />
       )}
 
+      {refundingPayment && (
+        <RefundForm
+          payment={refundingPayment}
+          onSubmitSuccess={() => { setRefundingPayment(null); fetchPayments() }}
+          onCancel={() => setRefundingPayment(null)}
+        />
+      )}
+
+      {applyingCreditNote && (
+        <ApplyCreditNoteForm
+          creditNote={applyingCreditNote}
+          onSubmitSuccess={() => { setApplyingCreditNote(null); fetchPayments() }}
+          onCancel={() => setApplyingCreditNote(null)}
+        />
+      )}
+
       {/* Coming Soon Notice */}
       {/*
       <div className="mt-8 card">
@@ -0,0 +1,194 @@
+import { useState, useEffect, Fragment } from 'react'
+import { Link } from 'react-router-dom'
+import { Download, Wallet } from 'lucide-react'
+import { format, startOfMonth, endOfMonth } from 'date-fns'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { downloadFile } from '../lib/download'
+import { rateTypeConfig } from '../components/InstructorForm'
+
+const formatMoney = (amount) => `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+function Payouts() {
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [instructors, setInstructors] = useState([])
+  const [instructorId, setInstructorId] = useState('')
+  const [from, setFrom] = useState(format(startOfMonth(new Date()), 'yyyy-MM-dd'))
+  const [to, setTo] = useState(format(endOfMonth(new Date()), 'yyyy-MM-dd'))
+
+  useEffect(() => {
+    axios.get('/api/instructors')
+      .then(res => setInstructors(res.data.instructors || []))
+      .catch(() => setInstructors([]))
+  }, [])
+
+  useEffect(() => {
+    if (from && to) fetchReport()
+  }, [from, to, instructorId])
+
+  const queryString = () => new URLSearchParams({
+    from,
+    to,
+    ...(instructorId && { instructorId })
+  }).toString()
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get(`/api/reports/payouts?${queryString()}`)
+      setReport(response.data)
+    } catch (error) {
+      console.error('Error fetching payout report:', error)
+      toast.error(error.response?.data?.error || 'Failed to load payouts')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleExport = async () => {
+    try {
+      await downloadFile(`/api/reports/payouts.csv?${queryString()}`, 'instructor-payouts.csv')
+    } catch (error) {
+      console.error('Error exporting payout report:', error)
+      toast.error('Failed to export payouts')
+    }
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Instructor Payouts</h1>
+            <p className="mt-2 text-gray-600">
+              What each instructor is owed for the sessions they delivered
+            </p>
+          </div>
+          <div className="mt-4 sm:mt-0">
+            <button className="btn btn-outline" onClick={handleExport} disabled={loading}>
+              <Download className="h-4 w-4 mr-2" />
+              Export CSV
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="card mb-6">
+        <div className="card-body">
+          <div className="flex flex-col md:flex-row gap-4">
+            <select value={instructorId} onChange={(e) => setInstructorId(e.target.value)} className="input md:w-64">
+              <option value="">All Instructors</option>
+              {instructors.map(instructor => (
+                <option key={instructor.id} value={instructor.id}>{instructor.name}</option>
+              ))}
+            </select>
+            <div className="flex items-center gap-2">
+              <label className="text-sm text-gray-600 whitespace-nowrap">From</label>
+              <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="input" />
+            </div>
+            <div className="flex items-center gap-2">
+              <label className="text-sm text-gray-600 whitespace-nowrap">To</label>
+              <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="input" />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {loading || !report ? (
+        <div className="card">
+          <div className="card-body animate-pulse">
+            {[...Array(5)].map((_, i) => (
+              <div key={i} className="h-12 bg-gray-200 rounded mb-3"></div>
+            ))}
+          </div>
+        </div>
+      ) : report.rows.length === 0 ? (
+        <div className="card">
+          <div className="card-body text-center py-12">
+            <Wallet className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-4 text-gray-500">No sessions delivered in this period</p>
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div className="card">
+              <div className="card-body">
+                <div className="text-sm font-medium text-gray-500">Sessions Delivered</div>
+                <div className="text-lg font-medium text-gray-900">{report.totals.sessions}</div>
+              </div>
+            </div>
+            <div className="card">
+              <div className="card-body">
+                <div className="text-sm font-medium text-gray-500">Hours</div>
+                <div className="text-lg font-medium text-gray-900">{report.totals.hours.toFixed(2)}</div>
+              </div>
+            </div>
+            <div className="card">
+              <div className="card-body">
+                <div className="text-sm font-medium text-gray-500">Total Payout</div>
+                <div className="text-lg font-medium text-gray-900">{formatMoney(report.totals.amount)}</div>
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="card-body overflow-x-auto">
+              <table className="table">
+                <thead className="table-header">
+                  <tr>
+                    <th className="table-header-cell">Instructor / Batch</th>
+                    <th className="table-header-cell">Rate</th>
+                    <th className="table-header-cell text-right">Sessions</th>
+                    <th className="table-header-cell text-right">Hours</th>
+                    <th className="table-header-cell text-right">Amount</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body">
+                  {report.rows.map(row => (
+                    <Fragment key={row.instructor.id}>
+                      <tr className="table-row bg-gray-50">
+                        <td className="table-cell">
+                          <Link
+                            to={`/instructors/${row.instructor.id}`}
+                            className="text-sm font-medium text-primary-600 hover:text-primary-900"
+                          >
+                            {row.instructor.name}
+                          </Link>
+                        </td>
+                        <td className="table-cell text-sm text-gray-900">
+                          {formatMoney(row.instructor.rate)} {rateTypeConfig[row.instructor.rateType].suffix}
+                        </td>
+                        <td className="table-cell text-sm text-gray-900 text-right">{row.sessions}</td>
+                        <td className="table-cell text-sm text-gray-900 text-right">{row.hours.toFixed(2)}</td>
+                        <td className="table-cell text-sm font-medium text-gray-900 text-right">{formatMoney(row.amount)}</td>
+                      </tr>
+                      {row.lines.map(line => (
+                        <tr key={`${row.instructor.id}-${line.batch?.id || line.course.id}`} className="table-row">
+                          <td className="table-cell pl-10 text-sm text-gray-600">
+                            {line.course.name} · {line.batch?.code || 'No batch'}
+                          </td>
+                          <td className="table-cell text-sm text-gray-500">
+                            {line.batch && row.instructor.rateType === 'PER_BATCH' ? `${line.sessions} of ${line.batchSessions} sessions` : ''}
+                          </td>
+                          <td className="table-cell text-sm text-gray-600 text-right">{line.sessions}</td>
+                          <td className="table-cell text-sm text-gray-600 text-right">{line.hours.toFixed(2)}</td>
+                          <td className="table-cell text-sm text-gray-600 text-right">{formatMoney(line.amount)}</td>
+                        </tr>
+                      ))}
+                    </Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default Payouts
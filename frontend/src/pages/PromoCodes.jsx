@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react'
+import { Plus, Edit, Trash2, Tag } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import PromoCodeForm from '../components/PromoCodeForm'
+import ConfirmDialog from '../components/ConfirmDialog'
+
+function PromoCodes() {
+  const [promoCodes, setPromoCodes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingPromoCode, setEditingPromoCode] = useState(null)
+  const [deletingPromoCode, setDeletingPromoCode] = useState(null)
+
+  useEffect(() => {
+    fetchPromoCodes()
+  }, [])
+
+  const fetchPromoCodes = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get('/api/promo-codes')
+      setPromoCodes(response.data.promoCodes)
+    } catch (error) {
+      console.error('Error fetching promo codes:', error)
+      toast.error('Failed to load promo codes')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSave = async (promoCodeData) => {
+    try {
+      if (editingPromoCode) {
+        await axios.put(`/api/promo-codes/${editingPromoCode.id}`, promoCodeData)
+        toast.success('Promo code updated successfully')
+      } else {
+        await axios.post('/api/promo-codes', promoCodeData)
+        toast.success('Promo code created successfully')
+      }
+      setShowForm(false)
+      setEditingPromoCode(null)
+      fetchPromoCodes()
+    } catch (error) {
+      console.error('Error saving promo code:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save promo code')
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!deletingPromoCode) return
+
+    try {
+      await axios.delete(`/api/promo-codes/${deletingPromoCode.id}`)
+      toast.success('Promo code deleted')
+      setDeletingPromoCode(null)
+      fetchPromoCodes()
+    } catch (error) {
+      console.error('Error deleting promo code:', error)
+      toast.error(error.response?.data?.error || 'Failed to delete promo code')
+    }
+  }
+
+  const formatDiscount = (promo) =>
+    promo.basis === 'PERCENT' ? `${parseFloat(promo.value)}%` : `$${parseFloat(promo.value).toFixed(2)}`
+
+  const formatWindow = (promo) => {
+    if (!promo.validFrom && !promo.validUntil) return 'Always'
+    const from = promo.validFrom ? new Date(promo.validFrom).toLocaleDateString() : '…'
+    const until = promo.validUntil ? new Date(promo.validUntil).toLocaleDateString() : '…'
+    return `${from} – ${until}`
+  }
+
+  const getStatusBadge = (promo) => {
+    if (!promo.isActive) return <span className="badge badge-danger">Inactive</span>
+    if (promo.validUntil && new Date(promo.validUntil) < new Date()) return <span className="badge badge-warning">Expired</span>
+    if (promo.maxRedemptions && promo.redemptions >= promo.maxRedemptions) return <span className="badge badge-warning">Used up</span>
+    return <span className="badge badge-success">Active</span>
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Promo Codes</h1>
+            <p className="mt-2 text-gray-600">
+              Campaign and referral codes that discount enrollments
+            </p>
+          </div>
+          <div className="mt-4 sm:mt-0">
+            <button className="btn btn-primary" onClick={() => setShowForm(true)}>
+              <Plus className="h-4 w-4 mr-2" />
+              Add Promo Code
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Promo Codes Table */}
+      <div className="card">
+        <div className="card-body">
+          {loading ? (
+            <div className="animate-pulse">
+              {[...Array(5)].map((_, i) => (
+                <div key={i} className="h-16 bg-gray-200 rounded mb-3"></div>
+              ))}
+            </div>
+          ) : promoCodes.length === 0 ? (
+            <div className="text-center py-12">
+              <Tag className="mx-auto h-12 w-12 text-gray-400" />
+              <p className="mt-4 text-gray-500">No promo codes yet</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead className="table-header">
+                  <tr>
+                    <th className="table-header-cell">Code</th>
+                    <th className="table-header-cell">Discount</th>
+                    <th className="table-header-cell">Valid</th>
+                    <th className="table-header-cell">Courses</th>
+                    <th className="table-header-cell">Redemptions</th>
+                    <th className="table-header-cell">Status</th>
+                    <th className="table-header-cell">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body">
+                  {promoCodes.map((promo) => (
+                    <tr key={promo.id} className="table-row">
+                      <td className="table-cell">
+                        <div className="text-sm font-medium text-gray-900">{promo.code}</div>
+                        {promo.description && (
+                          <div className="text-sm text-gray-500">{promo.description}</div>
+                        )}
+                      </td>
+                      <td className="table-cell">
+                        <div className="text-sm text-gray-900">{formatDiscount(promo)}</div>
+                        <div className="text-xs text-gray-500">{promo.stackable ? 'Stackable' : 'Exclusive'}</div>
+                      </td>
+                      <td className="table-cell">
+                        <span className="text-sm text-gray-900">{formatWindow(promo)}</span>
+                      </td>
+                      <td className="table-cell">
+                        <span className="text-sm text-gray-900">
+                          {promo.courses.length === 0 ? 'All courses' : promo.courses.map(course => course.name).join(', ')}
+                        </span>
+                      </td>
+                      <td className="table-cell">
+                        <div className="text-sm text-gray-900">
+                          {promo.redemptions}{promo.maxRedemptions ? ` / ${promo.maxRedemptions}` : ''}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          ${promo.totalDiscount.toFixed(2)} discounted
+                          {promo.maxPerStudent && ` · max ${promo.maxPerStudent} per student`}
+                        </div>
+                      </td>
+                      <td className="table-cell">{getStatusBadge(promo)}</td>
+                      <td className="table-cell">
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => { setEditingPromoCode(promo); setShowForm(true) }}
+                            className="text-gray-600 hover:text-gray-900"
+                            title="Edit promo code"
+                          >
+                            <Edit className="h-4 w-4" />
+                          </button>
+                          {promo.redemptions === 0 && (
+                            <button
+                              onClick={() => setDeletingPromoCode(promo)}
+                              className="text-danger-600 hover:text-danger-900"
+                              title="Delete promo code"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <PromoCodeForm
+          promoCode={editingPromoCode}
+          onSubmit={handleSave}
+          onCancel={() => { setShowForm(false); setEditingPromoCode(null) }}
+        />
+      )}
+
+      {deletingPromoCode && (
+        <ConfirmDialog
+          title="Delete Promo Code"
+          message={`Delete promo code "${deletingPromoCode.code}"? This cannot be undone.`}
+          onConfirm={handleDelete}
+          onCancel={() => setDeletingPromoCode(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default PromoCodes
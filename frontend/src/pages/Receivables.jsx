@@ -0,0 +1,311 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { Download, Hourglass, X } from 'lucide-react'
+import { format } from 'date-fns'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { downloadFile } from '../lib/download'
+
+const bucketStyles = {
+  current: 'text-gray-900',
+  days1to30: 'text-warning-600',
+  days31to60: 'text-warning-700',
+  days61to90: 'text-danger-600',
+  days90plus: 'text-danger-700'
+}
+
+const formatMoney = (amount) => `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+function Receivables() {
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [courses, setCourses] = useState([])
+  const [courseId, setCourseId] = useState('')
+  const [asOf, setAsOf] = useState(new Date().toISOString().slice(0, 10))
+  // Drill-down: { bucket, courseId, batch } — any of them may be unset
+  const [selection, setSelection] = useState({})
+
+  useEffect(() => {
+    axios.get('/api/courses?limit=200')
+      .then(res => setCourses(res.data.courses || []))
+      .catch(() => setCourses([]))
+  }, [])
+
+  useEffect(() => {
+    fetchReport()
+    setSelection({})
+  }, [courseId, asOf])
+
+  const queryString = () => new URLSearchParams({
+    ...(courseId && { courseId }),
+    ...(asOf && { asOf })
+  }).toString()
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get(`/api/reports/aging?${queryString()}`)
+      setReport(response.data)
+    } catch (error) {
+      console.error('Error fetching aging report:', error)
+      toast.error(error.response?.data?.error || 'Failed to load receivables')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleExport = async () => {
+    try {
+      const params = new URLSearchParams({
+        ...(selection.courseId || courseId ? { courseId: selection.courseId || courseId } : {}),
+        ...(selection.batch && { batch: selection.batch }),
+        ...(selection.bucket && { bucket: selection.bucket }),
+        ...(asOf && { asOf })
+      })
+      await downloadFile(`/api/reports/aging.csv?${params}`, 'receivables-aging.csv')
+    } catch (error) {
+      console.error('Error exporting aging report:', error)
+      toast.error('Failed to export receivables')
+    }
+  }
+
+  const selectCell = (bucket, group) => {
+    setSelection({
+      bucket,
+      courseId: group?.course.id,
+      batch: group ? group.batch : undefined
+    })
+  }
+
+  const isSelected = (bucket, group) =>
+    selection.bucket === bucket &&
+    selection.courseId === group?.course.id &&
+    (group ? selection.batch === group.batch : selection.batch === undefined)
+
+  const visibleRows = (report?.rows || []).filter(row =>
+    (!selection.bucket || row.buckets[selection.bucket] > 0) &&
+    (!selection.courseId || row.course.id === selection.courseId) &&
+    (selection.batch === undefined || row.batch === selection.batch)
+  )
+
+  const selectionLabel = () => {
+    const parts = []
+    if (selection.courseId) {
+      const group = report.byCourse.find(item => item.course.id === selection.courseId)
+      parts.push(group?.course.name)
+      parts.push(selection.batch || 'No batch')
+    }
+    if (selection.bucket) {
+      parts.push(report.buckets.find(bucket => bucket.key === selection.bucket)?.label)
+    }
+    return parts.join(' · ')
+  }
+
+  const hasSelection = selection.bucket || selection.courseId
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Receivables</h1>
+            <p className="mt-2 text-gray-600">
+              Outstanding balances by how long they have been due
+            </p>
+          </div>
+          <div className="mt-4 sm:mt-0">
+            <button className="btn btn-outline" onClick={handleExport} disabled={loading}>
+              <Download className="h-4 w-4 mr-2" />
+              Export CSV
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="card mb-6">
+        <div className="card-body">
+          <div className="flex flex-col md:flex-row gap-4">
+            <select value={courseId} onChange={(e) => setCourseId(e.target.value)} className="input md:w-64">
+              <option value="">All Courses</option>
+              {courses.map(course => (
+                <option key={course.id} value={course.id}>{course.name}</option>
+              ))}
+            </select>
+            <div className="flex items-center gap-2">
+              <label className="text-sm text-gray-600 whitespace-nowrap">As of</label>
+              <input type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} className="input" />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {loading || !report ? (
+        <div className="card">
+          <div className="card-body animate-pulse">
+            {[...Array(5)].map((_, i) => (
+              <div key={i} className="h-12 bg-gray-200 rounded mb-3"></div>
+            ))}
+          </div>
+        </div>
+      ) : report.rows.length === 0 ? (
+        <div className="card">
+          <div className="card-body text-center py-12">
+            <Hourglass className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-4 text-gray-500">Nothing outstanding</p>
+          </div>
+        </div>
+      ) : (
+        <>
+          {/* Bucket totals */}
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
+            {report.buckets.map(bucket => (
+              <button
+                key={bucket.key}
+                onClick={() => selectCell(bucket.key)}
+                className={`card text-left hover:shadow-md transition-shadow ${isSelected(bucket.key) ? 'ring-2 ring-primary-500' : ''}`}
+              >
+                <div className="card-body">
+                  <div className="text-sm font-medium text-gray-500">{bucket.label}</div>
+                  <div className={`text-lg font-medium ${bucketStyles[bucket.key]}`}>
+                    {formatMoney(report.totals[bucket.key])}
+                  </div>
+                </div>
+              </button>
+            ))}
+            <button
+              onClick={() => setSelection({})}
+              className={`card text-left hover:shadow-md transition-shadow ${!hasSelection ? 'ring-2 ring-primary-500' : ''}`}
+            >
+              <div className="card-body">
+                <div className="text-sm font-medium text-gray-500">Total Outstanding</div>
+                <div className="text-lg font-medium text-gray-900">{formatMoney(report.totals.total)}</div>
+              </div>
+            </button>
+          </div>
+
+          {/* By course and batch */}
+          <div className="card mb-6">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900">By Course &amp; Batch</h3>
+            </div>
+            <div className="card-body overflow-x-auto">
+              <table className="table">
+                <thead className="table-header">
+                  <tr>
+                    <th className="table-header-cell">Course</th>
+                    <th className="table-header-cell">Batch</th>
+                    {report.buckets.map(bucket => (
+                      <th key={bucket.key} className="table-header-cell text-right">{bucket.label}</th>
+                    ))}
+                    <th className="table-header-cell text-right">Total</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body">
+                  {report.byCourse.map(group => (
+                    <tr key={`${group.course.id}|${group.batch || ''}`} className="table-row">
+                      <td className="table-cell text-sm font-medium text-gray-900">{group.course.name}</td>
+                      <td className="table-cell text-sm text-gray-600">{group.batch || 'No batch'}</td>
+                      {report.buckets.map(bucket => (
+                        <td key={bucket.key} className="table-cell text-right">
+                          {group[bucket.key] > 0 ? (
+                            <button
+                              onClick={() => selectCell(bucket.key, group)}
+                              className={`text-sm hover:underline ${bucketStyles[bucket.key]} ${isSelected(bucket.key, group) ? 'font-bold' : ''}`}
+                            >
+                              {formatMoney(group[bucket.key])}
+                            </button>
+                          ) : (
+                            <span className="text-sm text-gray-400">—</span>
+                          )}
+                        </td>
+                      ))}
+                      <td className="table-cell text-right">
+                        <button
+                          onClick={() => selectCell(undefined, group)}
+                          className="text-sm font-medium text-gray-900 hover:underline"
+                        >
+                          {formatMoney(group.total)}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Students */}
+          <div className="card">
+            <div className="card-header flex items-center justify-between">
+              <h3 className="text-lg font-medium text-gray-900">
+                Students ({visibleRows.length})
+              </h3>
+              {hasSelection && (
+                <button onClick={() => setSelection({})} className="flex items-center text-sm text-gray-500 hover:text-gray-700">
+                  {selectionLabel()}
+                  <X className="h-4 w-4 ml-1" />
+                </button>
+              )}
+            </div>
+            <div className="card-body overflow-x-auto">
+              <table className="table">
+                <thead className="table-header">
+                  <tr>
+                    <th className="table-header-cell">Student</th>
+                    <th className="table-header-cell">Course</th>
+                    <th className="table-header-cell">Start Date</th>
+                    <th className="table-header-cell text-right">Net Fee</th>
+                    <th className="table-header-cell text-right">Paid</th>
+                    <th className="table-header-cell text-right">Outstanding</th>
+                    <th className="table-header-cell text-right">{selection.bucket ? 'In Bucket' : 'Overdue'}</th>
+                    <th className="table-header-cell text-right">Days Overdue</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body">
+                  {visibleRows.map(row => {
+                    const overdue = row.outstanding - row.buckets.current
+                    return (
+                      <tr key={row.enrollmentId} className="table-row">
+                        <td className="table-cell">
+                          <Link to={`/students/${row.student.id}`} className="text-sm font-medium text-primary-600 hover:text-primary-900">
+                            {row.student.name}
+                          </Link>
+                          <div className="text-sm text-gray-500">{row.student.phone}</div>
+                        </td>
+                        <td className="table-cell">
+                          <Link to={`/enrollments/${row.enrollmentId}`} className="text-sm text-gray-900 hover:underline">
+                            {row.course.name}
+                          </Link>
+                          <div className="text-sm text-gray-500">
+                            {row.batch || 'No batch'}
+                            {row.hasPaymentPlan && ' · payment plan'}
+                          </div>
+                        </td>
+                        <td className="table-cell text-sm text-gray-900">
+                          {format(new Date(row.startDate), 'MMM dd, yyyy')}
+                        </td>
+                        <td className="table-cell text-right text-sm text-gray-900">{formatMoney(row.netFee)}</td>
+                        <td className="table-cell text-right text-sm text-gray-900">{formatMoney(row.totalPaid)}</td>
+                        <td className="table-cell text-right text-sm font-medium text-gray-900">{formatMoney(row.outstanding)}</td>
+                        <td className={`table-cell text-right text-sm ${selection.bucket ? bucketStyles[selection.bucket] : overdue > 0 ? 'text-danger-600' : 'text-gray-500'}`}>
+                          {formatMoney(selection.bucket ? row.buckets[selection.bucket] : overdue)}
+                        </td>
+                        <td className="table-cell text-right text-sm text-gray-900">
+                          {row.daysOverdue > 0 ? row.daysOverdue : '—'}
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default Receivables
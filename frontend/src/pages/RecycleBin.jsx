@@ -0,0 +1,198 @@
+import { useState, useEffect } from 'react'
+import { Trash2, RotateCcw } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { useAuth } from '../context/AuthContext'
+import Tabs from '../components/Tabs'
+import ConfirmDialog from '../components/ConfirmDialog'
+
+// Who may restore each kind of record (mirrors the backend restore routes)
+const sections = [
+  { id: 'students', label: 'Students', endpoint: '/api/students', restoreRoles: ['ADMIN'] },
+  { id: 'courses', label: 'Courses', endpoint: '/api/courses', restoreRoles: ['ADMIN'] },
+  { id: 'enrollments', label: 'Enrollments', endpoint: '/api/enrollments', restoreRoles: ['ADMIN'] },
+  { id: 'payments', label: 'Payments', endpoint: '/api/payments', restoreRoles: ['FINANCE'] }
+]
+
+const describe = {
+  students: (student) => ({
+    title: student.name,
+    subtitle: student.email
+  }),
+  courses: (course) => ({
+    title: course.name,
+    subtitle: `$${parseFloat(course.price).toFixed(2)}`
+  }),
+  enrollments: (enrollment) => ({
+    title: `${enrollment.student.name} — ${enrollment.course.name}`,
+    subtitle: enrollment.batch || `Started ${new Date(enrollment.startDate).toLocaleDateString()}`
+  }),
+  payments: (payment) => ({
+    title: `$${parseFloat(payment.amount).toFixed(2)} — ${payment.student.name}`,
+    subtitle: `${payment.enrollment.course.name} · ${new Date(payment.date).toLocaleDateString()}`
+  })
+}
+
+function RecycleBin() {
+  const { hasRole } = useAuth()
+  const [bin, setBin] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [activeTab, setActiveTab] = useState('students')
+  const [showPurgeConfirm, setShowPurgeConfirm] = useState(false)
+
+  useEffect(() => {
+    fetchRecycleBin()
+  }, [])
+
+  const fetchRecycleBin = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get('/api/recycle-bin')
+      setBin(response.data)
+    } catch (error) {
+      console.error('Error fetching recycle bin:', error)
+      toast.error('Failed to load recycle bin')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRestore = async (section, record) => {
+    try {
+      await axios.post(`${section.endpoint}/${record.id}/restore`)
+      toast.success('Record restored')
+      fetchRecycleBin()
+    } catch (error) {
+      console.error('Error restoring record:', error)
+      toast.error(error.response?.data?.error || 'Failed to restore record')
+    }
+  }
+
+  const handlePurge = async () => {
+    try {
+      const response = await axios.post('/api/recycle-bin/purge')
+      const total = Object.values(response.data.purged).reduce((sum, count) => sum + count, 0)
+      toast.success(`${total} expired record(s) purged`)
+      setShowPurgeConfirm(false)
+      fetchRecycleBin()
+    } catch (error) {
+      console.error('Error purging recycle bin:', error)
+      toast.error(error.response?.data?.error || 'Failed to purge recycle bin')
+    }
+  }
+
+  const activeSection = sections.find(section => section.id === activeTab)
+  const records = bin?.[activeTab] || []
+  const canRestore = hasRole(...activeSection.restoreRoles)
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Recycle Bin</h1>
+            <p className="mt-2 text-gray-600">
+              Deleted records can be restored for {bin?.retentionDays ?? '…'} days before they are permanently purged
+            </p>
+          </div>
+          {hasRole('ADMIN') && (
+            <div className="mt-4 sm:mt-0">
+              <button className="btn btn-danger" onClick={() => setShowPurgeConfirm(true)}>
+                <Trash2 className="h-4 w-4 mr-2" />
+                Purge Expired Now
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="px-6">
+          <Tabs
+            tabs={sections.map(section => ({
+              id: section.id,
+              label: `${section.label}${bin ? ` (${bin[section.id].length})` : ''}`
+            }))}
+            activeTab={activeTab}
+            onChange={setActiveTab}
+          />
+        </div>
+        <div className="card-body">
+          {loading ? (
+            <div className="animate-pulse">
+              {[...Array(5)].map((_, i) => (
+                <div key={i} className="h-16 bg-gray-200 rounded mb-3"></div>
+              ))}
+            </div>
+          ) : records.length === 0 ? (
+            <div className="text-center py-12">
+              <Trash2 className="mx-auto h-12 w-12 text-gray-400" />
+              <p className="mt-4 text-gray-500">No deleted {activeSection.label.toLowerCase()}</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead className="table-header">
+                  <tr>
+                    <th className="table-header-cell">Record</th>
+                    <th className="table-header-cell">Deleted</th>
+                    <th className="table-header-cell">Purged On</th>
+                    {canRestore && <th className="table-header-cell">Actions</th>}
+                  </tr>
+                </thead>
+                <tbody className="table-body">
+                  {records.map((record) => {
+                    const { title, subtitle } = describe[activeTab](record)
+                    return (
+                      <tr key={record.id} className="table-row">
+                        <td className="table-cell">
+                          <div className="text-sm font-medium text-gray-900">{title}</div>
+                          <div className="text-sm text-gray-500">{subtitle}</div>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm text-gray-900">
+                            {new Date(record.deletedAt).toLocaleString()}
+                          </span>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm text-gray-900">
+                            {new Date(record.purgeAt).toLocaleDateString()}
+                          </span>
+                        </td>
+                        {canRestore && (
+                          <td className="table-cell">
+                            <button
+                              onClick={() => handleRestore(activeSection, record)}
+                              className="btn btn-outline btn-sm"
+                              title="Restore"
+                            >
+                              <RotateCcw className="h-4 w-4 mr-1" />
+                              Restore
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showPurgeConfirm && (
+        <ConfirmDialog
+          title="Purge Expired Records"
+          message={`Permanently delete everything that has been in the Recycle Bin for more than ${bin?.retentionDays} days? This cannot be undone.`}
+          onConfirm={handlePurge}
+          onCancel={() => setShowPurgeConfirm(false)}
+          confirmText="Purge"
+        />
+      )}
+    </div>
+  )
+}
+
+export default RecycleBin
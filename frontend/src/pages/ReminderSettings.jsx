@@ -0,0 +1,456 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { Plus, Edit, Trash2, BellRing, Play, Eye } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { useAuth } from '../context/AuthContext'
+import ReminderRuleForm from '../components/ReminderRuleForm'
+import MessageTemplateForm from '../components/MessageTemplateForm'
+import ConfirmDialog from '../components/ConfirmDialog'
+import { channelLabels } from '../components/StudentMessages'
+
+const describeOffset = (days) => {
+  if (days === 0) return 'On the due date'
+  const count = Math.abs(days)
+  return `${count} day${count === 1 ? '' : 's'} ${days < 0 ? 'before' : 'after'} due`
+}
+
+// Payment reminder cadence, the daily run time and the message templates
+function ReminderSettings() {
+  const { hasRole } = useAuth()
+  const [rules, setRules] = useState([])
+  const [templates, setTemplates] = useState([])
+  const [schedule, setSchedule] = useState(null)
+  const [dailyAt, setDailyAt] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [showRuleForm, setShowRuleForm] = useState(false)
+  const [editingRule, setEditingRule] = useState(null)
+  const [deletingRule, setDeletingRule] = useState(null)
+  const [editingTemplate, setEditingTemplate] = useState(null)
+  const [running, setRunning] = useState(false)
+  const [previewDate, setPreviewDate] = useState(new Date().toISOString().slice(0, 10))
+  const [preview, setPreview] = useState(null)
+  const [previewing, setPreviewing] = useState(false)
+
+  const isAdmin = hasRole('ADMIN')
+
+  useEffect(() => {
+    fetchSettings()
+  }, [])
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true)
+      const [rulesResponse, templatesResponse, scheduleResponse] = await Promise.all([
+        axios.get('/api/reminders/rules'),
+        axios.get('/api/messages/templates'),
+        axios.get('/api/reminders/schedule')
+      ])
+      setRules(rulesResponse.data.rules)
+      setTemplates(templatesResponse.data.templates)
+      setSchedule(scheduleResponse.data)
+      setDailyAt(scheduleResponse.data.dailyAt)
+    } catch (error) {
+      console.error('Error fetching reminder settings:', error)
+      toast.error('Failed to load reminder settings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSaveRule = async (ruleData) => {
+    try {
+      if (editingRule) {
+        await axios.put(`/api/reminders/rules/${editingRule.id}`, ruleData)
+        toast.success('Reminder updated successfully')
+      } else {
+        await axios.post('/api/reminders/rules', ruleData)
+        toast.success('Reminder created successfully')
+      }
+      setShowRuleForm(false)
+      setEditingRule(null)
+      fetchSettings()
+    } catch (error) {
+      console.error('Error saving reminder rule:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save reminder')
+    }
+  }
+
+  const handleDeleteRule = async () => {
+    if (!deletingRule) return
+
+    try {
+      await axios.delete(`/api/reminders/rules/${deletingRule.id}`)
+      toast.success('Reminder deleted')
+      setDeletingRule(null)
+      fetchSettings()
+    } catch (error) {
+      console.error('Error deleting reminder rule:', error)
+      toast.error(error.response?.data?.error || 'Failed to delete reminder')
+    }
+  }
+
+  const handleSaveTemplate = async (templateData) => {
+    try {
+      await axios.put(`/api/messages/templates/${editingTemplate.key}`, templateData)
+      toast.success('Template saved')
+      setEditingTemplate(null)
+      fetchSettings()
+    } catch (error) {
+      console.error('Error saving template:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save template')
+    }
+  }
+
+  const handleSaveSchedule = async (changes) => {
+    try {
+      const response = await axios.put('/api/reminders/schedule', {
+        dailyAt: schedule.dailyAt,
+        isActive: schedule.isActive,
+        ...changes
+      })
+      setSchedule(response.data)
+      setDailyAt(response.data.dailyAt)
+      toast.success('Schedule updated')
+    } catch (error) {
+      console.error('Error updating schedule:', error)
+      setDailyAt(schedule.dailyAt)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to update schedule')
+    }
+  }
+
+  const handleRunNow = async () => {
+    try {
+      setRunning(true)
+      const response = await axios.post('/api/reminders/run')
+      setSchedule(response.data)
+      if (response.data.lastStatus === 'SUCCESS') {
+        const { queued = 0, skipped = 0 } = response.data.lastResult || {}
+        toast.success(`${queued} reminder(s) queued${skipped ? `, ${skipped} skipped` : ''}`)
+      } else {
+        toast.error(response.data.lastError || 'Reminder run failed')
+      }
+      setPreview(null)
+    } catch (error) {
+      console.error('Error running reminders:', error)
+      toast.error(error.response?.data?.error || 'Failed to run reminders')
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const handlePreview = async () => {
+    try {
+      setPreviewing(true)
+      const response = await axios.get(`/api/reminders/preview?asOf=${previewDate}`)
+      setPreview(response.data.reminders)
+    } catch (error) {
+      console.error('Error previewing reminders:', error)
+      toast.error(error.response?.data?.error || 'Failed to preview reminders')
+    } finally {
+      setPreviewing(false)
+    }
+  }
+
+  const templateName = (key) => templates.find(template => template.key === key)?.name || key
+
+  if (loading) {
+    return (
+      <div className="animate-pulse space-y-6">
+        {[...Array(3)].map((_, i) => (
+          <div key={i} className="h-40 bg-gray-200 rounded"></div>
+        ))}
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900">Payment Reminders</h1>
+        <p className="mt-2 text-gray-600">
+          Automatic reminders for upcoming and overdue installments and balances
+        </p>
+      </div>
+
+      <div className="space-y-6">
+        {/* Schedule */}
+        {schedule && (
+          <div className="card">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900">Schedule</h3>
+            </div>
+            <div className="card-body">
+              <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+                <div className="flex items-end gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Run daily at</label>
+                    <input
+                      type="time"
+                      className="input mt-1"
+                      value={dailyAt}
+                      onChange={(e) => setDailyAt(e.target.value)}
+                      onBlur={() => dailyAt && dailyAt !== schedule.dailyAt && handleSaveSchedule({ dailyAt })}
+                    />
+                  </div>
+                  <label className="flex items-center pb-2">
+                    <input
+                      type="checkbox"
+                      checked={schedule.isActive}
+                      onChange={(e) => handleSaveSchedule({ isActive: e.target.checked })}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">Send reminders automatically</span>
+                  </label>
+                </div>
+                {isAdmin && (
+                  <button className="btn btn-outline" onClick={handleRunNow} disabled={running}>
+                    <Play className="h-4 w-4 mr-2" />
+                    {running ? 'Running...' : 'Run Now'}
+                  </button>
+                )}
+              </div>
+              <div className="mt-4 text-sm text-gray-500">
+                {schedule.isActive
+                  ? `Next run ${new Date(schedule.nextRunAt).toLocaleString()}`
+                  : 'Paused'}
+                {schedule.lastRunAt && (
+                  <>
+                    {' · '}Last run {new Date(schedule.lastRunAt).toLocaleString()}{' '}
+                    {schedule.lastStatus === 'SUCCESS' ? (
+                      <span className="text-success-600">
+                        ({schedule.lastResult?.queued ?? 0} queued, {schedule.lastResult?.skipped ?? 0} skipped)
+                      </span>
+                    ) : (
+                      <span className="text-danger-600">(failed: {schedule.lastError})</span>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Rules */}
+        <div className="card">
+          <div className="card-header flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900">Reminders</h3>
+            <button className="btn btn-primary btn-sm" onClick={() => setShowRuleForm(true)}>
+              <Plus className="h-4 w-4 mr-1" />
+              Add Reminder
+            </button>
+          </div>
+          <div className="card-body">
+            {rules.length === 0 ? (
+              <div className="text-center py-8">
+                <BellRing className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+                <p className="text-gray-500">No reminders set up</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="table">
+                  <thead className="table-header">
+                    <tr>
+                      <th className="table-header-cell">Name</th>
+                      <th className="table-header-cell">When</th>
+                      <th className="table-header-cell">Channel</th>
+                      <th className="table-header-cell">Template</th>
+                      <th className="table-header-cell">Sent</th>
+                      <th className="table-header-cell">Status</th>
+                      <th className="table-header-cell">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="table-body">
+                    {rules.map((rule) => (
+                      <tr key={rule.id} className="table-row">
+                        <td className="table-cell">
+                          <span className="text-sm font-medium text-gray-900">{rule.name}</span>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm text-gray-900">{describeOffset(rule.offsetDays)}</span>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm text-gray-900">{channelLabels[rule.channel]}</span>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm text-gray-900">{templateName(rule.templateKey)}</span>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm text-gray-900">{rule.deliveries}</span>
+                        </td>
+                        <td className="table-cell">
+                          <span className={`badge ${rule.isActive ? 'badge-success' : 'badge-neutral'}`}>
+                            {rule.isActive ? 'Active' : 'Inactive'}
+                          </span>
+                        </td>
+                        <td className="table-cell">
+                          <div className="flex items-center space-x-2">
+                            <button
+                              onClick={() => { setEditingRule(rule); setShowRuleForm(true) }}
+                              className="text-gray-600 hover:text-gray-900"
+                              title="Edit reminder"
+                            >
+                              <Edit className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => setDeletingRule(rule)}
+                              className="text-danger-600 hover:text-danger-900"
+                              title="Delete reminder"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <p className="mt-4 text-sm text-gray-500">
+              Each amount owed gets the latest reminder whose day has come, once. Reminders more than a week late are not sent.
+            </p>
+          </div>
+        </div>
+
+        {/* Templates */}
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Message Templates</h3>
+          </div>
+          <div className="card-body">
+            <div className="space-y-3">
+              {templates.map((template) => (
+                <div key={template.key} className="flex items-start justify-between border border-gray-200 rounded-lg p-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center space-x-2">
+                      <span className="text-sm font-medium text-gray-900">{template.name}</span>
+                      <span className="badge badge-info">{template.format === 'EMAIL' ? 'Email' : 'SMS / WhatsApp'}</span>
+                      {!template.isActive && <span className="badge badge-neutral">Inactive</span>}
+                    </div>
+                    <p className="text-sm text-gray-500 mt-1 truncate">{template.subject || template.body}</p>
+                  </div>
+                  {isAdmin && (
+                    <button
+                      onClick={() => setEditingTemplate(template)}
+                      className="text-gray-600 hover:text-gray-900 ml-4"
+                      title="Edit template"
+                    >
+                      <Edit className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Dry run */}
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Preview</h3>
+          </div>
+          <div className="card-body">
+            <div className="flex items-end gap-4 mb-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Reminders due on</label>
+                <input
+                  type="date"
+                  className="input mt-1"
+                  value={previewDate}
+                  onChange={(e) => setPreviewDate(e.target.value)}
+                />
+              </div>
+              <button className="btn btn-outline" onClick={handlePreview} disabled={previewing || !previewDate}>
+                <Eye className="h-4 w-4 mr-2" />
+                {previewing ? 'Loading...' : 'Preview'}
+              </button>
+            </div>
+
+            {preview && (preview.length === 0 ? (
+              <p className="text-sm text-gray-500">No reminders would be sent on this date.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="table">
+                  <thead className="table-header">
+                    <tr>
+                      <th className="table-header-cell">Student</th>
+                      <th className="table-header-cell">Course</th>
+                      <th className="table-header-cell">Due</th>
+                      <th className="table-header-cell">Reminder</th>
+                      <th className="table-header-cell">Message</th>
+                    </tr>
+                  </thead>
+                  <tbody className="table-body">
+                    {preview.map((reminder) => (
+                      <tr key={`${reminder.rule.id}-${reminder.enrollment.id}-${reminder.dueDate}`} className="table-row">
+                        <td className="table-cell">
+                          <Link to={`/students/${reminder.student.id}`} className="text-sm font-medium text-primary-600 hover:text-primary-900">
+                            {reminder.student.name}
+                          </Link>
+                          <div className="text-xs text-gray-500">{reminder.to || '—'}</div>
+                        </td>
+                        <td className="table-cell">
+                          <span className="text-sm text-gray-900">
+                            {reminder.enrollment.course.name}
+                            {reminder.enrollment.batch && ` (${reminder.enrollment.batch})`}
+                          </span>
+                        </td>
+                        <td className="table-cell">
+                          <div className="text-sm text-gray-900">${reminder.amount.toFixed(2)}</div>
+                          <div className="text-xs text-gray-500">{new Date(reminder.dueDate).toLocaleDateString()}</div>
+                        </td>
+                        <td className="table-cell">
+                          <div className="text-sm text-gray-900">{reminder.rule.name}</div>
+                          <div className="text-xs text-gray-500">{channelLabels[reminder.channel]}</div>
+                        </td>
+                        <td className="table-cell">
+                          {reminder.skipReason ? (
+                            <span className="badge badge-warning">Skipped: {reminder.skipReason}</span>
+                          ) : (
+                            <div className="text-sm text-gray-900 max-w-md truncate" title={reminder.body}>
+                              {reminder.subject || reminder.body}
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {showRuleForm && (
+        <ReminderRuleForm
+          rule={editingRule}
+          templates={templates}
+          onSubmit={handleSaveRule}
+          onCancel={() => { setShowRuleForm(false); setEditingRule(null) }}
+        />
+      )}
+
+      {editingTemplate && (
+        <MessageTemplateForm
+          template={editingTemplate}
+          onSubmit={handleSaveTemplate}
+          onCancel={() => setEditingTemplate(null)}
+        />
+      )}
+
+      {deletingRule && (
+        <ConfirmDialog
+          title="Delete Reminder"
+          message={`Delete the "${deletingRule.name}" reminder? Reminders already sent stay in the message log.`}
+          onConfirm={handleDeleteRule}
+          onCancel={() => setDeletingRule(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default ReminderSettings
@@ -0,0 +1,266 @@
+import { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { ArrowLeft, Edit, CheckCheck, Users } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import SessionForm, { formatSessionTime } from '../components/SessionForm'
+import AttendanceRate, { attendanceStatusConfig } from '../components/AttendanceRate'
+import { academicStatusConfig } from '../components/EnrollmentForm'
+import { useAuth } from '../context/AuthContext'
+
+// Marks as saved on the server, keyed by enrollment id
+const savedMarks = (roster) => Object.fromEntries(roster.map(entry => [
+  entry.enrollmentId,
+  { status: entry.attendance?.status || null, note: entry.attendance?.note || '' }
+]))
+
+function RollCall() {
+  const { id } = useParams()
+  const { hasRole } = useAuth()
+  const canTakeRoll = hasRole('ADMIN', 'COUNSELLOR')
+  const [session, setSession] = useState(null)
+  const [marks, setMarks] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [showForm, setShowForm] = useState(false)
+  const [conflicts, setConflicts] = useState(null)
+
+  useEffect(() => {
+    fetchSession()
+  }, [id])
+
+  const fetchSession = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get(`/api/sessions/${id}`)
+      setSession(response.data)
+      setMarks(savedMarks(response.data.roster))
+    } catch (error) {
+      console.error('Error fetching session:', error)
+      toast.error('Failed to load session')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const setMark = (enrollmentId, changes) => {
+    setMarks(prev => ({ ...prev, [enrollmentId]: { ...prev[enrollmentId], ...changes } }))
+  }
+
+  const markAllPresent = () => {
+    setMarks(prev => Object.fromEntries(Object.entries(prev).map(([enrollmentId, mark]) => [
+      enrollmentId,
+      mark.status ? mark : { ...mark, status: 'PRESENT' }
+    ])))
+  }
+
+  const saved = session ? savedMarks(session.roster) : {}
+  const changedRecords = Object.entries(marks)
+    .filter(([enrollmentId, mark]) => (
+      mark.status !== saved[enrollmentId].status || (mark.status && mark.note !== saved[enrollmentId].note)
+    ))
+    .map(([enrollmentId, mark]) => ({ enrollmentId, status: mark.status, note: mark.note }))
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      await axios.put(`/api/sessions/${id}/attendance`, { records: changedRecords })
+      toast.success('Attendance saved')
+      fetchSession()
+    } catch (error) {
+      console.error('Error saving attendance:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save attendance')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleUpdate = async (sessionData) => {
+    try {
+      await axios.put(`/api/sessions/${id}`, sessionData)
+      toast.success('Session updated')
+      closeForm()
+      fetchSession()
+    } catch (error) {
+      console.error('Error updating session:', error)
+      if (error.response?.status === 409) setConflicts(error.response.data.conflicts)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to update session')
+    }
+  }
+
+  const closeForm = () => {
+    setShowForm(false)
+    setConflicts(null)
+  }
+
+  if (loading && !session) {
+    return (
+      <div className="animate-pulse">
+        <div className="h-8 bg-gray-200 rounded w-1/4 mb-6"></div>
+        {[...Array(6)].map((_, i) => (
+          <div key={i} className="h-20 bg-gray-200 rounded mb-3"></div>
+        ))}
+      </div>
+    )
+  }
+
+  if (!session) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500 mb-4">Session not found</p>
+        <Link to="/attendance" className="btn btn-primary">
+          Back to Attendance
+        </Link>
+      </div>
+    )
+  }
+
+  const counts = Object.values(marks).reduce((totals, mark) => {
+    totals[mark.status || 'UNMARKED'] = (totals[mark.status || 'UNMARKED'] || 0) + 1
+    return totals
+  }, {})
+
+  return (
+    <div className="pb-24">
+      {/* Header */}
+      <div className="mb-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div className="flex items-center space-x-4">
+            <Link to="/attendance" className="text-gray-500 hover:text-gray-700">
+              <ArrowLeft className="h-6 w-6" />
+            </Link>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">
+                {session.course.name}{session.batch ? ` · ${session.batch.code}` : ''}
+              </h1>
+              <p className="mt-2 text-gray-600">
+                {formatSessionTime(session)}{session.topic ? ` — ${session.topic}` : ''}
+              </p>
+            </div>
+          </div>
+          {canTakeRoll && (
+            <div className="mt-4 sm:mt-0 flex space-x-3">
+              <button className="btn btn-outline" onClick={() => setShowForm(true)}>
+                <Edit className="h-4 w-4 mr-2" />
+                Edit
+              </button>
+              <button className="btn btn-outline" onClick={markAllPresent} disabled={!counts.UNMARKED}>
+                <CheckCheck className="h-4 w-4 mr-2" />
+                All Present
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Counts */}
+      <div className="flex flex-wrap gap-2 mb-6">
+        {Object.entries(attendanceStatusConfig).map(([status, config]) => (
+          <span key={status} className={`badge ${config.badge}`}>
+            {config.label}: {counts[status] || 0}
+          </span>
+        ))}
+        <span className="badge badge-neutral">Not marked: {counts.UNMARKED || 0}</span>
+      </div>
+
+      {session.roster.length === 0 ? (
+        <div className="card">
+          <div className="card-body text-center py-12">
+            <Users className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-4 text-gray-500">No students are enrolled for this session</p>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {session.roster.map(entry => {
+            const mark = marks[entry.enrollmentId]
+            return (
+              <div key={entry.enrollmentId} className="card">
+                <div className="card-body">
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                    <div className="min-w-0">
+                      <Link
+                        to={`/students/${entry.student.id}`}
+                        className="text-lg font-medium text-gray-900 hover:text-primary-600"
+                      >
+                        {entry.student.name}
+                      </Link>
+                      <div className="mt-1 flex flex-wrap items-center gap-2">
+                        <AttendanceRate summary={entry.summary} />
+                        {!['ENROLLED', 'IN_PROGRESS', 'COMPLETED'].includes(entry.academicStatus) && (
+                          <span className="badge badge-neutral">{academicStatusConfig[entry.academicStatus].label}</span>
+                        )}
+                      </div>
+                    </div>
+                    <div className="flex flex-col gap-2 md:items-end">
+                      <div className="grid grid-cols-4 gap-2">
+                        {Object.entries(attendanceStatusConfig).map(([status, config]) => (
+                          <button
+                            key={status}
+                            type="button"
+                            disabled={!canTakeRoll}
+                            onClick={() => setMark(entry.enrollmentId, { status: mark.status === status ? null : status })}
+                            className={`min-w-[4.5rem] px-3 py-3 rounded-md border text-sm font-medium ${
+                              mark.status === status
+                                ? config.button
+                                : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                            }`}
+                          >
+                            {config.label}
+                          </button>
+                        ))}
+                      </div>
+                      {mark.status && mark.status !== 'PRESENT' && (
+                        <input
+                          className="input"
+                          placeholder="Note (optional)"
+                          value={mark.note}
+                          disabled={!canTakeRoll}
+                          onChange={(e) => setMark(entry.enrollmentId, { note: e.target.value })}
+                        />
+                      )}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {/* Save bar */}
+      {canTakeRoll && changedRecords.length > 0 && (
+        <div className="fixed bottom-0 inset-x-0 lg:left-64 bg-white border-t border-gray-200 shadow-lg">
+          <div className="px-4 py-4 sm:px-6 lg:px-8 flex items-center justify-between">
+            <p className="text-sm text-gray-700">
+              {changedRecords.length} unsaved change{changedRecords.length === 1 ? '' : 's'}
+            </p>
+            <div className="flex space-x-3">
+              <button
+                className="btn btn-outline"
+                onClick={() => setMarks(savedMarks(session.roster))}
+                disabled={saving}
+              >
+                Discard
+              </button>
+              <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+                {saving ? 'Saving...' : 'Save Attendance'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showForm && (
+        <SessionForm
+          session={session}
+          conflicts={conflicts}
+          onSubmit={handleUpdate}
+          onCancel={closeForm}
+        />
+      )}
+    </div>
+  )
+}
+
+export default RollCall
@@ -8,19 +8,35 @@ import {
   Mail,
   Phone,
   Calendar,
-  Edit
+  Edit,
+  Download,
+  MessageCircle
 } from 'lucide-react'
 import axios from 'axios'
 import toast from 'react-hot-toast'
-import EnrollmentForm from '../components/EnrollmentForm'
+import EnrollmentForm, { academicStatusConfig, financialStatusConfig } from '../components/EnrollmentForm'
 import PaymentForm from '../components/PaymentForm'
+import Tabs from '../components/Tabs'
+import AuditHistory from '../components/AuditHistory'
+import StudentMessages from '../components/StudentMessages'
+import TaskPanel from '../components/TaskPanel'
+import StudentTimeline from '../components/StudentTimeline'
+import MessageStudentForm from '../components/MessageStudentForm'
+import AttendanceRate from '../components/AttendanceRate'
+import { useAuth } from '../context/AuthContext'
+import { downloadReceipt } from '../lib/download'
 
 function StudentDetail() {
   const { id } = useParams()
+  const { hasRole } = useAuth()
   const [student, setStudent] = useState(null)
   const [loading, setLoading] = useState(true)
   const [showEnrollmentForm, setShowEnrollmentForm] = useState(false)
   const [showPaymentForm, setShowPaymentForm] = useState(false)
+  const [activeTab, setActiveTab] = useState('overview')
+  const [showMessageForm, setShowMessageForm] = useState(false)
+  const [messagesVersion, setMessagesVersion] = useState(0)
+  const [attendance, setAttendance] = useState({})
 
   useEffect(() => {
     fetchStudent()
@@ -31,6 +47,7 @@ function StudentDetail() {
       setLoading(true)
       const response = await axios.get(`/api/students/${id}`)
       setStudent(response.data)
+      fetchAttendance()
     } catch (error) {
       console.error('Error fetching student:', error)
       toast.error('Failed to load student details')
@@ -39,6 +56,24 @@ function StudentDetail() {
     }
   }
 
+  const fetchAttendance = async () => {
+    try {
+      const response = await axios.get(`/api/reports/attendance?studentId=${id}`)
+      setAttendance(Object.fromEntries(response.data.rows.map(row => [row.enrollmentId, row])))
+    } catch (error) {
+      console.error('Error fetching attendance:', error)
+    }
+  }
+
+  const handleDownloadReceipt = async (payment) => {
+    try {
+      await downloadReceipt(payment)
+    } catch (error) {
+      console.error('Error downloading receipt:', error)
+      toast.error('Failed to download receipt')
+    }
+  }
+
   if (loading) {
     return (
       <div className="animate-pulse">
@@ -68,24 +103,22 @@ function StudentDetail() {
     )
   }
 
-  const getStatusBadge = (enrollment) => {
-    const statusConfig = {
-      ACTIVE: { class: 'badge-success', text: 'Active' },
-      COMPLETED: { class: 'badge-info', text: 'Completed' },
-      CANCELLED: { class: 'badge-danger', text: 'Cancelled' },
-      SUSPENDED: { class: 'badge-warning', text: 'Suspended' }
-    }
+  const getStatusBadges = (enrollment) => {
+    const academic = academicStatusConfig[enrollment.academicStatus]
+    const financial = financialStatusConfig[enrollment.financialStatus]
     
-    const config = statusConfig[enrollment.status] || statusConfig.ACTIVE
-    return <span className={`badge ${config.class}`}>{config.text}</span>
+    return (
+      <>
+        {academic && <span className={`badge ${academic.badge}`}>{academic.label}</span>}
+        {financial && <span className={`badge ${financial.badge}`}>{financial.label}</span>}
+      </>
+    )
   }
 
   const getPaymentStatus = (enrollment) => {
-    const totalPaid = enrollment.payments?.reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0
-    const coursePrice = parseFloat(enrollment.course.price)
-    const outstanding = Math.max(0, coursePrice - totalPaid)
+    const { outstanding } = enrollment.paymentStatus
     
-    if (outstanding === 0) return <span className="text-success-600 font-medium">Fully Paid</span>
+    if (outstanding === 0) return <span className="text-success-600 font-medium">Nothing Outstanding</span>
     return <span className="text-warning-600 font-medium">${outstanding.toFixed(2)} Outstanding</span>
   }
 
@@ -150,7 +183,13 @@ function StudentDetail() {
                 </div>
               </div>
 
-              <div className="mt-6 pt-6 border-t border-gray-200">
+              <div className="mt-6 pt-6 border-t border-gray-200 space-y-3">
+                {hasRole('ADMIN', 'FINANCE', 'COUNSELLOR') && (
+                  <button className="btn btn-primary w-full" onClick={() => setShowMessageForm(true)}>
+                    <MessageCircle className="h-4 w-4 mr-2" />
+                    Message
+                  </button>
+                )}
                 <button className="btn btn-outline w-full">
                   <Edit className="h-4 w-4 mr-2" />
                   Edit Student
@@ -162,121 +201,209 @@ function StudentDetail() {
 
         {/* Enrollments & Payments */}
         <div className="lg:col-span-2 space-y-6">
-          {/* Enrollments */}
-          <div className="card">
-            <div className="card-header">
-              <div className="flex items-center justify-between">
-                <h3 className="text-lg font-medium text-gray-900">Enrollments</h3>
-                <button className="btn btn-primary btn-sm" onClick={() => setShowEnrollmentForm(true)}>Add Enrollment</button>
-              </div>
-            </div>
-            <div className="card-body">
-              {student.enrollments?.length === 0 ? (
-                <div className="text-center py-8">
-                  <BookOpen className="mx-auto h-12 w-12 text-gray-400 mb-4" />
-                  <p className="text-gray-500 mb-4">No enrollments yet</p>
-                  <button className="btn btn-primary" onClick={() => setShowEnrollmentForm(true)}>Enroll in Course</button>
+          <Tabs
+            tabs={[
+              { id: 'overview', label: 'Overview' },
+              { id: 'timeline', label: 'Timeline' },
+              { id: 'messages', label: 'Messages' },
+              { id: 'tasks', label: 'Tasks' },
+              { id: 'history', label: 'History' }
+            ]}
+            activeTab={activeTab}
+            onChange={setActiveTab}
+          />
+
+          {activeTab === 'overview' && (
+            <>
+              {/* Enrollments */}
+              <div className="card">
+                <div className="card-header">
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-lg font-medium text-gray-900">Enrollments</h3>
+                    <button className="btn btn-primary btn-sm" onClick={() => setShowEnrollmentForm(true)}>Add Enrollment</button>
+                  </div>
                 </div>
-              ) : (
-                <div className="space-y-4">
-                  {student.enrollments?.map((enrollment) => (
-                    <div key={enrollment.id} className="border border-gray-200 rounded-lg p-4">
-                      <div className="flex items-start justify-between mb-3">
-                        <div>
-                          <h4 className="text-lg font-medium text-gray-900">
-                            {enrollment.course.name}
-                          </h4>
-                          <p className="text-sm text-gray-600">
-                            ${parseFloat(enrollment.course.price).toFixed(2)}
-                          </p>
-                        </div>
-                        <div className="flex items-center space-x-2">
-                          {getStatusBadge(enrollment)}
-                        </div>
-                      </div>
+                <div className="card-body">
+                  {student.enrollments?.length === 0 ? (
+                    <div className="text-center py-8">
+                      <BookOpen className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+                      <p className="text-gray-500 mb-4">No enrollments yet</p>
+                      <button className="btn btn-primary" onClick={() => setShowEnrollmentForm(true)}>Enroll in Course</button>
+                    </div>
+                  ) : (
+                    <div className="space-y-4">
+                      {student.enrollments?.map((enrollment) => (
+                        <div key={enrollment.id} className="border border-gray-200 rounded-lg p-4">
+                          <div className="flex items-start justify-between mb-3">
+                            <div>
+                              <h4 className="text-lg font-medium text-gray-900">
+                                {enrollment.course.name}
+                              </h4>
+                              <p className="text-sm text-gray-600">
+                                ${enrollment.pricing.netFee.toFixed(2)}
+                                {enrollment.pricing.totalDiscount > 0 && (
+                                  <span className="ml-2 text-gray-400 line-through">
+                                    ${enrollment.pricing.basePrice.toFixed(2)}
+                                  </span>
+                                )}
+                              </p>
+                            </div>
+                            <div className="flex items-center space-x-2">
+                              {getStatusBadges(enrollment)}
+                            </div>
+                          </div>
 
-                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
-                        <div>
-                          <p className="text-gray-500">Batch</p>
-                          <p className="font-medium">{enrollment.batch || 'N/A'}</p>
-                        </div>
-                        <div>
-                          <p className="text-gray-500">Start Date</p>
-                          <p className="font-medium">
-                            {new Date(enrollment.startDate).toLocaleDateString()}
-                          </p>
-                        </div>
-                        <div>
-                          <p className="text-gray-500">Payment Status</p>
-                          <div className="font-medium">
-                            {getPaymentStatus(enrollment)}
+                          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+                            <div>
+                              <p className="text-gray-500">Batch</p>
+                              <p className="font-medium">{enrollment.batch || 'N/A'}</p>
+                            </div>
+                            <div>
+                              <p className="text-gray-500">Start Date</p>
+                              <p className="font-medium">
+                                {new Date(enrollment.startDate).toLocaleDateString()}
+                              </p>
+                            </div>
+                            <div>
+                              <p className="text-gray-500">Payment Status</p>
+                              <div className="font-medium">
+                                {getPaymentStatus(enrollment)}
+                              </div>
+                            </div>
+                            <div>
+                              <p className="text-gray-500">Total Paid</p>
+                              <p className="font-medium text-success-600">
+                                ${enrollment.payments?.reduce((sum, p) => sum + parseFloat(p.amount), 0).toFixed(2) || '0.00'}
+                              </p>
+                            </div>
+                            <div>
+                              <p className="text-gray-500">Attendance</p>
+                              <div className="font-medium">
+                                {attendance[enrollment.id] ? <AttendanceRate summary={attendance[enrollment.id]} /> : 'N/A'}
+                              </div>
+                            </div>
                           </div>
                         </div>
-                        <div>
-                          <p className="text-gray-500">Total Paid</p>
-                          <p className="font-medium text-success-600">
-                            ${enrollment.payments?.reduce((sum, p) => sum + parseFloat(p.amount), 0).toFixed(2) || '0.00'}
-                          </p>
-                        </div>
-                      </div>
+                      ))}
                     </div>
-                  ))}
+                  )}
                 </div>
-              )}
-            </div>
-          </div>
-
-          {/* Recent Payments */}
-          <div className="card">
-            <div className="card-header">
-              <div className="flex items-center justify-between">
-                <h3 className="text-lg font-medium text-gray-900">Recent Payments</h3>
-                <button className="btn btn-primary btn-sm" onClick={() => setShowPaymentForm(true)}>Record Payment</button>
               </div>
-            </div>
-            <div className="card-body">
-              {student.payments?.length === 0 ? (
-                <div className="text-center py-8">
-                  <CreditCard className="mx-auto h-12 w-12 text-gray-400 mb-4" />
-                  <p className="text-gray-500">No payments recorded yet</p>
+
+              {/* Recent Payments */}
+              <div className="card">
+                <div className="card-header">
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-lg font-medium text-gray-900">Recent Payments</h3>
+                    <button className="btn btn-primary btn-sm" onClick={() => setShowPaymentForm(true)}>Record Payment</button>
+                  </div>
                 </div>
-              ) : (
-                <div className="space-y-3">
-                  {student.payments?.slice(0, 5).map((payment) => (
-                    <div key={payment.id} className="flex items-center justify-between py-2 border-b border-gray-100 last:border-b-0">
-                      <div>
-                        <p className="text-sm font-medium text-gray-900">
-                          {payment.enrollment?.course?.name || 'Unknown Course'}
-                        </p>
-                        <p className="text-xs text-gray-500">
-                          {new Date(payment.date).toLocaleDateString()}
-                        </p>
-                      </div>
-                      <div className="text-right">
-                        <p className="text-sm font-medium text-success-600">
-                          ${parseFloat(payment.amount).toFixed(2)}
-                        </p>
-                        <p className="text-xs text-gray-500 capitalize">
-                          {payment.method.replace('_', ' ')}
-                        </p>
-                      </div>
+                <div className="card-body">
+                  {student.payments?.length === 0 ? (
+                    <div className="text-center py-8">
+                      <CreditCard className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+                      <p className="text-gray-500">No payments recorded yet</p>
                     </div>
-                  ))}
+                  ) : (
+                    <div className="space-y-3">
+                      {student.payments?.slice(0, 5).map((payment) => (
+                        <div key={payment.id} className="flex items-center justify-between py-2 border-b border-gray-100 last:border-b-0">
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">
+                              {payment.enrollment?.course?.name || 'Unknown Course'}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                              {new Date(payment.date).toLocaleDateString()}
+                            </p>
+                          </div>
+                          <div className="flex items-center space-x-3">
+                            <div className="text-right">
+                              <p className="text-sm font-medium text-success-600">
+                                ${parseFloat(payment.amount).toFixed(2)}
+                              </p>
+                              <p className="text-xs text-gray-500 capitalize">
+                                {payment.method.replace('_', ' ')}
+                              </p>
+                              {(payment.refunds?.length > 0 || payment.creditNotes?.length > 0) && (
+                                <p className="text-xs text-danger-600">
+                                  −${[...payment.refunds, ...payment.creditNotes]
+                                    .reduce((sum, item) => sum + parseFloat(item.amount), 0)
+                                    .toFixed(2)} refunded/credited
+                                </p>
+                              )}
+                            </div>
+                            <button
+                              onClick={() => handleDownloadReceipt(payment)}
+                              className="text-gray-400 hover:text-gray-600"
+                              title="Download receipt"
+                            >
+                              <Download className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </div>
+                      ))}
                   
-                  {student.payments?.length > 5 && (
-                    <div className="text-center pt-2">
-                      <p className="text-sm text-gray-500">
-                        Showing 5 of {student.payments.length} payments
-                      </p>
+                      {student.payments?.length > 5 && (
+                        <div className="text-center pt-2">
+                          <p className="text-sm text-gray-500">
+                            Showing 5 of {student.payments.length} payments
+                          </p>
+                        </div>
+                      )}
                     </div>
                   )}
                 </div>
-              )}
+              </div>
+            </>
+          )}
+
+          {activeTab === 'timeline' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Timeline</h3>
+              </div>
+              <div className="card-body">
+                <StudentTimeline studentId={student.id} />
+              </div>
             </div>
-          </div>
+          )}
+
+          {activeTab === 'messages' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">Messages</h3>
+              </div>
+              <div className="card-body">
+                <StudentMessages key={messagesVersion} studentId={student.id} />
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'tasks' && (
+            <TaskPanel params={{ studentId: student.id }} links={{ studentId: student.id }} />
+          )}
+
+          {activeTab === 'history' && (
+            <div className="card">
+              <div className="card-header">
+                <h3 className="text-lg font-medium text-gray-900">History</h3>
+              </div>
+              <div className="card-body">
+                <AuditHistory params={{ studentId: student.id }} />
+              </div>
+            </div>
+          )}
         </div>
       </div>
 
+      {showMessageForm && (
+        <MessageStudentForm
+          student={student}
+          onSubmitSuccess={() => { setShowMessageForm(false); setMessagesVersion(v => v + 1) }}
+          onCancel={() => setShowMessageForm(false)}
+        />
+      )}
+
       {showEnrollmentForm && (
         <EnrollmentForm
           defaultStudentId={student.id}
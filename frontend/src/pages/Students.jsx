@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { Link } from 'react-router-dom'
+import { Link, useSearchParams } from 'react-router-dom'
 import { 
   Plus, 
   Search, 
@@ -10,21 +10,26 @@ import {
   Trash2,
   Eye,
   Mail,
-  Phone
+  Phone,
+  MessageCircle
 } from 'lucide-react'
 import axios from 'axios'
 import toast from 'react-hot-toast'
 import StudentForm from '../components/StudentForm'
+import { academicStatusConfig } from '../components/EnrollmentForm'
 import ConfirmDialog from '../components/ConfirmDialog'
 import CSVImport from '../components/CSVImport'
+import MessageStudentForm from '../components/MessageStudentForm'
+import { useAuth } from '../context/AuthContext'
 
 function Students() {
+  const { hasRole } = useAuth()
   const [students, setStudents] = useState([])
   const [loading, setLoading] = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
   const [filters, setFilters] = useState({
     course: '',
-    status: ''
+    academicStatus: ''
   })
   const [pagination, setPagination] = useState({
     page: 1,
@@ -37,11 +42,46 @@ function Students() {
   const [showDeleteDialog, setShowDeleteDialog] = useState(false)
   const [deletingStudent, setDeletingStudent] = useState(null)
   const [showCSVImport, setShowCSVImport] = useState(false)
+  const [messagingStudent, setMessagingStudent] = useState(null)
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [convertingLead, setConvertingLead] = useState(null)
+  const leadId = searchParams.get('lead')
 
   useEffect(() => {
     fetchStudents()
   }, [searchTerm, filters, pagination.page])
 
+  // /students?lead=ID opens the add form prefilled from that lead
+  useEffect(() => {
+    if (!leadId) return
+    axios.get(`/api/leads/${leadId}/conversion`)
+      .then(({ data }) => {
+        setConvertingLead({
+          leadId: data.leadId,
+          defaults: {
+            ...data.student,
+            createEnrollment: Boolean(data.enrollment),
+            enrollmentCourseId: data.enrollment?.courseId || ''
+          }
+        })
+        setEditingStudent(null)
+        setShowForm(true)
+      })
+      .catch(error => {
+        toast.error(error.response?.data?.error || 'Failed to load lead')
+        setSearchParams({})
+      })
+  }, [leadId])
+
+  const closeForm = () => {
+    setShowForm(false)
+    setEditingStudent(null)
+    if (convertingLead) {
+      setConvertingLead(null)
+      setSearchParams({})
+    }
+  }
+
   const fetchStudents = async () => {
     try {
       setLoading(true)
@@ -50,7 +90,7 @@ function Students() {
         limit: pagination.limit,
         ...(searchTerm && { search: searchTerm }),
         ...(filters.course && { course: filters.course }),
-        ...(filters.status && { status: filters.status })
+        ...(filters.academicStatus && { academicStatus: filters.academicStatus })
       })
 
       const response = await axios.get(`/api/students?${params}`)
@@ -78,10 +118,10 @@ function Students() {
 
       const enrollment = formData.createEnrollment && formData.enrollmentCourseId ? {
         courseId: formData.enrollmentCourseId,
-        batch: formData.enrollmentBatch || undefined,
+        batchId: formData.enrollmentBatchId || undefined,
         startDate: formData.enrollmentStartDate || undefined,
-        status: 'ACTIVE',
         notes: formData.enrollmentNotes || undefined,
+        promoCodes: formData.enrollmentPromoCode ? [formData.enrollmentPromoCode] : undefined,
       } : undefined
 
       const payment = formData.createPayment && formData.paymentAmount ? {
@@ -92,7 +132,7 @@ function Students() {
         applyTo: 'enrollment'
       } : undefined
 
-      const payload = { student, enrollment, payment }
+      const payload = { student, enrollment, payment, leadId: convertingLead?.leadId }
 
       const fd = new window.FormData()
       fd.append('data', JSON.stringify(payload))
@@ -100,8 +140,8 @@ function Students() {
       files.forEach(f => fd.append('docs', f))
 
       await axios.post('/api/students/full-create', fd, { headers: { 'Content-Type': 'multipart/form-data' } })
-      toast.success('Student created successfully')
-      setShowForm(false)
+      toast.success(convertingLead ? 'Lead converted to student' : 'Student created successfully')
+      closeForm()
       fetchStudents()
     } catch (error) {
       console.error('Error creating student:', error)
@@ -129,7 +169,7 @@ function Students() {
 
     try {
       await axios.delete(`/api/students/${deletingStudent.id}`)
-      toast.success('Student deleted successfully')
+      toast.success('Student moved to the Recycle Bin')
       setShowDeleteDialog(false)
       setDeletingStudent(null)
       fetchStudents()
@@ -168,10 +208,10 @@ function Students() {
   const getStatusBadge = (enrollments) => {
     if (enrollments.length === 0) return <span className="badge badge-info">No Enrollments</span>
     
-    const activeEnrollments = enrollments.filter(e => e.status === 'ACTIVE')
+    const activeEnrollments = enrollments.filter(e => ['ENROLLED', 'IN_PROGRESS'].includes(e.academicStatus))
     if (activeEnrollments.length > 0) return <span className="badge badge-success">Active</span>
     
-    const completedEnrollments = enrollments.filter(e => e.status === 'COMPLETED')
+    const completedEnrollments = enrollments.filter(e => e.academicStatus === 'COMPLETED')
     if (completedEnrollments.length > 0) return <span className="badge badge-info">Completed</span>
     
     return <span className="badge badge-warning">Inactive</span>
@@ -184,11 +224,8 @@ function Students() {
     let totalPaid = 0
     
     enrollments.forEach(enrollment => {
-      const coursePrice = parseFloat(enrollment.course.price)
-      const payments = enrollment.payments || []
-      const paid = payments.reduce((sum, p) => sum + parseFloat(p.amount), 0)
-      totalPaid += paid
-      totalOutstanding += Math.max(0, coursePrice - paid)
+      totalPaid += enrollment.paymentStatus.totalPaid
+      totalOutstanding += enrollment.paymentStatus.outstanding
     })
     
     if (totalOutstanding === 0) return <span className="text-success-600 font-medium">Fully Paid</span>
@@ -253,14 +290,14 @@ function Students() {
                 <option value="Mobile Development">Mobile Development</option>
               </select>
               <select
-                value={filters.status}
-                onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+                value={filters.academicStatus}
+                onChange={(e) => setFilters(prev => ({ ...prev, academicStatus: e.target.value }))}
                 className="input"
               >
                 <option value="">All Statuses</option>
-                <option value="ACTIVE">Active</option>
-                <option value="COMPLETED">Completed</option>
-                <option value="CANCELLED">Cancelled</option>
+                {Object.entries(academicStatusConfig).map(([value, config]) => (
+                  <option key={value} value={value}>{config.label}</option>
+                ))}
               </select>
             </div>
           </div>
@@ -345,6 +382,15 @@ function Students() {
                             >
                               <Eye className="h-4 w-4" />
                             </Link>
+                            {hasRole('ADMIN', 'FINANCE', 'COUNSELLOR') && (
+                              <button
+                                onClick={() => setMessagingStudent(student)}
+                                className="text-success-600 hover:text-success-900"
+                                title="Message"
+                              >
+                                <MessageCircle className="h-4 w-4" />
+                              </button>
+                            )}
                             <button
                               onClick={() => openEditForm(student)}
                               className="text-gray-600 hover:text-gray-900"
@@ -400,11 +446,17 @@ function Students() {
       {showForm && (
         <StudentForm
           student={editingStudent}
+          defaults={convertingLead?.defaults}
           onSubmit={editingStudent ? handleUpdateStudent : handleCreateStudent}
-          onCancel={() => {
-            setShowForm(false)
-            setEditingStudent(null)
-          }}
+          onCancel={closeForm}
+        />
+      )}
+
+      {messagingStudent && (
+        <MessageStudentForm
+          student={messagingStudent}
+          onSubmitSuccess={() => setMessagingStudent(null)}
+          onCancel={() => setMessagingStudent(null)}
         />
       )}
 
@@ -412,7 +464,7 @@ function Students() {
       {showDeleteDialog && (
         <ConfirmDialog
           title="Delete Student"
-          message={`Are you sure you want to delete ${deletingStudent?.name}? This action cannot be undone.`}
+          message={`Delete ${deletingStudent?.name}? The student, their enrollments and payments will be moved to the Recycle Bin and can be restored by an admin.`}
           onConfirm={handleDeleteStudent}
           onCancel={() => {
             setShowDeleteDialog(false)
@@ -0,0 +1,176 @@
+import { useState, useEffect } from 'react'
+import { Plus, Edit, KeyRound, ShieldCheck } from 'lucide-react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import UserForm, { ROLE_OPTIONS } from '../components/UserForm'
+
+function Users() {
+  const [users, setUsers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [editingUser, setEditingUser] = useState(null)
+
+  useEffect(() => {
+    fetchUsers()
+  }, [])
+
+  const fetchUsers = async () => {
+    try {
+      setLoading(true)
+      const response = await axios.get('/api/users')
+      setUsers(response.data.users)
+    } catch (error) {
+      console.error('Error fetching users:', error)
+      toast.error('Failed to load users')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCreateUser = async (userData) => {
+    try {
+      await axios.post('/api/users', userData)
+      toast.success('User created successfully')
+      setShowForm(false)
+      fetchUsers()
+    } catch (error) {
+      console.error('Error creating user:', error)
+      toast.error(error.response?.data?.error || 'Failed to create user')
+    }
+  }
+
+  const handleUpdateUser = async (userData) => {
+    try {
+      await axios.put(`/api/users/${editingUser.id}`, userData)
+      toast.success('User updated successfully')
+      setShowForm(false)
+      setEditingUser(null)
+      fetchUsers()
+    } catch (error) {
+      console.error('Error updating user:', error)
+      toast.error(error.response?.data?.error || 'Failed to update user')
+    }
+  }
+
+  const handleResetPassword = async (user) => {
+    const password = window.prompt(`New password for ${user.name} (min. 8 characters)`)
+    if (!password) return
+
+    try {
+      await axios.post(`/api/users/${user.id}/reset-password`, { password })
+      toast.success('Password reset successfully')
+    } catch (error) {
+      console.error('Error resetting password:', error)
+      toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to reset password')
+    }
+  }
+
+  const getRoleLabel = (role) => ROLE_OPTIONS.find(r => r.value === role)?.label || role
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Users</h1>
+            <p className="mt-2 text-gray-600">
+              Manage staff accounts and their access levels
+            </p>
+          </div>
+          <div className="mt-4 sm:mt-0">
+            <button className="btn btn-primary" onClick={() => setShowForm(true)}>
+              <Plus className="h-4 w-4 mr-2" />
+              Add User
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Users Table */}
+      <div className="card">
+        <div className="card-body">
+          {loading ? (
+            <div className="animate-pulse">
+              {[...Array(5)].map((_, i) => (
+                <div key={i} className="h-16 bg-gray-200 rounded mb-3"></div>
+              ))}
+            </div>
+          ) : users.length === 0 ? (
+            <div className="text-center py-12">
+              <ShieldCheck className="mx-auto h-12 w-12 text-gray-400" />
+              <p className="mt-4 text-gray-500">No users found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead className="table-header">
+                  <tr>
+                    <th className="table-header-cell">User</th>
+                    <th className="table-header-cell">Role</th>
+                    <th className="table-header-cell">Status</th>
+                    <th className="table-header-cell">Last Login</th>
+                    <th className="table-header-cell">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body">
+                  {users.map((user) => (
+                    <tr key={user.id} className="table-row">
+                      <td className="table-cell">
+                        <div className="text-sm font-medium text-gray-900">{user.name}</div>
+                        <div className="text-sm text-gray-500">{user.email}</div>
+                      </td>
+                      <td className="table-cell">
+                        <span className="badge badge-info">{getRoleLabel(user.role)}</span>
+                      </td>
+                      <td className="table-cell">
+                        {user.isActive ? (
+                          <span className="badge badge-success">Active</span>
+                        ) : (
+                          <span className="badge badge-danger">Disabled</span>
+                        )}
+                      </td>
+                      <td className="table-cell">
+                        <span className="text-sm text-gray-900">
+                          {user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}
+                        </span>
+                      </td>
+                      <td className="table-cell">
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => { setEditingUser(user); setShowForm(true) }}
+                            className="text-gray-600 hover:text-gray-900"
+                            title="Edit user"
+                          >
+                            <Edit className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handleResetPassword(user)}
+                            className="text-gray-600 hover:text-gray-900"
+                            title="Reset password"
+                          >
+                            <KeyRound className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <UserForm
+          user={editingUser}
+          onSubmit={editingUser ? handleUpdateUser : handleCreateUser}
+          onCancel={() => { setShowForm(false); setEditingUser(null) }}
+        />
+      )}
+    </div>
+  )
+}
+
+export default Users